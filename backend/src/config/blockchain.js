@@ -77,11 +77,36 @@ const setupWeb3 = async () => {
               send: () => Promise.resolve({ transactionHash: 'mock-tx-hash' }),
               call: () => Promise.resolve('success')
             }),
+            anchorPolicyVersion: () => ({
+              estimateGas: () => Promise.resolve(21000),
+              send: () => Promise.resolve({ transactionHash: 'mock-tx-hash' }),
+              call: () => Promise.resolve('success')
+            }),
             logEvent: () => ({
               estimateGas: () => Promise.resolve(21000),
               send: () => Promise.resolve({ transactionHash: 'mock-tx-hash' }),
               call: () => Promise.resolve('success')
             }),
+            requestAccess: () => ({
+              estimateGas: () => Promise.resolve(21000),
+              send: () => Promise.resolve({ transactionHash: 'mock-tx-hash' }),
+              call: () => Promise.resolve('success')
+            }),
+            grantAccess: () => ({
+              estimateGas: () => Promise.resolve(21000),
+              send: () => Promise.resolve({ transactionHash: 'mock-tx-hash' }),
+              call: () => Promise.resolve('success')
+            }),
+            denyAccess: () => ({
+              estimateGas: () => Promise.resolve(21000),
+              send: () => Promise.resolve({ transactionHash: 'mock-tx-hash' }),
+              call: () => Promise.resolve('success')
+            }),
+            revokeAccess: () => ({
+              estimateGas: () => Promise.resolve(21000),
+              send: () => Promise.resolve({ transactionHash: 'mock-tx-hash' }),
+              call: () => Promise.resolve('success')
+            }),
             checkAccess: () => ({
               estimateGas: () => Promise.resolve(21000),
               send: () => Promise.resolve({ transactionHash: 'mock-tx-hash' }),
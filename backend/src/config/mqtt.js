@@ -84,18 +84,21 @@ const handleMQTTMessage = (topic, message) => {
     const payload = JSON.parse(message.toString());
     logger.info(`MQTT message received on ${topic}:`, payload);
 
-    // Route messages based on topic
-    if (topic.includes('/status')) {
+    // Route messages on the topic's segments (iot/<scope>/<id>/<kind>); ids may
+    // themselves contain words such as "data" or "status"
+    const [, scope, , kind] = topic.split('/');
+    if (scope === 'devices' && kind === 'status') {
       handleDeviceStatus(topic, payload);
-    } else if (topic.includes('/data')) {
+    } else if (scope === 'devices' && kind === 'data') {
       handleDeviceData(topic, payload);
-    } else if (topic.includes('/access')) {
-      handleAccessRequest(topic, payload);
-    } else if (topic.includes('/alerts')) {
+    } else if (scope === 'devices' && kind === 'access') {
+      handleAccessRequest(topic, payload)
+        .catch(error => logger.error('Error handling MQTT access request:', error));
+    } else if (scope === 'devices' && kind === 'alerts') {
       handleDeviceAlert(topic, payload);
-    } else if (topic.includes('/policies/')) {
+    } else if (scope === 'policies') {
       handlePolicyUpdate(topic, payload);
-    } else if (topic.includes('/audit/')) {
+    } else if (scope === 'audit') {
       handleAuditEvent(topic, payload);
     }
 
@@ -128,10 +131,23 @@ const handleDeviceData = (topic, payload) => {
   }
 };
 
-const handleAccessRequest = (topic, payload) => {
+const handleAccessRequest = async (topic, payload) => {
   const deviceId = topic.split('/')[2];
   // Process access request through blockchain
   logger.info(`Processing access request for device ${deviceId}:`, payload);
+
+  // Only requests carry a user and an action; other messages here are device events
+  if (!payload.userId || !payload.action) {
+    return;
+  }
+
+  // Required here because the decision services publish through this module
+  const { handleDeviceAccessRequest } = require('../services/deviceAccess');
+  const response = await handleDeviceAccessRequest(deviceId, payload);
+  // Nothing is sent for a redelivered request whose first copy is still being decided
+  if (response) {
+    publishMessage(`iot/devices/${deviceId}/access/decision`, response);
+  }
 };
 
 const handleDeviceAlert = (topic, payload) => {
@@ -174,6 +190,26 @@ const publishMessage = (topic, message) => {
   });
 };
 
+// Publish and wait for the broker's acknowledgement, for callers that must know
+// the message went out; rejects when MQTT is unavailable
+const publishWithAck = (topic, message, { timeoutMs = 5000 } = {}) => new Promise((resolve, reject) => {
+  if (!mqttClient || !isConnected) {
+    reject(new Error('MQTT not available'));
+    return;
+  }
+
+  const timer = setTimeout(() => reject(new Error(`Timed out publishing to ${topic}`)), timeoutMs);
+  mqttClient.publish(topic, JSON.stringify(message), { qos: 1 }, (err) => {
+    clearTimeout(timer);
+    if (err) {
+      logger.error(`Failed to publish to ${topic}:`, err);
+      reject(err);
+    } else {
+      resolve();
+    }
+  });
+});
+
 const getMQTTClient = () => {
   if (!mqttClient) {
     logger.warn('MQTT client not initialized');
@@ -195,5 +231,6 @@ module.exports = {
   setupMQTT,
   getMQTTClient,
   publishMessage,
+  publishWithAck,
   disconnectMQTT
 }; 
\ No newline at end of file
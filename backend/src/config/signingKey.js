@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// The backend's Ed25519 key, for anything others verify offline or after the
+// fact: device capability tokens, revocation lists and compliance reports.
+// It comes from SIGNING_PRIVATE_KEY (PEM). Without it a key is generated at
+// startup, and earlier signatures stop verifying after a restart.
+
+let signingKey = null;
+
+const getSigningKey = () => {
+  if (signingKey) return signingKey;
+
+  let privateKey;
+  if (process.env.SIGNING_PRIVATE_KEY) {
+    privateKey = crypto.createPrivateKey(process.env.SIGNING_PRIVATE_KEY.replace(/\\n/g, '\n'));
+  } else {
+    logger.warn('SIGNING_PRIVATE_KEY not set; signing with a temporary key');
+    ({ privateKey } = crypto.generateKeyPairSync('ed25519'));
+  }
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('SIGNING_PRIVATE_KEY must be an Ed25519 key');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const keyId = crypto.createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex')
+    .slice(0, 16);
+
+  signingKey = { privateKey, publicKey, keyId };
+  return signingKey;
+};
+
+const publicKeyInfo = () => {
+  const { publicKey, keyId } = getSigningKey();
+  return {
+    keyId,
+    algorithm: 'Ed25519',
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+};
+
+// Base64url Ed25519 signature of the text
+const sign = (text) => crypto.sign(null, Buffer.from(text), getSigningKey().privateKey).toString('base64url');
+
+module.exports = {
+  getSigningKey,
+  publicKeyInfo,
+  sign
+};
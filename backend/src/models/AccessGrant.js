@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Off-chain record of an access grant and its validity window. The on-chain
+// grant only counts while its window is open; the grant sweeper revokes it on
+// chain once the window closes.
+const accessGrantSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Keys the on-chain grant is addressed by, as /grant sent them
+  deviceBlockchainId: String,
+  userBlockchainId: String,
+  permissions: {
+    type: [String],
+    required: true
+  },
+  policyId: String,
+  grantedBy: String,
+  // Access request the grant settled, when it came through the approval workflow
+  requestId: String,
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  // Open-ended when not set
+  validUntil: Date,
+  status: {
+    type: String,
+    enum: ['active', 'expired', 'revoked'],
+    default: 'active',
+    index: true
+  },
+  transactionHash: String,
+  // When the grantee was told the grant is about to expire
+  expiryNoticeAt: Date,
+  renewals: [{
+    _id: false,
+    renewedBy: String,
+    previousValidUntil: Date,
+    validUntil: Date,
+    // approver: an owner or admin renewed it; policy: the grantee renewed it because policy permits the access
+    basis: {
+      type: String,
+      enum: ['approver', 'policy']
+    },
+    renewedAt: {
+      type: Date,
+      default: Date.now
+    },
+    transactionHash: String,
+    error: String
+  }],
+  revokedAt: Date,
+  revokedBy: String,
+  revocationReason: String,
+  // On-chain revokeAccess once the grant ended
+  revocation: {
+    transactionHash: String,
+    error: String
+  }
+}, {
+  timestamps: true
+});
+
+accessGrantSchema.index({ userId: 1, deviceId: 1, status: 1 });
+accessGrantSchema.index({ status: 1, validUntil: 1 });
+
+accessGrantSchema.methods.isCurrent = function(now = new Date()) {
+  return this.status === 'active' && this.validFrom <= now && (!this.validUntil || this.validUntil > now);
+};
+
+module.exports = mongoose.model('AccessGrant', accessGrantSchema);
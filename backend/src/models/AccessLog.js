@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.ACCESS_LOG_RETENTION_DAYS) || 90;
+
+// One record per access decision. Subject and resource are stored as the
+// evaluator saw them so the request can be replayed later.
+const accessLogSchema = new mongoose.Schema({
+  subject: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  resource: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  userId: {
+    type: String,
+    index: true
+  },
+  deviceId: {
+    type: String,
+    index: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  context: {
+    attributes: mongoose.Schema.Types.Mixed,
+    location: mongoose.Schema.Types.Mixed,
+    ipAddress: String,
+    userAgent: String
+  },
+  decision: {
+    type: String,
+    enum: ['Permit', 'Deny', 'NotApplicable'],
+    required: true
+  },
+  allowed: {
+    type: Boolean,
+    required: true
+  },
+  // On-chain grant, which decides when no policy applies
+  onChainAccess: {
+    type: Boolean,
+    default: false
+  },
+  reason: String,
+  algorithm: String,
+  policyIds: [String],
+  // Obligations of the decision and whether the enforcement point met them
+  obligations: [{
+    _id: false,
+    type: { type: String },
+    policyId: String,
+    fulfilled: Boolean,
+    error: String
+  }],
+  // Set when no policy applied and a delegation chain granted access
+  delegationId: String,
+  // Set when a break-glass grant answered instead of the policies
+  breakGlassId: String,
+  // Which entry point made the decision
+  source: {
+    type: String,
+    default: 'check'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+accessLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+accessLogSchema.index({ deviceId: 1, timestamp: -1 });
+
+// Policy-decided requests only; break-glass access ignored the policies
+accessLogSchema.statics.findSince = function(since, limit) {
+  return this.find({ timestamp: { $gte: since }, breakGlassId: { $exists: false } })
+    .sort({ timestamp: 1 })
+    .limit(limit)
+    .lean();
+};
+
+module.exports = mongoose.model('AccessLog', accessLogSchema);
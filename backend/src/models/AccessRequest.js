@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const REQUEST_STATUSES = ['pending', 'approved', 'denied', 'expired', 'cancelled'];
+
+// A request for access to a device and its way through the approver chain.
+// Each approval step is decided by the device owner or by a role, in order.
+const accessRequestSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Owner when the request was made, so the owner's inbox can be queried
+  deviceOwner: {
+    type: String,
+    lowercase: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  requestedBy: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  permissions: [String],
+  justification: String,
+  attributes: mongoose.Schema.Types.Mixed,
+  location: mongoose.Schema.Types.Mixed,
+  timeConstraints: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: REQUEST_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  chain: {
+    type: String,
+    required: true
+  },
+  approvals: [{
+    _id: false,
+    approver: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'denied'],
+      default: 'pending'
+    },
+    decidedBy: String,
+    decidedAt: Date,
+    comment: String
+  }],
+  // Approver of the step waiting for a decision; null once the request is decided
+  currentApprover: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  cancelledBy: String,
+  // On-chain requestAccess submission
+  submission: {
+    transactionHash: String,
+    error: String
+  },
+  // The /api/access/grant or /api/access/deny transaction that settled the request
+  outcome: {
+    transactionHash: String,
+    reason: String,
+    decidedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+accessRequestSchema.index({ status: 1, currentApprover: 1, deviceOwner: 1 });
+
+accessRequestSchema.methods.currentStep = function() {
+  return this.approvals.find(step => step.status === 'pending') || null;
+};
+
+// Whether approving the current step approves the whole request
+accessRequestSchema.methods.isFinalStep = function() {
+  return this.approvals.filter(step => step.status === 'pending').length === 1;
+};
+
+module.exports = mongoose.model('AccessRequest', accessRequestSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One break-glass invocation: the time-boxed emergency grant it gave and the
+// review ticket a second admin must close afterwards.
+const breakGlassSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  invokedBy: String,
+  deviceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Actions the grant covers; empty covers every action
+  actions: [String],
+  justification: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date,
+  endedBy: String,
+  // Access decisions answered under the grant
+  uses: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date,
+  alertId: String,
+  // On-chain AuditLogger record of the invocation
+  audit: {
+    transactionHash: String,
+    error: String
+  },
+  review: {
+    status: {
+      type: String,
+      enum: ['open', 'closed'],
+      default: 'open'
+    },
+    outcome: {
+      type: String,
+      enum: ['justified', 'unjustified']
+    },
+    notes: String,
+    reviewedBy: String,
+    reviewedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+breakGlassSchema.index({ userId: 1, deviceId: 1, expiresAt: -1 });
+breakGlassSchema.index({ 'review.status': 1, createdAt: -1 });
+
+breakGlassSchema.methods.isActive = function(now = new Date()) {
+  return !this.endedAt && this.expiresAt > now;
+};
+
+breakGlassSchema.methods.covers = function(action) {
+  return this.actions.length === 0 || this.actions.includes(action);
+};
+
+// The subject's grant on a device that is in force now and covers the action
+breakGlassSchema.statics.findActive = async function(userId, deviceId, action, now = new Date()) {
+  const grants = await this.find({
+    userId,
+    deviceId,
+    endedAt: { $exists: false },
+    expiresAt: { $gt: now }
+  }).sort({ expiresAt: -1 });
+  return grants.find(grant => grant.covers(action)) || null;
+};
+
+module.exports = mongoose.model('BreakGlass', breakGlassSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A capability token handed out for offline use at a device. Only its claims
+// are kept; the signed token itself is returned once, when it is issued.
+const capabilityTokenSchema = new mongoose.Schema({
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  grantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  deviceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  actions: {
+    type: [String],
+    required: true
+  },
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  // Uses the device allows before it refuses the token
+  maxUses: {
+    type: Number,
+    required: true
+  },
+  // Signing key the token was issued under
+  keyId: String,
+  issuedBy: String,
+  revokedAt: Date,
+  revokedBy: String,
+  revocationReason: String
+}, {
+  timestamps: true
+});
+
+capabilityTokenSchema.index({ revokedAt: 1, validUntil: 1 });
+
+module.exports = mongoose.model('CapabilityToken', capabilityTokenSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One link of a delegation chain: delegator hands delegate a subset of their
+// permissions on a device. The first link comes from the device owner; later
+// links re-delegate from the link named by parent.
+const delegationSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  delegator: {
+    type: String,
+    required: true,
+    index: true
+  },
+  delegate: {
+    type: String,
+    required: true,
+    index: true
+  },
+  permissions: {
+    type: [String],
+    required: true
+  },
+  canRedelegate: {
+    type: Boolean,
+    default: false
+  },
+  // Links the whole chain may have, fixed by the owner on the first link
+  maxDepth: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Position in the chain, 1 for the owner's own delegation
+  depth: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delegation',
+    default: null
+  },
+  // Every link above this one, first link first
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delegation'
+  }],
+  // Owner the chain started from; the chain lapses if the device changes hands
+  ownerAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // sha256 over the link and its parent's hash, anchored on-chain, so a chain
+  // can be checked end to end
+  hash: {
+    type: String,
+    required: true
+  },
+  anchor: {
+    transactionHash: String,
+    error: String
+  },
+  revokedAt: Date,
+  revokedBy: String,
+  revocationReason: String
+}, {
+  timestamps: true
+});
+
+delegationSchema.index({ delegate: 1, deviceId: 1, expiresAt: -1 });
+delegationSchema.index({ ancestors: 1 });
+
+// The fields a link's hash covers, in a fixed order
+delegationSchema.statics.hashLink = function(link, parentHash = null) {
+  const content = {
+    deviceId: link.deviceId,
+    delegator: link.delegator,
+    delegate: link.delegate,
+    permissions: Array.from(link.permissions),
+    canRedelegate: Boolean(link.canRedelegate),
+    maxDepth: link.maxDepth,
+    depth: link.depth,
+    ownerAddress: link.ownerAddress.toLowerCase(),
+    expiresAt: new Date(link.expiresAt).toISOString(),
+    parentHash
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+delegationSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// How the link appears in an access response
+delegationSchema.methods.toChainLink = function() {
+  return {
+    delegationId: this._id.toString(),
+    delegator: this.delegator,
+    delegate: this.delegate,
+    permissions: this.permissions,
+    canRedelegate: this.canRedelegate,
+    expiresAt: this.expiresAt.toISOString(),
+    hash: this.hash,
+    transactionHash: this.anchor && this.anchor.transactionHash ? this.anchor.transactionHash : null,
+    timestamp: this.createdAt ? this.createdAt.toISOString() : null
+  };
+};
+
+module.exports = mongoose.model('Delegation', delegationSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { invalidateResource } = require('../services/decisionCache');
+
+// Fields access decisions read; changing one makes cached decisions stale
+const DECISION_FIELDS = ['deviceType', 'location', 'firmwareVersion', 'attributes', 'owner', 'status', 'metadata'];
 
 const deviceSchema = new mongoose.Schema({
   deviceId: {
@@ -254,10 +258,27 @@ deviceSchema.pre('save', function(next) {
   if (!/^[a-zA-Z0-9_-]+$/.test(this.deviceId)) {
     return next(new Error('Device ID can only contain letters, numbers, hyphens, and underscores'));
   }
+
+  this.$locals.decisionInputsChanged = !this.isNew && DECISION_FIELDS.some(field => this.isModified(field));
   
   next();
 });
 
+// Post-save middleware
+deviceSchema.post('save', async function(doc) {
+  if (doc.$locals.decisionInputsChanged) {
+    await invalidateResource(doc.deviceId);
+  }
+});
+
+// Status and attribute updates bypass save
+deviceSchema.post('findOneAndUpdate', async function(doc) {
+  const deviceId = doc ? doc.deviceId : this.getQuery().deviceId;
+  if (deviceId) {
+    await invalidateResource(deviceId);
+  }
+});
+
 // Pre-remove middleware
 deviceSchema.pre('remove', function(next) {
   // Clean up related data (e.g., policies, audit logs)
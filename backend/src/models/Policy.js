@@ -1,4 +1,54 @@
 const mongoose = require('mongoose');
+const { matchAttributes, matchId, validateRuleAttributes } = require('../utils/attributeMatcher');
+const { isCoordinate, getGeofences, evaluateGeofences, validateRuleGeofences } = require('../utils/geo');
+const { BLOCKED_DEVICE_STATUSES, checkDeviceConstraints, validateRuleDeviceConstraints } = require('../utils/deviceConstraints');
+const { isValidTimezone, getLocalTime, checkTimeConstraints, validateRuleTimeConstraints } = require('../utils/timeWindows');
+const { checkCustomConditions, validateRuleConditions } = require('../utils/conditionLanguage');
+const { USAGE_MODES, USAGE_SCOPES, validateRuleUsage } = require('../utils/usageLimits');
+const { OBLIGATION_TYPES, FULFILL_ON, validateRuleObligations, selectForDecision } = require('../utils/obligations');
+const { TEST_DECISIONS } = require('../utils/policyTests');
+const { COMBINING_ALGORITHMS } = require('../utils/policyComposition');
+const Device = require('./Device');
+const logger = require('../utils/logger');
+
+// An obligation or advice entry; see utils/obligations for the types
+const obligationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: OBLIGATION_TYPES,
+    required: true
+  },
+  fulfillOn: {
+    type: String,
+    enum: FULFILL_ON,
+    default: 'Permit'
+  },
+  parameters: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// A test case run against the policy; see utils/policyTests
+const policyTestSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  subject: mongoose.Schema.Types.Mixed,
+  resource: mongoose.Schema.Types.Mixed,
+  action: {
+    type: String,
+    required: true
+  },
+  context: mongoose.Schema.Types.Mixed,
+  expected: {
+    decision: {
+      type: String,
+      enum: TEST_DECISIONS,
+      required: true
+    },
+    reason: String
+  }
+}, { _id: false });
 
 const policySchema = new mongoose.Schema({
   policyId: {
@@ -32,6 +82,21 @@ const policySchema = new mongoose.Schema({
     min: 1,
     max: 1000
   },
+  // Composite policies only; see utils/policyComposition
+  composition: {
+    children: [String],
+    combiningAlgorithm: {
+      type: String,
+      enum: COMBINING_ALGORITHMS,
+      default: 'deny-overrides'
+    },
+    target: {
+      actions: [String],
+      resourceTypes: [String],
+      resourceIds: [String],
+      subjectRoles: [String]
+    }
+  },
   rules: [{
     // Subject conditions
     subject: {
@@ -64,12 +129,28 @@ const policySchema = new mongoose.Schema({
         allowedDays: [Number], // 0=Sunday, 1=Monday, etc.
         allowedHours: {
           start: Number, // 0-23
-          end: Number    // 0-23
+          end: Number    // 0-23, inclusive; end < start crosses midnight
         },
+        // Recurring rules apply the time of day of startTime..endTime on every allowed day
         isRecurring: {
           type: Boolean,
           default: false
-        }
+        },
+        // IANA timezone; falls back to the subject's profile timezone, then UTC
+        timezone: String,
+        windows: [{
+          _id: false,
+          days: [Number],
+          start: String, // HH:MM
+          end: String    // HH:MM, exclusive; end < start crosses midnight
+        }],
+        blackoutDates: [String], // YYYY-MM-DD, or MM-DD for every year
+        blackoutPeriods: [{
+          _id: false,
+          start: Date,
+          end: Date,
+          reason: String
+        }]
       },
       locationConstraints: {
         allowedLocations: [String],
@@ -78,7 +159,26 @@ const policySchema = new mongoose.Schema({
         coordinates: {
           latitude: Number,
           longitude: Number
-        }
+        },
+        // Additional zones; the request must fall inside at least one
+        geofences: [{
+          _id: false,
+          name: String,
+          type: {
+            type: String,
+            enum: ['circle', 'polygon']
+          },
+          center: {
+            latitude: Number,
+            longitude: Number
+          },
+          radiusMeters: Number,
+          points: [{
+            _id: false,
+            latitude: Number,
+            longitude: Number
+          }]
+        }]
       },
       deviceConstraints: {
         deviceTypes: [String],
@@ -89,10 +189,24 @@ const policySchema = new mongoose.Schema({
     // Additional conditions
     conditions: {
       maxUsageCount: Number,
+      // Legacy counter; live counts are kept in Redis, see utils/usageLimits
       currentUsageCount: {
         type: Number,
         default: 0
       },
+      // Without a window the limit is lifetime; "5 per hour" is { period: '1h' }
+      usageWindow: {
+        period: String, // 30m, 1h, 1d, 7d
+        mode: {
+          type: String,
+          enum: USAGE_MODES
+        }
+      },
+      // Defaults to subject_resource: each subject gets its own count per device
+      usageScope: {
+        type: String,
+        enum: USAGE_SCOPES
+      },
       ipWhitelist: [String],
       ipBlacklist: [String],
       userAgents: [String],
@@ -100,8 +214,14 @@ const policySchema = new mongoose.Schema({
         type: Map,
         of: mongoose.Schema.Types.Mixed
       }
-    }
+    },
+    // Must be carried out by the enforcement point, or access is refused
+    obligations: [obligationSchema],
+    // Carried out when possible; never changes the decision
+    advice: [obligationSchema]
   }],
+  // Not part of the policy's content: editing tests makes no new revision
+  tests: [policyTestSchema],
   creator: {
     type: String,
     required: true,
@@ -204,150 +324,317 @@ policySchema.virtual('status').get(function() {
 });
 
 // Instance methods
+// With context.explain the result carries a trace of every rule and check considered
 policySchema.methods.evaluate = function(subject, resource, action, context = {}) {
   const startTime = Date.now();
+  const trace = context.explain
+    ? { policyId: this.policyId, name: this.name, effect: this.effect, priority: this.priority, rules: [] }
+    : null;
+  const withTrace = (result) => (trace ? { ...result, trace } : result);
   
   try {
     // Check if policy is active
     if (!this.isActive) {
-      return { allowed: false, reason: 'Policy is inactive' };
+      return withTrace({ allowed: false, applicable: false, reason: 'Policy is inactive' });
     }
 
     // Check if policy is hidden and user doesn't have permission
     if (this.isHidden && !context.canViewHidden) {
-      return { allowed: false, reason: 'Policy is hidden' };
+      return withTrace({ allowed: false, applicable: false, reason: 'Policy is hidden' });
     }
 
     // Evaluate each rule
-    for (const rule of this.rules) {
-      const ruleResult = this.evaluateRule(rule, subject, resource, action, context);
+    for (const [index, rule] of this.rules.entries()) {
+      const checks = trace ? [] : undefined;
+      const ruleResult = this.evaluateRule(rule, subject, resource, action, context, checks);
+
+      if (trace) {
+        const failed = checks.find(check => !check.passed);
+        trace.rules.push({
+          index,
+          action: rule.action,
+          matched: ruleResult.matched,
+          allowed: ruleResult.matched ? ruleResult.allowed : undefined,
+          reason: ruleResult.reason,
+          shortCircuitedBy: failed ? failed.check : null,
+          checks
+        });
+      }
+
       if (ruleResult.matched) {
-        // Update statistics
-        this.statistics.totalEvaluations++;
-        this.statistics.lastEvaluated = new Date();
-        
-        if (ruleResult.allowed) {
-          this.statistics.successfulEvaluations++;
-        } else {
-          this.statistics.failedEvaluations++;
+        // Rules after the first match are never looked at
+        if (trace) {
+          this.rules.slice(index + 1).forEach((skipped, offset) => {
+            trace.rules.push({ index: index + 1 + offset, action: skipped.action, skipped: true, checks: [] });
+          });
+        }
+
+        // Update statistics; dry runs (simulations, tests) leave the policy untouched
+        if (!context.dryRun) {
+          this.recordEvaluation(ruleResult.allowed, Date.now() - startTime);
         }
         
-        this.statistics.averageEvaluationTime = 
-          (this.statistics.averageEvaluationTime * (this.statistics.totalEvaluations - 1) + (Date.now() - startTime)) / 
-          this.statistics.totalEvaluations;
-        
-        this.save();
-        
-        return {
+        const decision = ruleResult.allowed ? 'Permit' : 'Deny';
+        return withTrace({
           allowed: ruleResult.allowed,
+          applicable: true,
           reason: ruleResult.reason,
           policyId: this.policyId,
+          ruleIndex: index,
+          obligations: selectForDecision(rule.obligations, decision),
+          advice: selectForDecision(rule.advice, decision),
           policyType: this.policyType,
           effect: this.effect,
           evaluationTime: Date.now() - startTime
-        };
+        });
       }
     }
 
     // No rules matched
-    this.statistics.totalEvaluations++;
-    this.statistics.failedEvaluations++;
-    this.statistics.lastEvaluated = new Date();
-    this.save();
+    if (!context.dryRun) {
+      this.recordEvaluation(false, Date.now() - startTime);
+    }
 
-    return { allowed: false, reason: 'No matching rules' };
+    return withTrace({ allowed: false, applicable: false, reason: 'No matching rules', policyId: this.policyId });
 
   } catch (error) {
-    this.statistics.totalEvaluations++;
-    this.statistics.failedEvaluations++;
-    this.save();
+    if (!context.dryRun) {
+      this.recordEvaluation(false, Date.now() - startTime);
+    }
     
-    return { allowed: false, reason: 'Evaluation error', error: error.message };
+    return withTrace({ allowed: false, applicable: true, reason: 'Evaluation error', policyId: this.policyId, error: error.message });
   }
 };
 
-policySchema.methods.evaluateRule = function(rule, subject, resource, action, context) {
+// Count an evaluation in one atomic update rather than saving the document, so
+// evaluations of the same policy running side by side never race each other.
+// A failed update only costs the statistics.
+policySchema.methods.recordEvaluation = function(successful, elapsed) {
+  const stat = (field) => ({ $ifNull: [`$statistics.${field}`, 0] });
+
+  this.constructor.updateOne({ _id: this._id }, [{
+    $set: {
+      'statistics.totalEvaluations': { $add: [stat('totalEvaluations'), 1] },
+      'statistics.successfulEvaluations': { $add: [stat('successfulEvaluations'), successful ? 1 : 0] },
+      'statistics.failedEvaluations': { $add: [stat('failedEvaluations'), successful ? 0 : 1] },
+      'statistics.averageEvaluationTime': {
+        $divide: [
+          { $add: [{ $multiply: [stat('averageEvaluationTime'), stat('totalEvaluations')] }, elapsed] },
+          { $add: [stat('totalEvaluations'), 1] }
+        ]
+      },
+      'statistics.lastEvaluated': new Date()
+    }
+  }]).catch(error => logger.error(`Failed to record evaluation of policy ${this.policyId}:`, error));
+};
+
+// When trace is an array, every check made is pushed onto it as
+// { check, expected, actual, passed }; evaluation stops at the first that decides the rule
+policySchema.methods.evaluateRule = function(rule, subject, resource, action, context, trace) {
+  const record = (check, expected, actual, passed) => {
+    if (trace) trace.push({ check, expected, actual, passed });
+    return passed;
+  };
+
   // Check action
-  if (rule.action !== action) {
+  if (!record('action', rule.action, action, rule.action === action)) {
     return { matched: false };
   }
 
   // Check subject conditions
   if (rule.subject.roles && rule.subject.roles.length > 0) {
-    if (!subject.roles || !subject.roles.some(role => rule.subject.roles.includes(role))) {
+    const roles = subject.roles || [];
+    if (!record('subject.roles', rule.subject.roles, roles, roles.some(role => rule.subject.roles.includes(role)))) {
       return { matched: false };
     }
   }
 
-  // Check resource conditions
-  if (rule.resource.types && rule.resource.types.length > 0) {
-    if (!rule.resource.types.includes(resource.type)) {
+  if (rule.subject.groups && rule.subject.groups.length > 0) {
+    const groups = subject.groups || [];
+    if (!record('subject.groups', rule.subject.groups, groups, groups.some(group => rule.subject.groups.includes(group)))) {
       return { matched: false };
     }
   }
 
-  // Check time constraints
-  if (rule.environment.timeConstraints) {
-    const now = new Date();
-    const currentHour = now.getHours();
-    const currentDay = now.getDay();
+  const recordAttribute = (prefix) => (name, expected, actual, passed) => {
+    record(`${prefix}.${name}`, expected, actual, passed);
+  };
 
-    const timeConstraints = rule.environment.timeConstraints;
+  if (!matchAttributes(rule.subject.attributes, subject.attributes, recordAttribute('subject.attributes'))) {
+    return { matched: false };
+  }
 
-    if (timeConstraints.startTime && now < timeConstraints.startTime) {
-      return { matched: true, allowed: false, reason: 'Before allowed time' };
+  // Check resource conditions
+  if (rule.resource.types && rule.resource.types.length > 0) {
+    if (!record('resource.type', rule.resource.types, resource.type, rule.resource.types.includes(resource.type))) {
+      return { matched: false };
     }
+  }
 
-    if (timeConstraints.endTime && now > timeConstraints.endTime) {
-      return { matched: true, allowed: false, reason: 'After allowed time' };
+  if (rule.resource.ids && rule.resource.ids.length > 0) {
+    const idMatched = rule.resource.ids.some(pattern => matchId(pattern, resource.id));
+    if (!record('resource.id', rule.resource.ids, resource.id, idMatched)) {
+      return { matched: false };
     }
+  }
 
-    if (timeConstraints.allowedDays && timeConstraints.allowedDays.length > 0) {
-      if (!timeConstraints.allowedDays.includes(currentDay)) {
-        return { matched: true, allowed: false, reason: 'Not allowed on this day' };
-      }
-    }
+  if (!matchAttributes(rule.resource.attributes, resource.attributes, recordAttribute('resource.attributes'))) {
+    return { matched: false };
+  }
 
-    if (timeConstraints.allowedHours) {
-      if (currentHour < timeConstraints.allowedHours.start || currentHour > timeConstraints.allowedHours.end) {
-        return { matched: true, allowed: false, reason: 'Outside allowed hours' };
+  // Time-dependent checks use the rule's timezone, then the subject's, then UTC
+  const now = context.now ? new Date(context.now) : new Date();
+  const subjectTimezone = subject.attributes && subject.attributes.timezone;
+  const timeZone = (rule.environment.timeConstraints && rule.environment.timeConstraints.timezone)
+    || (subjectTimezone && isValidTimezone(subjectTimezone) ? subjectTimezone : 'UTC');
+
+  // Check time constraints
+  if (rule.environment.timeConstraints) {
+    const timeReason = checkTimeConstraints(rule.environment.timeConstraints, now, timeZone);
+    const local = getLocalTime(now, timeZone);
+    record('environment.time', rule.environment.timeConstraints, `${local.date} ${local.clock} ${timeZone}`, !timeReason);
+    if (timeReason) {
+      // A Deny rule for certain hours does not apply outside them
+      if (this.effect === 'Deny') {
+        return { matched: false };
       }
+      return { matched: true, allowed: false, reason: timeReason };
     }
   }
 
   // Check location constraints
   if (rule.environment.locationConstraints && context.location) {
     const locationConstraints = rule.environment.locationConstraints;
+    const locationName = typeof context.location === 'string' ? context.location : context.location.name;
     
-    if (locationConstraints.deniedLocations && locationConstraints.deniedLocations.includes(context.location)) {
-      return { matched: true, allowed: false, reason: 'Location denied' };
+    if (locationConstraints.deniedLocations && locationConstraints.deniedLocations.length > 0) {
+      const denied = locationConstraints.deniedLocations.includes(locationName);
+      if (!record('environment.location.denied', { not_in: locationConstraints.deniedLocations }, locationName, !denied)) {
+        return { matched: true, allowed: false, reason: 'Location denied' };
+      }
     }
 
     if (locationConstraints.allowedLocations && locationConstraints.allowedLocations.length > 0) {
-      if (!locationConstraints.allowedLocations.includes(context.location)) {
+      const allowedLocation = locationConstraints.allowedLocations.includes(locationName);
+      if (!record('environment.location.allowed', locationConstraints.allowedLocations, locationName, allowedLocation)) {
         return { matched: true, allowed: false, reason: 'Location not allowed' };
       }
     }
   }
 
+  // Check geofences
+  const geofences = getGeofences(rule.environment.locationConstraints);
+  if (geofences.length > 0) {
+    const zoneNames = geofences.map(zone => zone.name);
+    if (!isCoordinate(context.location)) {
+      record('environment.geofence', zoneNames, context.location || null, false);
+      return { matched: true, allowed: false, reason: 'Location coordinates required' };
+    }
+
+    const geofence = evaluateGeofences(geofences, context.location);
+    const position = { latitude: context.location.latitude, longitude: context.location.longitude };
+    if (!record('environment.geofence', zoneNames, position, geofence.inside)) {
+      // A Deny rule scoped to a zone does not apply outside it
+      if (this.effect === 'Deny') {
+        return { matched: false };
+      }
+      return {
+        matched: true,
+        allowed: false,
+        reason: `Outside geofence: ${geofence.distanceMeters}m outside ${geofence.zone}`
+      };
+    }
+  }
+
+  // Check device constraints
+  if (!record('resource.status', { not_in: BLOCKED_DEVICE_STATUSES }, resource.status,
+    !BLOCKED_DEVICE_STATUSES.includes(resource.status))) {
+    return { matched: true, allowed: false, reason: `Device is ${resource.status}` };
+  }
+
+  if (rule.environment.deviceConstraints) {
+    const deviceReason = checkDeviceConstraints(rule.environment.deviceConstraints, resource);
+    record(
+      'environment.device',
+      rule.environment.deviceConstraints,
+      { type: resource.type, status: resource.status, firmwareVersion: resource.firmwareVersion },
+      !deviceReason
+    );
+    if (deviceReason) {
+      // A Deny rule scoped to certain devices simply does not apply to other devices
+      if (this.effect === 'Deny') {
+        return { matched: false };
+      }
+      return { matched: true, allowed: false, reason: deviceReason };
+    }
+  }
+
   // Check usage limits
-  if (rule.conditions.maxUsageCount && rule.conditions.currentUsageCount >= rule.conditions.maxUsageCount) {
-    return { matched: true, allowed: false, reason: 'Usage limit exceeded' };
+  if (rule.conditions.maxUsageCount) {
+    // Live counts come from the decision point; without them the stored counter is used
+    const usageKey = `${this.policyId}#${this.rules.indexOf(rule)}`;
+    const usage = context.usage && context.usage.has(usageKey)
+      ? context.usage.get(usageKey)
+      : rule.conditions.currentUsageCount || 0;
+    const expected = { lt: rule.conditions.maxUsageCount, window: rule.conditions.usageWindow && rule.conditions.usageWindow.period };
+
+    if (usage === null) {
+      record('conditions.usage', expected, null, false);
+      return { matched: true, allowed: false, reason: 'Usage count unavailable' };
+    }
+    if (!record('conditions.usage', expected, usage, usage < rule.conditions.maxUsageCount)) {
+      return { matched: true, allowed: false, reason: 'Usage limit exceeded' };
+    }
   }
 
   // Check IP restrictions
   if (context.ipAddress) {
-    if (rule.conditions.ipBlacklist && rule.conditions.ipBlacklist.includes(context.ipAddress)) {
-      return { matched: true, allowed: false, reason: 'IP address blacklisted' };
+    if (rule.conditions.ipBlacklist && rule.conditions.ipBlacklist.length > 0) {
+      const blacklisted = rule.conditions.ipBlacklist.includes(context.ipAddress);
+      if (!record('conditions.ipBlacklist', { not_in: rule.conditions.ipBlacklist }, context.ipAddress, !blacklisted)) {
+        return { matched: true, allowed: false, reason: 'IP address blacklisted' };
+      }
     }
 
     if (rule.conditions.ipWhitelist && rule.conditions.ipWhitelist.length > 0) {
-      if (!rule.conditions.ipWhitelist.includes(context.ipAddress)) {
+      const whitelisted = rule.conditions.ipWhitelist.includes(context.ipAddress);
+      if (!record('conditions.ipWhitelist', rule.conditions.ipWhitelist, context.ipAddress, whitelisted)) {
         return { matched: true, allowed: false, reason: 'IP address not whitelisted' };
       }
     }
   }
 
+  // Check custom condition expressions
+  if (rule.conditions.customConditions && rule.conditions.customConditions.size > 0) {
+    const local = getLocalTime(now, timeZone);
+    const conditionReason = checkCustomConditions(rule.conditions.customConditions, {
+      subject,
+      resource,
+      env: {
+        timestamp: now.getTime(),
+        hour: Math.floor(local.minutes / 60),
+        minute: local.minutes % 60,
+        dayOfWeek: local.dayOfWeek,
+        timezone: timeZone,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        location: typeof context.location === 'object' ? context.location : undefined
+      },
+      request: {
+        action,
+        attributes: context.attributes || {}
+      }
+    }, (name, source, passed) => record(`conditions.custom.${name}`, source, passed, passed));
+
+    if (conditionReason) {
+      // Like device constraints, a Deny rule whose conditions do not hold does not apply
+      if (this.effect === 'Deny') {
+        return { matched: false };
+      }
+      return { matched: true, allowed: false, reason: conditionReason };
+    }
+  }
+
   // Rule matched - determine if allowed based on policy effect
   const allowed = this.effect === 'Allow';
   return { 
@@ -400,6 +687,26 @@ policySchema.statics.findActivePolicies = function() {
   return this.find({ isActive: true });
 };
 
+// Active policies with at least one rule for the action, and active composites,
+// which apply through their children; highest priority first
+policySchema.statics.findApplicablePolicies = function(action) {
+  return this.find({ isActive: true, $or: [{ 'rules.action': action }, { policyType: 'Composite' }] })
+    .sort({ priority: -1, createdAt: 1 });
+};
+
+// Problems that would stop the evaluator from honouring a set of rules
+policySchema.statics.validateRules = function(rules = []) {
+  return [
+    ...validateRuleAttributes(rules),
+    ...validateRuleGeofences(rules),
+    ...validateRuleTimeConstraints(rules),
+    ...validateRuleConditions(rules),
+    ...validateRuleUsage(rules),
+    ...validateRuleObligations(rules),
+    ...validateRuleDeviceConstraints(rules, Device.schema.path('deviceType').enumValues)
+  ];
+};
+
 policySchema.statics.getPolicyStats = function() {
   return this.aggregate([
     {
@@ -423,18 +730,24 @@ policySchema.statics.getPolicyStats = function() {
   ]);
 };
 
-// Pre-save middleware
-policySchema.pre('save', function(next) {
+// Runs on validate() as well as save(), so a policy can be checked before it goes on chain
+policySchema.pre('validate', function(next) {
   // Validate policy ID format
   if (!/^[a-zA-Z0-9_-]+$/.test(this.policyId)) {
     return next(new Error('Policy ID can only contain letters, numbers, hyphens, and underscores'));
   }
 
-  // Ensure at least one rule exists
-  if (this.rules.length === 0) {
+  // Ensure at least one rule exists; composites have children instead
+  if (this.policyType !== 'Composite' && this.rules.length === 0) {
     return next(new Error('Policy must have at least one rule'));
   }
 
+  // Reject rule conditions the evaluator cannot honour
+  const ruleErrors = this.constructor.validateRules(this.rules);
+  if (ruleErrors.length > 0) {
+    return next(new Error(`Invalid policy rules: ${ruleErrors.join('; ')}`));
+  }
+
   next();
 });
 
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Immutable snapshot of a policy's content. A new revision is written for every
+// change; earlier revisions are never modified.
+const policyVersionSchema = new mongoose.Schema({
+  policyId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // sha256 of the canonical JSON of content, anchored on-chain
+  contentHash: {
+    type: String,
+    required: true
+  },
+  changeType: {
+    type: String,
+    enum: ['create', 'update', 'status', 'rollback', 'import'],
+    required: true
+  },
+  changedBy: String,
+  reason: String,
+  rolledBackTo: Number,
+  anchor: {
+    transactionHash: String,
+    anchoredAt: Date,
+    error: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+policyVersionSchema.index({ policyId: 1, version: -1 }, { unique: true });
+
+// JSON with object keys sorted, so equal content always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// The parts of a policy that decide access; statistics and audit data are left out
+policyVersionSchema.statics.snapshot = function(policy) {
+  const plain = policy.toObject({ virtuals: false, flattenMaps: true, depopulate: true });
+  const metadata = plain.metadata || {};
+
+  const stripIds = (value) => {
+    if (Array.isArray(value)) return value.map(stripIds);
+    if (value instanceof Date) return value.toISOString();
+    if (value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)) {
+      return Object.keys(value)
+        .filter(key => key !== '_id' && key !== 'currentUsageCount')
+        .reduce((result, key) => ({ ...result, [key]: stripIds(value[key]) }), {});
+    }
+    return value;
+  };
+
+  return stripIds({
+    name: plain.name,
+    description: plain.description,
+    policyType: plain.policyType,
+    effect: plain.effect,
+    priority: plain.priority,
+    isActive: plain.isActive,
+    isHidden: plain.isHidden,
+    // Only composites carry a composition, so other policies hash as before
+    composition: plain.policyType === 'Composite' ? plain.composition : undefined,
+    rules: plain.rules,
+    metadata: {
+      tags: metadata.tags,
+      category: metadata.category,
+      compliance: metadata.compliance,
+      riskLevel: metadata.riskLevel
+    }
+  });
+};
+
+policyVersionSchema.statics.hashContent = function(content) {
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+};
+
+// Revisions are append-only; only the anchoring result may be filled in later
+policyVersionSchema.pre('save', function(next) {
+  if (!this.isNew && this.modifiedPaths().some(path => !path.startsWith('anchor'))) {
+    return next(new Error('Policy versions are immutable'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => {
+    policyVersionSchema.pre(operation, function(next) {
+      next(new Error('Policy versions are immutable'));
+    });
+  });
+
+module.exports = mongoose.model('PolicyVersion', policyVersionSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A periodic re-confirmation of who has access. Starting it snapshots every
+// active grant into a review item for the device's owner; it completes once no
+// item is pending, with a signed report of the outcome.
+const recertificationCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['open', 'completed'],
+    default: 'open',
+    index: true
+  },
+  // Items still pending at the deadline are revoked
+  deadline: {
+    type: Date,
+    required: true
+  },
+  startedBy: String,
+  completedAt: Date,
+  // Review items per outcome, kept current as decisions come in
+  counts: {
+    total: { type: Number, default: 0 },
+    pending: { type: Number, default: 0 },
+    kept: { type: Number, default: 0 },
+    revoked: { type: Number, default: 0 },
+    autoRevoked: { type: Number, default: 0 }
+  },
+  // Completion report. body is the JSON text that was signed, so it verifies as stored.
+  report: {
+    body: String,
+    hash: String,
+    signature: String,
+    keyId: String,
+    generatedAt: Date,
+    // On-chain AuditLogger record of the report hash
+    anchor: {
+      transactionHash: String,
+      error: String
+    }
+  }
+}, {
+  timestamps: true
+});
+
+recertificationCampaignSchema.index({ status: 1, deadline: 1 });
+
+module.exports = mongoose.model('RecertificationCampaign', recertificationCampaignSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One grant to re-confirm in a recertification campaign, as it stood when the
+// campaign started, and the reviewer's keep or revoke decision on it.
+const recertificationItemSchema = new mongoose.Schema({
+  campaignId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Owner of the device when the campaign started; admins may decide any item
+  reviewer: {
+    type: String,
+    lowercase: true,
+    index: true
+  },
+  grantId: {
+    type: String,
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  permissions: [String],
+  validUntil: Date,
+  decision: {
+    type: String,
+    enum: ['pending', 'keep', 'revoke', 'auto_revoked'],
+    default: 'pending'
+  },
+  decidedBy: String,
+  decidedAt: Date,
+  comment: String
+}, {
+  timestamps: true
+});
+
+recertificationItemSchema.index({ campaignId: 1, decision: 1 });
+recertificationItemSchema.index({ reviewer: 1, decision: 1 });
+
+module.exports = mongoose.model('RecertificationItem', recertificationItemSchema);
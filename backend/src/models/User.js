@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { invalidateSubject } = require('../services/decisionCache');
+
+// Fields access decisions read; changing one makes cached decisions stale
+const DECISION_FIELDS = [
+  'username', 'email', 'address', 'role', 'permissions', 'groups', 'isVerified',
+  'profile.timezone', 'profile.language', 'profile.department', 'security.twoFactorEnabled'
+];
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -52,11 +59,16 @@ const userSchema = new mongoose.Schema({
       'delete:all'
     ]
   }],
+  groups: [{
+    type: String,
+    trim: true
+  }],
   profile: {
     firstName: String,
     lastName: String,
     phone: String,
     avatar: String,
+    department: String,
     timezone: {
       type: String,
       default: 'UTC'
@@ -337,10 +349,19 @@ userSchema.pre('save', async function(next) {
   if (!addressRegex.test(this.address)) {
     return next(new Error('Invalid Ethereum address format'));
   }
+
+  this.$locals.decisionInputsChanged = !this.isNew && DECISION_FIELDS.some(field => this.isModified(field));
   
   next();
 });
 
+// Post-save middleware
+userSchema.post('save', async function(doc) {
+  if (doc.$locals.decisionInputsChanged) {
+    await invalidateSubject(doc._id);
+  }
+});
+
 // Pre-remove middleware
 userSchema.pre('remove', function(next) {
   // Clean up related data (e.g., device permissions, audit logs)
@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { auth, requireRole, requireDeviceOwnership } = require('../middleware/auth');
 const { getIoTAccessControl, getAuditLogger, sendTransaction } = require('../config/blockchain');
@@ -6,6 +7,56 @@ const logger = require('../utils/logger');
 const Device = require('../models/Device');
 const Policy = require('../models/Policy');
 const User = require('../models/User');
+const AccessRequest = require('../models/AccessRequest');
+const AccessGrant = require('../models/AccessGrant');
+const BreakGlass = require('../models/BreakGlass');
+const Delegation = require('../models/Delegation');
+const CapabilityToken = require('../models/CapabilityToken');
+const { COMBINING_ALGORITHMS } = require('../services/policyDecisionPoint');
+const { invalidateSubject } = require('../services/decisionCache');
+const { MAX_BATCH_SIZE, checkInputProblem, checkAccess, checkAccessBatch } = require('../services/accessCheck');
+const { publicKeyInfo } = require('../config/signingKey');
+const { grantApprovalProblem, reportViolation } = require('../services/separationOfDuties');
+const {
+  decisionProblem,
+  inboxFilter,
+  expireRequests,
+  createAccessRequest,
+  recordDecision,
+  settleRequest,
+  cancelRequest
+} = require('../services/accessRequests');
+const {
+  DEFAULT_MINUTES,
+  MAX_MINUTES,
+  canInvoke,
+  invokeBreakGlass,
+  endBreakGlass,
+  closeReview
+} = require('../services/breakGlass');
+const {
+  validateDelegationInput,
+  loadChain,
+  chainProblem,
+  authorityProblems,
+  createDelegation,
+  canRevoke,
+  revokeDelegation
+} = require('../services/delegation');
+const {
+  recordGrant,
+  revokeGrants,
+  policyPermitsRenewal,
+  lifetimeProblem,
+  renewalProblem,
+  renewGrant
+} = require('../services/accessGrants');
+const {
+  issueProblem,
+  issueToken,
+  revokeTokens,
+  revocationList
+} = require('../services/capabilityTokens');
 
 /**
  * @swagger
@@ -28,6 +79,14 @@ const User = require('../models/User');
  *           type: string
  *           enum: [read, write, execute, admin]
  *           description: Type of access requested
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permissions to grant on approval (defaults to the action)
+ *         justification:
+ *           type: string
+ *           description: Shown to approvers
  *         attributes:
  *           type: object
  *           description: Additional attributes for ABAC evaluation
@@ -40,6 +99,10 @@ const User = require('../models/User');
  *               type: number
  *             radius:
  *               type: number
+ *               description: Accuracy of the fix in meters; the whole circle must lie inside the geofence
+ *             name:
+ *               type: string
+ *               description: Named location matched against allowed/denied location lists
  *           description: Location-based access constraints
  *         timeConstraints:
  *           type: object
@@ -76,26 +139,49 @@ const User = require('../models/User');
  *         delegationChain:
  *           type: array
  *           items:
- *             type: object
- *             properties:
- *               delegator:
- *                 type: string
- *               delegate:
- *                 type: string
- *               permissions:
- *                 type: array
- *                 items:
- *                   type: string
- *               timestamp:
- *                 type: string
- *                 format: date-time
+ *             $ref: '#/components/schemas/DelegationLink'
+ *     DelegationLink:
+ *       type: object
+ *       properties:
+ *         delegationId:
+ *           type: string
+ *         delegator:
+ *           type: string
+ *         delegate:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         canRedelegate:
+ *           type: boolean
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         hash:
+ *           type: string
+ *           description: sha256 over the link and the hash of the link above it
+ *         transactionHash:
+ *           type: string
+ *           description: AuditLogger transaction anchoring the hash
+ *         timestamp:
+ *           type: string
+ *           format: date-time
  */
 
+const findAccessRequest = (requestId) => (mongoose.isValidObjectId(requestId)
+  ? AccessRequest.findById(requestId)
+  : null);
+
+const ownsDevice = (user, device) => Boolean(user.address) && Boolean(device.owner) &&
+  user.address.toLowerCase() === device.owner.toLowerCase();
+
 /**
  * @swagger
  * /api/access/request:
  *   post:
  *     summary: Request access to a device
+ *     description: The request is kept pending for its approver chain - the device owner, then an admin for critical devices (configurable with APPROVAL_CHAIN_STANDARD, APPROVAL_CHAIN_CRITICAL and CRITICAL_DEVICE_TYPES) - and expires after ACCESS_REQUEST_TTL_HOURS.
  *     tags: [Access Control]
  *     security:
  *       - bearerAuth: []
@@ -106,8 +192,8 @@ const User = require('../models/User');
  *           schema:
  *             $ref: '#/components/schemas/AccessRequest'
  *     responses:
- *       200:
- *         description: Access request processed successfully
+ *       201:
+ *         description: Access request submitted and awaiting approval
  *         content:
  *           application/json:
  *             schema:
@@ -125,7 +211,7 @@ const User = require('../models/User');
  */
 router.post('/request', auth, async (req, res) => {
   try {
-    const { deviceId, userId, action, attributes, location, timeConstraints } = req.body;
+    const { deviceId, userId, action, permissions, justification, attributes, location, timeConstraints } = req.body;
     const requesterId = req.user.id;
 
     // Validate required fields
@@ -136,6 +222,13 @@ router.post('/request', auth, async (req, res) => {
       });
     }
 
+    if (permissions !== undefined && (!Array.isArray(permissions) || permissions.some(permission => typeof permission !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions must be an array of strings'
+      });
+    }
+
     // Check if device exists
     const device = await Device.findById(deviceId);
     if (!device) {
@@ -155,36 +248,25 @@ router.post('/request', auth, async (req, res) => {
     }
 
     // Check if requester has permission to request access for this user
-    if (requesterId !== userId && !req.user.roles.includes('admin')) {
+    if (requesterId !== userId && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions to request access for this user'
       });
     }
 
-    // Prepare access request data for blockchain
-    const accessRequestData = {
-      deviceId: device.blockchainId,
-      userId: user.blockchainId,
+    // Persist the request for its approvers and submit it to blockchain
+    const request = await createAccessRequest({
+      device,
+      user,
+      requester: req.user,
       action,
-      attributes: attributes || {},
-      location: location || {},
-      timeConstraints: timeConstraints || {},
-      timestamp: Math.floor(Date.now() / 1000)
-    };
-
-    // Submit access request to blockchain
-    const iotAccessControl = await getIoTAccessControl();
-    const tx = await sendTransaction(
-      iotAccessControl.methods.requestAccess(
-        accessRequestData.deviceId,
-        accessRequestData.userId,
-        accessRequestData.action,
-        JSON.stringify(accessRequestData.attributes),
-        JSON.stringify(accessRequestData.location),
-        JSON.stringify(accessRequestData.timeConstraints)
-      )
-    );
+      permissions,
+      justification,
+      attributes,
+      location,
+      timeConstraints
+    });
 
     // Log the access request
     logger.accessRequest({
@@ -192,22 +274,26 @@ router.post('/request', auth, async (req, res) => {
       userId,
       action,
       requesterId,
-      transactionHash: tx.transactionHash,
+      requestId: request._id.toString(),
+      transactionHash: request.submission.transactionHash,
       attributes,
       location,
       timeConstraints
     });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Access request submitted successfully',
+      message: `Access request submitted; awaiting approval by ${request.currentApprover}`,
       data: {
-        requestId: tx.transactionHash,
+        requestId: request._id.toString(),
         deviceId,
         userId,
         action,
+        status: request.status,
+        approvals: request.approvals,
+        expiresAt: request.expiresAt.toISOString(),
         timestamp: new Date().toISOString(),
-        transactionHash: tx.transactionHash
+        transactionHash: request.submission.transactionHash || null
       }
     });
 
@@ -221,11 +307,291 @@ router.post('/request', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/access/requests:
+ *   get:
+ *     summary: List access requests
+ *     description: Admins and auditors see every request; other users see requests they made or that are for them.
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, denied, expired, cancelled]
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *         description: Device identifier (deviceId, not the database id)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Access requests retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/requests', auth, async (req, res) => {
+  try {
+    const { status, deviceId, limit = 50, offset = 0 } = req.query;
+
+    await expireRequests();
+
+    const filter = {};
+    if (!['admin', 'auditor'].includes(req.user.role)) {
+      filter.$or = [{ requestedBy: req.user.id }, { userId: req.user.id }];
+    }
+    if (status) filter.status = status;
+    if (deviceId) filter.deviceId = deviceId;
+
+    const [requests, total] = await Promise.all([
+      AccessRequest.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit)),
+      AccessRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        requests,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Access request list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve access requests',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/requests/inbox:
+ *   get:
+ *     summary: Pending access requests awaiting the caller's approval
+ *     description: Requests whose current approval step is the caller's, either as the device owner or by role. Approve with /api/access/grant and deny with /api/access/deny, passing the requestId.
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Inbox retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/requests/inbox', auth, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    await expireRequests();
+
+    const filter = inboxFilter(req.user);
+    const [requests, total] = await Promise.all([
+      AccessRequest.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit)),
+      AccessRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        requests,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Access request inbox error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve access request inbox',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/requests/{requestId}:
+ *   get:
+ *     summary: Get an access request with its approval steps
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Access request retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the requester, the user it is for, an approver or an auditor
+ *       404:
+ *         description: Access request not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/requests/:requestId', auth, async (req, res) => {
+  try {
+    const request = await findAccessRequest(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access request not found'
+      });
+    }
+
+    const visible = ['admin', 'auditor'].includes(req.user.role) ||
+      [request.requestedBy, request.userId].includes(req.user.id) ||
+      ownsDevice(req.user, { owner: request.deviceOwner }) ||
+      request.approvals.some(step => step.approver === req.user.role || step.decidedBy === req.user.id);
+    if (!visible) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to view this access request'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+
+  } catch (error) {
+    logger.error('Access request retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve access request',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/requests/{requestId}/cancel:
+ *   post:
+ *     summary: Cancel a pending access request
+ *     description: Open to the requester and the user the request is for.
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Access request cancelled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the requester or the user it is for
+ *       404:
+ *         description: Access request not found
+ *       409:
+ *         description: Access request is no longer pending
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/requests/:requestId/cancel', auth, async (req, res) => {
+  try {
+    const request = await findAccessRequest(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access request not found'
+      });
+    }
+
+    if (![request.requestedBy, request.userId].includes(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the requester can cancel an access request'
+      });
+    }
+
+    if (request.status !== 'pending' || request.expiresAt <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Access request is no longer pending'
+      });
+    }
+
+    await cancelRequest(request, req.user);
+
+    res.json({
+      success: true,
+      message: 'Access request cancelled',
+      data: request
+    });
+
+  } catch (error) {
+    logger.error('Access request cancel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel access request',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/access/grant:
  *   post:
  *     summary: Grant access to a user for a device
+ *     description: With requestId, approves the current step of an access request; device, user and permissions come from the request. Earlier steps only record the approval (202); the last step grants access.
  *     tags: [Access Control]
  *     security:
  *       - bearerAuth: []
@@ -235,10 +601,6 @@ router.post('/request', auth, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - deviceId
- *               - userId
- *               - permissions
  *             properties:
  *               deviceId:
  *                 type: string
@@ -251,47 +613,152 @@ router.post('/request', auth, async (req, res) => {
  *                   enum: [read, write, execute, admin]
  *               policyId:
  *                 type: string
+ *               validFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the validity window (defaults to now, or the request's timeConstraints.startTime)
  *               expiryTime:
  *                 type: string
  *                 format: date-time
+ *                 description: End of the validity window, required unless the request's timeConstraints.endTime gives it, and at most GRANT_MAX_DAYS away; the grant sweeper revokes the grant once it passes
+ *               requestId:
+ *                 type: string
+ *                 description: Access request being approved; deviceId and userId are then not needed
+ *               comment:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Access granted successfully
+ *         description: Access granted successfully; data.capabilityToken is a signed token the device can verify offline
+ *       202:
+ *         description: Approval recorded; the request awaits its next approver
  *       400:
  *         description: Invalid request parameters
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Insufficient permissions
+ *         description: Insufficient permissions, or the caller requested the access or would receive it (separation of duties)
  *       404:
- *         description: Device or user not found
+ *         description: Device, user or access request not found
+ *       409:
+ *         description: Access request is no longer pending
  *       500:
  *         description: Internal server error
  */
-router.post('/grant', auth, requireRole(['admin', 'device_owner']), async (req, res) => {
+router.post('/grant', auth, async (req, res) => {
   try {
-    const { deviceId, userId, permissions, policyId, expiryTime } = req.body;
+    const { permissions, policyId, requestId, comment } = req.body;
     const granterId = req.user.id;
 
+    // Approving a request: its approver chain decides who may grant, and it
+    // names the device and user
+    let request = null;
+    if (requestId) {
+      request = await findAccessRequest(requestId);
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Access request not found'
+        });
+      }
+      const problem = decisionProblem(request, req.user);
+      if (problem) {
+        return res.status(problem.status).json({
+          success: false,
+          message: problem.message
+        });
+      }
+      // Whoever asked for the access cannot also be the one approving it
+      const conflict = grantApprovalProblem(request, req.user);
+      if (conflict) {
+        reportViolation(conflict, req.user.address, requestId, {
+          deviceId: request.deviceId,
+          userId: request.userId,
+          requestedBy: request.requestedBy
+        });
+        return res.status(conflict.status).json({
+          success: false,
+          message: conflict.message
+        });
+      }
+    } else if (!['admin', 'device_owner'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    } else {
+      // Nor can anyone grant access to themselves directly
+      const conflict = grantApprovalProblem({ userId: req.body.userId }, req.user);
+      if (conflict) {
+        reportViolation(conflict, req.user.address, req.body.userId, { deviceId: req.body.deviceId });
+        return res.status(conflict.status).json({
+          success: false,
+          message: conflict.message
+        });
+      }
+    }
+
+    const deviceId = request ? request.deviceId : req.body.deviceId;
+    const userId = request ? request.userId : req.body.userId;
+    const grantedPermissions = request && !permissions ? request.permissions : permissions;
+
+    // The validity window defaults to the time constraints of the request
+    const requested = request && request.timeConstraints ? request.timeConstraints : {};
+    const expiryTime = req.body.expiryTime || requested.endTime;
+    const validFrom = req.body.validFrom || requested.startTime;
+
     // Validate required fields
-    if (!deviceId || !userId || !permissions || !Array.isArray(permissions)) {
+    if (!deviceId || !userId || !grantedPermissions || !Array.isArray(grantedPermissions)) {
       return res.status(400).json({
         success: false,
         message: 'Device ID, user ID, and permissions array are required'
       });
     }
 
-    // Check if device exists and granter has ownership
-    const device = await Device.findById(deviceId);
-    if (!device) {
-      return res.status(404).json({
+    // Every grant ends, within the same maximum lifetime renewals are held to
+    if (!expiryTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiryTime is required'
+      });
+    }
+    const windowStart = validFrom ? new Date(validFrom) : new Date();
+    const windowEnd = new Date(expiryTime);
+    if (Number.isNaN(windowStart.getTime()) || Number.isNaN(windowEnd.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'validFrom and expiryTime must be dates'
+      });
+    }
+    if (windowEnd <= windowStart || windowEnd <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiryTime must be in the future and after validFrom'
+      });
+    }
+    const tooLong = lifetimeProblem('expiryTime', windowEnd);
+    if (tooLong) {
+      return res.status(tooLong.status).json({
+        success: false,
+        message: tooLong.message
+      });
+    }
+
+    // An approver may narrow the requested permissions, not widen them
+    if (request && grantedPermissions.some(permission => !request.permissions.includes(permission))) {
+      return res.status(400).json({
+        success: false,
+        message: `Permissions must be among those requested: ${request.permissions.join(', ')}`
+      });
+    }
+
+    // Check if device exists and granter has ownership
+    const device = request ? await Device.findOne({ deviceId }) : await Device.findById(deviceId);
+    if (!device) {
+      return res.status(404).json({
         success: false,
         message: 'Device not found'
       });
     }
 
-    // Check device ownership (unless admin)
-    if (!req.user.roles.includes('admin') && device.ownerId.toString() !== granterId) {
+    // Check device ownership (unless admin); approvers were checked against the request's chain
+    if (!request && req.user.role !== 'admin' && !ownsDevice(req.user, device)) {
       return res.status(403).json({
         success: false,
         message: 'Only device owners or admins can grant access'
@@ -307,35 +774,81 @@ router.post('/grant', auth, requireRole(['admin', 'device_owner']), async (req,
       });
     }
 
+    // Earlier steps of the chain only record their approval. The final one is
+    // recorded once the grant is on chain, so a failed transaction leaves the
+    // request pending rather than approved without a grant.
+    if (request && !request.isFinalStep()) {
+      await recordDecision(request, req.user, 'approved', comment);
+      return res.status(202).json({
+        success: true,
+        message: `Approval recorded; awaiting approval by ${request.currentApprover}`,
+        data: {
+          requestId,
+          status: request.status,
+          approvals: request.approvals
+        }
+      });
+    }
+
     // Prepare grant data for blockchain
     const grantData = {
       deviceId: device.blockchainId,
       userId: user.blockchainId,
-      permissions,
+      permissions: grantedPermissions,
       policyId: policyId || '',
-      expiryTime: expiryTime ? Math.floor(new Date(expiryTime).getTime() / 1000) : 0
+      expiryTime: Math.floor(windowEnd.getTime() / 1000)
     };
 
     // Submit grant to blockchain
     const iotAccessControl = await getIoTAccessControl();
-    const tx = await sendTransaction(
-      iotAccessControl.methods.grantAccess(
-        grantData.deviceId,
-        grantData.userId,
-        grantData.permissions,
-        grantData.policyId,
-        grantData.expiryTime
-      )
-    );
+    const tx = await sendTransaction(iotAccessControl, 'grantAccess', [
+      grantData.deviceId,
+      grantData.userId,
+      grantData.permissions,
+      grantData.policyId,
+      grantData.expiryTime
+    ]);
+
+    if (request) {
+      await recordDecision(request, req.user, 'approved', comment);
+      await settleRequest(request, { transactionHash: tx.transactionHash });
+    }
+
+    // The grant only counts inside its window; the grant sweeper ends it on chain
+    const grant = await recordGrant({
+      device,
+      user,
+      permissions: grantedPermissions,
+      policyId,
+      grantedBy: granterId,
+      requestId,
+      validFrom: windowStart,
+      validUntil: windowEnd,
+      transactionHash: tx.transactionHash
+    });
+
+    // Devices verify the token offline while their site is disconnected; the
+    // grant stands if it cannot be issued
+    let capabilityToken = null;
+    try {
+      capabilityToken = await issueToken(grant, { issuedBy: granterId });
+    } catch (error) {
+      logger.error(`Failed to issue capability token for grant ${grant._id}:`, error);
+    }
+
+    // Cached decisions for this user predate the on-chain change
+    await invalidateSubject(user._id);
 
     // Log the access grant
     logger.accessGrant({
       deviceId,
       userId,
       granterId,
-      permissions,
+      permissions: grantedPermissions,
       policyId,
       expiryTime,
+      requestId,
+      grantId: grant._id.toString(),
       transactionHash: tx.transactionHash
     });
 
@@ -345,19 +858,1410 @@ router.post('/grant', auth, requireRole(['admin', 'device_owner']), async (req,
       data: {
         deviceId,
         userId,
-        permissions,
+        permissions: grantedPermissions,
+        policyId,
+        grantId: grant._id.toString(),
+        validFrom: windowStart.toISOString(),
+        expiryTime: windowEnd.toISOString(),
+        capabilityToken: capabilityToken ? capabilityToken.token : null,
+        tokenId: capabilityToken ? capabilityToken.record.tokenId : null,
+        requestId: requestId || null,
+        timestamp: new Date().toISOString(),
+        transactionHash: tx.transactionHash
+      }
+    });
+
+  } catch (error) {
+    logger.error('Access grant error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to grant access',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/deny:
+ *   post:
+ *     summary: Deny access to a user for a device
+ *     description: With requestId, denies an access request at its current approval step, which ends it; device and user come from the request.
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *               userId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               policyId:
+ *                 type: string
+ *               requestId:
+ *                 type: string
+ *                 description: Access request being denied; deviceId and userId are then not needed
+ *     responses:
+ *       200:
+ *         description: Access denied successfully
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Device, user or access request not found
+ *       409:
+ *         description: Access request is no longer pending
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/deny', auth, async (req, res) => {
+  try {
+    const { reason, policyId, requestId } = req.body;
+    const denierId = req.user.id;
+
+    // Denying a request: its approver chain decides who may deny, and it names
+    // the device and user
+    let request = null;
+    if (requestId) {
+      request = await findAccessRequest(requestId);
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Access request not found'
+        });
+      }
+      const problem = decisionProblem(request, req.user);
+      if (problem) {
+        return res.status(problem.status).json({
+          success: false,
+          message: problem.message
+        });
+      }
+    } else if (!['admin', 'device_owner'].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const deviceId = request ? request.deviceId : req.body.deviceId;
+    const userId = request ? request.userId : req.body.userId;
+
+    // Validate required fields
+    if (!deviceId || !userId || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device ID, user ID, and reason are required'
+      });
+    }
+
+    // Check if device exists and denier has ownership
+    const device = request ? await Device.findOne({ deviceId }) : await Device.findById(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    // Check device ownership (unless admin); approvers were checked against the request's chain
+    if (!request && req.user.role !== 'admin' && !ownsDevice(req.user, device)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only device owners or admins can deny access'
+      });
+    }
+
+    // Check if user exists
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Any step's denial ends the request
+    if (request) {
+      await recordDecision(request, req.user, 'denied', reason);
+    }
+
+    // Prepare deny data for blockchain
+    const denyData = {
+      deviceId: device.blockchainId,
+      userId: user.blockchainId,
+      reason,
+      policyId: policyId || ''
+    };
+
+    // Submit deny to blockchain
+    const iotAccessControl = await getIoTAccessControl();
+    const tx = await sendTransaction(iotAccessControl, 'denyAccess', [
+      denyData.deviceId,
+      denyData.userId,
+      denyData.reason,
+      denyData.policyId
+    ]);
+
+    if (request) {
+      await settleRequest(request, { transactionHash: tx.transactionHash, reason });
+    }
+
+    // Cached decisions for this user predate the on-chain change
+    await invalidateSubject(user._id);
+
+    // Log the access denial
+    logger.accessDenial({
+      deviceId,
+      userId,
+      denierId,
+      reason,
+      policyId,
+      requestId,
+      transactionHash: tx.transactionHash
+    });
+
+    res.json({
+      success: true,
+      message: 'Access denied successfully',
+      data: {
+        deviceId,
+        userId,
+        reason,
         policyId,
-        expiryTime,
+        requestId: requestId || null,
         timestamp: new Date().toISOString(),
         transactionHash: tx.transactionHash
       }
     });
 
   } catch (error) {
-    logger.error('Access grant error:', error);
+    logger.error('Access deny error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deny access',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/revoke:
+ *   post:
+ *     summary: Revoke access from a user for a device
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deviceId
+ *               - userId
+ *               - reason
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *               userId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Access revoked successfully; data.grantsRevoked counts the stored grants ended or narrowed
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Device or user not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/revoke', auth, requireRole(['admin', 'device_owner']), async (req, res) => {
+  try {
+    const { deviceId, userId, reason, permissions } = req.body;
+    const revokerId = req.user.id;
+
+    // Validate required fields
+    if (!deviceId || !userId || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device ID, user ID, and reason are required'
+      });
+    }
+
+    // Check if device exists and revoker has ownership
+    const device = await Device.findById(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    // Check device ownership (unless admin)
+    if (req.user.role !== 'admin' && !ownsDevice(req.user, device)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only device owners or admins can revoke access'
+      });
+    }
+
+    // Check if user exists
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Prepare revoke data for blockchain
+    const revokeData = {
+      deviceId: device.blockchainId,
+      userId: user.blockchainId,
+      reason,
+      permissions: permissions || []
+    };
+
+    // Submit revoke to blockchain
+    const iotAccessControl = await getIoTAccessControl();
+    const tx = await sendTransaction(iotAccessControl, 'revokeAccess', [
+      revokeData.deviceId,
+      revokeData.userId,
+      revokeData.reason,
+      revokeData.permissions
+    ]);
+
+    // Stored grants end with the on-chain grant
+    const grantsRevoked = await revokeGrants(user._id.toString(), device.deviceId, permissions, { revokedBy: revokerId, reason });
+
+    // Cached decisions for this user predate the on-chain change
+    await invalidateSubject(user._id);
+
+    // Log the access revocation
+    logger.accessRevocation({
+      deviceId,
+      userId,
+      revokerId,
+      reason,
+      permissions,
+      transactionHash: tx.transactionHash
+    });
+
+    res.json({
+      success: true,
+      message: 'Access revoked successfully',
+      data: {
+        deviceId,
+        userId,
+        reason,
+        permissions,
+        grantsRevoked,
+        timestamp: new Date().toISOString(),
+        transactionHash: tx.transactionHash
+      }
+    });
+
+  } catch (error) {
+    logger.error('Access revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke access',
+      error: error.message
+    });
+  }
+});
+
+const findGrant = (grantId) => (mongoose.isValidObjectId(grantId)
+  ? AccessGrant.findById(grantId)
+  : null);
+
+/**
+ * @swagger
+ * /api/access/grants:
+ *   get:
+ *     summary: List stored access grants with their validity windows
+ *     description: Admins and auditors see every grant; other users see grants they hold or made.
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *         description: Device identifier (deviceId, not the database id)
+ *       - in: query
+ *         name: expiringWithinHours
+ *         schema:
+ *           type: integer
+ *         description: Only active grants ending within this many hours
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Grants retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/grants', auth, async (req, res) => {
+  try {
+    const { status, deviceId, expiringWithinHours, limit = 50, offset = 0 } = req.query;
+
+    const filter = {};
+    if (!['admin', 'auditor'].includes(req.user.role)) {
+      filter.$or = [{ userId: req.user.id }, { grantedBy: req.user.id }];
+    }
+    if (status) filter.status = status;
+    if (deviceId) filter.deviceId = deviceId;
+    if (expiringWithinHours) {
+      filter.status = 'active';
+      filter.validUntil = { $lte: new Date(Date.now() + parseInt(expiringWithinHours) * 60 * 60 * 1000) };
+    }
+
+    const [grants, total] = await Promise.all([
+      AccessGrant.find(filter)
+        .sort({ validUntil: 1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit)),
+      AccessGrant.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        grants,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Access grant list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve access grants',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/grants/{grantId}/renew:
+ *   post:
+ *     summary: Extend a grant's validity window
+ *     description: The device owner or an admin may renew any grant. The grantee may renew their own grant without re-approval when policy currently permits every permission of the grant; otherwise they need a new access request.
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: grantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - validUntil
+ *             properties:
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New end of the window, at most GRANT_MAX_DAYS ahead
+ *     responses:
+ *       200:
+ *         description: Grant renewed; data carries a capability token for the renewed window, which supersedes the grant's earlier tokens
+ *       400:
+ *         description: Invalid validUntil
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the grantee, the device owner or an admin
+ *       404:
+ *         description: Grant not found
+ *       409:
+ *         description: Grant is no longer valid, or policy does not permit renewal without approval
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/grants/:grantId/renew', auth, async (req, res) => {
+  try {
+    const { validUntil } = req.body;
+
+    const grant = await findGrant(req.params.grantId);
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grant not found'
+      });
+    }
+
+    const [device, user] = await Promise.all([
+      Device.findOne({ deviceId: grant.deviceId }),
+      User.findById(grant.userId)
+    ]);
+    if (!device || !user) {
+      return res.status(404).json({
+        success: false,
+        message: device ? 'User not found' : 'Device not found'
+      });
+    }
+
+    const approver = req.user.role === 'admin' || ownsDevice(req.user, device);
+    if (!approver && grant.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the grantee, the device owner or an admin can renew a grant'
+      });
+    }
+
+    const problem = renewalProblem(grant, validUntil);
+    if (problem) {
+      return res.status(problem.status).json({
+        success: false,
+        message: problem.message
+      });
+    }
+
+    if (!approver && !await policyPermitsRenewal(grant, user, device)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Policy does not permit renewing this grant without approval; submit an access request'
+      });
+    }
+
+    const { capabilityToken } = await renewGrant(grant, {
+      validUntil,
+      renewedBy: req.user.id,
+      basis: approver ? 'approver' : 'policy'
+    });
+
+    res.json({
+      success: true,
+      message: 'Grant renewed',
+      data: {
+        ...grant.toJSON(),
+        capabilityToken: capabilityToken ? capabilityToken.token : null,
+        tokenId: capabilityToken ? capabilityToken.record.tokenId : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Access grant renewal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to renew access grant',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/tokens/public-key:
+ *   get:
+ *     summary: Public key devices use to verify capability tokens and revocation lists offline
+ *     tags: [Access Control]
+ *     responses:
+ *       200:
+ *         description: Ed25519 public key (PEM) and its key id
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/tokens/public-key', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Capability token public key retrieved successfully',
+      data: publicKeyInfo()
+    });
+
+  } catch (error) {
+    logger.error('Capability token public key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve capability token public key',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/tokens/revocations:
+ *   get:
+ *     summary: Signed list of revoked capability tokens that have not expired
+ *     description: Devices fetch the list before nextUpdate while online and, while offline, keep enforcing the last list they verified until its nextUpdate, refusing tokens after that. data.list is the signed form; the other fields are its claims.
+ *     tags: [Access Control]
+ *     responses:
+ *       200:
+ *         description: Revocation list
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/tokens/revocations', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Capability token revocation list retrieved successfully',
+      data: await revocationList()
+    });
+
+  } catch (error) {
+    logger.error('Capability token revocation list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve capability token revocation list',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/tokens:
+ *   post:
+ *     summary: Issue a capability token from an active grant
+ *     description: The grantee, the device owner or an admin may issue a token for a grant. The token is scoped to the grant's device and to some or all of its permissions, ends no later than the grant and CAPABILITY_TOKEN_MAX_HOURS, and is accepted maxUses times by the device.
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grantId
+ *             properties:
+ *               grantId:
+ *                 type: string
+ *               actions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Defaults to every permission of the grant
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *               maxUses:
+ *                 type: integer
+ *                 description: Defaults to CAPABILITY_TOKEN_DEFAULT_USES
+ *     responses:
+ *       201:
+ *         description: Token issued; data.token is only returned here
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the grantee, the device owner or an admin
+ *       404:
+ *         description: Grant not found
+ *       409:
+ *         description: Grant is no longer active
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/tokens', auth, async (req, res) => {
+  try {
+    const { grantId, actions, validUntil, maxUses } = req.body;
+
+    const grant = await findGrant(grantId);
+    if (!grant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grant not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && grant.userId !== req.user.id) {
+      const device = await Device.findOne({ deviceId: grant.deviceId });
+      if (!device || !ownsDevice(req.user, device)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the grantee, the device owner or an admin can issue a token for this grant'
+        });
+      }
+    }
+
+    const problem = issueProblem(grant, { actions, validUntil, maxUses });
+    if (problem) {
+      return res.status(problem.status).json({
+        success: false,
+        message: problem.message
+      });
+    }
+
+    const { token, record } = await issueToken(grant, { actions, validUntil, maxUses, issuedBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Capability token issued',
+      data: {
+        token,
+        tokenId: record.tokenId,
+        grantId: record.grantId,
+        deviceId: record.deviceId,
+        actions: record.actions,
+        validFrom: record.validFrom.toISOString(),
+        validUntil: record.validUntil.toISOString(),
+        maxUses: record.maxUses,
+        keyId: record.keyId
+      }
+    });
+
+  } catch (error) {
+    logger.error('Capability token issue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue capability token',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/tokens/{tokenId}/revoke:
+ *   post:
+ *     summary: Revoke a capability token
+ *     description: The token holder, the device owner or an admin may revoke it. Devices refuse it once they have fetched a revocation list listing it.
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tokenId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       400:
+ *         description: Reason is required
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the token holder, the device owner or an admin
+ *       404:
+ *         description: Token not found
+ *       409:
+ *         description: Token is already revoked
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/tokens/:tokenId/revoke', auth, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason is required'
+      });
+    }
+
+    const token = await CapabilityToken.findOne({ tokenId: req.params.tokenId });
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'Capability token not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && token.userId !== req.user.id) {
+      const device = await Device.findOne({ deviceId: token.deviceId });
+      if (!device || !ownsDevice(req.user, device)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the token holder, the device owner or an admin can revoke this token'
+        });
+      }
+    }
+
+    if (token.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Capability token is already revoked'
+      });
+    }
+
+    await revokeTokens({ tokenId: token.tokenId }, { revokedBy: req.user.id, reason });
+
+    res.json({
+      success: true,
+      message: 'Capability token revoked',
+      data: {
+        tokenId: token.tokenId,
+        reason,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Capability token revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke capability token',
+      error: error.message
+    });
+  }
+});
+
+const findDelegation = (delegationId) => (mongoose.isValidObjectId(delegationId)
+  ? Delegation.findById(delegationId)
+  : null);
+
+const callerOf = (req) => ({ id: req.user.id, address: req.user.address, role: req.user.role });
+
+/**
+ * @swagger
+ * /api/access/delegations:
+ *   post:
+ *     summary: Delegate permissions on a device to another user
+ *     description: The device owner starts a chain; a delegate whose delegation allows it may pass on a subset of their permissions, no longer than their own delegation lasts and within the owner's depth limit. Each link's hash covers the link above it and is anchored through AuditLogger.
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deviceId
+ *               - delegateId
+ *               - permissions
+ *               - expiresAt
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *               delegateId:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               canRedelegate:
+ *                 type: boolean
+ *                 default: false
+ *               maxDepth:
+ *                 type: integer
+ *                 description: Delegations the whole chain may have; only on the owner's delegation (defaults to DELEGATION_MAX_DEPTH)
+ *               parentId:
+ *                 type: string
+ *                 description: The caller's own delegation, when re-delegating
+ *     responses:
+ *       201:
+ *         description: Delegation created
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller may not make this delegation
+ *       404:
+ *         description: Device, delegate or parent delegation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/delegations', auth, async (req, res) => {
+  try {
+    const { deviceId, delegateId, permissions, expiresAt, canRedelegate, maxDepth, parentId } = req.body;
+
+    if (!deviceId || !delegateId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device ID and delegate ID are required'
+      });
+    }
+
+    const errors = validateDelegationInput({ permissions, expiresAt, maxDepth, canRedelegate });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid delegation',
+        errors
+      });
+    }
+
+    const device = await Device.findById(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const delegate = mongoose.isValidObjectId(delegateId) ? await User.findById(delegateId) : null;
+    if (!delegate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delegate not found'
+      });
+    }
+
+    let parentChain = null;
+    if (parentId) {
+      const parent = await findDelegation(parentId);
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent delegation not found'
+        });
+      }
+      parentChain = await loadChain(parent);
+    }
+
+    const request = {
+      caller: callerOf(req),
+      device,
+      delegate: delegate._id.toString(),
+      permissions,
+      expiresAt,
+      maxDepth,
+      parentChain
+    };
+
+    const problems = authorityProblems(request);
+    if (problems.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Delegation not allowed',
+        errors: problems
+      });
+    }
+
+    const delegation = await createDelegation({ ...request, canRedelegate });
+    const chain = (parentChain || []).concat(delegation);
+
+    res.status(201).json({
+      success: true,
+      message: 'Delegation created',
+      data: {
+        delegation,
+        delegationChain: chain.map(link => link.toChainLink())
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delegation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create delegation',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/delegations:
+ *   get:
+ *     summary: List delegations made by or to the caller (admins see all)
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *         description: Device identifier (deviceId, not the database id)
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: Include revoked and expired delegations
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Delegations retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/delegations', auth, async (req, res) => {
+  try {
+    const { deviceId, includeInactive, limit = 50, offset = 0 } = req.query;
+
+    const filter = {};
+    if (req.user.role !== 'admin') {
+      filter.$or = [{ delegator: req.user.id }, { delegate: req.user.id }];
+    }
+    if (deviceId) filter.deviceId = deviceId;
+    if (includeInactive !== 'true') {
+      filter.revokedAt = { $exists: false };
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    const [delegations, total] = await Promise.all([
+      Delegation.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit)),
+      Delegation.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        delegations,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delegation list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve delegations',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/delegations/{delegationId}:
+ *   get:
+ *     summary: Get a delegation with its chain and whether the chain still holds
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: delegationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delegation and its verified chain
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller is not part of the chain
+ *       404:
+ *         description: Delegation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/delegations/:delegationId', auth, async (req, res) => {
+  try {
+    const delegation = await findDelegation(req.params.delegationId);
+    if (!delegation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delegation not found'
+      });
+    }
+
+    const [chain, device] = await Promise.all([
+      loadChain(delegation),
+      Device.findOne({ deviceId: delegation.deviceId })
+    ]);
+
+    const involved = chain.some(link => link && (link.delegator === req.user.id || link.delegate === req.user.id));
+    if (!involved && !canRevoke(chain, callerOf(req), device || {})) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not part of this delegation chain'
+      });
+    }
+
+    const problem = device ? chainProblem(chain, device) : 'the device no longer exists';
+
+    res.json({
+      success: true,
+      data: {
+        delegation,
+        valid: !problem,
+        problem,
+        delegationChain: chain.filter(Boolean).map(link => link.toChainLink())
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delegation retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve delegation',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/delegations/{delegationId}/revoke:
+ *   post:
+ *     summary: Revoke a delegation and every delegation made from it
+ *     description: Open to the device owner, admins and anyone who delegated along the chain.
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: delegationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Delegation revoked; revoked is how many delegations the cascade reached
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller may not revoke this delegation
+ *       404:
+ *         description: Delegation not found
+ *       409:
+ *         description: Already revoked
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/delegations/:delegationId/revoke', auth, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const delegation = await findDelegation(req.params.delegationId);
+    if (!delegation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delegation not found'
+      });
+    }
+
+    const [chain, device] = await Promise.all([
+      loadChain(delegation),
+      Device.findOne({ deviceId: delegation.deviceId })
+    ]);
+
+    if (!canRevoke(chain, callerOf(req), device || {})) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the device owner, an admin or a delegator in the chain may revoke this delegation'
+      });
+    }
+
+    if (delegation.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Delegation is already revoked'
+      });
+    }
+
+    const revoked = await revokeDelegation(delegation, { revokedBy: req.user.id, reason });
+
+    res.json({
+      success: true,
+      message: 'Delegation revoked',
+      data: {
+        delegationId: delegation._id.toString(),
+        revoked,
+        reason,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Delegation revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke delegation',
+      error: error.message
+    });
+  }
+});
+
+const breakGlassView = (grant) => ({
+  ...grant.toObject(),
+  active: grant.isActive()
+});
+
+const findBreakGlass = (breakGlassId) => (mongoose.isValidObjectId(breakGlassId)
+  ? BreakGlass.findById(breakGlassId)
+  : null);
+
+/**
+ * @swagger
+ * /api/access/break-glass:
+ *   post:
+ *     summary: Invoke break-glass emergency access to a device
+ *     description: Grants the caller time-boxed access regardless of policy. Each use is logged on chain through AuditLogger, raises a critical alert and opens a review ticket that a second admin must close. Open to the BREAK_GLASS_ROLES roles and members of the BREAK_GLASS_GROUPS groups.
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deviceId
+ *               - justification
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *               justification:
+ *                 type: string
+ *               actions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Actions the grant covers; omitted covers every action
+ *               durationMinutes:
+ *                 type: integer
+ *                 description: How long the grant lasts (defaults to BREAK_GLASS_DEFAULT_MINUTES, at most BREAK_GLASS_MAX_MINUTES)
+ *     responses:
+ *       201:
+ *         description: Emergency access granted and review ticket opened
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Caller may not break the glass
+ *       404:
+ *         description: Device or user not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/break-glass', auth, async (req, res) => {
+  try {
+    const { deviceId, justification, actions = [], durationMinutes = DEFAULT_MINUTES } = req.body;
+
+    if (!deviceId || typeof justification !== 'string' || !justification.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device ID and justification are required'
+      });
+    }
+
+    if (!Array.isArray(actions) || actions.some(action => typeof action !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Actions must be an array of strings'
+      });
+    }
+
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_MINUTES) {
+      return res.status(400).json({
+        success: false,
+        message: `Duration must be between 1 and ${MAX_MINUTES} minutes`
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!canInvoke(req.user.role, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Break-glass access is not available to this user'
+      });
+    }
+
+    const device = await Device.findById(deviceId);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const grant = await invokeBreakGlass({
+      user,
+      device,
+      actions,
+      justification: justification.trim(),
+      durationMinutes,
+      actor: req.user.address
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Break-glass access granted; the use must be reviewed by a second admin',
+      data: breakGlassView(grant)
+    });
+
+  } catch (error) {
+    logger.error('Break-glass invocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to invoke break-glass access',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/access/break-glass:
+ *   get:
+ *     summary: List break-glass uses and their review tickets
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: reviewStatus
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Break-glass uses retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/break-glass', auth, requireRole(['admin', 'auditor']), async (req, res) => {
+  try {
+    const { reviewStatus, userId, deviceId, limit = 50, offset = 0 } = req.query;
+
+    const filter = {};
+    if (reviewStatus) filter['review.status'] = reviewStatus;
+    if (userId) filter.userId = userId;
+    if (deviceId) filter.deviceId = deviceId;
+
+    const [grants, total] = await Promise.all([
+      BreakGlass.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit)),
+      BreakGlass.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        breakGlass: grants.map(breakGlassView),
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Break-glass list error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to grant access',
+      message: 'Failed to retrieve break-glass uses',
       error: error.message
     });
   }
@@ -365,131 +2269,69 @@ router.post('/grant', auth, requireRole(['admin', 'device_owner']), async (req,
 
 /**
  * @swagger
- * /api/access/deny:
+ * /api/access/break-glass/{breakGlassId}/end:
  *   post:
- *     summary: Deny access to a user for a device
+ *     summary: End break-glass access before it expires
  *     tags: [Access Control]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - deviceId
- *               - userId
- *               - reason
- *             properties:
- *               deviceId:
- *                 type: string
- *               userId:
- *                 type: string
- *               reason:
- *                 type: string
- *               policyId:
- *                 type: string
+ *     parameters:
+ *       - in: path
+ *         name: breakGlassId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Access denied successfully
- *       400:
- *         description: Invalid request parameters
+ *         description: Break-glass access ended
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Insufficient permissions
+ *         description: Only the invoking user or an admin may end it
  *       404:
- *         description: Device or user not found
+ *         description: Break-glass use not found
+ *       409:
+ *         description: Already ended or expired
  *       500:
  *         description: Internal server error
  */
-router.post('/deny', auth, requireRole(['admin', 'device_owner']), async (req, res) => {
+router.post('/break-glass/:breakGlassId/end', auth, async (req, res) => {
   try {
-    const { deviceId, userId, reason, policyId } = req.body;
-    const denierId = req.user.id;
-
-    // Validate required fields
-    if (!deviceId || !userId || !reason) {
-      return res.status(400).json({
-        success: false,
-        message: 'Device ID, user ID, and reason are required'
-      });
-    }
-
-    // Check if device exists and denier has ownership
-    const device = await Device.findById(deviceId);
-    if (!device) {
+    const grant = await findBreakGlass(req.params.breakGlassId);
+    if (!grant) {
       return res.status(404).json({
         success: false,
-        message: 'Device not found'
+        message: 'Break-glass use not found'
       });
     }
 
-    // Check device ownership (unless admin)
-    if (!req.user.roles.includes('admin') && device.ownerId.toString() !== denierId) {
+    if (grant.userId !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
-        message: 'Only device owners or admins can deny access'
+        message: 'Only the invoking user or an admin may end break-glass access'
       });
     }
 
-    // Check if user exists
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
+    if (!grant.isActive()) {
+      return res.status(409).json({
         success: false,
-        message: 'User not found'
+        message: 'Break-glass access has already ended'
       });
     }
 
-    // Prepare deny data for blockchain
-    const denyData = {
-      deviceId: device.blockchainId,
-      userId: user.blockchainId,
-      reason,
-      policyId: policyId || ''
-    };
-
-    // Submit deny to blockchain
-    const iotAccessControl = await getIoTAccessControl();
-    const tx = await sendTransaction(
-      iotAccessControl.methods.denyAccess(
-        denyData.deviceId,
-        denyData.userId,
-        denyData.reason,
-        denyData.policyId
-      )
-    );
-
-    // Log the access denial
-    logger.accessDenial({
-      deviceId,
-      userId,
-      denierId,
-      reason,
-      policyId,
-      transactionHash: tx.transactionHash
-    });
+    await endBreakGlass(grant, req.user.address);
 
     res.json({
       success: true,
-      message: 'Access denied successfully',
-      data: {
-        deviceId,
-        userId,
-        reason,
-        policyId,
-        timestamp: new Date().toISOString(),
-        transactionHash: tx.transactionHash
-      }
+      message: 'Break-glass access ended',
+      data: breakGlassView(grant)
     });
 
   } catch (error) {
-    logger.error('Access deny error:', error);
+    logger.error('Break-glass end error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to deny access',
+      message: 'Failed to end break-glass access',
       error: error.message
     });
   }
@@ -497,12 +2339,19 @@ router.post('/deny', auth, requireRole(['admin', 'device_owner']), async (req, r
 
 /**
  * @swagger
- * /api/access/revoke:
+ * /api/access/break-glass/{breakGlassId}/review:
  *   post:
- *     summary: Revoke access from a user for a device
+ *     summary: Close the review ticket of a break-glass use
+ *     description: Must be done by an admin other than the user who broke the glass, once the access has ended or expired.
  *     tags: [Access Control]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: breakGlassId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -510,120 +2359,83 @@ router.post('/deny', auth, requireRole(['admin', 'device_owner']), async (req, r
  *           schema:
  *             type: object
  *             required:
- *               - deviceId
- *               - userId
- *               - reason
+ *               - outcome
+ *               - notes
  *             properties:
- *               deviceId:
- *                 type: string
- *               userId:
+ *               outcome:
  *                 type: string
- *               reason:
+ *                 enum: [justified, unjustified]
+ *               notes:
  *                 type: string
- *               permissions:
- *                 type: array
- *                 items:
- *                   type: string
  *     responses:
  *       200:
- *         description: Access revoked successfully
+ *         description: Review ticket closed and its alert resolved
  *       400:
  *         description: Invalid request parameters
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Insufficient permissions
+ *         description: The invoking user cannot review their own use
  *       404:
- *         description: Device or user not found
+ *         description: Break-glass use not found
+ *       409:
+ *         description: Access still active or ticket already closed
  *       500:
  *         description: Internal server error
  */
-router.post('/revoke', auth, requireRole(['admin', 'device_owner']), async (req, res) => {
+router.post('/break-glass/:breakGlassId/review', auth, requireRole(['admin']), async (req, res) => {
   try {
-    const { deviceId, userId, reason, permissions } = req.body;
-    const revokerId = req.user.id;
+    const { outcome, notes } = req.body;
 
-    // Validate required fields
-    if (!deviceId || !userId || !reason) {
+    if (!['justified', 'unjustified'].includes(outcome) || typeof notes !== 'string' || !notes.trim()) {
       return res.status(400).json({
         success: false,
-        message: 'Device ID, user ID, and reason are required'
+        message: 'Outcome (justified or unjustified) and review notes are required'
       });
     }
 
-    // Check if device exists and revoker has ownership
-    const device = await Device.findById(deviceId);
-    if (!device) {
+    const grant = await findBreakGlass(req.params.breakGlassId);
+    if (!grant) {
       return res.status(404).json({
         success: false,
-        message: 'Device not found'
+        message: 'Break-glass use not found'
       });
     }
 
-    // Check device ownership (unless admin)
-    if (!req.user.roles.includes('admin') && device.ownerId.toString() !== revokerId) {
+    if (grant.userId === req.user.id) {
       return res.status(403).json({
         success: false,
-        message: 'Only device owners or admins can revoke access'
+        message: 'Break-glass use must be reviewed by a second admin'
       });
     }
 
-    // Check if user exists
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
+    if (grant.review.status === 'closed') {
+      return res.status(409).json({
         success: false,
-        message: 'User not found'
+        message: 'Review ticket is already closed'
       });
     }
 
-    // Prepare revoke data for blockchain
-    const revokeData = {
-      deviceId: device.blockchainId,
-      userId: user.blockchainId,
-      reason,
-      permissions: permissions || []
-    };
-
-    // Submit revoke to blockchain
-    const iotAccessControl = await getIoTAccessControl();
-    const tx = await sendTransaction(
-      iotAccessControl.methods.revokeAccess(
-        revokeData.deviceId,
-        revokeData.userId,
-        revokeData.reason,
-        revokeData.permissions
-      )
-    );
+    if (grant.isActive()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Break-glass access is still active; end it before closing the review'
+      });
+    }
 
-    // Log the access revocation
-    logger.accessRevocation({
-      deviceId,
-      userId,
-      revokerId,
-      reason,
-      permissions,
-      transactionHash: tx.transactionHash
-    });
+    await closeReview(grant, { reviewer: req.user.id, outcome, notes: notes.trim() });
 
     res.json({
       success: true,
-      message: 'Access revoked successfully',
-      data: {
-        deviceId,
-        userId,
-        reason,
-        permissions,
-        timestamp: new Date().toISOString(),
-        transactionHash: tx.transactionHash
-      }
+      message: 'Break-glass review closed',
+      data: breakGlassView(grant)
     });
 
   } catch (error) {
-    logger.error('Access revoke error:', error);
+    logger.error('Break-glass review error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to revoke access',
+      message: 'Failed to close break-glass review',
       error: error.message
     });
   }
@@ -634,6 +2446,7 @@ router.post('/revoke', auth, requireRole(['admin', 'device_owner']), async (req,
  * /api/access/check:
  *   post:
  *     summary: Check if a user has access to a device
+ *     description: Usage-limited rules count the check only when the caller is the user being checked; anyone else sees the decision the current counts give without using any up, and gets its obligations back (marked applied false) without them being carried out.
  *     tags: [Access Control]
  *     security:
  *       - bearerAuth: []
@@ -659,6 +2472,22 @@ router.post('/revoke', auth, requireRole(['admin', 'device_owner']), async (req,
  *                 type: object
  *               location:
  *                 type: object
+ *               combiningAlgorithm:
+ *                 type: string
+ *                 enum: [deny-overrides, permit-overrides, first-applicable, only-one-applicable]
+ *                 description: How overlapping policies are combined (defaults to deny-overrides)
+ *               explain:
+ *                 type: boolean
+ *                 description: Return a trace of every policy, rule and check plus the combining step
+ *               stepUpCode:
+ *                 type: string
+ *                 description: Current two-factor code, for policies with a step_up_auth obligation; only accepted when the caller is the user being checked, and each code only once
+ *     parameters:
+ *       - in: query
+ *         name: explain
+ *         schema:
+ *           type: boolean
+ *         description: Same as the explain body field
  *     responses:
  *       200:
  *         description: Access check completed
@@ -675,10 +2504,47 @@ router.post('/revoke', auth, requireRole(['admin', 'device_owner']), async (req,
  *                   type: string
  *                 policyId:
  *                   type: string
+ *                 decision:
+ *                   type: string
+ *                   enum: [Permit, Deny, NotApplicable]
+ *                 combiningAlgorithm:
+ *                   type: string
+ *                 policyIds:
+ *                   type: array
+ *                   description: Policies that contributed to the final decision
+ *                   items:
+ *                     type: string
+ *                 obligations:
+ *                   type: array
+ *                   description: Obligations of the decision and whether each was fulfilled; access is refused when one is not
+ *                   items:
+ *                     type: object
+ *                 advice:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When a limit_duration obligation applies, the time access lapses
+ *                 trace:
+ *                   type: object
+ *                   description: Only with explain; per-policy rule checks (expected vs actual), the check that short-circuited each rule, and the combining step
  *                 permissions:
  *                   type: array
  *                   items:
  *                     type: string
+ *                 cached:
+ *                   type: boolean
+ *                   description: Whether the decision came from the decision cache; obligations are enforced either way
+ *                 delegationChain:
+ *                   type: array
+ *                   description: When no policy applied and a delegation granted access, every link from the device owner down, each checked on this request
+ *                   items:
+ *                     $ref: '#/components/schemas/DelegationLink'
+ *                 breakGlass:
+ *                   type: object
+ *                   description: Present when an active break-glass grant answered instead of policy; expiresAt is when it lapses
  *       400:
  *         description: Invalid request parameters
  *       401:
@@ -690,13 +2556,22 @@ router.post('/revoke', auth, requireRole(['admin', 'device_owner']), async (req,
  */
 router.post('/check', auth, async (req, res) => {
   try {
-    const { deviceId, userId, action, attributes, location } = req.body;
+    const { deviceId, userId, action, attributes, location, combiningAlgorithm, stepUpCode } = req.body;
+    const explain = req.body.explain === true || req.query.explain === 'true';
 
     // Validate required fields
-    if (!deviceId || !userId || !action) {
+    const inputProblem = checkInputProblem({ deviceId, userId, action });
+    if (inputProblem) {
       return res.status(400).json({
         success: false,
-        message: 'Device ID, user ID, and action are required'
+        message: inputProblem
+      });
+    }
+
+    if (combiningAlgorithm && !COMBINING_ALGORITHMS.includes(combiningAlgorithm)) {
+      return res.status(400).json({
+        success: false,
+        message: `Combining algorithm must be one of: ${COMBINING_ALGORITHMS.join(', ')}`
       });
     }
 
@@ -718,35 +2593,23 @@ router.post('/check', auth, async (req, res) => {
       });
     }
 
-    // Check access on blockchain
-    const iotAccessControl = await getIoTAccessControl();
-    const hasAccess = await iotAccessControl.methods.checkAccess(
-      device.blockchainId,
-      user.blockchainId,
+    const result = await checkAccess({
+      user,
+      device,
       action,
-      JSON.stringify(attributes || {}),
-      JSON.stringify(location || {})
-    ).call();
-
-    // Get user permissions for this device
-    const permissions = await iotAccessControl.methods.getUserPermissions(
-      device.blockchainId,
-      user.blockchainId
-    ).call();
-
-    // Get applicable policies
-    const policyId = await iotAccessControl.methods.getApplicablePolicy(
-      device.blockchainId,
-      user.blockchainId,
-      action
-    ).call();
+      attributes,
+      location,
+      combiningAlgorithm,
+      stepUpCode,
+      callerId: req.user.id,
+      explain,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     res.json({
       success: true,
-      hasAccess,
-      reason: hasAccess ? 'Access granted' : 'Access denied',
-      policyId: policyId || null,
-      permissions: permissions || [],
+      ...result,
       deviceId,
       userId,
       action,
@@ -763,6 +2626,119 @@ router.post('/check', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/access/check/batch:
+ *   post:
+ *     summary: Check many (user, device, action) tuples at once
+ *     description: Each check is decided as /api/access/check would decide it, with users, devices and applicable policies looked up once for the whole batch. A check that cannot be decided is reported with its error; the others are still answered.
+ *     tags: [Access Control]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - checks
+ *             properties:
+ *               checks:
+ *                 type: array
+ *                 description: At most ACCESS_CHECK_BATCH_MAX checks (default 100)
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - deviceId
+ *                     - userId
+ *                     - action
+ *                   properties:
+ *                     deviceId:
+ *                       type: string
+ *                     userId:
+ *                       type: string
+ *                     action:
+ *                       type: string
+ *                     attributes:
+ *                       type: object
+ *                     location:
+ *                       type: object
+ *                     stepUpCode:
+ *                       type: string
+ *               combiningAlgorithm:
+ *                 type: string
+ *                 enum: [deny-overrides, permit-overrides, first-applicable, only-one-applicable]
+ *     responses:
+ *       200:
+ *         description: Batch checked; data.results has one entry per check, in order, with success false and an error for checks that could not be decided
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/check/batch', auth, async (req, res) => {
+  try {
+    const { checks, combiningAlgorithm } = req.body;
+
+    if (!Array.isArray(checks) || checks.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'checks must be a non-empty array'
+      });
+    }
+
+    if (checks.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch may hold at most ${MAX_BATCH_SIZE} checks`
+      });
+    }
+
+    if (combiningAlgorithm && !COMBINING_ALGORITHMS.includes(combiningAlgorithm)) {
+      return res.status(400).json({
+        success: false,
+        message: `Combining algorithm must be one of: ${COMBINING_ALGORITHMS.join(', ')}`
+      });
+    }
+
+    const results = await checkAccessBatch(checks, {
+      combiningAlgorithm,
+      callerId: req.user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const failed = results.filter(result => !result.success).length;
+    const permitted = results.filter(result => result.success && result.hasAccess).length;
+
+    res.json({
+      success: true,
+      message: failed > 0 ? `Batch access check completed with ${failed} failed checks` : 'Batch access check completed',
+      data: {
+        results,
+        summary: {
+          total: results.length,
+          permitted,
+          denied: results.length - permitted - failed,
+          failed
+        },
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Batch access check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check access',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/access/history/{deviceId}:
@@ -1,10 +1,16 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { auth, requireRole } = require('../middleware/auth');
 const { getAuditLogger, sendTransaction } = require('../config/blockchain');
 const logger = require('../utils/logger');
 const Device = require('../models/Device');
 const User = require('../models/User');
+const RecertificationCampaign = require('../models/RecertificationCampaign');
+const RecertificationItem = require('../models/RecertificationItem');
+const { deadlineProblem, startCampaign, recordDecisions } = require('../services/recertification');
+const { publicKeyInfo } = require('../config/signingKey');
+const { STATIC_RULES, DYNAMIC_RULES, findStaticViolations } = require('../services/separationOfDuties');
 
 /**
  * @swagger
@@ -510,6 +516,512 @@ router.get('/reports/:reportId', auth, requireRole(['admin', 'auditor']), async
   }
 });
 
+const findCampaign = (campaignId) => (mongoose.isValidObjectId(campaignId)
+  ? RecertificationCampaign.findById(campaignId)
+  : null);
+
+/**
+ * @swagger
+ * /api/audit/recertifications:
+ *   post:
+ *     summary: Start an access recertification campaign
+ *     description: Snapshots every active grant into a review item for the owner of its device. Items still pending at the deadline are revoked; once none is pending the campaign completes with a signed report.
+ *     tags: [Audit & Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 2026 Q1 access review
+ *               description:
+ *                 type: string
+ *               deadline:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to RECERTIFICATION_DEFAULT_DAYS from now; must be at least RECERTIFICATION_MIN_DAYS away
+ *     responses:
+ *       201:
+ *         description: Campaign started
+ *       400:
+ *         description: Invalid request parameters or a deadline too soon
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only admins can start campaigns
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/recertifications', auth, requireRole(['admin']), async (req, res) => {
+  try {
+    const { name, description, deadline } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Campaign name is required'
+      });
+    }
+
+    const tooSoon = deadlineProblem(deadline);
+    if (tooSoon) {
+      return res.status(tooSoon.status).json({
+        success: false,
+        message: tooSoon.message
+      });
+    }
+
+    const campaign = await startCampaign({ name, description, deadline, startedBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Recertification campaign started',
+      data: campaign
+    });
+
+  } catch (error) {
+    logger.error('Recertification campaign start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start recertification campaign',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/recertifications:
+ *   get:
+ *     summary: List recertification campaigns with their progress
+ *     tags: [Audit & Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, completed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Campaigns retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/recertifications', auth, requireRole(['admin', 'auditor']), async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+    const filter = status ? { status } : {};
+
+    const [campaigns, total] = await Promise.all([
+      RecertificationCampaign.find(filter)
+        .select('-report.body')
+        .sort({ createdAt: -1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit)),
+      RecertificationCampaign.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Recertification campaigns retrieved successfully',
+      data: {
+        campaigns,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Recertification campaign list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve recertification campaigns',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/recertifications/tasks:
+ *   get:
+ *     summary: Review items awaiting the caller's decision
+ *     description: Pending items of open campaigns for devices the caller owned when the campaign started.
+ *     tags: [Audit & Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Review tasks retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/recertifications/tasks', auth, async (req, res) => {
+  try {
+    const campaigns = await RecertificationCampaign.find({ status: 'open', deadline: { $gt: new Date() } })
+      .select('name deadline')
+      .sort({ deadline: 1 });
+
+    const items = req.user.address && campaigns.length > 0
+      ? await RecertificationItem.find({
+        campaignId: { $in: campaigns.map(campaign => campaign._id.toString()) },
+        reviewer: req.user.address.toLowerCase(),
+        decision: 'pending'
+      }).sort({ deviceId: 1, userId: 1 })
+      : [];
+
+    res.json({
+      success: true,
+      message: 'Recertification tasks retrieved successfully',
+      data: {
+        tasks: campaigns
+          .map(campaign => ({
+            campaignId: campaign._id.toString(),
+            name: campaign.name,
+            deadline: campaign.deadline,
+            items: items.filter(item => item.campaignId === campaign._id.toString())
+          }))
+          .filter(task => task.items.length > 0)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Recertification task list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve recertification tasks',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/recertifications/{campaignId}:
+ *   get:
+ *     summary: A recertification campaign with its review items
+ *     tags: [Audit & Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: decision
+ *         schema:
+ *           type: string
+ *           enum: [pending, keep, revoke, auto_revoked]
+ *       - in: query
+ *         name: reviewer
+ *         schema:
+ *           type: string
+ *         description: Device owner address
+ *     responses:
+ *       200:
+ *         description: Campaign retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Campaign not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/recertifications/:campaignId', auth, requireRole(['admin', 'auditor']), async (req, res) => {
+  try {
+    const { decision, reviewer } = req.query;
+
+    const campaign = await findCampaign(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recertification campaign not found'
+      });
+    }
+
+    const filter = { campaignId: campaign._id.toString() };
+    if (decision) filter.decision = decision;
+    if (reviewer) filter.reviewer = reviewer.toLowerCase();
+
+    const items = await RecertificationItem.find(filter).sort({ deviceId: 1, userId: 1 });
+
+    res.json({
+      success: true,
+      message: 'Recertification campaign retrieved successfully',
+      data: {
+        campaign,
+        items
+      }
+    });
+
+  } catch (error) {
+    logger.error('Recertification campaign retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve recertification campaign',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/recertifications/{campaignId}/decisions:
+ *   post:
+ *     summary: Keep or revoke the access under review
+ *     description: The device owner (or an admin) decides each item. Revoking ends the grant at once, on chain too. Each decision gets its own result; refused ones do not stop the rest.
+ *     tags: [Audit & Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decisions
+ *             properties:
+ *               decisions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - itemId
+ *                     - decision
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     decision:
+ *                       type: string
+ *                       enum: [keep, revoke]
+ *                     comment:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Decisions processed; data.results has one entry per decision
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: Campaign is completed or past its deadline
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/recertifications/:campaignId/decisions', auth, async (req, res) => {
+  try {
+    const { decisions } = req.body;
+
+    if (!Array.isArray(decisions) || decisions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'decisions must be a non-empty array'
+      });
+    }
+
+    const campaign = await findCampaign(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recertification campaign not found'
+      });
+    }
+
+    // Past the deadline, whatever is pending is revoked by the sweeper
+    if (campaign.status !== 'open' || campaign.deadline <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: campaign.status === 'open' ? 'Recertification campaign is past its deadline' : 'Recertification campaign is completed'
+      });
+    }
+
+    const results = await recordDecisions(campaign, decisions, req.user);
+
+    res.json({
+      success: true,
+      message: 'Recertification decisions processed',
+      data: {
+        results,
+        campaign: {
+          id: campaign._id.toString(),
+          status: campaign.status,
+          counts: campaign.counts
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Recertification decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record recertification decisions',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/recertifications/{campaignId}/report:
+ *   get:
+ *     summary: Signed completion report of a recertification campaign
+ *     description: body is the exact JSON text signed; signature is its base64url Ed25519 signature under the key in publicKey, and hash (sha256 of body) is anchored through AuditLogger.
+ *     tags: [Audit & Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: Campaign is not completed yet
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/recertifications/:campaignId/report', auth, requireRole(['admin', 'auditor']), async (req, res) => {
+  try {
+    const campaign = await findCampaign(req.params.campaignId);
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recertification campaign not found'
+      });
+    }
+
+    if (campaign.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Recertification campaign is not completed yet'
+      });
+    }
+
+    const { body, hash, signature, keyId, generatedAt, anchor } = campaign.report;
+    const signingKey = publicKeyInfo();
+
+    res.json({
+      success: true,
+      message: 'Recertification report retrieved successfully',
+      data: {
+        report: JSON.parse(body),
+        body,
+        hash,
+        signature,
+        keyId,
+        generatedAt,
+        anchor,
+        // Only the current key is known; a report signed under an earlier one reports null
+        publicKey: signingKey.keyId === keyId ? signingKey.publicKey : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Recertification report retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve recertification report',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/separation-of-duties:
+ *   get:
+ *     summary: Separation-of-duties rules and the users who break them
+ *     description: Lists the static and dynamic rules in force, and users already holding conflicting roles or permissions (e.g. assigned before a rule was added). Refused violations are recorded as separation_of_duties_violation audit events.
+ *     tags: [Audit & Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rules and current static violations
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/separation-of-duties', auth, requireRole(['admin', 'auditor']), async (req, res) => {
+  try {
+    const violations = await findStaticViolations();
+
+    res.json({
+      success: true,
+      message: 'Separation-of-duties report retrieved successfully',
+      data: {
+        rules: {
+          static: STATIC_RULES,
+          dynamic: DYNAMIC_RULES
+        },
+        violations,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Separation-of-duties report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve separation-of-duties report',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/audit/incidents:
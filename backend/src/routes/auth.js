@@ -1,9 +1,12 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const User = require('../models/User');
+const { auth, requireRole } = require('../middleware/auth');
+const { assignmentProblem, reportViolation } = require('../services/separationOfDuties');
 
 const router = express.Router();
 
@@ -62,6 +65,8 @@ const router = express.Router();
  *         description: User registered successfully
  *       400:
  *         description: Invalid input data
+ *       409:
+ *         description: The role's permissions conflict under a separation-of-duties rule
  */
 router.post('/register', [
   body('username').isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
@@ -87,6 +92,14 @@ router.post('/register', [
       return res.status(400).json({ error: 'User already exists' });
     }
 
+    // The role and its permissions must not break a separation-of-duties rule
+    const permissions = getDefaultPermissions(role);
+    const conflict = assignmentProblem({ role, permissions });
+    if (conflict) {
+      reportViolation(conflict, address, username, { role, permissions });
+      return res.status(conflict.status).json({ error: conflict.message, conflicts: conflict.conflicts });
+    }
+
     // Hash password
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
@@ -98,7 +111,7 @@ router.post('/register', [
       password: hashedPassword,
       address,
       role,
-      permissions: getDefaultPermissions(role)
+      permissions
     });
 
     await user.save();
@@ -355,12 +368,127 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/users/{userId}/access:
+ *   put:
+ *     summary: Change a user's role, permissions and groups
+ *     description: The new role, permissions and groups must not break a static separation-of-duties rule; a refused change is recorded as an audit event. Role and permissions take effect in the user's next token; groups, which decide e.g. who may break the glass, at once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin, operator]
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the user's permissions; defaults to those of the role when only the role changes
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the user's groups, e.g. fire_safety
+ *     responses:
+ *       200:
+ *         description: Role, permissions and groups updated
+ *       400:
+ *         description: Invalid role, permissions or groups
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The role, permissions and groups conflict under a separation-of-duties rule
+ */
+router.put('/users/:userId/access', [
+  auth,
+  requireRole(['admin']),
+  body('role').optional().isIn(['user', 'admin', 'operator']).withMessage('Invalid role'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(User.schema.path('permissions').caster.enumValues).withMessage('Invalid permission'),
+  body('groups').optional().isArray().withMessage('Groups must be an array'),
+  body('groups.*').isString().trim().notEmpty().withMessage('Group names must be non-empty strings')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role, permissions, groups } = req.body;
+    if (role === undefined && permissions === undefined && groups === undefined) {
+      return res.status(400).json({ error: 'Role, permissions or groups are required' });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.userId) ? await User.findById(req.params.userId) : null;
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const next = {
+      role: role || user.role,
+      permissions: permissions || (role ? getDefaultPermissions(role) : user.permissions),
+      groups: groups ? [...new Set(groups)] : user.groups
+    };
+
+    const conflict = assignmentProblem(next);
+    if (conflict) {
+      reportViolation(conflict, req.user.address, user._id.toString(), next);
+      return res.status(conflict.status).json({ error: conflict.message, conflicts: conflict.conflicts });
+    }
+
+    const previous = { role: user.role, permissions: [...user.permissions], groups: [...user.groups] };
+    user.role = next.role;
+    user.permissions = next.permissions;
+    user.groups = next.groups;
+    await user.save();
+
+    logger.auditLog('user_access_changed', req.user.address, user._id.toString(), { previous, current: next });
+
+    res.json({
+      message: 'User access updated',
+      user: {
+        id: user._id,
+        username: user.username,
+        address: user.address,
+        role: user.role,
+        permissions: user.permissions,
+        groups: user.groups
+      }
+    });
+
+  } catch (error) {
+    logger.error('User access update failed:', error);
+    res.status(500).json({ error: 'User access update failed' });
+  }
+});
+
 // Helper function to get default permissions based on role
 function getDefaultPermissions(role) {
   const permissions = {
     user: ['read:own_devices', 'write:own_devices'],
     operator: ['read:all_devices', 'write:own_devices', 'read:policies'],
-    admin: ['read:all', 'write:all', 'delete:all', 'manage:users', 'manage:policies']
+    // Everything but write:audit, which no one holds alongside write:policies
+    admin: [
+      'read:all_devices', 'write:all_devices', 'delete:devices',
+      'read:policies', 'write:policies', 'delete:policies',
+      'read:audit', 'manage:users'
+    ]
   };
 
   return permissions[role] || permissions.user;
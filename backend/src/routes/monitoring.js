@@ -6,6 +6,7 @@ const Device = require('../models/Device');
 const User = require('../models/User');
 const { getRedisClient } = require('../config/redis');
 const { getIoTAccessControl } = require('../config/blockchain');
+const { getCacheStats, invalidateAll } = require('../services/decisionCache');
 
 /**
  * @swagger
@@ -712,6 +713,94 @@ router.get('/performance', auth, requireRole(['admin', 'monitor']), async (req,
   }
 });
 
+/**
+ * @swagger
+ * /api/monitoring/decision-cache:
+ *   get:
+ *     summary: Get access decision cache statistics
+ *     description: Hits, misses, stores, bypassed lookups (explain requests and usage-limited decisions), invalidations and errors since the counters were last reset
+ *     tags: [Monitoring & Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Decision cache statistics retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/decision-cache', auth, requireRole(['admin', 'monitor']), async (req, res) => {
+  try {
+    const cache = await getCacheStats();
+
+    res.json({
+      success: true,
+      data: {
+        cache,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Decision cache stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve decision cache statistics',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/monitoring/decision-cache/flush:
+ *   post:
+ *     summary: Invalidate every cached access decision
+ *     tags: [Monitoring & Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Decision cache flushed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/decision-cache/flush', auth, requireRole(['admin']), async (req, res) => {
+  try {
+    if (!await invalidateAll()) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to flush decision cache'
+      });
+    }
+
+    logger.auditLog('decision_cache_flush', req.user.address, 'decision_cache', {});
+
+    res.json({
+      success: true,
+      message: 'Decision cache flushed successfully',
+      data: {
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Decision cache flush error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to flush decision cache',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/monitoring/health:
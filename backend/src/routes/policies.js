@@ -2,8 +2,24 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
 const { getContract, sendTransaction, callMethod } = require('../config/blockchain');
+const mongoose = require('mongoose');
 const Policy = require('../models/Policy');
+const User = require('../models/User');
+const Device = require('../models/Device');
 const { auth, requireRole } = require('../middleware/auth');
+const { buildSubject, buildResource, evaluatePolicy, COMBINING_ALGORITHMS } = require('../services/policyDecisionPoint');
+const { loadChildren, checkComposition } = require('../services/policyComposition');
+const { simulatePolicyChange } = require('../services/policySimulation');
+const { analyzePolicies } = require('../utils/policyAnalyzer');
+const PolicyVersion = require('../models/PolicyVersion');
+const { recordRevision, ensureBaseline, diffContent, verifyRevision, rollbackPolicy } = require('../services/policyHistory');
+const { createPolicy, updatePolicy, importPolicies } = require('../services/policyStore');
+const { loadUsage, resetUsage } = require('../services/usageCounter');
+const { validateTestCases } = require('../utils/policyTests');
+const { validateComposition } = require('../utils/policyComposition');
+const { emptiedSuiteProblem, runPolicyTests, runAllPolicyTests } = require('../services/policyTestRunner');
+const { dynamicRuleActive, policyActivationProblem, reportViolation } = require('../services/separationOfDuties');
+const { BUNDLE_FORMATS, BUNDLE_SCHEMA, buildBundle, serializeBundle, parseBundle, validateBundle, toXacml } = require('../utils/policyBundle');
 
 const router = express.Router();
 
@@ -73,11 +89,41 @@ const router = express.Router();
  *                 type: number
  *               rules:
  *                 type: array
+ *                 description: |
+ *                   Rule subject/resource attribute values accept "value", "!=value",
+ *                   "in:a,b", "not_in:a,b", ">=n", "<=n", ">n", "<n" and "*" wildcards.
+ *                   Resource ids accept exact values and wildcards such as "LOCK-*".
+ *                   environment.locationConstraints.geofences lists circle
+ *                   ({ center, radiusMeters }) or polygon ({ points }) zones.
+ *                   environment.deviceConstraints.firmwareVersions takes semver
+ *                   ranges such as ">=1.2.0 <2.0.0".
+ *                   environment.timeConstraints accepts an IANA timezone, HH:MM
+ *                   windows (end before start crosses midnight), blackoutDates
+ *                   and blackoutPeriods.
+ *                   conditions.customConditions maps names to boolean expressions over
+ *                   subject.*, resource.*, device.*, env.* and request.*, e.g.
+ *                   "battery_level > 20 and user.department == resource.attributes.department".
+ *                   conditions.maxUsageCount limits permitted uses, counted per subject and
+ *                   device unless conditions.usageScope is subject, resource or rule;
+ *                   conditions.usageWindow ({ period: "1h", mode: "fixed" | "sliding" })
+ *                   makes it a rate, e.g. 5 unlocks per hour.
+ *                   obligations and advice list { type, fulfillOn, parameters } entries
+ *                   (step_up_auth, notify_owner, record_video, log, limit_duration) the
+ *                   enforcement point carries out; access is refused if an obligation fails.
+ *               composition:
+ *                 type: object
+ *                 description: |
+ *                   Composite policies only, which have no rules: { children, combiningAlgorithm,
+ *                   target }. children lists policyIds, combined with combiningAlgorithm
+ *                   (first-applicable takes them in the order listed); target limits the
+ *                   composite to actions, resourceTypes, resourceIds and subjectRoles. Children
+ *                   must exist and may be composites, but not form a cycle. An active child
+ *                   counts only through its composite.
  *     responses:
  *       201:
- *         description: Policy created successfully
+ *         description: Policy created; under separation of duties it is inactive until a user other than its creator activates it
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data, rules the evaluator cannot honour or an invalid composition
  */
 router.post('/', [
   auth,
@@ -86,7 +132,8 @@ router.post('/', [
   body('policyType').isIn(['RBAC', 'ABAC', 'TimeBased', 'LocationBased', 'Composite']).withMessage('Invalid policy type'),
   body('effect').isIn(['Allow', 'Deny']).withMessage('Invalid effect'),
   body('priority').optional().isInt({ min: 1, max: 1000 }).withMessage('Priority must be between 1 and 1000'),
-  body('rules').optional().isArray().withMessage('Rules must be an array')
+  body('rules').optional().isArray().withMessage('Rules must be an array'),
+  body('composition').optional().isObject()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -101,92 +148,38 @@ router.post('/', [
       policyType,
       effect,
       priority = 100,
-      rules = []
+      rules = [],
+      composition
     } = req.body;
 
+    // Reject rule conditions the evaluator cannot honour
+    const ruleErrors = Policy.validateRules(rules);
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid policy rules', details: ruleErrors });
+    }
+
+    // Composites reference existing policies and must not end up containing themselves
+    const compositionErrors = validateComposition(policyType, composition, rules);
+    if (compositionErrors.length === 0 && policyType === 'Composite') {
+      compositionErrors.push(...await checkComposition(policyId, composition));
+    }
+    if (compositionErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid policy composition', details: compositionErrors });
+    }
+
     // Check if policy already exists
     const existingPolicy = await Policy.findOne({ policyId });
     if (existingPolicy) {
       return res.status(400).json({ error: 'Policy already exists' });
     }
 
-    // Create policy on blockchain based on type
-    const policyManager = getContract('policyManager');
-    let blockchainResult;
-
-    if (policyType === 'ABAC') {
-      const { requiredRoles = [], subjectAttrNames = [], subjectAttrValues = [], subjectAttrOperators = [], resourceTypes = [], allowedActions = [] } = rules[0] || {};
-      
-      blockchainResult = await sendTransaction(
-        policyManager,
-        'createABACPolicy',
-        [
-          policyId,
-          name,
-          description,
-          effect === 'Allow' ? 0 : 1, // 0 = Allow, 1 = Deny
-          priority,
-          requiredRoles,
-          subjectAttrNames,
-          subjectAttrValues,
-          subjectAttrOperators,
-          resourceTypes,
-          allowedActions
-        ]
-      );
-    } else if (policyType === 'TimeBased') {
-      const { startTime, endTime, allowedDays = [], startHour, endHour, isRecurring = false, allowedActions = [] } = rules[0] || {};
-      
-      blockchainResult = await sendTransaction(
-        policyManager,
-        'createTimeBasedPolicy',
-        [
-          policyId,
-          name,
-          effect === 'Allow' ? 0 : 1,
-          startTime || Math.floor(Date.now() / 1000),
-          endTime || Math.floor(Date.now() / 1000) + 86400,
-          allowedDays,
-          startHour || 0,
-          endHour || 2359,
-          isRecurring,
-          allowedActions
-        ]
-      );
-    } else if (policyType === 'LocationBased') {
-      const { allowedLocations = [], deniedLocations = [], radiusMeters = 0, coordinates = '', allowedActions = [] } = rules[0] || {};
-      
-      blockchainResult = await sendTransaction(
-        policyManager,
-        'createLocationBasedPolicy',
-        [
-          policyId,
-          name,
-          effect === 'Allow' ? 0 : 1,
-          allowedLocations,
-          deniedLocations,
-          radiusMeters,
-          coordinates,
-          allowedActions
-        ]
-      );
-    }
-
-    // Store policy in database
-    const policy = new Policy({
-      policyId,
-      name,
-      description,
-      policyType,
-      effect,
-      priority,
-      rules,
-      creator: req.user.address,
-      blockchainTxHash: blockchainResult.transactionHash,
-      isActive: true
-    });
-
-    await policy.save();
+    // Create on-chain and in the database; imports go through the same path.
+    // Under separation of duties the policy waits for someone else to activate it.
+    const isActive = !dynamicRuleActive('policy_activation');
+    const { revision, policy } = await createPolicy(
+      { policyId, name, description, policyType, effect, priority, rules, composition, isActive },
+      req.user.address
+    );
 
     // Publish policy creation event
     // publishMessage('iot/policies/created', { // This line was removed as per the new_code, as publishMessage is no longer imported.
@@ -198,18 +191,17 @@ router.post('/', [
     //   timestamp: new Date().toISOString()
     // });
 
-    logger.policyEvaluation(policyId, req.user.address, 'policy_creation', 'success');
-
     res.status(201).json({
-      message: 'Policy created successfully',
+      message: isActive ? 'Policy created successfully' : 'Policy created; it must be activated by a user other than its creator',
       policy: {
         policyId,
         name,
         policyType,
         effect,
         priority,
-        isActive: true,
-        blockchainTxHash: blockchainResult.transactionHash
+        isActive,
+        version: revision.version,
+        blockchainTxHash: policy.blockchainTxHash
       }
     });
 
@@ -336,6 +328,11 @@ router.get('/:policyId', auth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: explain
+ *         schema:
+ *           type: boolean
+ *         description: Same as the explain body field
  *     requestBody:
  *       required: true
  *       content:
@@ -355,16 +352,22 @@ router.get('/:policyId', auth, async (req, res) => {
  *                 type: string
  *               attributes:
  *                 type: object
+ *               explain:
+ *                 type: boolean
+ *                 description: Also evaluate the stored policy and return a trace of every rule and check
  *     responses:
  *       200:
  *         description: Policy evaluation result
+ *       404:
+ *         description: Policy not found (explain mode only)
  */
 router.post('/:policyId/evaluate', [
   auth,
   body('subject').notEmpty().withMessage('Subject is required'),
   body('resource').notEmpty().withMessage('Resource is required'),
   body('action').notEmpty().withMessage('Action is required'),
-  body('attributes').optional().isObject()
+  body('attributes').optional().isObject(),
+  body('explain').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -374,6 +377,15 @@ router.post('/:policyId/evaluate', [
 
     const { policyId } = req.params;
     const { subject, resource, action, attributes = {} } = req.body;
+    const explain = req.body.explain === true || req.query.explain === 'true';
+
+    let policy = null;
+    if (explain) {
+      policy = await Policy.findOne({ policyId });
+      if (!policy) {
+        return res.status(404).json({ error: 'Policy not found' });
+      }
+    }
 
     // Evaluate policy on blockchain
     const policyManager = getContract('policyManager');
@@ -388,14 +400,48 @@ router.post('/:policyId/evaluate', [
 
     logger.policyEvaluation(policyId, subject, resource, action, result);
 
-    res.json({
+    const response = {
       policyId,
       subject,
       resource,
       action,
       result,
       evaluatedAt: new Date().toISOString()
-    });
+    };
+
+    // Replay the request against the stored rules to show why it was decided that way
+    if (explain) {
+      const user = mongoose.isValidObjectId(subject)
+        ? await User.findById(subject)
+        : await User.findOne({ $or: [{ address: subject }, { username: subject }] });
+      const device = await Device.findOne({ deviceId: resource });
+
+      const evaluationSubject = user ? buildSubject(user) : { id: subject, attributes: {} };
+      const evaluationResource = device ? buildResource(device) : { id: resource, attributes: {} };
+      const children = await loadChildren([policy]);
+      const usage = await loadUsage([policy, ...children.values()], evaluationSubject, evaluationResource);
+
+      const evaluation = evaluatePolicy(
+        policy,
+        evaluationSubject,
+        evaluationResource,
+        action,
+        { attributes, ipAddress: req.ip, userAgent: req.get('User-Agent'), explain: true, usage },
+        children
+      );
+
+      response.explanation = {
+        allowed: evaluation.decision === 'Permit',
+        applicable: evaluation.decision === 'Permit' || evaluation.decision === 'Deny',
+        decision: evaluation.decision,
+        reason: evaluation.reason,
+        subjectResolved: Boolean(user),
+        resourceResolved: Boolean(device),
+        trace: evaluation.trace
+      };
+    }
+
+    res.json(response);
 
   } catch (error) {
     logger.error('Policy evaluation failed:', error);
@@ -403,11 +449,93 @@ router.post('/:policyId/evaluate', [
   }
 });
 
+/**
+ * @swagger
+ * /api/policies/{policyId}/simulate:
+ *   post:
+ *     summary: Replay recorded access requests against a policy status change
+ *     description: Compares decisions with the current active policy set and with the set after the change, grouped by device, user and rule
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Status to simulate
+ *               days:
+ *                 type: integer
+ *                 default: 7
+ *               limit:
+ *                 type: integer
+ *                 default: 10000
+ *                 description: Maximum number of recorded requests to replay
+ *               combiningAlgorithm:
+ *                 type: string
+ *                 enum: [deny-overrides, permit-overrides, first-applicable, only-one-applicable]
+ *                 description: Defaults to the algorithm each request was decided with
+ *     responses:
+ *       200:
+ *         description: Simulation report
+ *       404:
+ *         description: Policy not found
+ */
+router.post('/:policyId/simulate', [
+  auth,
+  requireRole(['admin', 'auditor']),
+  body('isActive').optional().isBoolean(),
+  body('days').optional().isInt({ min: 1, max: 90 }),
+  body('limit').optional().isInt({ min: 1, max: 100000 }),
+  body('combiningAlgorithm').optional().isIn(COMBINING_ALGORITHMS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { policyId } = req.params;
+    const { isActive = true, days, limit, combiningAlgorithm } = req.body;
+
+    const report = await simulatePolicyChange({
+      policyId,
+      isActive,
+      days,
+      limit: limit ? parseInt(limit) : undefined,
+      algorithm: combiningAlgorithm
+    });
+
+    if (!report) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    logger.info(`Policy simulation [${policyId}]: ${report.flipped.total} of ${report.replayed} decisions flip`);
+
+    res.json(report);
+
+  } catch (error) {
+    logger.error('Policy simulation failed:', error);
+    res.status(500).json({ error: 'Policy simulation failed' });
+  }
+});
+
 /**
  * @swagger
  * /api/policies/{policyId}/status:
  *   put:
  *     summary: Update policy status
+ *     description: Activation first runs the policy's test cases and is refused if any fails
  *     tags: [Policies]
  *     security:
  *       - bearerAuth: []
@@ -428,13 +556,28 @@ router.post('/:policyId/evaluate', [
  *             properties:
  *               isActive:
  *                 type: boolean
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Only return the what-if simulation, without changing the status
+ *               simulationDays:
+ *                 type: integer
+ *                 default: 7
+ *                 description: Days of recorded access history to replay when activating
  *     responses:
  *       200:
- *         description: Policy status updated
+ *         description: Policy status updated; activations include the what-if simulation and test reports
+ *       403:
+ *         description: The caller created the policy and cannot activate it (separation of duties)
+ *       404:
+ *         description: Policy not found
+ *       409:
+ *         description: The policy's tests failed, or were all removed by someone other than its creator, so it was not activated
  */
 router.put('/:policyId/status', [
   auth,
-  body('isActive').isBoolean().withMessage('isActive must be a boolean')
+  body('isActive').isBoolean().withMessage('isActive must be a boolean'),
+  body('dryRun').optional().isBoolean(),
+  body('simulationDays').optional().isInt({ min: 1, max: 90 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -443,7 +586,42 @@ router.put('/:policyId/status', [
     }
 
     const { policyId } = req.params;
-    const { isActive } = req.body;
+    const { isActive, dryRun, simulationDays } = req.body;
+
+    // A policy only goes live when its own tests pass
+    let tests;
+    if (isActive) {
+      const target = await Policy.findOne({ policyId });
+      if (!target) {
+        return res.status(404).json({ error: 'Policy not found' });
+      }
+      // Whoever created the policy cannot also be the one putting it live
+      const conflict = dryRun ? null : policyActivationProblem(target.creator, req.user.address);
+      if (conflict) {
+        reportViolation(conflict, req.user.address, policyId, { creator: target.creator });
+        return res.status(conflict.status).json({ error: conflict.message });
+      }
+      const emptied = dryRun ? null : emptiedSuiteProblem(target);
+      if (emptied) {
+        return res.status(emptied.status).json({ error: emptied.message });
+      }
+      tests = await runPolicyTests(target);
+      if (tests.failed > 0 && !dryRun) {
+        return res.status(409).json({ error: 'Policy tests failed', tests });
+      }
+    }
+
+    // Replay recent traffic before activating so the change ticket shows what flips
+    let simulation;
+    if (isActive || dryRun) {
+      simulation = await simulatePolicyChange({ policyId, isActive, days: simulationDays });
+      if (!simulation) {
+        return res.status(404).json({ error: 'Policy not found' });
+      }
+      if (dryRun) {
+        return res.json({ message: 'Dry run, policy status not changed', isActive, simulation, tests });
+      }
+    }
 
     // Update status on blockchain
     const policyManager = getContract('policyManager');
@@ -454,14 +632,19 @@ router.put('/:policyId/status', [
     );
 
     // Update in database
-    await Policy.findOneAndUpdate(
-      { policyId },
-      { isActive, updatedAt: new Date() }
-    );
+    const policy = await Policy.findOne({ policyId });
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    await ensureBaseline(policy, req.user.address);
+    policy.isActive = isActive;
+    await policy.save();
+    const revision = await recordRevision(policy, { changeType: 'status', changedBy: req.user.address });
 
     logger.policyEvaluation(policyId, req.user.address, 'status_update', isActive ? 'activated' : 'deactivated');
 
-    res.json({ message: 'Policy status updated successfully', isActive });
+    res.json({ message: 'Policy status updated successfully', isActive, version: revision.version, simulation, tests });
 
   } catch (error) {
     logger.error('Failed to update policy status:', error);
@@ -471,9 +654,10 @@ router.put('/:policyId/status', [
 
 /**
  * @swagger
- * /api/policies/{policyId}/usage:
- *   get:
- *     summary: Get policy usage statistics
+ * /api/policies/{policyId}:
+ *   put:
+ *     summary: Update a policy
+ *     description: Every change is stored as a new immutable revision whose content hash is anchored through PolicyManager
  *     tags: [Policies]
  *     security:
  *       - bearerAuth: []
@@ -483,86 +667,968 @@ router.put('/:policyId/status', [
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               effect:
+ *                 type: string
+ *                 enum: [Allow, Deny]
+ *               priority:
+ *                 type: integer
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               composition:
+ *                 type: object
+ *                 description: Composite policies only; see POST /api/policies
+ *               isHidden:
+ *                 type: boolean
+ *               metadata:
+ *                 type: object
+ *                 description: tags, category, compliance and riskLevel
+ *               reason:
+ *                 type: string
+ *                 description: Why the policy changed, kept with the revision
  *     responses:
  *       200:
- *         description: Policy usage statistics
+ *         description: Policy updated
+ *       400:
+ *         description: Invalid input data or rules the evaluator cannot honour
+ *       403:
+ *         description: Only admins can change policies
+ *       404:
+ *         description: Policy not found
  */
-router.get('/:policyId/usage', auth, async (req, res) => {
+router.put('/:policyId', [
+  auth,
+  requireRole(['admin']),
+  body('name').optional().notEmpty().withMessage('Policy name cannot be empty'),
+  body('effect').optional().isIn(['Allow', 'Deny']).withMessage('Invalid effect'),
+  body('priority').optional().isInt({ min: 1, max: 1000 }).withMessage('Priority must be between 1 and 1000'),
+  body('rules').optional().isArray({ min: 1 }).withMessage('Rules must be a non-empty array'),
+  body('composition').optional().isObject(),
+  body('isHidden').optional().isBoolean(),
+  body('metadata').optional().isObject()
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { policyId } = req.params;
+    const { rules, reason } = req.body;
 
-    // Get usage from blockchain
-    const policyManager = getContract('policyManager');
-    const usage = await callMethod(policyManager, 'getPolicyUsage', [policyId]);
+    if (rules) {
+      const ruleErrors = Policy.validateRules(rules);
+      if (ruleErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid policy rules', details: ruleErrors });
+      }
+    }
+
+    const policy = await Policy.findOne({ policyId });
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    // Composites reference existing policies and must not end up containing themselves
+    if (req.body.composition !== undefined || (rules && policy.policyType === 'Composite')) {
+      const composition = req.body.composition === undefined ? policy.composition : req.body.composition;
+      const compositionErrors = validateComposition(policy.policyType, composition, rules || policy.rules);
+      if (compositionErrors.length === 0 && policy.policyType === 'Composite') {
+        compositionErrors.push(...await checkComposition(policyId, composition));
+      }
+      if (compositionErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid policy composition', details: compositionErrors });
+      }
+    }
+
+    const { revision } = await updatePolicy(policy, req.body, req.user.address, { reason });
 
     res.json({
+      message: 'Policy updated successfully',
       policyId,
-      currentUsage: usage.currentUsageCount,
-      maxUsage: usage.maxUsageCount,
-      usagePercentage: usage.maxUsageCount > 0 ? 
-        (usage.currentUsageCount / usage.maxUsageCount) * 100 : 0
+      version: revision.version,
+      contentHash: revision.contentHash,
+      anchor: revision.anchor
     });
 
   } catch (error) {
-    logger.error('Failed to fetch policy usage:', error);
-    res.status(500).json({ error: 'Failed to fetch policy usage' });
+    logger.error('Policy update failed:', error);
+    res.status(500).json({ error: 'Policy update failed' });
   }
 });
 
 /**
  * @swagger
- * /api/policies/stats:
+ * /api/policies/{policyId}/versions:
  *   get:
- *     summary: Get policy statistics
+ *     summary: List a policy's revisions, newest first
  *     tags: [Policies]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Policy statistics
+ *         description: Revision history
  */
-router.get('/stats/overview', auth, async (req, res) => {
+router.get('/:policyId/versions', auth, async (req, res) => {
   try {
-    // Get total policies count from blockchain
-    const policyManager = getContract('policyManager');
-    const totalPolicies = await callMethod(policyManager, 'getTotalPolicies');
+    const { policyId } = req.params;
 
-    // Get statistics from database
-    const stats = await Policy.aggregate([
-      {
-        $group: {
-          _id: '$policyType',
-          count: { $sum: 1 },
-          activeCount: {
-            $sum: { $cond: ['$isActive', 1, 0] }
-          }
-        }
-      }
-    ]);
+    const versions = await PolicyVersion.find({ policyId })
+      .sort({ version: -1 })
+      .select('-content');
 
-    const effectStats = await Policy.aggregate([
-      {
-        $group: {
-          _id: '$effect',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
+    res.json({ policyId, versions, total: versions.length });
+
+  } catch (error) {
+    logger.error('Failed to fetch policy versions:', error);
+    res.status(500).json({ error: 'Failed to fetch policy versions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/{policyId}/versions/{version}:
+ *   get:
+ *     summary: Get one revision with its content and on-chain verification
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision content; verification compares the stored hash with the anchored one
+ *       404:
+ *         description: Version not found
+ */
+router.get('/:policyId/versions/:version', auth, async (req, res) => {
+  try {
+    const { policyId } = req.params;
+    const version = parseInt(req.params.version);
+
+    const revision = await PolicyVersion.findOne({ policyId, version });
+    if (!revision) {
+      return res.status(404).json({ error: 'Policy version not found' });
+    }
+
+    // The stored hash must still match the stored content
+    const intact = PolicyVersion.hashContent(revision.content) === revision.contentHash;
 
     res.json({
-      totalPolicies,
-      byType: stats,
-      byEffect: effectStats,
-      recentPolicies: await Policy.find()
-        .sort({ createdAt: -1 })
-        .limit(5)
-        .select('policyId name policyType effect createdAt')
+      revision,
+      verification: { intact, ...(await verifyRevision(revision)) }
     });
 
   } catch (error) {
-    logger.error('Failed to fetch policy statistics:', error);
-    res.status(500).json({ error: 'Failed to fetch policy statistics' });
+    logger.error('Failed to fetch policy version:', error);
+    res.status(500).json({ error: 'Failed to fetch policy version' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/{policyId}/versions/{from}/diff/{to}:
+ *   get:
+ *     summary: Field-level diff between two revisions
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Changed fields with their before and after values
+ *       404:
+ *         description: Version not found
+ */
+router.get('/:policyId/versions/:from/diff/:to', auth, async (req, res) => {
+  try {
+    const { policyId } = req.params;
+    const from = parseInt(req.params.from);
+    const to = parseInt(req.params.to);
+
+    const [before, after] = await Promise.all([
+      PolicyVersion.findOne({ policyId, version: from }),
+      PolicyVersion.findOne({ policyId, version: to })
+    ]);
+    if (!before || !after) {
+      return res.status(404).json({ error: 'Policy version not found' });
+    }
+
+    res.json({
+      policyId,
+      from: { version: from, contentHash: before.contentHash, createdAt: before.createdAt },
+      to: { version: to, contentHash: after.contentHash, createdAt: after.createdAt },
+      changes: diffContent(before.content, after.content)
+    });
+
+  } catch (error) {
+    logger.error('Failed to diff policy versions:', error);
+    res.status(500).json({ error: 'Failed to diff policy versions' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/{policyId}/rollback:
+ *   post:
+ *     summary: Restore an earlier revision as a new revision
+ *     description: Restores the rules and settings of the given version; the active status is left as it is
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Policy rolled back
+ *       403:
+ *         description: Only admins can roll back policies
+ *       404:
+ *         description: Policy or version not found
+ *       409:
+ *         description: The version's composition would reference missing policies or form a cycle
+ */
+router.post('/:policyId/rollback', [
+  auth,
+  requireRole(['admin']),
+  body('version').isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { policyId } = req.params;
+    const version = parseInt(req.body.version);
+
+    const policy = await Policy.findOne({ policyId });
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    // An earlier composition may no longer fit the policies it references
+    const target = await PolicyVersion.findOne({ policyId, version });
+    if (target && target.content.composition) {
+      const compositionErrors = await checkComposition(policyId, target.content.composition);
+      if (compositionErrors.length > 0) {
+        return res.status(409).json({ error: 'Restoring this version would make an invalid composition', details: compositionErrors });
+      }
+    }
+
+    const revision = await rollbackPolicy(policy, version, { changedBy: req.user.address, reason: req.body.reason });
+    if (!revision) {
+      return res.status(404).json({ error: 'Policy version not found' });
+    }
+
+    logger.policyEvaluation(policyId, req.user.address, 'policy_rollback', `version ${version} -> ${revision.version}`);
+
+    res.json({
+      message: 'Policy rolled back successfully',
+      policyId,
+      rolledBackTo: version,
+      version: revision.version,
+      contentHash: revision.contentHash,
+      anchor: revision.anchor
+    });
+
+  } catch (error) {
+    logger.error('Policy rollback failed:', error);
+    res.status(500).json({ error: 'Policy rollback failed' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/{policyId}/usage:
+ *   get:
+ *     summary: Get policy usage statistics
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy usage statistics
+ */
+router.get('/:policyId/usage', auth, async (req, res) => {
+  try {
+    const { policyId } = req.params;
+
+    // Get usage from blockchain
+    const policyManager = getContract('policyManager');
+    const usage = await callMethod(policyManager, 'getPolicyUsage', [policyId]);
+
+    res.json({
+      policyId,
+      currentUsage: usage.currentUsageCount,
+      maxUsage: usage.maxUsageCount,
+      usagePercentage: usage.maxUsageCount > 0 ? 
+        (usage.currentUsageCount / usage.maxUsageCount) * 100 : 0
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch policy usage:', error);
+    res.status(500).json({ error: 'Failed to fetch policy usage' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/{policyId}/usage/reset:
+ *   post:
+ *     summary: Reset usage counters of a policy's usage-limited rules
+ *     description: Clears every counter of the policy, or only those of one rule, subject or resource
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ruleIndex:
+ *                 type: integer
+ *               subjectId:
+ *                 type: string
+ *                 description: User ID the counter belongs to
+ *               resourceId:
+ *                 type: string
+ *                 description: Device ID the counter belongs to
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Number of counters cleared
+ *       404:
+ *         description: Policy not found
+ */
+router.post('/:policyId/usage/reset', [
+  auth,
+  requireRole(['admin']),
+  body('ruleIndex').optional().isInt({ min: 0 }).withMessage('Rule index must be a non-negative integer'),
+  body('subjectId').optional().isString(),
+  body('resourceId').optional().isString(),
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { policyId } = req.params;
+    const { subjectId, resourceId, reason } = req.body;
+    const ruleIndex = req.body.ruleIndex === undefined ? undefined : Number(req.body.ruleIndex);
+
+    const policy = await Policy.findOne({ policyId });
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+    if (ruleIndex !== undefined && ruleIndex >= policy.rules.length) {
+      return res.status(400).json({ error: `Policy has no rule ${ruleIndex}` });
+    }
+
+    const cleared = await resetUsage({ policyId, ruleIndex, subjectId, resourceId });
+
+    logger.auditLog('policy_usage_reset', req.user.address, policyId, { ruleIndex, subjectId, resourceId, reason, cleared });
+
+    res.json({ policyId, ruleIndex, subjectId, resourceId, cleared });
+
+  } catch (error) {
+    logger.error('Failed to reset policy usage:', error);
+    res.status(500).json({ error: 'Failed to reset policy usage' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/{policyId}/tests:
+ *   get:
+ *     summary: Get a policy's test cases
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The policy's test cases
+ *       404:
+ *         description: Policy not found
+ */
+router.get('/:policyId/tests', auth, async (req, res) => {
+  try {
+    const policy = await Policy.findOne({ policyId: req.params.policyId }).select('policyId tests');
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    res.json({ policyId: policy.policyId, tests: policy.tests, total: policy.tests.length });
+
+  } catch (error) {
+    logger.error('Failed to fetch policy tests:', error);
+    res.status(500).json({ error: 'Failed to fetch policy tests' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/{policyId}/tests:
+ *   put:
+ *     summary: Replace a policy's test cases
+ *     description: Only an admin or the policy's creator can change its tests. Tests are not part of the policy's content, so changing them makes no new revision; the change is kept in the policy's change history.
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tests
+ *             properties:
+ *               tests:
+ *                 type: array
+ *                 description: |
+ *                   { name, description, subject, resource, action, context, expected } cases.
+ *                   subject is { id, roles, groups, permissions, attributes } and resource
+ *                   { id, type, status, attributes }, as the decision point builds them from
+ *                   users and devices; resource.status defaults to active. context takes the
+ *                   request attributes, location and ipAddress, now to fix the clock, and
+ *                   usage ({ ruleIndex: count }) for usage-limited rules. expected is
+ *                   { decision: Permit | Deny | NotApplicable | Indeterminate, reason }; the
+ *                   reason is only compared when given.
+ *                 items:
+ *                   type: object
+ *               runNow:
+ *                 type: boolean
+ *                 description: Run the new cases and include the report
+ *               reason:
+ *                 type: string
+ *                 description: Why the tests changed, kept in the change history
+ *     responses:
+ *       200:
+ *         description: Test cases saved
+ *       400:
+ *         description: Invalid test cases
+ *       403:
+ *         description: Only an admin or the policy's creator can change its tests
+ *       404:
+ *         description: Policy not found
+ */
+router.put('/:policyId/tests', [
+  auth,
+  body('tests').isArray().withMessage('Tests must be an array'),
+  body('runNow').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { policyId } = req.params;
+    const { tests, runNow, reason } = req.body;
+
+    const testErrors = validateTestCases(tests);
+    if (testErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid policy tests', details: testErrors });
+    }
+
+    const policy = await Policy.findOne({ policyId });
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    const isCreator = Boolean(policy.creator) && policy.creator.toLowerCase() === req.user.address.toLowerCase();
+    if (req.user.role !== 'admin' && !isCreator) {
+      return res.status(403).json({ error: 'Only an admin or the policy creator can change its tests' });
+    }
+
+    const previous = policy.tests.map(test => test.toObject());
+    policy.tests = tests;
+    policy.audit.modifiedBy = req.user.address;
+    await policy.addChangeRecord('tests', previous, tests, req.user.address, reason);
+
+    logger.auditLog('policy_tests_update', req.user.address, policyId, { total: tests.length });
+
+    const report = runNow ? await runPolicyTests(policy) : undefined;
+
+    res.json({ message: 'Policy tests saved successfully', policyId, total: policy.tests.length, report });
+
+  } catch (error) {
+    logger.error('Failed to save policy tests:', error);
+    res.status(500).json({ error: 'Failed to save policy tests' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/{policyId}/tests/run:
+ *   post:
+ *     summary: Run a policy's test cases
+ *     description: Runs every case against the current evaluator as if the policy were active; nothing is saved or counted
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pass/fail report with the expected and actual decision of each case
+ *       404:
+ *         description: Policy not found
+ */
+router.post('/:policyId/tests/run', auth, async (req, res) => {
+  try {
+    const policy = await Policy.findOne({ policyId: req.params.policyId });
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+
+    const report = await runPolicyTests(policy);
+
+    res.json(report);
+
+  } catch (error) {
+    logger.error('Failed to run policy tests:', error);
+    res.status(500).json({ error: 'Failed to run policy tests' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/tests/run:
+ *   post:
+ *     summary: Run the test cases of every policy that has them
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               policyIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only run these policies' suites
+ *               isActive:
+ *                 type: boolean
+ *                 description: Only run the suites of active (or inactive) policies
+ *     responses:
+ *       200:
+ *         description: Totals, the failing policies and a report per policy
+ */
+router.post('/tests/run', [
+  auth,
+  body('policyIds').optional().isArray(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { policyIds, isActive } = req.body;
+    const report = await runAllPolicyTests({ policyIds, isActive });
+
+    logger.info(`Policy tests run by ${req.user.address}: ${report.passed}/${report.total} passed`);
+
+    res.json(report);
+
+  } catch (error) {
+    logger.error('Failed to run policy tests:', error);
+    res.status(500).json({ error: 'Failed to run policy tests' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/stats:
+ *   get:
+ *     summary: Get policy statistics
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policy statistics
+ */
+router.get('/stats/overview', auth, async (req, res) => {
+  try {
+    // Get total policies count from blockchain
+    const policyManager = getContract('policyManager');
+    const totalPolicies = await callMethod(policyManager, 'getTotalPolicies');
+
+    // Get statistics from database
+    const stats = await Policy.aggregate([
+      {
+        $group: {
+          _id: '$policyType',
+          count: { $sum: 1 },
+          activeCount: {
+            $sum: { $cond: ['$isActive', 1, 0] }
+          }
+        }
+      }
+    ]);
+
+    const effectStats = await Policy.aggregate([
+      {
+        $group: {
+          _id: '$effect',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    res.json({
+      totalPolicies,
+      byType: stats,
+      byEffect: effectStats,
+      recentPolicies: await Policy.find()
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .select('policyId name policyType effect createdAt')
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch policy statistics:', error);
+    res.status(500).json({ error: 'Failed to fetch policy statistics' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/analysis/findings:
+ *   get:
+ *     summary: Analyze active policies for conflicts and redundancy
+ *     description: Flags contradictory Allow/Deny rules at equal priority, rules shadowed by higher-priority rules, unreachable rules and duplicate policies
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [critical, high, medium, low]
+ *         description: Only return findings at least this severe
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [contradiction, shadowed, unreachable, duplicate]
+ *     responses:
+ *       200:
+ *         description: Structured findings, most severe first
+ */
+router.get('/analysis/findings', auth, async (req, res) => {
+  try {
+    const { severity, type } = req.query;
+    const severities = ['critical', 'high', 'medium', 'low'];
+
+    if (severity && !severities.includes(severity)) {
+      return res.status(400).json({ error: `Severity must be one of: ${severities.join(', ')}` });
+    }
+
+    const policies = await Policy.findActivePolicies();
+    const analysis = analyzePolicies(policies);
+
+    analysis.findings = analysis.findings.filter(finding =>
+      (!severity || severities.indexOf(finding.severity) <= severities.indexOf(severity))
+      && (!type || finding.type === type));
+
+    res.json({ ...analysis, analyzedAt: new Date().toISOString() });
+
+  } catch (error) {
+    logger.error('Policy analysis failed:', error);
+    res.status(500).json({ error: 'Policy analysis failed' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/bundle/schema:
+ *   get:
+ *     summary: Get the JSON Schema for policy bundles
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: JSON Schema (draft-07) describing the bundle format used by export and import
+ */
+router.get('/bundle/schema', auth, (req, res) => {
+  res.json(BUNDLE_SCHEMA);
+});
+
+/**
+ * @swagger
+ * /api/policies/bundle/export:
+ *   get:
+ *     summary: Export policies as a versioned bundle
+ *     description: |
+ *       json and yaml bundles follow /api/policies/bundle/schema and can be imported again.
+ *       xacml returns an XACML 3.0 PolicySet; constraints XACML targets cannot express are
+ *       listed in each rule's Description.
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, yaml, xacml]
+ *           default: json
+ *       - in: query
+ *         name: policyIds
+ *         schema:
+ *           type: string
+ *         description: Comma-separated policy IDs
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: effect
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: combiningAlgorithm
+ *         schema:
+ *           type: string
+ *           enum: [deny-overrides, permit-overrides, first-applicable, only-one-applicable]
+ *         description: PolicySet combining algorithm for the xacml format
+ *     responses:
+ *       200:
+ *         description: Bundle document, sent as an attachment
+ */
+router.get('/bundle/export', auth, async (req, res) => {
+  try {
+    const { format = 'json', policyIds, type, effect, isActive, tag, combiningAlgorithm } = req.query;
+
+    if (!BUNDLE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${BUNDLE_FORMATS.join(', ')}` });
+    }
+    if (combiningAlgorithm && !COMBINING_ALGORITHMS.includes(combiningAlgorithm)) {
+      return res.status(400).json({ error: `Combining algorithm must be one of: ${COMBINING_ALGORITHMS.join(', ')}` });
+    }
+
+    const filter = {};
+    if (policyIds) filter.policyId = { $in: policyIds.split(',').map(id => id.trim()).filter(Boolean) };
+    if (type) filter.policyType = type;
+    if (effect) filter.effect = effect;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (tag) filter['metadata.tags'] = tag;
+
+    const policies = await Policy.find(filter).sort({ priority: -1, policyId: 1 });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    logger.auditLog('policy_export', req.user.address, 'policies', { format, count: policies.length, filter });
+
+    if (format === 'xacml') {
+      res.type('application/xml');
+      res.attachment(`policies-${timestamp}.xml`);
+      return res.send(toXacml(policies, combiningAlgorithm));
+    }
+
+    const bundle = buildBundle(policies, policy => PolicyVersion.snapshot(policy), {
+      exportedBy: req.user.address,
+      source: process.env.API_BASE_URL || req.get('host')
+    });
+
+    res.type(format === 'yaml' ? 'application/yaml' : 'application/json');
+    res.attachment(`policies-${timestamp}.${format}`);
+    res.send(serializeBundle(bundle, format));
+
+  } catch (error) {
+    logger.error('Policy export failed:', error);
+    res.status(500).json({ error: 'Policy export failed' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/policies/bundle/import:
+ *   post:
+ *     summary: Import a policy bundle
+ *     description: |
+ *       Policies are validated as POST /api/policies validates them, then created or
+ *       updated by policyId, each change recorded as an "import" revision. Nothing is
+ *       written if any policy is invalid. Policy types cannot change on import.
+ *       Under separation of duties the importer cannot create active policies, nor
+ *       activate policies they created; such policies come back invalid.
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bundle
+ *             properties:
+ *               bundle:
+ *                 description: Bundle object, or JSON/YAML text
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: string
+ *               format:
+ *                 type: string
+ *                 enum: [json, yaml]
+ *                 description: Format of a text bundle; YAML also parses JSON
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Report what would change without writing
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Per-policy results (create, update, unchanged or invalid) with field changes
+ *       400:
+ *         description: Malformed bundle, or policies that failed validation
+ */
+router.post('/bundle/import', [
+  auth,
+  requireRole(['admin']),
+  body('bundle').exists().withMessage('Bundle is required'),
+  body('format').optional().isIn(['json', 'yaml']).withMessage('Format must be json or yaml'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let bundle;
+    try {
+      bundle = parseBundle(req.body.bundle, req.body.format);
+    } catch (error) {
+      return res.status(400).json({ error: 'Bundle could not be parsed', details: [error.message] });
+    }
+
+    const bundleErrors = validateBundle(bundle);
+    if (bundleErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid policy bundle', details: bundleErrors });
+    }
+
+    const result = await importPolicies(bundle.policies, req.user.address, {
+      dryRun: req.body.dryRun === true,
+      reason: req.body.reason
+    });
+
+    res.status(result.summary.invalid > 0 ? 400 : 200).json(result);
+
+  } catch (error) {
+    logger.error('Policy import failed:', error);
+    res.status(500).json({ error: 'Policy import failed' });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
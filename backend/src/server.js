@@ -14,6 +14,8 @@ const { connectDB } = require('./config/database');
 const { connectRedis } = require('./config/redis');
 const { setupWeb3 } = require('./config/blockchain');
 const { setupMQTT } = require('./config/mqtt');
+const { startGrantSweeper, stopGrantSweeper } = require('./services/accessGrants');
+const { startRecertificationSweeper, stopRecertificationSweeper } = require('./services/recertification');
 const logger = require('./utils/logger');
 
 // Import routes
@@ -151,6 +153,10 @@ async function startServer() {
     await connectRedis();
     await setupWeb3();
     await setupMQTT();
+
+    // Expire time-bound grants and warn grantees before they lapse
+    startGrantSweeper();
+    startRecertificationSweeper();
     
     server.listen(PORT, () => {
       logger.info(`🚀 IoT Access Control API server running on port ${PORT}`);
@@ -166,6 +172,8 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  stopGrantSweeper();
+  stopRecertificationSweeper();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -174,6 +182,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  stopGrantSweeper();
+  stopRecertificationSweeper();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const AccessLog = require('../models/AccessLog');
+const BreakGlass = require('../models/BreakGlass');
+const Device = require('../models/Device');
+const User = require('../models/User');
+const Policy = require('../models/Policy');
+const logger = require('../utils/logger');
+const { getIoTAccessControl } = require('../config/blockchain');
+const { decide, buildSubject, buildResource } = require('./policyDecisionPoint');
+const { enforceObligations } = require('./obligationEnforcement');
+const { lookupDecision, storeDecision, countStat } = require('./decisionCache');
+const { recordUse } = require('./breakGlass');
+const { findDelegatedAccess } = require('./delegation');
+const { grantWindowOpen } = require('./accessGrants');
+
+const MAX_BATCH_SIZE = parseInt(process.env.ACCESS_CHECK_BATCH_MAX) || 100;
+
+// Read IoTAccessControl; with a reads Map, identical reads share one call
+const readChain = (reads, method, args) => {
+  const key = `${method}:${JSON.stringify(args)}`;
+  if (reads && reads.has(key)) return reads.get(key);
+
+  const pending = (async () => {
+    const iotAccessControl = await getIoTAccessControl();
+    return iotAccessControl.methods[method](...args).call();
+  })();
+  if (reads) reads.set(key, pending);
+  return pending;
+};
+
+// Decide whether the user may perform the action on the device, the way
+// /api/access/check answers it: break-glass first, then the combined policies,
+// with the on-chain grant and delegations deciding when no policy applies.
+// policies, when given, are the applicable policies for the action, and
+// chainReads a Map of on-chain reads already made, so callers checking many
+// requests load them once. callerId is the authenticated user asking; a
+// step-up code counts only when that is the user being checked, and only their
+// own checks use up usage-limited permits, carry out obligations or count as a
+// break-glass use; anyone else gets the obligations back unrun.
+const checkAccess = async ({ user, device, action, attributes, location, combiningAlgorithm, stepUpCode, callerId, explain, ipAddress, userAgent, policies, chainReads }) => {
+  const bySubject = Boolean(callerId) && String(callerId) === user._id.toString();
+  const subject = buildSubject(user);
+  const resource = buildResource(device);
+  const context = { attributes: attributes || {}, location, ipAddress, userAgent };
+
+  // Break-glass access stands in for policy and the on-chain grant until it lapses
+  const emergency = await BreakGlass.findActive(subject.id, resource.id, action);
+  if (emergency) {
+    if (bySubject) {
+      await recordUse(emergency, action, 'http');
+    }
+
+    AccessLog.create({
+      subject,
+      resource,
+      userId: subject.id,
+      deviceId: resource.id,
+      action,
+      context,
+      decision: 'Permit',
+      allowed: true,
+      reason: 'Break-glass access',
+      policyIds: [],
+      breakGlassId: emergency._id.toString()
+    }).catch(error => logger.error('Failed to record access decision:', error));
+
+    return {
+      hasAccess: true,
+      reason: 'Break-glass access',
+      policyId: null,
+      decision: 'Permit',
+      policyIds: [],
+      obligations: [],
+      advice: [],
+      expiresAt: emergency.expiresAt.toISOString(),
+      breakGlass: {
+        id: emergency._id.toString(),
+        expiresAt: emergency.expiresAt.toISOString(),
+        justification: emergency.justification
+      },
+      cached: false
+    };
+  }
+
+  // Repeated requests are answered from the decision cache; explain always
+  // evaluates so the trace is complete
+  let cached = { key: null, entry: null };
+  if (explain) {
+    countStat('bypassed');
+  } else {
+    cached = await lookupDecision({
+      channel: 'http',
+      subjectId: subject.id,
+      resourceId: resource.id,
+      action,
+      algorithm: combiningAlgorithm,
+      context
+    });
+  }
+
+  let decision;
+  let onChain;
+  if (cached.entry) {
+    ({ decision, onChain } = cached.entry);
+  } else {
+    // The on-chain grant, the user's permissions on the device and the applicable policy
+    const [hasAccess, permissions, policyId] = await Promise.all([
+      readChain(chainReads, 'checkAccess', [
+        device.blockchainId,
+        user.blockchainId,
+        action,
+        JSON.stringify(attributes || {}),
+        JSON.stringify(location || {})
+      ]),
+      readChain(chainReads, 'getUserPermissions', [device.blockchainId, user.blockchainId]),
+      readChain(chainReads, 'getApplicablePolicy', [device.blockchainId, user.blockchainId, action])
+    ]);
+
+    onChain = { hasAccess: Boolean(hasAccess), permissions: permissions || [], policyId: policyId || null };
+
+    // Combine every applicable off-chain policy; the on-chain grant only decides
+    // when no policy applies
+    decision = await decide(subject, resource, action, context, { algorithm: combiningAlgorithm, explain, policies, chargeUsage: bySubject });
+
+    if (cached.key && decision.cacheable) {
+      storeDecision(cached.key, { decision, onChain });
+    } else if (cached.key) {
+      countStat('bypassed');
+    }
+  }
+
+  // Obligations of the decision must be met here, or access is refused
+  const enforcement = await enforceObligations(decision, {
+    user,
+    device,
+    subject,
+    resource,
+    action,
+    stepUpCode,
+    callerId,
+    channel: 'http',
+    apply: bySubject
+  });
+
+  // An on-chain grant only counts inside the validity window of its stored
+  // grant, even before the grant sweeper has revoked it on chain
+  let onChainAccess = onChain.hasAccess;
+  if (decision.decision === 'NotApplicable' && onChainAccess) {
+    onChainAccess = await grantWindowOpen(subject.id, resource.id, action) !== false;
+  }
+
+  // Without an on-chain grant, a delegation from the owner may still decide;
+  // its chain is checked link by link on every request, never cached
+  let delegated = null;
+  if (decision.decision === 'NotApplicable' && !onChainAccess) {
+    delegated = await findDelegatedAccess(subject.id, device, action);
+  }
+
+  const granted = decision.decision === 'NotApplicable' ? onChainAccess || Boolean(delegated) : enforcement.allowed;
+  let reason = granted ? 'Access granted' : 'Access denied';
+  if (decision.decision !== 'NotApplicable') {
+    reason = enforcement.reason;
+  } else if (delegated) {
+    reason = 'Access granted by delegation';
+  }
+
+  // Keep the request so policy changes can be replayed against it
+  AccessLog.create({
+    subject,
+    resource,
+    userId: subject.id,
+    deviceId: resource.id,
+    action,
+    context,
+    decision: decision.decision,
+    allowed: granted,
+    onChainAccess,
+    reason,
+    algorithm: decision.algorithm,
+    policyIds: decision.policyIds,
+    obligations: enforcement.obligations.map(({ type, policyId, fulfilled, error }) => ({ type, policyId, fulfilled, error })),
+    delegationId: delegated ? delegated.delegation._id.toString() : undefined
+  }).catch(error => logger.error('Failed to record access decision:', error));
+
+  const result = {
+    hasAccess: granted,
+    reason,
+    policyId: decision.policyIds[0] || onChain.policyId,
+    decision: decision.decision,
+    combiningAlgorithm: decision.algorithm,
+    policyIds: decision.policyIds,
+    obligations: enforcement.obligations,
+    advice: enforcement.advice,
+    expiresAt: granted ? (delegated ? delegated.delegation.expiresAt.toISOString() : enforcement.expiresAt) : null,
+    permissions: delegated ? delegated.delegation.permissions : onChain.permissions,
+    delegationChain: delegated ? delegated.chain.map(link => link.toChainLink()) : null,
+    cached: Boolean(cached.entry)
+  };
+
+  if (explain) {
+    result.trace = {
+      ...decision.trace,
+      onChain: {
+        consulted: decision.decision === 'NotApplicable',
+        hasAccess: onChainAccess,
+        policyId: onChain.policyId
+      },
+      delegationId: delegated ? delegated.delegation._id.toString() : null
+    };
+  }
+
+  return result;
+};
+
+// deviceId, userId and action go into queries, so anything but a non-empty
+// string (an operator object such as { $ne: null }) is refused
+const checkInputProblem = ({ deviceId, userId, action } = {}) => {
+  const isName = (value) => typeof value === 'string' && value.length > 0;
+  if (!isName(deviceId) || !isName(userId) || !isName(action)) {
+    return 'Device ID, user ID, and action are required and must be strings';
+  }
+  return null;
+};
+
+const idsOf = (checks, field) => [...new Set(checks
+  .map(check => check && check[field])
+  .filter(id => mongoose.isValidObjectId(id))
+  .map(String))];
+
+// Check many (user, device, action) tuples, loading each user, device, set of
+// applicable policies and on-chain read once. Every check gets its own result;
+// one that fails is reported with its error and does not stop the others.
+const checkAccessBatch = async (checks, { combiningAlgorithm, callerId, ipAddress, userAgent }) => {
+  const [devices, users] = await Promise.all([
+    Device.find({ _id: { $in: idsOf(checks, 'deviceId') } }),
+    User.find({ _id: { $in: idsOf(checks, 'userId') } })
+  ]);
+  const devicesById = new Map(devices.map(device => [device._id.toString(), device]));
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const policiesByAction = new Map();
+  const chainReads = new Map();
+
+  const results = [];
+  // One at a time, so usage-limited rules count each check in order
+  for (const [index, check] of checks.entries()) {
+    const { deviceId, userId, action, attributes, location, stepUpCode } = check || {};
+    const item = { index, deviceId, userId, action };
+
+    const inputProblem = checkInputProblem(item);
+    if (inputProblem) {
+      results.push({ ...item, success: false, error: inputProblem });
+      continue;
+    }
+    const device = devicesById.get(String(deviceId));
+    const user = usersById.get(String(userId));
+    if (!device || !user) {
+      results.push({ ...item, success: false, error: device ? 'User not found' : 'Device not found' });
+      continue;
+    }
+
+    try {
+      if (!policiesByAction.has(action)) {
+        policiesByAction.set(action, await Policy.findApplicablePolicies(action));
+      }
+
+      const result = await checkAccess({
+        user,
+        device,
+        action,
+        attributes,
+        location,
+        combiningAlgorithm,
+        stepUpCode,
+        callerId,
+        ipAddress,
+        userAgent,
+        policies: policiesByAction.get(action),
+        chainReads
+      });
+      results.push({ ...item, success: true, ...result });
+    } catch (error) {
+      logger.error(`Batch access check ${index} failed:`, error);
+      results.push({ ...item, success: false, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  checkInputProblem,
+  checkAccess,
+  checkAccessBatch
+};
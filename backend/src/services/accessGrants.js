@@ -0,0 +1,309 @@
+const AccessGrant = require('../models/AccessGrant');
+const CapabilityToken = require('../models/CapabilityToken');
+const Device = require('../models/Device');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { getIoTAccessControl, sendTransaction } = require('../config/blockchain');
+const { publishMessage } = require('../config/mqtt');
+const { decide, buildSubject, buildResource } = require('./policyDecisionPoint');
+const { invalidateSubject } = require('./decisionCache');
+const { issueToken, revokeTokens } = require('./capabilityTokens');
+
+const NOTICE_HOURS = parseInt(process.env.GRANT_EXPIRY_NOTICE_HOURS) || 24;
+const MAX_DAYS = parseInt(process.env.GRANT_MAX_DAYS) || 90;
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.GRANT_SWEEP_INTERVAL_SECONDS) || 60;
+const HOUR_MS = 60 * 60 * 1000;
+
+let sweepTimer = null;
+let sweeping = false;
+
+const recordGrant = ({ device, user, permissions, policyId, grantedBy, requestId, validFrom, validUntil, transactionHash }) => AccessGrant.create({
+  deviceId: device.deviceId,
+  userId: user._id.toString(),
+  deviceBlockchainId: device.blockchainId,
+  userBlockchainId: user.blockchainId,
+  permissions,
+  policyId,
+  grantedBy,
+  requestId,
+  validFrom: validFrom || new Date(),
+  validUntil,
+  transactionHash
+});
+
+// Whether stored grants let an on-chain grant of the action count now: null
+// when none is stored for it (grants made before the store existed), otherwise
+// whether one is inside its validity window
+const grantWindowOpen = async (userId, deviceId, action, now = new Date()) => {
+  const grants = await AccessGrant.find({ userId, deviceId, permissions: action });
+  if (grants.length === 0) return null;
+  return grants.some(grant => grant.isCurrent(now));
+};
+
+const notifyGrantee = async (grant, notice) => {
+  const user = await User.findById(grant.userId).select('address');
+  const recipient = user && user.address ? user.address : grant.userId;
+  publishMessage(`iot/users/${recipient}/notifications`, {
+    grantId: grant._id.toString(),
+    deviceId: grant.deviceId,
+    permissions: grant.permissions,
+    validUntil: grant.validUntil ? grant.validUntil.toISOString() : null,
+    ...notice,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// The device and user keys of the on-chain grant. Grants recorded before the
+// keys were stored look them up the way /grant found them.
+const chainKeys = async (grant) => {
+  if (grant.deviceBlockchainId && grant.userBlockchainId) {
+    return [grant.deviceBlockchainId, grant.userBlockchainId];
+  }
+  const [device, user] = await Promise.all([
+    Device.findOne({ deviceId: grant.deviceId }),
+    User.findById(grant.userId)
+  ]);
+  if (!device || !user) {
+    throw new Error('Device or user of the grant no longer exists');
+  }
+  return [device.blockchainId, user.blockchainId];
+};
+
+const revokeOnChain = async (grant, reason) => {
+  try {
+    const [deviceKey, userKey] = await chainKeys(grant);
+    const iotAccessControl = await getIoTAccessControl();
+    const tx = await sendTransaction(iotAccessControl, 'revokeAccess', [deviceKey, userKey, reason, grant.permissions]);
+    grant.revocation = { transactionHash: tx.transactionHash };
+  } catch (error) {
+    logger.error(`Failed to revoke grant ${grant._id} on chain:`, error);
+    grant.revocation = { error: error.message };
+  }
+};
+
+// End the grants covering any of the permissions (all of them when none are
+// given). A grant keeps whatever permissions were not revoked; capability
+// tokens carrying a revoked permission are revoked with it.
+const revokeGrants = async (userId, deviceId, permissions, { revokedBy, reason }) => {
+  const grants = await AccessGrant.find({ userId, deviceId, status: 'active' });
+  const revokeAll = !Array.isArray(permissions) || permissions.length === 0;
+  let changed = 0;
+
+  for (const grant of grants) {
+    const remaining = revokeAll ? [] : grant.permissions.filter(permission => !permissions.includes(permission));
+    if (remaining.length === grant.permissions.length) continue;
+
+    await revokeTokens(
+      remaining.length > 0 ? { grantId: grant._id.toString(), actions: { $in: permissions } } : { grantId: grant._id.toString() },
+      { revokedBy, reason }
+    );
+
+    if (remaining.length > 0) {
+      grant.permissions = remaining;
+    } else {
+      grant.status = 'revoked';
+      grant.revokedAt = new Date();
+      grant.revokedBy = revokedBy;
+      grant.revocationReason = reason;
+    }
+    await grant.save();
+    changed++;
+  }
+
+  return changed;
+};
+
+// End one grant entirely, on chain as well, e.g. when a reviewer does not
+// re-confirm it
+const revokeGrant = async (grant, { revokedBy, reason }) => {
+  await revokeTokens({ grantId: grant._id.toString() }, { revokedBy, reason });
+  grant.status = 'revoked';
+  grant.revokedAt = new Date();
+  grant.revokedBy = revokedBy;
+  grant.revocationReason = reason;
+  await revokeOnChain(grant, reason);
+  await grant.save();
+  await invalidateSubject(grant.userId);
+
+  logger.auditLog('access_grant_revoked', revokedBy, grant.deviceId, {
+    grantId: grant._id.toString(),
+    userId: grant.userId,
+    permissions: grant.permissions,
+    reason,
+    transactionHash: grant.revocation.transactionHash || null
+  });
+
+  return grant;
+};
+
+// Whether policy would permit every permission of the grant right now, which
+// lets the grantee renew without going back through approval
+const policyPermitsRenewal = async (grant, user, device) => {
+  const subject = buildSubject(user);
+  const resource = buildResource(device);
+  for (const permission of grant.permissions) {
+    const outcome = await decide(subject, resource, permission, {}, { dryRun: true });
+    if (outcome.decision !== 'Permit') return false;
+  }
+  return true;
+};
+
+// Why the grant cannot be renewed until validUntil, with the status code to answer with
+// No grant is open-ended or runs for more than MAX_DAYS from now
+const lifetimeProblem = (field, until, now = new Date()) => {
+  if (until - now > MAX_DAYS * 24 * HOUR_MS) {
+    return { status: 400, message: `${field} must be within ${MAX_DAYS} days` };
+  }
+  return null;
+};
+
+const renewalProblem = (grant, validUntil, now = new Date()) => {
+  const until = new Date(validUntil);
+  if (!grant.isCurrent(now)) {
+    return { status: 409, message: `Grant is ${grant.status === 'active' ? 'not valid now' : grant.status}` };
+  }
+  if (!validUntil || Number.isNaN(until.getTime())) {
+    return { status: 400, message: 'validUntil must be a date' };
+  }
+  if (grant.validUntil && until <= grant.validUntil) {
+    return { status: 400, message: 'validUntil must be later than the current expiry' };
+  }
+  return lifetimeProblem('validUntil', until, now);
+};
+
+// Extend the window off-chain and re-grant on chain with the new expiry; an
+// on-chain failure is recorded on the renewal
+const renewGrant = async (grant, { validUntil, renewedBy, basis }) => {
+  const previousValidUntil = grant.validUntil;
+  const renewal = { renewedBy, previousValidUntil, validUntil: new Date(validUntil), basis };
+
+  try {
+    const [deviceKey, userKey] = await chainKeys(grant);
+    const iotAccessControl = await getIoTAccessControl();
+    const tx = await sendTransaction(iotAccessControl, 'grantAccess', [
+      deviceKey,
+      userKey,
+      grant.permissions,
+      grant.policyId || '',
+      Math.floor(renewal.validUntil.getTime() / 1000)
+    ]);
+    renewal.transactionHash = tx.transactionHash;
+  } catch (error) {
+    logger.error(`Failed to renew grant ${grant._id} on chain:`, error);
+    renewal.error = error.message;
+  }
+
+  grant.validUntil = renewal.validUntil;
+  grant.expiryNoticeAt = undefined;
+  grant.renewals.push(renewal);
+  await grant.save();
+
+  // Tokens from before the renewal end with the old window; a new one covers
+  // the renewed window and supersedes them. They stay valid if it cannot be issued.
+  let capabilityToken = null;
+  try {
+    const previousTokens = await CapabilityToken.find({ grantId: grant._id.toString(), revokedAt: { $exists: false } }).select('tokenId');
+    capabilityToken = await issueToken(grant, { issuedBy: renewedBy });
+    if (previousTokens.length > 0) {
+      await revokeTokens(
+        { tokenId: { $in: previousTokens.map(token => token.tokenId) } },
+        { revokedBy: renewedBy, reason: 'Superseded by grant renewal' }
+      );
+    }
+  } catch (error) {
+    logger.error(`Failed to reissue capability token for grant ${grant._id}:`, error);
+  }
+
+  logger.auditLog('access_grant_renewed', renewedBy, grant.deviceId, {
+    grantId: grant._id.toString(),
+    userId: grant.userId,
+    basis,
+    previousValidUntil: previousValidUntil ? previousValidUntil.toISOString() : null,
+    validUntil: grant.validUntil.toISOString(),
+    transactionHash: renewal.transactionHash || null,
+    tokenId: capabilityToken ? capabilityToken.record.tokenId : null
+  });
+
+  return { grant, capabilityToken };
+};
+
+// Expire grants whose window has closed and revoke them on chain (retrying
+// earlier on-chain failures), then warn grantees whose access ends soon
+const sweepGrants = async (now = new Date()) => {
+  const ended = await AccessGrant.find({
+    $or: [
+      { status: 'active', validUntil: { $lte: now } },
+      { status: 'expired', 'revocation.transactionHash': { $exists: false } }
+    ]
+  });
+
+  for (const grant of ended) {
+    const newlyExpired = grant.status === 'active';
+    grant.status = 'expired';
+    await revokeOnChain(grant, 'Grant expired');
+    await grant.save();
+
+    if (newlyExpired) {
+      await invalidateSubject(grant.userId);
+      logger.auditLog('access_grant_expired', 'grant-sweeper', grant.deviceId, {
+        grantId: grant._id.toString(),
+        userId: grant.userId,
+        permissions: grant.permissions,
+        validUntil: grant.validUntil.toISOString(),
+        transactionHash: grant.revocation.transactionHash || null
+      });
+      await notifyGrantee(grant, { type: 'access_expired', message: `Your access to ${grant.deviceId} has expired` });
+    }
+  }
+
+  const expiring = await AccessGrant.find({
+    status: 'active',
+    validUntil: { $gt: now, $lte: new Date(now.getTime() + NOTICE_HOURS * HOUR_MS) },
+    expiryNoticeAt: { $exists: false }
+  });
+
+  for (const grant of expiring) {
+    const hours = Math.max(1, Math.round((grant.validUntil - now) / HOUR_MS));
+    await notifyGrantee(grant, {
+      type: 'access_expiring',
+      message: `Your access to ${grant.deviceId} expires in ${hours}h`
+    });
+    grant.expiryNoticeAt = now;
+    await grant.save();
+  }
+
+  return { expired: ended.length, notified: expiring.length };
+};
+
+const startGrantSweeper = () => {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    // A slow sweep is not overlapped by the next one
+    if (sweeping) return;
+    sweeping = true;
+    sweepGrants()
+      .catch(error => logger.error('Grant sweep failed:', error))
+      .finally(() => { sweeping = false; });
+  }, SWEEP_INTERVAL_SECONDS * 1000);
+  sweepTimer.unref();
+  logger.info(`Grant sweeper running every ${SWEEP_INTERVAL_SECONDS}s`);
+};
+
+const stopGrantSweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  recordGrant,
+  grantWindowOpen,
+  revokeGrants,
+  revokeGrant,
+  policyPermitsRenewal,
+  lifetimeProblem,
+  renewalProblem,
+  renewGrant,
+  sweepGrants,
+  startGrantSweeper,
+  stopGrantSweeper
+};
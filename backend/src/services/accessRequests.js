@@ -0,0 +1,172 @@
+const AccessRequest = require('../models/AccessRequest');
+const logger = require('../utils/logger');
+const { buildResource } = require('./policyDecisionPoint');
+const { getIoTAccessControl, sendTransaction } = require('../config/blockchain');
+const { dynamicRuleActive } = require('./separationOfDuties');
+
+const list = (value) => value.split(',').map(entry => entry.trim()).filter(Boolean);
+
+// Who approves a request, step by step. device_owner is the device's owner (an
+// admin may stand in); any other step is decided by a user with that role.
+const APPROVAL_CHAINS = {
+  standard: list(process.env.APPROVAL_CHAIN_STANDARD || 'device_owner'),
+  critical: list(process.env.APPROVAL_CHAIN_CRITICAL || 'device_owner,admin')
+};
+// Devices of these types, or with a criticality attribute of "critical", take the critical chain
+const CRITICAL_DEVICE_TYPES = list(process.env.CRITICAL_DEVICE_TYPES || 'door_lock,security_panel');
+const REQUEST_TTL_HOURS = parseInt(process.env.ACCESS_REQUEST_TTL_HOURS) || 72;
+
+const sameAddress = (a, b) => Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+
+const chainFor = (device) => {
+  const resource = buildResource(device);
+  return CRITICAL_DEVICE_TYPES.includes(resource.type) || resource.attributes.criticality === 'critical'
+    ? 'critical'
+    : 'standard';
+};
+
+const canApprove = (approver, caller, deviceOwner) => (approver === 'device_owner'
+  ? caller.role === 'admin' || sameAddress(caller.address, deviceOwner)
+  : caller.role === approver);
+
+// Why the caller cannot decide the request now, with the status code to answer with
+const decisionProblem = (request, caller, now = new Date()) => {
+  if (request.status === 'pending' && request.expiresAt <= now) {
+    return { status: 409, message: 'Access request has expired' };
+  }
+  if (request.status !== 'pending') {
+    return { status: 409, message: `Access request is already ${request.status}` };
+  }
+  const step = request.currentStep();
+  if (!canApprove(step.approver, caller, request.deviceOwner)) {
+    return { status: 403, message: `Access request is awaiting approval by ${step.approver}` };
+  }
+  if (request.approvals.some(decided => decided.decidedBy === caller.id)) {
+    return { status: 403, message: 'Each approval step needs a different approver' };
+  }
+  return null;
+};
+
+// Pending requests whose current step the caller can decide
+const inboxFilter = (caller, now = new Date()) => {
+  const steps = [{ currentApprover: caller.role }];
+  if (caller.role === 'admin') {
+    steps.push({ currentApprover: 'device_owner' });
+  } else if (caller.address) {
+    steps.push({ currentApprover: 'device_owner', deviceOwner: caller.address.toLowerCase() });
+  }
+  const filter = {
+    status: 'pending',
+    expiresAt: { $gt: now },
+    'approvals.decidedBy': { $ne: caller.id },
+    $or: steps
+  };
+  // The caller's own requests are not theirs to approve
+  if (dynamicRuleActive('grant_approval')) {
+    filter.requestedBy = { $ne: caller.id };
+    filter.userId = { $ne: caller.id };
+  }
+  return filter;
+};
+
+// Requests nobody decided in time
+const expireRequests = async (now = new Date()) => {
+  const result = await AccessRequest.updateMany(
+    { status: 'pending', expiresAt: { $lte: now } },
+    { $set: { status: 'expired', currentApprover: null } }
+  );
+  return result.modifiedCount;
+};
+
+// Persist a request and submit it on chain. The request stands if the chain
+// submission fails; the failure is recorded on it.
+const createAccessRequest = async ({ device, user, requester, action, permissions, justification, attributes, location, timeConstraints }) => {
+  const chain = chainFor(device);
+  const approvers = APPROVAL_CHAINS[chain];
+
+  const request = new AccessRequest({
+    deviceId: device.deviceId,
+    deviceOwner: device.owner,
+    userId: user._id.toString(),
+    requestedBy: requester.id,
+    action,
+    permissions: Array.isArray(permissions) && permissions.length > 0 ? permissions : [action],
+    justification,
+    attributes: attributes || {},
+    location: location || {},
+    timeConstraints: timeConstraints || {},
+    chain,
+    approvals: approvers.map(approver => ({ approver })),
+    currentApprover: approvers[0],
+    expiresAt: new Date(Date.now() + REQUEST_TTL_HOURS * 60 * 60 * 1000)
+  });
+
+  try {
+    const iotAccessControl = await getIoTAccessControl();
+    const tx = await sendTransaction(iotAccessControl, 'requestAccess', [device.blockchainId, user.blockchainId, action]);
+    request.submission = { transactionHash: tx.transactionHash };
+  } catch (error) {
+    logger.error(`Failed to submit access request ${request._id} on chain:`, error);
+    request.submission = { error: error.message };
+  }
+
+  await request.save();
+  return request;
+};
+
+// Record the caller's decision on the current step. A denial ends the request;
+// an approval moves it to the next approver or, at the last step, approves it.
+const recordDecision = async (request, caller, decision, comment) => {
+  const step = request.currentStep();
+  step.status = decision;
+  step.decidedBy = caller.id;
+  step.decidedAt = new Date();
+  step.comment = comment;
+
+  const next = request.currentStep();
+  if (decision === 'denied') {
+    request.status = 'denied';
+    request.currentApprover = null;
+  } else if (next) {
+    request.currentApprover = next.approver;
+  } else {
+    request.status = 'approved';
+    request.currentApprover = null;
+  }
+  await request.save();
+
+  logger.auditLog(`access_request_${decision}`, caller.address, request.deviceId, {
+    requestId: request._id.toString(),
+    userId: request.userId,
+    approver: step.approver,
+    status: request.status
+  });
+
+  return request;
+};
+
+// Link the grant or deny transaction that carried out the decision
+const settleRequest = async (request, { transactionHash, reason }) => {
+  request.outcome = { transactionHash, reason, decidedAt: new Date() };
+  await request.save();
+  return request;
+};
+
+const cancelRequest = async (request, caller) => {
+  request.status = 'cancelled';
+  request.currentApprover = null;
+  request.cancelledBy = caller.id;
+  await request.save();
+  logger.auditLog('access_request_cancelled', caller.address, request.deviceId, { requestId: request._id.toString() });
+  return request;
+};
+
+module.exports = {
+  decisionProblem,
+  inboxFilter,
+  expireRequests,
+  createAccessRequest,
+  recordDecision,
+  settleRequest,
+  cancelRequest
+};
@@ -0,0 +1,148 @@
+const BreakGlass = require('../models/BreakGlass');
+const logger = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+const { getAuditLogger, sendTransaction } = require('../config/blockchain');
+
+const list = (value) => value.split(',').map(entry => entry.trim()).filter(Boolean);
+
+// Who may break the glass: privileged roles, plus members of the site groups
+// (fire and safety staff) who must never be locked out
+const BREAK_GLASS_ROLES = list(process.env.BREAK_GLASS_ROLES || 'admin,security_analyst');
+const BREAK_GLASS_GROUPS = list(process.env.BREAK_GLASS_GROUPS || 'fire_safety');
+const DEFAULT_MINUTES = parseInt(process.env.BREAK_GLASS_DEFAULT_MINUTES) || 30;
+const MAX_MINUTES = parseInt(process.env.BREAK_GLASS_MAX_MINUTES) || 240;
+
+const canInvoke = (role, user) => BREAK_GLASS_ROLES.includes(role) ||
+  (user.groups || []).some(group => BREAK_GLASS_GROUPS.includes(group));
+
+const logOnChain = async (eventType, grant, action) => {
+  const auditLogger = await getAuditLogger();
+  return sendTransaction(auditLogger, 'logEvent', [eventType, grant.userId, grant.deviceId, action]);
+};
+
+const raiseAlert = async (grant) => {
+  const alertId = `break-glass-${grant._id}`;
+  const alert = {
+    type: 'access',
+    severity: 'critical',
+    title: 'Break-glass access invoked',
+    message: `Emergency access to ${grant.deviceId} until ${grant.expiresAt.toISOString()}: ${grant.justification}`,
+    deviceId: grant.deviceId,
+    userId: grant.userId,
+    breakGlassId: grant._id.toString(),
+    status: 'active',
+    timestamp: Date.now()
+  };
+
+  const redis = getRedisClient();
+  await redis.hset(`alert:${alertId}`, alert);
+
+  if (global.io) {
+    global.io.to('monitoring').emit('security-alert', {
+      deviceId: grant.deviceId,
+      alert: { alertId, ...alert },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return alertId;
+};
+
+// Grant time-boxed access regardless of policy. The grant is saved before
+// anything else so access never waits on the chain or Redis; failures there are
+// recorded on the ticket for the reviewer.
+const invokeBreakGlass = async ({ user, device, actions = [], justification, durationMinutes = DEFAULT_MINUTES, actor }) => {
+  const grant = await BreakGlass.create({
+    userId: user._id.toString(),
+    deviceId: device.deviceId,
+    actions,
+    justification,
+    expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000)
+  });
+
+  try {
+    const tx = await logOnChain('break_glass_invoked', grant, actions.join(',') || '*');
+    grant.audit = { transactionHash: tx.transactionHash };
+  } catch (error) {
+    logger.error(`Failed to log break-glass ${grant._id} on chain:`, error);
+    grant.audit = { error: error.message };
+  }
+
+  try {
+    grant.alertId = await raiseAlert(grant);
+  } catch (error) {
+    logger.error(`Failed to raise alert for break-glass ${grant._id}:`, error);
+  }
+
+  await grant.save();
+
+  logger.auditLog('break_glass_invoked', actor, device.deviceId, {
+    breakGlassId: grant._id.toString(),
+    userId: grant.userId,
+    actions,
+    justification,
+    expiresAt: grant.expiresAt.toISOString(),
+    transactionHash: grant.audit.transactionHash || null
+  });
+
+  return grant;
+};
+
+// Count an access decision answered under the grant and log it on chain
+const recordUse = async (grant, action, channel) => {
+  await BreakGlass.updateOne({ _id: grant._id }, { $inc: { uses: 1 }, $set: { lastUsedAt: new Date() } });
+  logger.auditLog('break_glass_access', grant.userId, grant.deviceId, { breakGlassId: grant._id.toString(), action, channel });
+  logOnChain('break_glass_access', grant, action)
+    .catch(error => logger.error(`Failed to log break-glass ${grant._id} access on chain:`, error));
+};
+
+const endBreakGlass = async (grant, actor) => {
+  grant.endedAt = new Date();
+  grant.endedBy = actor;
+  await grant.save();
+  logger.auditLog('break_glass_ended', actor, grant.deviceId, { breakGlassId: grant._id.toString() });
+  return grant;
+};
+
+// Close the review ticket; the caller has checked the reviewer is a second admin
+const closeReview = async (grant, { reviewer, outcome, notes }) => {
+  grant.review = {
+    status: 'closed',
+    outcome,
+    notes,
+    reviewedBy: reviewer,
+    reviewedAt: new Date()
+  };
+  await grant.save();
+
+  if (grant.alertId) {
+    try {
+      await getRedisClient().hset(`alert:${grant.alertId}`, {
+        status: 'resolved',
+        resolvedBy: reviewer,
+        resolvedAt: Date.now()
+      });
+    } catch (error) {
+      logger.error(`Failed to resolve alert ${grant.alertId}:`, error);
+    }
+  }
+
+  logger.auditLog('break_glass_reviewed', reviewer, grant.deviceId, {
+    breakGlassId: grant._id.toString(),
+    userId: grant.userId,
+    outcome,
+    notes
+  });
+
+  return grant;
+};
+
+module.exports = {
+  DEFAULT_MINUTES,
+  MAX_MINUTES,
+  canInvoke,
+  invokeBreakGlass,
+  recordUse,
+  endBreakGlass,
+  closeReview
+};
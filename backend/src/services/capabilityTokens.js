@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const CapabilityToken = require('../models/CapabilityToken');
+const logger = require('../utils/logger');
+const { getSigningKey, sign } = require('../config/signingKey');
+
+// Signed capability tokens devices verify offline with the backend's public
+// signing key.
+//
+// A token is <claims>.<signature>, both base64url: the claims are JSON and the
+// Ed25519 signature covers the claims part as sent. Claims:
+//   v    format version (1)
+//   kid  signing key id
+//   jti  token id, listed in the revocation list once revoked
+//   sub  user the token was issued to
+//   dev  deviceId the token opens
+//   act  permitted actions
+//   nbf, exp  validity window, in seconds since the epoch
+//   use  how many times the device accepts the token
+//   gid  grant the token was issued from
+// The revocation list is signed the same way.
+
+const MAX_HOURS = parseInt(process.env.CAPABILITY_TOKEN_MAX_HOURS) || 24;
+const DEFAULT_USES = parseInt(process.env.CAPABILITY_TOKEN_DEFAULT_USES) || 20;
+const MAX_USES = parseInt(process.env.CAPABILITY_TOKEN_MAX_USES) || 100;
+const REVOCATION_LIST_TTL_SECONDS = parseInt(process.env.CAPABILITY_REVOCATION_LIST_TTL_SECONDS) || 300;
+const HOUR_MS = 60 * 60 * 1000;
+
+const signClaims = (claims) => {
+  const body = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${body}.${sign(body)}`;
+};
+
+const seconds = (date) => Math.floor(date.getTime() / 1000);
+
+const tokenStart = (grant, now) => (grant.validFrom > now ? grant.validFrom : now);
+
+// Why a token cannot be issued from the grant, with the status code to answer with
+const issueProblem = (grant, { actions, validUntil, maxUses }, now = new Date()) => {
+  if (grant.status !== 'active' || (grant.validUntil && grant.validUntil <= now)) {
+    return { status: 409, message: `Grant is ${grant.status === 'active' ? 'expired' : grant.status}` };
+  }
+  if (actions !== undefined && (!Array.isArray(actions) || actions.length === 0)) {
+    return { status: 400, message: 'actions must be a non-empty array' };
+  }
+  if (actions && actions.some(action => !grant.permissions.includes(action))) {
+    return { status: 400, message: `actions must be among the grant's permissions: ${grant.permissions.join(', ')}` };
+  }
+  if (validUntil !== undefined && Number.isNaN(new Date(validUntil).getTime())) {
+    return { status: 400, message: 'validUntil must be a date' };
+  }
+  if (validUntil !== undefined && new Date(validUntil) <= tokenStart(grant, now)) {
+    return { status: 400, message: 'validUntil must be after the start of the token window' };
+  }
+  if (maxUses !== undefined && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_USES)) {
+    return { status: 400, message: `maxUses must be an integer between 1 and ${MAX_USES}` };
+  }
+  return null;
+};
+
+// Issue a token for (part of) a grant. The window starts when the grant does
+// (or now) and ends at the earliest of the requested end, the grant's end and
+// CAPABILITY_TOKEN_MAX_HOURS, so a lost token does not open a door for long.
+const issueToken = async (grant, { actions, validUntil, maxUses, issuedBy }, now = new Date()) => {
+  const { keyId } = getSigningKey();
+  const validFrom = tokenStart(grant, now);
+  const ends = [new Date(validFrom.getTime() + MAX_HOURS * HOUR_MS)];
+  if (grant.validUntil) ends.push(grant.validUntil);
+  if (validUntil) ends.push(new Date(validUntil));
+  const end = new Date(Math.min(...ends.map(date => date.getTime())));
+
+  const record = await CapabilityToken.create({
+    tokenId: crypto.randomUUID(),
+    grantId: grant._id.toString(),
+    deviceId: grant.deviceId,
+    userId: grant.userId,
+    actions: actions || grant.permissions,
+    validFrom,
+    validUntil: end,
+    maxUses: maxUses || DEFAULT_USES,
+    keyId,
+    issuedBy
+  });
+
+  const token = signClaims({
+    v: 1,
+    kid: keyId,
+    jti: record.tokenId,
+    sub: record.userId,
+    dev: record.deviceId,
+    act: record.actions,
+    nbf: seconds(record.validFrom),
+    exp: seconds(record.validUntil),
+    use: record.maxUses,
+    gid: record.grantId
+  });
+
+  logger.auditLog('capability_token_issued', issuedBy, record.deviceId, {
+    tokenId: record.tokenId,
+    grantId: record.grantId,
+    userId: record.userId,
+    actions: record.actions,
+    validUntil: record.validUntil.toISOString(),
+    maxUses: record.maxUses
+  });
+
+  return { token, record };
+};
+
+// Revoke every unrevoked token matching the filter; returns how many were revoked
+const revokeTokens = async (filter, { revokedBy, reason }) => {
+  const result = await CapabilityToken.updateMany(
+    { ...filter, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedBy, revocationReason: reason } }
+  );
+  if (result.modifiedCount > 0) {
+    logger.auditLog('capability_tokens_revoked', revokedBy, 'capability_tokens', {
+      filter,
+      reason,
+      count: result.modifiedCount
+    });
+  }
+  return result.modifiedCount;
+};
+
+// Revoked tokens that have not expired yet; expired ones are refused anyway.
+// Devices should fetch a new list before nextUpdate and refuse tokens once the
+// last one they verified is past it.
+const revocationList = async (now = new Date()) => {
+  const { keyId } = getSigningKey();
+  const revoked = await CapabilityToken.find({ revokedAt: { $exists: true }, validUntil: { $gt: now } })
+    .select('tokenId validUntil')
+    .lean();
+
+  const claims = {
+    v: 1,
+    kid: keyId,
+    iat: seconds(now),
+    nextUpdate: seconds(now) + REVOCATION_LIST_TTL_SECONDS,
+    revoked: revoked.map(token => ({ jti: token.tokenId, exp: seconds(token.validUntil) }))
+  };
+
+  return { list: signClaims(claims), ...claims };
+};
+
+module.exports = {
+  issueProblem,
+  issueToken,
+  revokeTokens,
+  revocationList
+};
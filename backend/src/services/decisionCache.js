@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Cached access decisions.
+//
+// Entries are keyed by the normalized (subject, resource, action, algorithm,
+// context) and the minute the request falls in, so time-of-day rules, which
+// have minute granularity, are never answered from another minute. Invalidation
+// bumps a generation counter that is part of every key: per subject, per
+// device, per action (for policy changes) and a global one. Old entries are
+// never read again and expire on their own.
+
+const TTL_SECONDS = parseInt(process.env.DECISION_CACHE_TTL_SECONDS) || 60;
+const BUCKET_MS = 60 * 1000;
+const PREFIX = 'decision_cache';
+const STATS = ['hits', 'misses', 'stores', 'bypassed', 'invalidations', 'errors'];
+
+const generationKey = (scope, id) => (id === undefined ? `${PREFIX}:gen:${scope}` : `${PREFIX}:gen:${scope}:${id}`);
+
+// Sorted-key JSON, so equal contexts give equal keys whatever the property order
+const stableJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const countStat = (stat) => {
+  try {
+    getRedisClient().incr(`${PREFIX}:stats:${stat}`).catch(() => {});
+  } catch (error) {
+    // Statistics are best effort
+  }
+};
+
+// Look up a decision. Each channel keeps its own entries, since what they cache
+// alongside the decision differs. Resolves to { key, entry }; entry is null on a
+// miss and key is null when the cache is unavailable. Never rejects.
+const lookupDecision = async ({ channel, subjectId, resourceId, action, algorithm, context = {}, now = Date.now() }) => {
+  try {
+    const redis = getRedisClient();
+    const generations = await redis.mget(
+      generationKey('global'),
+      generationKey('subject', subjectId),
+      generationKey('resource', resourceId),
+      generationKey('action', action)
+    );
+
+    const key = `${PREFIX}:entry:${crypto.createHash('sha256').update(stableJson({
+      generations: generations.map(generation => generation || '0'),
+      channel,
+      subjectId,
+      resourceId,
+      action,
+      algorithm,
+      bucket: Math.floor(now / BUCKET_MS),
+      context: {
+        attributes: context.attributes,
+        location: context.location,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      }
+    })).digest('hex')}`;
+
+    const cached = await redis.get(key);
+    countStat(cached ? 'hits' : 'misses');
+    return { key, entry: cached ? JSON.parse(cached) : null };
+  } catch (error) {
+    logger.error('Decision cache lookup failed:', error);
+    countStat('errors');
+    return { key: null, entry: null };
+  }
+};
+
+// Store a decision until the end of its minute, or the TTL if sooner
+const storeDecision = async (key, entry, now = Date.now()) => {
+  if (!key) return;
+  const ttlMs = Math.min(TTL_SECONDS * 1000, BUCKET_MS - (now % BUCKET_MS));
+
+  try {
+    await getRedisClient().set(key, JSON.stringify(entry), 'PX', ttlMs);
+    countStat('stores');
+  } catch (error) {
+    logger.error('Decision cache store failed:', error);
+    countStat('errors');
+  }
+};
+
+// Resolves to whether the invalidation went through; callers changing data never fail on it
+const bump = async (keys) => {
+  try {
+    const pipeline = getRedisClient().pipeline();
+    keys.forEach(key => pipeline.incr(key));
+    pipeline.incrby(`${PREFIX}:stats:invalidations`, keys.length);
+    await pipeline.exec();
+    return true;
+  } catch (error) {
+    logger.error('Decision cache invalidation failed:', error);
+    return false;
+  }
+};
+
+const invalidateSubject = (subjectId) => bump([generationKey('subject', String(subjectId))]);
+const invalidateResource = (resourceId) => bump([generationKey('resource', resourceId)]);
+const invalidateActions = (actions) => bump(Array.from(new Set(actions)).map(action => generationKey('action', action)));
+const invalidateAll = () => bump([generationKey('global')]);
+
+const getCacheStats = async () => {
+  const values = await getRedisClient().mget(...STATS.map(stat => `${PREFIX}:stats:${stat}`));
+  const stats = STATS.reduce((result, stat, index) => ({ ...result, [stat]: parseInt(values[index]) || 0 }), {});
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    ...stats,
+    lookups,
+    hitRate: lookups > 0 ? stats.hits / lookups : 0,
+    ttlSeconds: TTL_SECONDS
+  };
+};
+
+module.exports = {
+  lookupDecision,
+  storeDecision,
+  countStat,
+  invalidateSubject,
+  invalidateResource,
+  invalidateActions,
+  invalidateAll,
+  getCacheStats
+};
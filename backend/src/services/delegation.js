@@ -0,0 +1,246 @@
+const Delegation = require('../models/Delegation');
+const logger = require('../utils/logger');
+const { getAuditLogger, sendTransaction } = require('../config/blockchain');
+
+const MAX_DEPTH = parseInt(process.env.DELEGATION_MAX_DEPTH) || 3;
+const MAX_DAYS = parseInt(process.env.DELEGATION_MAX_DAYS) || 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sameAddress = (a, b) => Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+
+const idOf = (link) => link._id.toString();
+
+const validateDelegationInput = ({ permissions, expiresAt, maxDepth, canRedelegate }, now = new Date()) => {
+  const errors = [];
+
+  if (!Array.isArray(permissions) || permissions.length === 0 ||
+    permissions.some(permission => typeof permission !== 'string' || permission === '')) {
+    errors.push('permissions: must be a non-empty array of actions');
+  }
+
+  const expiry = new Date(expiresAt);
+  if (!expiresAt || Number.isNaN(expiry.getTime())) {
+    errors.push('expiresAt: must be a date');
+  } else if (expiry <= now) {
+    errors.push('expiresAt: must be in the future');
+  } else if (expiry - now > MAX_DAYS * DAY_MS) {
+    errors.push(`expiresAt: must be within ${MAX_DAYS} days`);
+  }
+
+  if (maxDepth !== undefined && (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > MAX_DEPTH)) {
+    errors.push(`maxDepth: must be between 1 and ${MAX_DEPTH}`);
+  }
+  if (canRedelegate !== undefined && typeof canRedelegate !== 'boolean') {
+    errors.push('canRedelegate: must be a boolean');
+  }
+
+  return errors;
+};
+
+// The links from the owner down to and including a delegation; a link that no
+// longer exists is left as null
+const loadChain = async (delegation) => {
+  const ancestors = await Delegation.find({ _id: { $in: delegation.ancestors } });
+  const byId = new Map(ancestors.map(link => [idOf(link), link]));
+  return delegation.ancestors.map(id => byId.get(id.toString()) || null).concat(delegation);
+};
+
+// Why a chain no longer confers its permissions on the device, or null when
+// every link holds
+const chainProblem = (chain, device, now = new Date()) => {
+  if (chain.some(link => !link)) {
+    return 'a delegation in the chain no longer exists';
+  }
+
+  const [first] = chain;
+  if (!sameAddress(first.ownerAddress, device.owner)) {
+    return 'the device has changed owner since the chain was started';
+  }
+
+  for (let index = 0; index < chain.length; index++) {
+    const link = chain[index];
+    const parent = index > 0 ? chain[index - 1] : null;
+
+    if (link.hash !== Delegation.hashLink(link, parent ? parent.hash : null)) {
+      return `delegation ${idOf(link)} does not match its hash`;
+    }
+    if (link.deviceId !== device.deviceId) {
+      return `delegation ${idOf(link)} is for another device`;
+    }
+    if (link.revokedAt) {
+      return `delegation ${idOf(link)} was revoked`;
+    }
+    if (link.expiresAt <= now) {
+      return `delegation ${idOf(link)} has expired`;
+    }
+    if (link.depth !== index + 1 || link.depth > first.maxDepth) {
+      return `delegation ${idOf(link)} is deeper than the chain allows`;
+    }
+    if (parent) {
+      if (!parent.canRedelegate) {
+        return `delegation ${idOf(parent)} may not be re-delegated`;
+      }
+      if (link.delegator !== parent.delegate) {
+        return `delegation ${idOf(link)} was not made by the delegate of ${idOf(parent)}`;
+      }
+      if (link.permissions.some(permission => !parent.permissions.includes(permission))) {
+        return `delegation ${idOf(link)} passes on permissions ${idOf(parent)} does not hold`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// A delegation giving the subject the action on the device through a chain that
+// holds end to end, with that chain, or null
+const findDelegatedAccess = async (subjectId, device, action, now = new Date()) => {
+  const candidates = await Delegation.find({
+    delegate: subjectId,
+    deviceId: device.deviceId,
+    permissions: action,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: now }
+  }).sort({ expiresAt: -1 });
+
+  for (const delegation of candidates) {
+    const chain = await loadChain(delegation);
+    if (!chainProblem(chain, device, now)) {
+      return { delegation, chain };
+    }
+  }
+  return null;
+};
+
+// Why the caller may not make a delegation. parentChain is the chain ending in
+// the caller's own delegation when re-delegating; without one the caller must
+// own the device (or be an admin acting for the owner).
+const authorityProblems = ({ caller, device, delegate, permissions, expiresAt, maxDepth, parentChain }, now = new Date()) => {
+  if (delegate === caller.id) {
+    return ['delegate: cannot delegate to yourself'];
+  }
+
+  if (!parentChain) {
+    if (!sameAddress(caller.address, device.owner) && caller.role !== 'admin') {
+      return ['only the device owner may start a delegation chain'];
+    }
+    return [];
+  }
+
+  const parent = parentChain[parentChain.length - 1];
+  const errors = [];
+
+  if (parent.delegate !== caller.id) {
+    return [`parentId: delegation ${idOf(parent)} was not made to you`];
+  }
+  const problem = chainProblem(parentChain, device, now);
+  if (problem) {
+    return [`parentId: ${problem}`];
+  }
+
+  if (!parent.canRedelegate) {
+    errors.push(`parentId: delegation ${idOf(parent)} may not be re-delegated`);
+  } else if (parent.depth + 1 > parent.maxDepth) {
+    errors.push(`parentId: the chain is already ${parent.maxDepth} delegations deep`);
+  }
+  if (maxDepth !== undefined) {
+    errors.push('maxDepth: set by the device owner on the first delegation');
+  }
+  const missing = (permissions || []).filter(permission => !parent.permissions.includes(permission));
+  if (missing.length > 0) {
+    errors.push(`permissions: ${missing.join(', ')} not held by delegation ${idOf(parent)}`);
+  }
+  if (new Date(expiresAt) > parent.expiresAt) {
+    errors.push(`expiresAt: cannot outlast delegation ${idOf(parent)} (${parent.expiresAt.toISOString()})`);
+  }
+  if (parentChain.some(link => link.delegator === delegate)) {
+    errors.push('delegate: already part of the delegation chain');
+  }
+
+  return errors;
+};
+
+const logOnChain = async (eventType, delegation, detail) => {
+  const auditLogger = await getAuditLogger();
+  return sendTransaction(auditLogger, 'logEvent', [eventType, delegation.delegator, delegation.deviceId, detail]);
+};
+
+// Save a delegation the caller has authority for and anchor its hash on chain.
+// Anchoring failures are recorded on the delegation; they do not undo it.
+const createDelegation = async ({ caller, device, delegate, permissions, canRedelegate = false, expiresAt, maxDepth = MAX_DEPTH, parentChain }) => {
+  const parent = parentChain ? parentChain[parentChain.length - 1] : null;
+  const link = {
+    deviceId: device.deviceId,
+    delegator: caller.id,
+    delegate,
+    permissions,
+    canRedelegate,
+    maxDepth: parent ? parent.maxDepth : maxDepth,
+    depth: parent ? parent.depth + 1 : 1,
+    ownerAddress: parent ? parent.ownerAddress : device.owner,
+    expiresAt: new Date(expiresAt)
+  };
+
+  const delegation = new Delegation({
+    ...link,
+    parent: parent ? parent._id : null,
+    ancestors: parent ? parent.ancestors.concat(parent._id) : [],
+    hash: Delegation.hashLink(link, parent ? parent.hash : null)
+  });
+
+  try {
+    const tx = await logOnChain('delegation_granted', delegation, delegation.hash);
+    delegation.anchor = { transactionHash: tx.transactionHash };
+  } catch (error) {
+    logger.error(`Failed to anchor delegation ${delegation._id}:`, error);
+    delegation.anchor = { error: error.message };
+  }
+
+  await delegation.save();
+
+  logger.auditLog('delegation_granted', caller.address, device.deviceId, {
+    delegationId: idOf(delegation),
+    delegate,
+    permissions,
+    depth: delegation.depth,
+    expiresAt: delegation.expiresAt.toISOString()
+  });
+
+  return delegation;
+};
+
+// The owner, an admin or anyone who delegated along the chain may revoke a link
+const canRevoke = (chain, caller, device) => caller.role === 'admin' ||
+  sameAddress(caller.address, device.owner) ||
+  chain.some(link => link && link.delegator === caller.id);
+
+// Revoke a delegation and every delegation made from it, however far down
+const revokeDelegation = async (delegation, { revokedBy, reason }) => {
+  const result = await Delegation.updateMany(
+    { $or: [{ _id: delegation._id }, { ancestors: delegation._id }], revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedBy, revocationReason: reason } }
+  );
+
+  logOnChain('delegation_revoked', delegation, delegation.hash)
+    .catch(error => logger.error(`Failed to log revocation of delegation ${delegation._id} on chain:`, error));
+
+  logger.auditLog('delegation_revoked', revokedBy, delegation.deviceId, {
+    delegationId: idOf(delegation),
+    reason,
+    revoked: result.modifiedCount
+  });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  MAX_DEPTH,
+  validateDelegationInput,
+  loadChain,
+  chainProblem,
+  findDelegatedAccess,
+  authorityProblems,
+  createDelegation,
+  canRevoke,
+  revokeDelegation
+};
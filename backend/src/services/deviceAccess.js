@@ -0,0 +1,335 @@
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const User = require('../models/User');
+const AccessLog = require('../models/AccessLog');
+const BreakGlass = require('../models/BreakGlass');
+const logger = require('../utils/logger');
+const { getIoTAccessControl } = require('../config/blockchain');
+const { getRedisClient } = require('../config/redis');
+const { verifyRequestSignature } = require('../utils/deviceSignature');
+const { decide, buildSubject, buildResource } = require('./policyDecisionPoint');
+const { enforceObligations } = require('./obligationEnforcement');
+const { lookupDecision, storeDecision, countStat } = require('./decisionCache');
+const { recordUse } = require('./breakGlass');
+const { findDelegatedAccess } = require('./delegation');
+const { grantWindowOpen } = require('./accessGrants');
+const { refundUsage } = require('./usageCounter');
+
+// Requests signed longer ago than this (or this far in the future) are refused as replays
+const REQUEST_MAX_AGE_SECONDS = parseInt(process.env.MQTT_REQUEST_MAX_AGE_SECONDS) || 30;
+// Devices get a denial rather than no answer when deciding takes longer
+const DECISION_TIMEOUT_MS = parseInt(process.env.MQTT_DECISION_TIMEOUT_MS) || 3000;
+// How long a correlation ID is remembered, so redelivered requests get the first answer
+const DEDUPE_TTL_SECONDS = parseInt(process.env.MQTT_DEDUPE_TTL_SECONDS) || 300;
+const DEDUPE_PREFIX = 'mqtt_access';
+const PENDING = 'pending';
+
+const findUser = (userId) => (mongoose.isValidObjectId(userId)
+  ? User.findById(userId)
+  : User.findOne({ $or: [{ address: userId }, { username: userId }] }));
+
+const baseResponse = (deviceId, payload) => ({
+  correlationId: payload.correlationId || payload.requestId,
+  requestId: payload.requestId,
+  deviceId,
+  userId: payload.userId,
+  action: payload.action,
+  granted: false,
+  decision: 'Deny',
+  obligations: [],
+  expiresAt: null
+});
+
+const denial = (deviceId, payload, reason) => ({
+  ...baseResponse(deviceId, payload),
+  reason,
+  timestamp: new Date().toISOString()
+});
+
+// Why the request does not come from the device it names, or null when it does
+const authenticationProblem = (device, payload, now = Date.now()) => {
+  if (!device) return 'Device not found';
+  if (device.status !== 'active') return `Device is ${device.status}`;
+  if (!device.publicKey) return 'Device has no registered public key';
+
+  const signedAt = new Date(payload.timestamp).getTime();
+  if (Number.isNaN(signedAt) || Math.abs(now - signedAt) > REQUEST_MAX_AGE_SECONDS * 1000) {
+    return 'Request timestamp is missing or outside the allowed window';
+  }
+  if (!verifyRequestSignature(device.publicKey, { ...payload, deviceId: device.deviceId }, payload.signature)) {
+    return 'Invalid request signature';
+  }
+  return null;
+};
+
+// Remember the correlation ID. Resolves to { first: true } for a new request,
+// otherwise to the answer already given (null while the first copy is still
+// being decided). Without Redis every copy is decided.
+const claimCorrelationId = async (key) => {
+  try {
+    const redis = getRedisClient();
+    if (await redis.set(key, PENDING, 'EX', DEDUPE_TTL_SECONDS, 'NX')) {
+      return { first: true };
+    }
+    const answer = await redis.get(key);
+    return { first: false, response: answer && answer !== PENDING ? JSON.parse(answer) : null };
+  } catch (error) {
+    logger.error('MQTT request deduplication failed:', error);
+    return { first: true };
+  }
+};
+
+const rememberResponse = async (key, response) => {
+  try {
+    await getRedisClient().set(key, JSON.stringify(response), 'EX', DEDUPE_TTL_SECONDS);
+  } catch (error) {
+    logger.error('Failed to remember MQTT access response:', error);
+  }
+};
+
+// Race the work against the timeout, aborting the work when the timeout wins
+const withTimeout = (work, ms, onTimeout) => {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      controller.abort(new Error('Access decision timed out'));
+      resolve(onTimeout());
+    }, ms);
+  });
+  return Promise.race([work(controller.signal), timeout]).finally(() => clearTimeout(timer));
+};
+
+// Decide an access request a device sent over MQTT and carry out the decision's
+// obligations. Anything that goes wrong is a denial; devices never get an error.
+// Once signal is aborted the device has been answered with a denial, so the
+// decision is abandoned at the next step: no break-glass use or obligation is
+// recorded, usage it consumed is refunded and nothing is logged as granted.
+const decideDeviceRequest = async (device, payload, signal) => {
+  const { deviceId } = device;
+  const { userId, action, attributes = {}, location, stepUpCode } = payload;
+  const response = baseResponse(deviceId, payload);
+  let charge = null;
+  const abandonIfAborted = async () => {
+    if (!signal || !signal.aborted) return;
+    await refundUsage(charge).catch(error => logger.error('Failed to refund rule usage:', error));
+    charge = null;
+    signal.throwIfAborted();
+  };
+
+  try {
+    const user = await findUser(userId);
+    if (!user) {
+      return { ...response, reason: 'User not found', timestamp: new Date().toISOString() };
+    }
+
+    const subject = buildSubject(user);
+    const resource = buildResource(device);
+    const context = { attributes, location };
+
+    // Fire and safety staff with break-glass access are never turned away by policy
+    const emergency = await BreakGlass.findActive(subject.id, resource.id, action);
+    if (emergency) {
+      await abandonIfAborted();
+      await recordUse(emergency, action, 'mqtt');
+
+      AccessLog.create({
+        subject,
+        resource,
+        userId: subject.id,
+        deviceId,
+        action,
+        context,
+        decision: 'Permit',
+        allowed: true,
+        reason: 'Break-glass access',
+        policyIds: [],
+        breakGlassId: emergency._id.toString(),
+        source: 'mqtt'
+      }).catch(error => logger.error('Failed to record access decision:', error));
+
+      return {
+        ...response,
+        granted: true,
+        decision: 'Permit',
+        reason: 'Break-glass access',
+        policyIds: [],
+        breakGlassId: emergency._id.toString(),
+        expiresAt: emergency.expiresAt.toISOString(),
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // Card readers and locks need an answer fast; repeats come from the cache
+    const cached = await lookupDecision({ channel: 'mqtt', subjectId: subject.id, resourceId: resource.id, action, context });
+    let decision;
+    let onChainAccess = false;
+    if (cached.entry) {
+      ({ decision, onChainAccess } = cached.entry);
+    } else {
+      decision = await decide(subject, resource, action, context);
+      charge = decision.usageCharge || null;
+      await abandonIfAborted();
+
+      // As with /api/access/check, the on-chain grant decides when no policy applies
+      if (decision.decision === 'NotApplicable') {
+        const iotAccessControl = await getIoTAccessControl();
+        onChainAccess = Boolean(await iotAccessControl.methods.checkAccess(
+          device.blockchainId,
+          user.blockchainId,
+          action,
+          JSON.stringify(attributes),
+          JSON.stringify(location || {})
+        ).call());
+      }
+
+      if (cached.key && decision.cacheable) {
+        storeDecision(cached.key, { decision, onChainAccess });
+      } else if (cached.key) {
+        countStat('bypassed');
+      }
+    }
+
+    await abandonIfAborted();
+    const enforcement = await enforceObligations(decision, {
+      user,
+      device,
+      subject,
+      resource,
+      action,
+      stepUpCode,
+      // Entered at the device by the user presenting their credential
+      callerId: user._id.toString(),
+      channel: 'mqtt'
+    });
+    // A refused permit has had its usage refunded already
+    if (!enforcement.allowed) charge = null;
+
+    // As with /api/access/check, an on-chain grant only counts inside its stored window
+    if (decision.decision === 'NotApplicable' && onChainAccess) {
+      onChainAccess = await grantWindowOpen(subject.id, resource.id, action) !== false;
+    }
+
+    // Contractors holding a delegation from the owner get in without an on-chain grant
+    let delegated = null;
+    if (decision.decision === 'NotApplicable' && !onChainAccess) {
+      delegated = await findDelegatedAccess(subject.id, device, action);
+    }
+
+    const granted = decision.decision === 'NotApplicable' ? onChainAccess || Boolean(delegated) : enforcement.allowed;
+    let reason = enforcement.reason;
+    if (decision.decision === 'NotApplicable') {
+      reason = granted ? 'Access granted' : 'Access denied';
+      if (delegated) reason = 'Access granted by delegation';
+    }
+
+    await abandonIfAborted();
+    AccessLog.create({
+      subject,
+      resource,
+      userId: subject.id,
+      deviceId,
+      action,
+      context,
+      decision: decision.decision,
+      allowed: granted,
+      onChainAccess,
+      reason,
+      algorithm: decision.algorithm,
+      policyIds: decision.policyIds,
+      obligations: enforcement.obligations.map(({ type, policyId, fulfilled, error }) => ({ type, policyId, fulfilled, error })),
+      delegationId: delegated ? delegated.delegation._id.toString() : undefined,
+      source: 'mqtt'
+    }).catch(error => logger.error('Failed to record access decision:', error));
+
+    return {
+      ...response,
+      granted,
+      decision: decision.decision,
+      reason,
+      policyIds: decision.policyIds,
+      delegationChain: delegated ? delegated.chain.map(link => link.toChainLink()) : null,
+      cached: Boolean(cached.entry),
+      // The device carries out what it can, e.g. relocking when access lapses
+      obligations: enforcement.obligations.map(({ type, parameters, fulfilled, error, result }) => ({ type, parameters, fulfilled, error, result })),
+      expiresAt: granted ? (delegated ? delegated.delegation.expiresAt.toISOString() : enforcement.expiresAt) : null,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    if (signal && signal.aborted) {
+      await abandonIfAborted().catch(() => {});
+      return denial(deviceId, payload, 'Access decision timed out');
+    }
+    logger.error(`MQTT access decision failed for device ${deviceId}:`, error);
+    return { ...response, reason: 'Access decision failed', timestamp: new Date().toISOString() };
+  }
+};
+
+// The MQTT enforcement flow: authenticate the device, drop or replay
+// redelivered requests, and decide within the timeout. Resolves to the answer
+// to publish on the device's decision topic, or null when there is none to send.
+const handleDeviceAccessRequest = async (deviceId, payload) => {
+  const correlationId = payload.correlationId || payload.requestId;
+  if (!correlationId) {
+    return denial(deviceId, payload, 'correlationId is required');
+  }
+
+  // Authenticate before deduplicating, so an unsigned message cannot claim the
+  // correlation ID of a genuine request and have its denial replayed to it
+  let device;
+  try {
+    device = await Device.findOne({ deviceId });
+  } catch (error) {
+    logger.error(`MQTT access request ${correlationId} from device ${deviceId} failed:`, error);
+    return denial(deviceId, payload, 'Access decision failed');
+  }
+  const problem = authenticationProblem(device, payload);
+  if (problem) {
+    logger.securityAlert(deviceId, 'device_authentication_failed', { correlationId, reason: problem });
+    return denial(deviceId, payload, `Device authentication failed: ${problem}`);
+  }
+
+  const key = `${DEDUPE_PREFIX}:${deviceId}:${correlationId}`;
+  const claim = await claimCorrelationId(key);
+  if (!claim.first) {
+    logger.info(`Duplicate MQTT access request ${correlationId} from device ${deviceId}`);
+    return claim.response ? { ...claim.response, duplicate: true } : null;
+  }
+
+  let response;
+  try {
+    response = await withTimeout(
+      signal => decideDeviceRequest(device, payload, signal),
+      DECISION_TIMEOUT_MS,
+      () => {
+        logger.warn(`MQTT access decision ${correlationId} for device ${deviceId} timed out after ${DECISION_TIMEOUT_MS}ms`);
+        const timedOut = denial(deviceId, payload, 'Access decision timed out');
+        // Log the denial the device received; the abandoned decision logs nothing
+        AccessLog.create({
+          subject: { id: String(payload.userId) },
+          resource: buildResource(device),
+          userId: String(payload.userId),
+          deviceId,
+          action: payload.action,
+          context: { attributes: payload.attributes, location: payload.location },
+          decision: 'Deny',
+          allowed: false,
+          reason: timedOut.reason,
+          policyIds: [],
+          source: 'mqtt'
+        }).catch(error => logger.error('Failed to record access decision:', error));
+        return timedOut;
+      }
+    );
+  } catch (error) {
+    logger.error(`MQTT access request ${correlationId} from device ${deviceId} failed:`, error);
+    response = denial(deviceId, payload, 'Access decision failed');
+  }
+
+  await rememberResponse(key, response);
+  return response;
+};
+
+module.exports = {
+  handleDeviceAccessRequest
+};
@@ -0,0 +1,216 @@
+const Device = require('../models/Device');
+const logger = require('../utils/logger');
+const { STEP_SECONDS, matchingStep } = require('../utils/totp');
+const { publishWithAck } = require('../config/mqtt');
+const { getRedisClient } = require('../config/redis');
+const { refundUsage } = require('./usageCounter');
+
+const LOG_LEVELS = { low: 'info', medium: 'info', high: 'warn', critical: 'error' };
+
+// Checks that gate access run before anything with side effects
+const PRECONDITIONS = ['step_up_auth'];
+
+// Failed step-up codes a user may enter before step-up is locked for the period
+const STEP_UP_MAX_FAILURES = parseInt(process.env.STEP_UP_MAX_FAILURES) || 5;
+const STEP_UP_LOCKOUT_SECONDS = parseInt(process.env.STEP_UP_LOCKOUT_SECONDS) || 900;
+
+// Count a failed step-up code against the user, expiring with the lockout
+const recordStepUpFailure = async (redis, key) => {
+  const failures = await redis.incr(key);
+  if (failures === 1) {
+    await redis.expire(key, STEP_UP_LOCKOUT_SECONDS);
+  }
+};
+
+// Each handler resolves to what it did, or throws when the obligation cannot be met.
+// request: { user, device, subject, resource, action, decision, stepUpCode, callerId, channel, apply, now }
+// callerId is whoever supplied the step-up code: the authenticated API user,
+// or the user at the device for MQTT requests.
+const handlers = {
+  // A code counts only when the user being authorised supplied it, once, and
+  // while they are not locked out by failed attempts
+  step_up_auth: async (entry, request) => {
+    const security = (request.user && request.user.security) || {};
+    if (!security.twoFactorEnabled || !security.twoFactorSecret) {
+      throw new Error('Two-factor authentication is not set up for this user');
+    }
+    if (!request.stepUpCode) {
+      throw new Error('Two-factor code required');
+    }
+    const userId = request.user._id.toString();
+    if (!request.callerId || String(request.callerId) !== userId) {
+      throw new Error('Two-factor code must be supplied by the user being authorised');
+    }
+
+    const redis = getRedisClient();
+    const failureKey = `step_up_failures:${userId}`;
+    const failures = parseInt(await redis.get(failureKey)) || 0;
+    if (failures >= STEP_UP_MAX_FAILURES) {
+      throw new Error('Too many failed two-factor codes; try again later');
+    }
+
+    const step = matchingStep(security.twoFactorSecret, request.stepUpCode, { now: request.now });
+    if (step === null) {
+      await recordStepUpFailure(redis, failureKey);
+      throw new Error('Invalid two-factor code');
+    }
+    // Remembered for as long as the code is accepted, so it cannot be replayed
+    if (!await redis.set(`step_up_used:${userId}:${step}`, '1', 'EX', STEP_SECONDS * 3, 'NX')) {
+      await recordStepUpFailure(redis, failureKey);
+      throw new Error('Two-factor code already used');
+    }
+    await redis.del(failureKey);
+    return { verified: true };
+  },
+
+  notify_owner: async (entry, request) => {
+    const owner = request.device && request.device.owner;
+    if (!owner) {
+      throw new Error('Device has no owner to notify');
+    }
+
+    const notification = {
+      type: 'access_notification',
+      deviceId: request.resource.id,
+      userId: request.subject.id,
+      action: request.action,
+      decision: request.decision,
+      message: entry.parameters.message,
+      timestamp: new Date(request.now).toISOString()
+    };
+
+    await publishWithAck(`iot/users/${owner}/notifications`, notification);
+    if (global.io) {
+      global.io.to(`device-${request.resource.id}`).emit('owner-notification', notification);
+    }
+    return { owner };
+  },
+
+  record_video: async (entry, request) => {
+    const { cameraId, durationSeconds = 60 } = entry.parameters;
+    const camera = await Device.findOne({ deviceId: cameraId });
+    if (!camera) {
+      throw new Error(`Camera ${cameraId} not found`);
+    }
+    if (camera.status !== 'active') {
+      throw new Error(`Camera ${cameraId} is ${camera.status}`);
+    }
+
+    await publishWithAck(`iot/devices/${cameraId}/commands`, {
+      type: 'command',
+      action: 'record',
+      durationSeconds,
+      trigger: {
+        deviceId: request.resource.id,
+        userId: request.subject.id,
+        action: request.action
+      },
+      timestamp: new Date(request.now).toISOString()
+    });
+    return { cameraId, durationSeconds };
+  },
+
+  log: async (entry, request) => {
+    const severity = entry.parameters.severity || 'high';
+    logger[LOG_LEVELS[severity]](
+      `Access Obligation Log [${entry.policyId}]: ${request.subject.id} -> ${request.resource.id} (${request.action}) = ${request.decision}`,
+      {
+        severity,
+        message: entry.parameters.message,
+        policyId: entry.policyId,
+        ruleIndex: entry.ruleIndex,
+        userId: request.subject.id,
+        deviceId: request.resource.id,
+        action: request.action,
+        decision: request.decision,
+        channel: request.channel
+      }
+    );
+    return { severity };
+  },
+
+  limit_duration: async (entry, request) => ({
+    expiresAt: new Date(request.now + entry.parameters.maxDurationSeconds * 1000).toISOString()
+  })
+};
+
+const run = async (entry, request) => {
+  try {
+    const result = await handlers[entry.type]({ ...entry, parameters: entry.parameters || {} }, request);
+    return { ...entry, fulfilled: true, result };
+  } catch (error) {
+    return { ...entry, fulfilled: false, error: error.message };
+  }
+};
+
+// Carry out the obligations and advice of a decision. A permit stands only if
+// every obligation is met; preconditions such as step-up authentication run
+// first, and nothing else runs once an obligation has failed. With apply false
+// (someone asking about another user's access) they are returned unrun.
+const enforceObligations = async (outcome, request) => {
+  if (request.apply === false) {
+    return {
+      allowed: outcome.allowed,
+      reason: outcome.reason,
+      obligations: (outcome.obligations || []).map(entry => ({ ...entry, applied: false })),
+      advice: (outcome.advice || []).map(entry => ({ ...entry, applied: false })),
+      expiresAt: null
+    };
+  }
+
+  const context = { ...request, decision: outcome.decision, now: request.now || Date.now() };
+  const obligations = [...(outcome.obligations || [])]
+    .sort((a, b) => Number(PRECONDITIONS.includes(b.type)) - Number(PRECONDITIONS.includes(a.type)));
+
+  const results = [];
+  let failed = null;
+  for (const entry of obligations) {
+    if (failed && outcome.decision === 'Permit') {
+      results.push({ ...entry, fulfilled: false, error: 'Not attempted' });
+      continue;
+    }
+    const result = await run(entry, context);
+    results.push(result);
+    if (!result.fulfilled && !failed) {
+      failed = result;
+      logger.warn(`Obligation ${entry.type} of policy ${entry.policyId} not met: ${result.error}`);
+    }
+  }
+
+  const allowed = outcome.allowed && !failed;
+
+  // A refused permit does not count against usage limits
+  if (outcome.allowed && failed && outcome.usageCharge) {
+    await refundUsage(outcome.usageCharge)
+      .catch(error => logger.error('Failed to refund rule usage:', error));
+  }
+
+  // Advice follows the decision that stands, and its failures are only logged
+  const advice = [];
+  if (allowed === outcome.allowed) {
+    for (const entry of outcome.advice || []) {
+      const result = await run(entry, context);
+      if (!result.fulfilled) {
+        logger.warn(`Advice ${entry.type} of policy ${entry.policyId} not followed: ${result.error}`);
+      }
+      advice.push(result);
+    }
+  }
+
+  const expiries = results
+    .filter(result => result.fulfilled && result.result && result.result.expiresAt)
+    .map(result => result.result.expiresAt)
+    .sort();
+
+  return {
+    allowed,
+    reason: outcome.allowed && failed ? `Obligation not met: ${failed.type} (${failed.error})` : outcome.reason,
+    obligations: results,
+    advice,
+    expiresAt: expiries[0] || null
+  };
+};
+
+module.exports = {
+  enforceObligations
+};
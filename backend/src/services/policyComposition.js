@@ -0,0 +1,65 @@
+const Policy = require('../models/Policy');
+const { MAX_COMPOSITION_DEPTH, childrenOf } = require('../utils/policyComposition');
+
+const unique = (values) => Array.from(new Set(values));
+
+// Every policy reachable from the given composites, keyed by policyId
+const loadChildren = async (policies) => {
+  const children = new Map();
+  let pending = unique(policies.flatMap(childrenOf));
+
+  for (let depth = 0; pending.length > 0 && depth < MAX_COMPOSITION_DEPTH; depth++) {
+    const found = await Policy.find({ policyId: { $in: pending } });
+    found.forEach(policy => children.set(policy.policyId, policy));
+    pending = unique(found.flatMap(childrenOf)).filter(policyId => !children.has(policyId));
+  }
+
+  return children;
+};
+
+// Check that a composite's children exist and that saving it would create no
+// cycle and no deeper nesting than the evaluator follows. pending maps the
+// policyIds of policies being saved alongside it (e.g. the rest of an imported
+// bundle) to their children, overriding what is stored.
+const checkComposition = async (policyId, composition, { pending = new Map() } = {}) => {
+  const graph = new Map(pending);
+  graph.set(policyId, composition.children);
+
+  let frontier = composition.children.filter(childId => !graph.has(childId));
+  while (frontier.length > 0) {
+    const found = await Policy.find({ policyId: { $in: frontier } }).select('policyId policyType composition');
+    const foundIds = found.map(policy => policy.policyId);
+    found.forEach(policy => graph.set(policy.policyId, childrenOf(policy)));
+    frontier.filter(childId => !foundIds.includes(childId)).forEach(childId => graph.set(childId, null));
+    frontier = unique(found.flatMap(childrenOf)).filter(childId => !graph.has(childId));
+  }
+
+  const errors = composition.children
+    .filter(childId => graph.get(childId) === null)
+    .map(childId => `composition.children: policy ${childId} does not exist`);
+
+  // Depth-first from the composite; any path back to a policy on it is a cycle
+  const walk = (currentId, path) => {
+    if (path.length > MAX_COMPOSITION_DEPTH) {
+      return `composition: nests more than ${MAX_COMPOSITION_DEPTH} levels deep (${path.join(' -> ')})`;
+    }
+    for (const childId of graph.get(currentId) || []) {
+      if (path.includes(childId)) {
+        return `composition: cycle ${path.concat(childId).join(' -> ')}`;
+      }
+      const problem = walk(childId, path.concat(childId));
+      if (problem) return problem;
+    }
+    return null;
+  };
+
+  const problem = walk(policyId, [policyId]);
+  if (problem) errors.push(problem);
+
+  return errors;
+};
+
+module.exports = {
+  loadChildren,
+  checkComposition
+};
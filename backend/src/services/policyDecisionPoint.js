@@ -0,0 +1,429 @@
+const Policy = require('../models/Policy');
+const Device = require('../models/Device');
+const logger = require('../utils/logger');
+const { BLOCKED_DEVICE_STATUSES } = require('../utils/deviceConstraints');
+const { COMBINING_ALGORITHMS, MAX_COMPOSITION_DEPTH, isComposite, collectDescendants, checkTarget } = require('../utils/policyComposition');
+const { loadUsage, consumeUsage } = require('./usageCounter');
+const { loadChildren } = require('./policyComposition');
+
+const DEFAULT_ALGORITHM = process.env.POLICY_COMBINING_ALGORITHM || 'deny-overrides';
+
+// Build the subject shape expected by Policy.evaluateRule from a User document
+const buildSubject = (user) => {
+  if (!user) return {};
+  const profile = user.profile || {};
+  const security = user.security || {};
+  return {
+    id: user._id ? user._id.toString() : user.id,
+    address: user.address,
+    roles: user.roles || (user.role ? [user.role] : []),
+    permissions: user.permissions || [],
+    groups: user.groups || [],
+    attributes: {
+      role: user.role,
+      username: user.username,
+      email: user.email,
+      address: user.address,
+      timezone: profile.timezone,
+      language: profile.language,
+      department: profile.department,
+      isVerified: user.isVerified,
+      twoFactorEnabled: security.twoFactorEnabled
+    }
+  };
+};
+
+// Build the resource shape expected by Policy.evaluateRule from a Device document
+const buildResource = (device) => {
+  if (!device) return {};
+  const attributes = device.attributes instanceof Map
+    ? Object.fromEntries(device.attributes)
+    : { ...(device.attributes || {}) };
+  const metadata = device.metadata || {};
+  return {
+    id: device.deviceId,
+    type: device.deviceType,
+    owner: device.owner,
+    location: device.location,
+    status: device.status,
+    firmwareVersion: device.firmwareVersion,
+    // Built-in device fields take precedence over free-form attributes
+    attributes: {
+      ...attributes,
+      deviceType: device.deviceType,
+      location: device.location,
+      firmwareVersion: device.firmwareVersion,
+      status: device.status,
+      owner: device.owner,
+      manufacturer: metadata.manufacturer,
+      model: metadata.model
+    }
+  };
+};
+
+// Map a single Policy.evaluate result onto a decision
+const toDecision = (result) => {
+  if (result.error) return 'Indeterminate';
+  if (!result.applicable) return 'NotApplicable';
+  return result.allowed ? 'Permit' : 'Deny';
+};
+
+const denyOverrides = (results) => {
+  const denies = results.filter(r => r.decision === 'Deny');
+  if (denies.length > 0) {
+    return { decision: 'Deny', contributing: denies, reason: denies[0].reason };
+  }
+
+  // Fail closed when a policy could not be evaluated
+  const errors = results.filter(r => r.decision === 'Indeterminate');
+  if (errors.length > 0) {
+    return { decision: 'Deny', contributing: errors, reason: 'Policy evaluation error' };
+  }
+
+  const permits = results.filter(r => r.decision === 'Permit');
+  if (permits.length > 0) {
+    return { decision: 'Permit', contributing: permits, reason: permits[0].reason };
+  }
+
+  return { decision: 'NotApplicable', contributing: [], reason: 'No applicable policies' };
+};
+
+const permitOverrides = (results) => {
+  const permits = results.filter(r => r.decision === 'Permit');
+  if (permits.length > 0) {
+    return { decision: 'Permit', contributing: permits, reason: permits[0].reason };
+  }
+
+  const denies = results.filter(r => r.decision === 'Deny' || r.decision === 'Indeterminate');
+  if (denies.length > 0) {
+    return { decision: 'Deny', contributing: denies, reason: denies[0].reason };
+  }
+
+  return { decision: 'NotApplicable', contributing: [], reason: 'No applicable policies' };
+};
+
+// Results are already ordered by priority, highest first
+const firstApplicable = (results) => {
+  const first = results.find(r => r.decision !== 'NotApplicable');
+  if (!first) {
+    return { decision: 'NotApplicable', contributing: [], reason: 'No applicable policies' };
+  }
+
+  return {
+    decision: first.decision === 'Permit' ? 'Permit' : 'Deny',
+    contributing: [first],
+    reason: first.reason
+  };
+};
+
+const onlyOneApplicable = (results) => {
+  const applicable = results.filter(r => r.decision !== 'NotApplicable');
+  if (applicable.length === 0) {
+    return { decision: 'NotApplicable', contributing: [], reason: 'No applicable policies' };
+  }
+
+  if (applicable.length > 1) {
+    return { decision: 'Deny', contributing: applicable, reason: 'More than one policy is applicable' };
+  }
+
+  return {
+    decision: applicable[0].decision === 'Permit' ? 'Permit' : 'Deny',
+    contributing: applicable,
+    reason: applicable[0].reason
+  };
+};
+
+const combiners = {
+  'deny-overrides': denyOverrides,
+  'permit-overrides': permitOverrides,
+  'first-applicable': firstApplicable,
+  'only-one-applicable': onlyOneApplicable
+};
+
+// Combine already-computed per-policy results with the given algorithm
+const combine = (results, algorithm = DEFAULT_ALGORITHM) => {
+  const combiner = combiners[algorithm];
+  if (!combiner) {
+    throw new Error(`Unknown combining algorithm: ${algorithm}`);
+  }
+  return combiner(results);
+};
+
+// Evaluate one policy into a result the combiners take. rules lists the rules
+// behind the decision, which for a composite are its children's. When
+// context.evaluated is a Map, a policy reached through several composites is
+// evaluated once and its result reused.
+const evaluatePolicy = (policy, subject, resource, action, context, children, path = []) => {
+  if (isComposite(policy)) {
+    return evaluateComposite(policy, subject, resource, action, context, children, path);
+  }
+
+  const evaluated = context.evaluated;
+  if (evaluated && evaluated.has(policy.policyId)) {
+    return evaluated.get(policy.policyId);
+  }
+
+  const result = policy.evaluate(subject, resource, action, context);
+  const policyResult = {
+    policyId: policy.policyId,
+    effect: policy.effect,
+    priority: policy.priority,
+    decision: toDecision(result),
+    ruleIndex: result.ruleIndex,
+    reason: result.reason,
+    error: result.error,
+    rules: result.ruleIndex === undefined ? [] : [{ policyId: policy.policyId, ruleIndex: result.ruleIndex }],
+    obligations: result.obligations || [],
+    advice: result.advice || [],
+    trace: result.trace
+  };
+
+  if (evaluated) {
+    evaluated.set(policy.policyId, policyResult);
+  }
+  return policyResult;
+};
+
+// Obligations or advice of the results behind a decision, attributed to the rule
+// they come from; entries of a composite's children already are
+const collectEntries = (results, field) => results.flatMap(({ policyId, ruleIndex, [field]: entries }) =>
+  entries.map(entry => ({ policyId, ruleIndex, ...entry })));
+
+const evaluateComposite = (policy, subject, resource, action, context, children, path) => {
+  const composition = policy.composition || {};
+  const algorithm = composition.combiningAlgorithm || DEFAULT_ALGORITHM;
+  const chain = path.concat(policy.policyId);
+  const trace = context.explain
+    ? { policyId: policy.policyId, name: policy.name, effect: policy.effect, priority: policy.priority, composite: { algorithm, children: [] }, rules: [] }
+    : undefined;
+  const result = (fields) => ({
+    policyId: policy.policyId,
+    effect: policy.effect,
+    priority: policy.priority,
+    rules: [],
+    obligations: [],
+    advice: [],
+    trace,
+    ...fields
+  });
+  const failed = (reason) => result({ decision: 'Indeterminate', reason, error: reason });
+
+  if (!policy.isActive) {
+    return result({ decision: 'NotApplicable', reason: 'Policy is inactive' });
+  }
+  if (chain.length > MAX_COMPOSITION_DEPTH) {
+    return failed(`Composition nests more than ${MAX_COMPOSITION_DEPTH} levels deep`);
+  }
+
+  const outside = checkTarget(composition.target, subject, resource, action);
+  if (trace) {
+    trace.composite.target = { passed: !outside, failed: outside };
+  }
+  if (outside) {
+    return result({ decision: 'NotApplicable', reason: `Outside composite target (${outside})` });
+  }
+
+  const childResults = [];
+  for (const childId of composition.children || []) {
+    if (chain.includes(childId)) {
+      return failed(`Composition cycle: ${chain.concat(childId).join(' -> ')}`);
+    }
+    const child = children.get(childId);
+    childResults.push(child
+      ? evaluatePolicy(child, subject, resource, action, context, children, chain)
+      : { policyId: childId, decision: 'Indeterminate', reason: 'Child policy not found', error: 'Child policy not found', rules: [], obligations: [], advice: [] });
+  }
+
+  const combined = combine(childResults, algorithm);
+  const fulfilling = combined.contributing.filter(r => r.decision === combined.decision);
+
+  if (trace) {
+    trace.composite.children = childResults.map(child => ({
+      ...child.trace,
+      policyId: child.policyId,
+      decision: child.decision,
+      reason: child.reason,
+      error: child.error
+    }));
+    trace.composite.combining = { decision: combined.decision, reason: combined.reason, policyIds: combined.contributing.map(r => r.policyId) };
+  }
+
+  return result({
+    decision: combined.decision,
+    reason: combined.reason,
+    rules: combined.contributing.flatMap(r => r.rules),
+    obligations: collectEntries(fulfilling, 'obligations'),
+    advice: collectEntries(fulfilling, 'advice')
+  });
+};
+
+// Structured account of how each policy voted and how the votes were combined
+const explainDecision = (results, combined, algorithm) => ({
+  policies: results.map(result => ({
+    ...result.trace,
+    policyId: result.policyId,
+    decision: result.decision,
+    reason: result.reason,
+    error: result.error
+  })),
+  combining: {
+    algorithm,
+    votes: results.map(({ policyId, priority, decision }) => ({ policyId, priority, decision })),
+    decision: combined.decision,
+    reason: combined.reason,
+    policyIds: combined.contributing.map(r => r.policyId)
+  }
+});
+
+// Evaluate every active policy that applies to the request and combine the results
+const decide = async (subject, resource, action, context = {}, options = {}) => {
+  const startTime = Date.now();
+  const algorithm = options.algorithm || DEFAULT_ALGORITHM;
+
+  if (!combiners[algorithm]) {
+    throw new Error(`Unknown combining algorithm: ${algorithm}`);
+  }
+
+  // Device constraints need the stored device, not whatever the caller supplied
+  let target = resource;
+  if (resource.id && !resource.status) {
+    const device = await Device.findOne({ deviceId: resource.id });
+    if (device) {
+      target = buildResource(device);
+    }
+  }
+
+  // Compromised or maintenance devices are never accessible, even without a matching policy
+  if (BLOCKED_DEVICE_STATUSES.includes(target.status)) {
+    const reason = `Device is ${target.status}`;
+    const blocked = {
+      allowed: false,
+      decision: 'Deny',
+      reason,
+      algorithm,
+      policyIds: [],
+      rules: [],
+      obligations: [],
+      advice: [],
+      evaluated: [],
+      evaluationTime: Date.now() - startTime
+    };
+
+    if (options.explain) {
+      blocked.trace = {
+        device: { check: 'resource.status', expected: { not_in: BLOCKED_DEVICE_STATUSES }, actual: target.status, passed: false },
+        policies: [],
+        combining: { algorithm, decision: 'Deny', reason, policyIds: [], skipped: true }
+      };
+    }
+
+    return blocked;
+  }
+
+  const candidates = options.policies || await Policy.findApplicablePolicies(action);
+  const children = await loadChildren(candidates);
+
+  // Policies reached through an active composite only vote through it; one that
+  // is part of a cycle stays, so the cycle surfaces as an evaluation error
+  const composed = new Set();
+  candidates
+    .filter(policy => isComposite(policy) && policy.isActive)
+    .forEach(policy => collectDescendants(policy, children).forEach(policyId => composed.add(policyId)));
+  const policies = candidates.filter(policy =>
+    !composed.has(policy.policyId) || collectDescendants(policy, children).has(policy.policyId));
+
+  const involved = new Map([...policies, ...children.values()].map(policy => [policy.policyId, policy]));
+  const evaluationContext = {
+    ...context,
+    explain: Boolean(options.explain),
+    dryRun: Boolean(options.dryRun),
+    evaluated: new Map()
+  };
+  const now = context.now ? new Date(context.now).getTime() : Date.now();
+
+  // Usage-limited rules are checked against live counts; dry runs keep whatever the caller supplied
+  if (!options.dryRun && !context.usage) {
+    evaluationContext.usage = await loadUsage(Array.from(involved.values()), subject, target, now);
+  }
+
+  const results = policies.map(policy => evaluatePolicy(policy, subject, target, action, evaluationContext, children));
+
+  let combined = combine(results, algorithm);
+  let usageCharge = null;
+
+  // A permit uses up one count of every limited rule behind it. The check and the
+  // increment are one atomic step, so concurrent requests cannot overshoot a limit.
+  // With chargeUsage false the live counts still decide, but nothing is used up.
+  if (!options.dryRun && options.chargeUsage !== false && combined.decision === 'Permit') {
+    const permitting = combined.contributing.flatMap(r => r.rules).map(({ policyId, ruleIndex }) => {
+      const policy = involved.get(policyId);
+      return { policy, rule: policy.rules[ruleIndex], ruleIndex };
+    });
+
+    try {
+      const { exhausted, charge } = await consumeUsage(permitting, subject, target, now);
+      usageCharge = charge;
+      if (exhausted) {
+        combined = {
+          decision: 'Deny',
+          contributing: combined.contributing.filter(r => r.rules.some(rule => rule.policyId === exhausted.policyId)),
+          reason: 'Usage limit exceeded'
+        };
+      }
+    } catch (error) {
+      logger.error('Failed to record rule usage:', error);
+      combined = { decision: 'Deny', contributing: combined.contributing, reason: 'Usage count unavailable' };
+    }
+  }
+
+  if (!options.dryRun) {
+    logger.policyEvaluation(
+      combined.contributing.map(r => r.policyId).join(',') || 'none',
+      subject.id,
+      target.id,
+      action,
+      `${combined.decision} (${algorithm})`
+    );
+  }
+
+  // Only policies that reached the final decision contribute their obligations
+  const fulfilling = combined.contributing.filter(r => r.decision === combined.decision);
+
+  const outcome = {
+    allowed: combined.decision === 'Permit',
+    decision: combined.decision,
+    reason: combined.reason,
+    algorithm,
+    policyIds: combined.contributing.map(r => r.policyId),
+    rules: combined.contributing.flatMap(r => r.rules),
+    obligations: collectEntries(fulfilling, 'obligations'),
+    advice: collectEntries(fulfilling, 'advice'),
+    evaluated: results.map(({ policyId, decision, reason }) => ({ policyId, decision, reason })),
+    evaluationTime: Date.now() - startTime
+  };
+
+  if (options.explain) {
+    outcome.trace = explainDecision(results, combined, algorithm);
+  }
+
+  // Lets the enforcement point give the use back if it refuses access after all
+  if (usageCharge) {
+    Object.defineProperty(outcome, 'usageCharge', { value: usageCharge });
+  }
+
+  // Decisions that depend on use counts change with every request and must not be cached
+  Object.defineProperty(outcome, 'cacheable', {
+    value: !Array.from(involved.values()).some(policy => policy.rules.some(rule => rule.conditions && rule.conditions.maxUsageCount))
+  });
+
+  return outcome;
+};
+
+module.exports = {
+  COMBINING_ALGORITHMS,
+  buildSubject,
+  buildResource,
+  combine,
+  evaluatePolicy,
+  decide
+};
@@ -0,0 +1,151 @@
+const Policy = require('../models/Policy');
+const PolicyVersion = require('../models/PolicyVersion');
+const logger = require('../utils/logger');
+const { getContract, sendTransaction, callMethod } = require('../config/blockchain');
+const { invalidateActions, invalidateAll } = require('./decisionCache');
+
+// Policy fields a revision restores on rollback; activation stays a separate decision
+const CONTENT_FIELDS = ['name', 'description', 'policyType', 'effect', 'priority', 'isHidden', 'composition', 'rules'];
+
+const toBytes32 = (hash) => `0x${hash}`;
+
+// Anchor a revision's content hash through PolicyManager; failures are kept on
+// the revision so it can be re-anchored, and never undo the change itself
+const anchorRevision = async (revision) => {
+  try {
+    const policyManager = getContract('policyManager');
+    const result = await sendTransaction(
+      policyManager,
+      'anchorPolicyVersion',
+      [revision.policyId, revision.version, toBytes32(revision.contentHash)]
+    );
+    revision.anchor = { transactionHash: result.transactionHash, anchoredAt: new Date() };
+  } catch (error) {
+    logger.error(`Failed to anchor policy ${revision.policyId} version ${revision.version}:`, error);
+    revision.anchor = { error: error.message };
+  }
+  return revision.save();
+};
+
+// Write the next immutable revision for a policy that has just been saved.
+// Resolves to the latest revision unchanged when the content is the same.
+const recordRevision = async (policy, { changeType, changedBy, reason, rolledBackTo } = {}) => {
+  const latest = await PolicyVersion.findOne({ policyId: policy.policyId }).sort({ version: -1 });
+  const content = PolicyVersion.snapshot(policy);
+  const contentHash = PolicyVersion.hashContent(content);
+
+  // Saving without changing anything does not make a new revision
+  if (latest && latest.contentHash === contentHash) {
+    return latest;
+  }
+
+  const version = latest ? latest.version + 1 : 1;
+  const revision = await new PolicyVersion({
+    policyId: policy.policyId,
+    version,
+    content,
+    contentHash,
+    changeType,
+    changedBy,
+    reason,
+    rolledBackTo
+  }).save();
+
+  await Policy.updateOne({ policyId: policy.policyId }, { 'metadata.version': `${version}.0` });
+
+  // Cached decisions for any action the policy covered before or covers now are
+  // stale; a composite covers whatever its children do
+  const ruleActions = (snapshot) => ((snapshot && snapshot.rules) || []).map(rule => rule.action);
+  if (content.composition || (latest && latest.content.composition)) {
+    await invalidateAll();
+  } else {
+    await invalidateActions([...ruleActions(latest && latest.content), ...ruleActions(content)]);
+  }
+
+  logger.auditLog('policy_revision', changedBy, policy.policyId, { version, changeType, contentHash: revision.contentHash });
+
+  return anchorRevision(revision);
+};
+
+// Policies created before versioning have no history; capture their current
+// content as version 1 before the first change
+const ensureBaseline = async (policy, changedBy) => {
+  const exists = await PolicyVersion.exists({ policyId: policy.policyId });
+  if (!exists) {
+    await recordRevision(policy, { changeType: 'create', changedBy, reason: 'Baseline of existing policy' });
+  }
+};
+
+// Field-level changes between two snapshots; paths use dots and [index] for arrays
+const diffContent = (before, after, path = '') => {
+  const isObject = (value) => value !== null && typeof value === 'object';
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const changes = [];
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      changes.push(...diffContent(before[i], after[i], `${path}[${i}]`));
+    }
+    return changes;
+  }
+
+  if (isObject(before) && isObject(after) && !Array.isArray(before) && !Array.isArray(after)) {
+    const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+    return keys.flatMap(key => diffContent(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+
+  let change = 'changed';
+  if (before === undefined) change = 'added';
+  if (after === undefined) change = 'removed';
+
+  return [{ path, change, before, after }];
+};
+
+// Compare a revision with the hash anchored on-chain
+const verifyRevision = async (revision) => {
+  try {
+    const policyManager = getContract('policyManager');
+    const anchored = await callMethod(policyManager, 'getPolicyVersion', [revision.policyId, revision.version]);
+    const onChainHash = String(anchored.contentHash || anchored[0] || '').replace(/^0x/, '').toLowerCase();
+
+    return {
+      verified: onChainHash === revision.contentHash,
+      onChainHash: onChainHash || null,
+      anchoredAt: anchored.anchoredAt ? new Date(Number(anchored.anchoredAt) * 1000) : null
+    };
+  } catch (error) {
+    return { verified: null, error: error.message };
+  }
+};
+
+// Restore an earlier revision's content as a new revision.
+// Resolves to null when the revision does not exist.
+const rollbackPolicy = async (policy, version, { changedBy, reason } = {}) => {
+  const target = await PolicyVersion.findOne({ policyId: policy.policyId, version });
+  if (!target) return null;
+
+  CONTENT_FIELDS.forEach(field => {
+    policy[field] = target.content[field];
+  });
+  Object.assign(policy.metadata, target.content.metadata || {});
+
+  await policy.save();
+
+  return recordRevision(policy, {
+    changeType: 'rollback',
+    changedBy,
+    reason: reason || `Rollback to version ${version}`,
+    rolledBackTo: version
+  });
+};
+
+module.exports = {
+  recordRevision,
+  ensureBaseline,
+  diffContent,
+  verifyRevision,
+  rollbackPolicy
+};
@@ -0,0 +1,129 @@
+const Policy = require('../models/Policy');
+const AccessLog = require('../models/AccessLog');
+const { isComposite } = require('../utils/policyComposition');
+const { decide } = require('./policyDecisionPoint');
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 90;
+const DEFAULT_LIMIT = 10000;
+const MAX_SAMPLES = 200;
+
+// Same ordering as Policy.findApplicablePolicies
+const byPriority = (a, b) => (b.priority - a.priority) || (a.createdAt - b.createdAt);
+
+// Composites apply through their children, as in Policy.findApplicablePolicies
+const applicableTo = (policies, action) => policies.filter(policy =>
+  isComposite(policy) || policy.rules.some(rule => rule.action === action));
+
+// Requests no policy applied to were decided by the on-chain grant or a
+// delegation, as in /api/access/check
+const outcome = (decision, log) => ({
+  allowed: decision.decision === 'NotApplicable' ? Boolean(log.onChainAccess || log.delegationId) : decision.allowed,
+  decision: decision.decision,
+  reason: decision.reason,
+  policyIds: decision.policyIds,
+  rules: decision.rules
+});
+
+const addFlip = (groups, key, direction) => {
+  if (!groups.has(key)) {
+    groups.set(key, { key, allowToDeny: 0, denyToAllow: 0 });
+  }
+  groups.get(key)[direction]++;
+};
+
+// Most affected first
+const sortGroups = (groups) => Array.from(groups.values())
+  .sort((a, b) => (b.allowToDeny + b.denyToAllow) - (a.allowToDeny + a.denyToAllow));
+
+// Replay recorded access decisions against the policy set as it would be after
+// setting policyId's status to isActive, and report which decisions flip.
+// Resolves to null when the policy does not exist.
+const simulatePolicyChange = async ({ policyId, isActive = true, days = DEFAULT_DAYS, limit = DEFAULT_LIMIT, algorithm }) => {
+  const target = await Policy.findOne({ policyId });
+  if (!target) return null;
+
+  const windowDays = Math.min(Math.max(Number(days) || DEFAULT_DAYS, 1), MAX_DAYS);
+  const to = new Date();
+  const from = new Date(to.getTime() - windowDays * 24 * 60 * 60 * 1000);
+
+  const current = (await Policy.find({ isActive: true })).sort(byPriority);
+
+  // The candidate set only differs in the target policy; it is never saved
+  target.isActive = isActive;
+  const candidate = current
+    .filter(policy => policy.policyId !== policyId)
+    .concat(isActive ? [target] : [])
+    .sort(byPriority);
+
+  const logs = await AccessLog.findSince(from, limit);
+
+  const byDevice = new Map();
+  const byUser = new Map();
+  const byRule = new Map();
+  const flips = [];
+  let unchanged = 0;
+
+  for (const log of logs) {
+    const context = { ...(log.context || {}), now: log.timestamp };
+    const options = { algorithm: algorithm || log.algorithm, dryRun: true };
+
+    const before = outcome(await decide(log.subject, log.resource, log.action, context,
+      { ...options, policies: applicableTo(current, log.action) }), log);
+    const after = outcome(await decide(log.subject, log.resource, log.action, context,
+      { ...options, policies: applicableTo(candidate, log.action) }), log);
+
+    if (before.allowed === after.allowed) {
+      unchanged++;
+      continue;
+    }
+
+    const direction = before.allowed ? 'allowToDeny' : 'denyToAllow';
+    // Attribute the flip to the rule that now decides, or the one that used to
+    const deciding = after.rules.length > 0 ? after.rules : before.rules;
+    const ruleKeys = deciding.length > 0
+      ? deciding.map(rule => `${rule.policyId}#${rule.ruleIndex === undefined ? '?' : rule.ruleIndex}`)
+      : ['on-chain'];
+
+    addFlip(byDevice, log.deviceId || log.resource.id, direction);
+    addFlip(byUser, log.userId || log.subject.id, direction);
+    ruleKeys.forEach(key => addFlip(byRule, key, direction));
+
+    flips.push({
+      logId: log._id,
+      timestamp: log.timestamp,
+      userId: log.userId || log.subject.id,
+      deviceId: log.deviceId || log.resource.id,
+      action: log.action,
+      direction,
+      recorded: { allowed: log.allowed, decision: log.decision, reason: log.reason },
+      before,
+      after
+    });
+  }
+
+  const allowToDeny = flips.filter(flip => flip.direction === 'allowToDeny').length;
+
+  return {
+    policyId,
+    change: isActive ? 'activate' : 'deactivate',
+    window: { from, to, days: windowDays },
+    replayed: logs.length,
+    truncated: logs.length >= limit,
+    unchanged,
+    flipped: {
+      total: flips.length,
+      allowToDeny,
+      denyToAllow: flips.length - allowToDeny
+    },
+    byDevice: sortGroups(byDevice).map(({ key, ...counts }) => ({ deviceId: key, ...counts })),
+    byUser: sortGroups(byUser).map(({ key, ...counts }) => ({ userId: key, ...counts })),
+    byRule: sortGroups(byRule).map(({ key, ...counts }) => ({ rule: key, ...counts })),
+    samples: flips.slice(0, MAX_SAMPLES),
+    generatedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  simulatePolicyChange
+};
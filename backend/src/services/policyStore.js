@@ -0,0 +1,291 @@
+const Policy = require('../models/Policy');
+const PolicyVersion = require('../models/PolicyVersion');
+const logger = require('../utils/logger');
+const { validateComposition } = require('../utils/policyComposition');
+const { getContract, sendTransaction } = require('../config/blockchain');
+const { recordRevision, ensureBaseline, diffContent } = require('./policyHistory');
+const { runPolicyTests } = require('./policyTestRunner');
+const { checkComposition } = require('./policyComposition');
+const { policyActivationProblem, reportViolation } = require('./separationOfDuties');
+
+const POLICY_TYPES = ['RBAC', 'ABAC', 'TimeBased', 'LocationBased', 'Composite'];
+const EFFECTS = ['Allow', 'Deny'];
+
+// Fields an update may change, and the metadata fields among them
+const UPDATABLE_FIELDS = ['name', 'description', 'effect', 'priority', 'composition', 'rules', 'isHidden'];
+const METADATA_FIELDS = ['tags', 'category', 'compliance', 'riskLevel'];
+
+// The checks POST /api/policies makes, for callers without express-validator
+const validatePolicyInput = (data = {}) => {
+  const errors = [];
+
+  if (!data.policyId) errors.push('Policy ID is required');
+  if (!data.name) errors.push('Policy name is required');
+  if (!POLICY_TYPES.includes(data.policyType)) errors.push('Invalid policy type');
+  if (!EFFECTS.includes(data.effect)) errors.push('Invalid effect');
+  if (data.priority !== undefined && !(Number.isInteger(data.priority) && data.priority >= 1 && data.priority <= 1000)) {
+    errors.push('Priority must be between 1 and 1000');
+  }
+  if (data.rules !== undefined && !Array.isArray(data.rules)) {
+    errors.push('Rules must be an array');
+  } else {
+    errors.push(...Policy.validateRules(data.rules || []));
+  }
+  errors.push(...validateComposition(data.policyType, data.composition, data.rules));
+
+  return errors;
+};
+
+// Register the policy on-chain; the legacy per-type methods carry the first rule
+const registerOnChain = async ({ policyId, name, description, policyType, effect, priority, rules }) => {
+  const policyManager = getContract('policyManager');
+
+  if (policyType === 'ABAC') {
+    const { requiredRoles = [], subjectAttrNames = [], subjectAttrValues = [], subjectAttrOperators = [], resourceTypes = [], allowedActions = [] } = rules[0] || {};
+
+    return sendTransaction(
+      policyManager,
+      'createABACPolicy',
+      [
+        policyId,
+        name,
+        description,
+        effect === 'Allow' ? 0 : 1, // 0 = Allow, 1 = Deny
+        priority,
+        requiredRoles,
+        subjectAttrNames,
+        subjectAttrValues,
+        subjectAttrOperators,
+        resourceTypes,
+        allowedActions
+      ]
+    );
+  }
+
+  if (policyType === 'TimeBased') {
+    const { startTime, endTime, allowedDays = [], startHour, endHour, isRecurring = false, allowedActions = [] } = rules[0] || {};
+
+    return sendTransaction(
+      policyManager,
+      'createTimeBasedPolicy',
+      [
+        policyId,
+        name,
+        effect === 'Allow' ? 0 : 1,
+        startTime || Math.floor(Date.now() / 1000),
+        endTime || Math.floor(Date.now() / 1000) + 86400,
+        allowedDays,
+        startHour || 0,
+        endHour || 2359,
+        isRecurring,
+        allowedActions
+      ]
+    );
+  }
+
+  if (policyType === 'LocationBased') {
+    const { allowedLocations = [], deniedLocations = [], radiusMeters = 0, coordinates = '', allowedActions = [] } = rules[0] || {};
+
+    return sendTransaction(
+      policyManager,
+      'createLocationBasedPolicy',
+      [
+        policyId,
+        name,
+        effect === 'Allow' ? 0 : 1,
+        allowedLocations,
+        deniedLocations,
+        radiusMeters,
+        coordinates,
+        allowedActions
+      ]
+    );
+  }
+
+  return sendTransaction(policyManager, 'createPolicy', [policyId, name, description]);
+};
+
+// Create a policy on-chain and in the database, and record its first revision
+const createPolicy = async (data, actor, { changeType = 'create' } = {}) => {
+  const {
+    policyId,
+    name,
+    description = '',
+    policyType,
+    effect,
+    priority = 100,
+    rules = [],
+    composition,
+    isActive = true,
+    isHidden = false,
+    metadata = {}
+  } = data;
+
+  const policy = new Policy({
+    policyId,
+    name,
+    description,
+    policyType,
+    effect,
+    priority,
+    composition,
+    rules,
+    isActive,
+    isHidden,
+    metadata: METADATA_FIELDS.reduce((result, field) => (
+      metadata[field] === undefined ? result : { ...result, [field]: metadata[field] }
+    ), {}),
+    creator: actor,
+    audit: { createdBy: actor }
+  });
+
+  // A policy the database would refuse never reaches the chain
+  await policy.validate({ pathsToSkip: ['blockchainTxHash'] });
+
+  const blockchainResult = await registerOnChain({ policyId, name, description, policyType, effect, priority, rules });
+  policy.blockchainTxHash = blockchainResult.transactionHash;
+
+  await policy.save();
+  const revision = await recordRevision(policy, { changeType, changedBy: actor });
+
+  logger.policyEvaluation(policyId, actor, 'policy_creation', 'success');
+
+  return { policy, revision };
+};
+
+// Apply changed fields to a policy document without saving it
+const applyChanges = (policy, data, { includeStatus = false } = {}) => {
+  const fields = includeStatus ? [...UPDATABLE_FIELDS, 'isActive'] : UPDATABLE_FIELDS;
+  fields.forEach(field => {
+    if (data[field] !== undefined) {
+      policy[field] = data[field];
+    }
+  });
+
+  const metadata = data.metadata || {};
+  METADATA_FIELDS.forEach(field => {
+    if (metadata[field] !== undefined) {
+      policy.metadata[field] = metadata[field];
+    }
+  });
+};
+
+// Update a policy and record the change as a new revision
+const updatePolicy = async (policy, data, actor, { reason, changeType = 'update', includeStatus = false } = {}) => {
+  await ensureBaseline(policy, actor);
+
+  applyChanges(policy, data, { includeStatus });
+  policy.audit.modifiedBy = actor;
+
+  await policy.save();
+  const revision = await recordRevision(policy, { changeType, changedBy: actor, reason });
+
+  logger.policyEvaluation(policy.policyId, actor, 'policy_update', `version ${revision.version}`);
+
+  return { policy, revision };
+};
+
+// Work out what importing one policy would do, without writing anything.
+// pending maps the policyIds of the whole import to their children.
+const planImport = async (data, pending, actor) => {
+  const errors = validatePolicyInput(data);
+  const existing = errors.length === 0 ? await Policy.findOne({ policyId: data.policyId }) : null;
+
+  if (existing && existing.policyType !== data.policyType) {
+    errors.push(`Policy type cannot change from ${existing.policyType} to ${data.policyType}`);
+  }
+  if (errors.length === 0 && data.policyType === 'Composite') {
+    errors.push(...await checkComposition(data.policyId, data.composition, { pending }));
+  }
+  if (errors.length > 0) {
+    return { policyId: data.policyId, action: 'invalid', errors };
+  }
+  if (!existing) {
+    // The importer creates the policy, so under separation of duties it cannot arrive active
+    const conflict = data.isActive !== false ? policyActivationProblem(actor, actor) : null;
+    if (conflict) {
+      return { policyId: data.policyId, action: 'invalid', errors: [conflict.message], conflict };
+    }
+    return { policyId: data.policyId, action: 'create' };
+  }
+
+  const candidate = new Policy(existing.toObject());
+  applyChanges(candidate, data, { includeStatus: true });
+  const changes = diffContent(PolicyVersion.snapshot(existing), PolicyVersion.snapshot(candidate));
+
+  // As with PUT /api/policies/:policyId/status, activation needs the policy's
+  // tests to pass and someone other than its creator
+  if (candidate.isActive && !existing.isActive) {
+    const conflict = policyActivationProblem(existing.creator, actor);
+    if (conflict) {
+      return { policyId: data.policyId, action: 'invalid', errors: [conflict.message], conflict };
+    }
+    const tests = await runPolicyTests(candidate);
+    if (tests.failed > 0) {
+      const failing = tests.results.filter(result => !result.passed).map(result => result.name);
+      return { policyId: data.policyId, action: 'invalid', errors: [`Policy tests failed: ${failing.join(', ')}`] };
+    }
+  }
+
+  return { policyId: data.policyId, action: changes.length > 0 ? 'update' : 'unchanged', changes, existing };
+};
+
+// Upsert policies through the same validation and revision path as the API.
+// Nothing is written when any policy is invalid, or when dryRun is set.
+const importPolicies = async (policies, actor, { dryRun = false, reason } = {}) => {
+  // Composites may reference, or form cycles with, policies in the same import
+  const pending = new Map(policies.map(data => [
+    data.policyId,
+    data.policyType === 'Composite' && data.composition && Array.isArray(data.composition.children) ? data.composition.children : []
+  ]));
+
+  const plans = [];
+  for (const data of policies) {
+    plans.push(await planImport(data, pending, actor));
+  }
+
+  const invalid = plans.filter(plan => plan.action === 'invalid').length;
+  const applied = !dryRun && invalid === 0;
+
+  const results = [];
+  for (let i = 0; i < plans.length; i++) {
+    const { existing, conflict, ...plan } = plans[i];
+
+    if (conflict && !dryRun) {
+      reportViolation(conflict, actor, plan.policyId, { changeType: 'import' });
+    }
+
+    if (applied && plan.action === 'create') {
+      const { revision } = await createPolicy(policies[i], actor, { changeType: 'import' });
+      plan.version = revision.version;
+    } else if (applied && plan.action === 'update') {
+      const { revision } = await updatePolicy(existing, policies[i], actor, {
+        reason: reason || 'Imported from bundle',
+        changeType: 'import',
+        includeStatus: true
+      });
+      plan.version = revision.version;
+    }
+    results.push(plan);
+  }
+
+  const summary = results.reduce((counts, result) => ({
+    ...counts,
+    [result.action]: (counts[result.action] || 0) + 1
+  }), { create: 0, update: 0, unchanged: 0, invalid: 0 });
+
+  if (applied) {
+    logger.auditLog('policy_import', actor, 'policies', summary);
+  }
+
+  return { applied, dryRun, summary, results };
+};
+
+module.exports = {
+  POLICY_TYPES,
+  validatePolicyInput,
+  createPolicy,
+  applyChanges,
+  updatePolicy,
+  importPolicies
+};
@@ -0,0 +1,101 @@
+const Policy = require('../models/Policy');
+const { decide } = require('./policyDecisionPoint');
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// Counts for the policy's usage-limited rules; rules a case gives no count for have none used
+const usageFor = (policy, counts = {}) => new Map(policy.rules
+  .map((rule, index) => [rule, index])
+  .filter(([rule]) => rule.conditions && rule.conditions.maxUsageCount)
+  .map(([, index]) => [`${policy.policyId}#${index}`, counts[index] || 0]));
+
+const runTest = async (policy, test) => {
+  const { name, subject = {}, resource = {}, action, context = {}, expected } = plain(test);
+  const expectation = { decision: expected.decision, reason: expected.reason };
+
+  try {
+    // Cases are self-contained: the resource is taken as given rather than
+    // looked up, and use counts come from the case, never from Redis
+    const outcome = await decide(
+      { id: 'test-subject', roles: [], groups: [], permissions: [], attributes: {}, ...subject },
+      { id: 'test-resource', status: 'active', attributes: {}, ...resource },
+      action,
+      { ...context, usage: usageFor(policy, context.usage), canViewHidden: true },
+      { policies: [policy], dryRun: true }
+    );
+
+    const own = outcome.evaluated.find(result => result.policyId === policy.policyId) || outcome;
+    const rule = outcome.rules.find(result => result.policyId === policy.policyId);
+    const actual = { decision: own.decision, reason: own.reason, ruleIndex: rule ? rule.ruleIndex : null };
+
+    return {
+      name,
+      passed: actual.decision === expected.decision && (expected.reason === undefined || actual.reason === expected.reason),
+      expected: expectation,
+      actual
+    };
+  } catch (error) {
+    return { name, passed: false, expected: expectation, error: error.message };
+  }
+};
+
+// Run test cases, the policy's own by default, against the policy as if it were
+// active. Nothing is saved or counted.
+const runPolicyTests = async (policy, tests = policy.tests) => {
+  const candidate = new Policy(policy.toObject());
+  candidate.isActive = true;
+
+  const results = [];
+  for (const test of tests || []) {
+    results.push(await runTest(candidate, test));
+  }
+
+  const passed = results.filter(result => result.passed).length;
+  return {
+    policyId: policy.policyId,
+    total: results.length,
+    passed,
+    failed: results.length - passed,
+    results,
+    ranAt: new Date().toISOString()
+  };
+};
+
+// Run the suite of every policy that has one
+const runAllPolicyTests = async ({ policyIds, isActive } = {}) => {
+  const filter = { 'tests.0': { $exists: true } };
+  if (policyIds) filter.policyId = { $in: policyIds };
+  if (isActive !== undefined) filter.isActive = isActive;
+
+  const policies = await Policy.find(filter).sort({ policyId: 1 });
+  const reports = [];
+  for (const policy of policies) {
+    reports.push(await runPolicyTests(policy));
+  }
+
+  return {
+    total: reports.reduce((sum, report) => sum + report.total, 0),
+    passed: reports.reduce((sum, report) => sum + report.passed, 0),
+    failed: reports.reduce((sum, report) => sum + report.failed, 0),
+    failingPolicies: reports.filter(report => report.failed > 0).map(report => report.policyId),
+    policies: reports,
+    ranAt: new Date().toISOString()
+  };
+};
+
+// An empty suite passes trivially, so a policy whose cases were all removed by
+// someone other than its creator cannot be activated until they are restored
+const emptiedSuiteProblem = (policy) => {
+  if (policy.tests.length > 0) return null;
+  const change = policy.audit.changeHistory.filter(entry => entry.field === 'tests').pop();
+  if (!change || (change.changedBy && policy.creator && change.changedBy.toLowerCase() === policy.creator.toLowerCase())) {
+    return null;
+  }
+  return { status: 409, message: 'Policy tests were removed by someone other than its creator' };
+};
+
+module.exports = {
+  emptiedSuiteProblem,
+  runPolicyTests,
+  runAllPolicyTests
+};
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RecertificationCampaign = require('../models/RecertificationCampaign');
+const RecertificationItem = require('../models/RecertificationItem');
+const AccessGrant = require('../models/AccessGrant');
+const Device = require('../models/Device');
+const logger = require('../utils/logger');
+const { getAuditLogger, sendTransaction } = require('../config/blockchain');
+const { getSigningKey, sign } = require('../config/signingKey');
+const { revokeGrant } = require('./accessGrants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = parseInt(process.env.RECERTIFICATION_DEFAULT_DAYS) || 14;
+// Shortest review period a campaign may give owners before unreviewed grants are revoked
+const MIN_DAYS = parseInt(process.env.RECERTIFICATION_MIN_DAYS) || 7;
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.RECERTIFICATION_SWEEP_INTERVAL_SECONDS) || 300;
+const SWEEPER = 'recertification-sweeper';
+const DECISIONS = ['keep', 'revoke'];
+
+let sweepTimer = null;
+let sweeping = false;
+
+const sameAddress = (a, b) => Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+
+const canDecide = (caller, item) => caller.role === 'admin' || sameAddress(caller.address, item.reviewer);
+
+// A deadline must leave owners at least MIN_DAYS to review
+const deadlineProblem = (deadline, now = new Date()) => {
+  if (deadline === undefined) return null;
+  const date = new Date(deadline);
+  if (isNaN(date.getTime()) || date.getTime() < now.getTime() + MIN_DAYS * DAY_MS) {
+    return { status: 400, message: `Deadline must be at least ${MIN_DAYS} days from now` };
+  }
+  return null;
+};
+
+// Take a pending item for a decision. Only one of a reviewer and the sweeper
+// gets it; the other sees null.
+const claimItem = (itemId, fields) => RecertificationItem.findOneAndUpdate(
+  { _id: itemId, decision: 'pending' },
+  { $set: fields },
+  { new: true }
+);
+
+// Hand an item back when its grant could not be revoked
+const releaseItem = (item) => RecertificationItem.updateOne(
+  { _id: item._id, decision: item.decision },
+  { $set: { decision: 'pending' }, $unset: { decidedBy: 1, decidedAt: 1, comment: 1 } }
+);
+
+const refreshCounts = async (campaign) => {
+  const groups = await RecertificationItem.aggregate([
+    { $match: { campaignId: campaign._id.toString() } },
+    { $group: { _id: '$decision', count: { $sum: 1 } } }
+  ]);
+  const count = (decision) => (groups.find(group => group._id === decision) || { count: 0 }).count;
+
+  campaign.counts = {
+    total: groups.reduce((sum, group) => sum + group.count, 0),
+    pending: count('pending'),
+    kept: count('keep'),
+    revoked: count('revoke'),
+    autoRevoked: count('auto_revoked')
+  };
+};
+
+const buildReport = (campaign, items) => {
+  const reviewers = new Map();
+  items.forEach(item => {
+    const key = item.reviewer || null;
+    const summary = reviewers.get(key) || { reviewer: key, total: 0, kept: 0, revoked: 0, autoRevoked: 0 };
+    summary.total++;
+    if (item.decision === 'keep') summary.kept++;
+    if (item.decision === 'revoke') summary.revoked++;
+    if (item.decision === 'auto_revoked') summary.autoRevoked++;
+    reviewers.set(key, summary);
+  });
+
+  return {
+    campaignId: campaign._id.toString(),
+    name: campaign.name,
+    description: campaign.description || null,
+    startedBy: campaign.startedBy,
+    startedAt: campaign.createdAt.toISOString(),
+    deadline: campaign.deadline.toISOString(),
+    completedAt: campaign.completedAt.toISOString(),
+    counts: {
+      total: campaign.counts.total,
+      kept: campaign.counts.kept,
+      revoked: campaign.counts.revoked,
+      autoRevoked: campaign.counts.autoRevoked
+    },
+    reviewers: Array.from(reviewers.values()),
+    items: items.map(item => ({
+      itemId: item._id.toString(),
+      grantId: item.grantId,
+      deviceId: item.deviceId,
+      userId: item.userId,
+      permissions: item.permissions,
+      reviewer: item.reviewer || null,
+      decision: item.decision,
+      decidedBy: item.decidedBy || null,
+      decidedAt: item.decidedAt ? item.decidedAt.toISOString() : null,
+      comment: item.comment || null
+    }))
+  };
+};
+
+// Close the campaign once nothing is pending: sign the report with the
+// backend key and anchor its hash through AuditLogger. An anchoring failure is
+// recorded on the report and does not hold up completion. The status moves
+// from open to completed in one conditional update, so a campaign finished by
+// a reviewer and the sweeper at once is completed and reported once.
+const completeIfDone = async (campaign, actor) => {
+  await refreshCounts(campaign);
+  if (campaign.status !== 'open' || campaign.counts.pending > 0) {
+    await RecertificationCampaign.updateOne({ _id: campaign._id }, { $set: { counts: campaign.counts } });
+    return campaign;
+  }
+
+  const completedAt = new Date();
+  const claimed = await RecertificationCampaign.findOneAndUpdate(
+    { _id: campaign._id, status: 'open' },
+    { $set: { status: 'completed', completedAt, counts: campaign.counts } },
+    { new: true }
+  );
+  if (!claimed) {
+    return RecertificationCampaign.findById(campaign._id);
+  }
+  campaign = claimed;
+
+  const items = await RecertificationItem.find({ campaignId: campaign._id.toString() }).sort({ deviceId: 1, userId: 1 });
+  const body = JSON.stringify(buildReport(campaign, items));
+  const hash = crypto.createHash('sha256').update(body).digest('hex');
+  campaign.report = {
+    body,
+    hash,
+    signature: sign(body),
+    keyId: getSigningKey().keyId,
+    generatedAt: new Date()
+  };
+
+  try {
+    const auditLogger = await getAuditLogger();
+    const tx = await sendTransaction(auditLogger, 'logEvent', ['recertification_completed', campaign._id.toString(), 'recertification', hash]);
+    campaign.report.anchor = { transactionHash: tx.transactionHash };
+  } catch (error) {
+    logger.error(`Failed to anchor recertification report ${campaign._id}:`, error);
+    campaign.report.anchor = { error: error.message };
+  }
+
+  await campaign.save();
+
+  logger.auditLog('recertification_completed', actor, campaign._id.toString(), {
+    name: campaign.name,
+    counts: campaign.counts,
+    reportHash: hash
+  });
+
+  return campaign;
+};
+
+// Snapshot every active grant into an item for its device's owner
+const startCampaign = async ({ name, description, deadline, startedBy }) => {
+  const grants = await AccessGrant.find({ status: 'active' });
+  const devices = await Device.find({ deviceId: { $in: [...new Set(grants.map(grant => grant.deviceId))] } });
+  const owners = new Map(devices.map(device => [device.deviceId, device.owner]));
+
+  const campaign = await RecertificationCampaign.create({
+    name,
+    description,
+    deadline: deadline ? new Date(deadline) : new Date(Date.now() + DEFAULT_DAYS * DAY_MS),
+    startedBy
+  });
+
+  await RecertificationItem.insertMany(grants.map(grant => ({
+    campaignId: campaign._id.toString(),
+    reviewer: owners.get(grant.deviceId),
+    grantId: grant._id.toString(),
+    deviceId: grant.deviceId,
+    userId: grant.userId,
+    permissions: grant.permissions,
+    validUntil: grant.validUntil
+  })));
+
+  logger.auditLog('recertification_started', startedBy, campaign._id.toString(), {
+    name,
+    deadline: campaign.deadline.toISOString(),
+    items: grants.length
+  });
+
+  // A campaign with nothing to review is complete straight away
+  return completeIfDone(campaign, startedBy);
+};
+
+// The grant goes when its item is not kept; one that already ended is left alone
+const endGrant = async (item, revokedBy, reason) => {
+  const grant = await AccessGrant.findById(item.grantId);
+  if (grant && grant.status === 'active') {
+    await revokeGrant(grant, { revokedBy, reason });
+  }
+};
+
+// Record keep or revoke decisions on a campaign's items. Each decision gets its
+// own result; one that is refused does not stop the rest.
+const recordDecisions = async (campaign, decisions, caller) => {
+  const results = [];
+
+  for (const entry of decisions) {
+    const { itemId, decision, comment } = entry || {};
+    const result = { itemId, decision };
+
+    if (!DECISIONS.includes(decision)) {
+      results.push({ ...result, success: false, error: `decision must be one of: ${DECISIONS.join(', ')}` });
+      continue;
+    }
+
+    const item = mongoose.isValidObjectId(itemId)
+      ? await RecertificationItem.findOne({ _id: itemId, campaignId: campaign._id.toString() })
+      : null;
+    if (!item) {
+      results.push({ ...result, success: false, error: 'Review item not found' });
+      continue;
+    }
+    if (!canDecide(caller, item)) {
+      results.push({ ...result, success: false, error: 'Only the device owner or an admin can decide this item' });
+      continue;
+    }
+
+    const fields = { decision, decidedBy: caller.id, decidedAt: new Date() };
+    if (comment !== undefined) fields.comment = comment;
+    const claimed = await claimItem(item._id, fields);
+    if (!claimed) {
+      const current = await RecertificationItem.findById(item._id).select('decision');
+      results.push({ ...result, success: false, error: `Item is already decided (${current ? current.decision : item.decision})` });
+      continue;
+    }
+
+    try {
+      if (decision === 'revoke') {
+        await endGrant(claimed, caller.id, `Not re-confirmed in recertification campaign "${campaign.name}"`);
+      }
+      results.push({ ...result, success: true });
+    } catch (error) {
+      logger.error(`Recertification decision on item ${itemId} failed:`, error);
+      await releaseItem(claimed);
+      results.push({ ...result, success: false, error: error.message });
+    }
+  }
+
+  logger.auditLog('recertification_decisions', caller.address, campaign._id.toString(), {
+    decided: results.filter(result => result.success).length,
+    refused: results.filter(result => !result.success).length
+  });
+
+  await completeIfDone(campaign, caller.address);
+  return results;
+};
+
+// Revoke what was not reviewed in time and complete the campaigns past their deadline
+const sweepCampaigns = async (now = new Date()) => {
+  const overdue = await RecertificationCampaign.find({ status: 'open', deadline: { $lte: now } });
+
+  for (const campaign of overdue) {
+    const pending = await RecertificationItem.find({ campaignId: campaign._id.toString(), decision: 'pending' });
+    for (const item of pending) {
+      // A reviewer deciding the item meanwhile wins it
+      const claimed = await claimItem(item._id, { decision: 'auto_revoked', decidedBy: SWEEPER, decidedAt: now });
+      if (!claimed) continue;
+      try {
+        await endGrant(claimed, SWEEPER, `Not reviewed by the deadline of recertification campaign "${campaign.name}"`);
+      } catch (error) {
+        await releaseItem(claimed);
+        throw error;
+      }
+    }
+    await completeIfDone(campaign, SWEEPER);
+  }
+
+  return { completed: overdue.length };
+};
+
+const startRecertificationSweeper = () => {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    // A slow sweep is not overlapped by the next one
+    if (sweeping) return;
+    sweeping = true;
+    sweepCampaigns()
+      .catch(error => logger.error('Recertification sweep failed:', error))
+      .finally(() => { sweeping = false; });
+  }, SWEEP_INTERVAL_SECONDS * 1000);
+  sweepTimer.unref();
+  logger.info(`Recertification sweeper running every ${SWEEP_INTERVAL_SECONDS}s`);
+};
+
+const stopRecertificationSweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  MIN_DAYS,
+  deadlineProblem,
+  startCampaign,
+  recordDecisions,
+  sweepCampaigns,
+  startRecertificationSweeper,
+  stopRecertificationSweeper
+};
@@ -0,0 +1,118 @@
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { getAuditLogger, sendTransaction } = require('../config/blockchain');
+
+const list = (value) => value.split(',').map(entry => entry.trim()).filter(Boolean);
+
+// Static rules: sets of mutually exclusive entitlements, one set per ';'. An
+// entitlement is a permission, a role written as role:<name> or a group written
+// as group:<name>; nobody may hold two from the same set.
+const STATIC_RULES = (process.env.SOD_STATIC_RULES || 'write:policies,write:audit')
+  .split(';')
+  .map(list)
+  .filter(rule => rule.length > 1);
+// Dynamic rules in force: grant_approval keeps whoever requested an access grant
+// (or is its subject) from approving or granting it; policy_activation keeps a
+// policy's creator from activating it
+const DYNAMIC_RULES = list(process.env.SOD_DYNAMIC_RULES || 'grant_approval,policy_activation');
+
+const sameAddress = (a, b) => Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+
+// Whether the holder has the entitlement. Permissions count the way
+// User.hasPermission counts them, so read:all and write:all hold every one.
+const holds = ({ role, permissions, groups }, entitlement) => {
+  if (entitlement.startsWith('role:')) {
+    return role === entitlement.slice('role:'.length);
+  }
+  if (entitlement.startsWith('group:')) {
+    return (groups || []).includes(entitlement.slice('group:'.length));
+  }
+  return User.schema.methods.hasPermission.call({ permissions: permissions || [] }, entitlement);
+};
+
+const dynamicRuleActive = (rule) => DYNAMIC_RULES.includes(rule);
+
+// The static rules a role and permission set breaks, with what it holds of each
+const staticConflicts = (holder) => STATIC_RULES
+  .map(rule => ({ rule: rule.join(','), held: rule.filter(entitlement => holds(holder, entitlement)) }))
+  .filter(conflict => conflict.held.length > 1);
+
+// Why the role, permissions and groups cannot be held together, or null
+const assignmentProblem = (holder) => {
+  const conflicts = staticConflicts(holder);
+  if (conflicts.length === 0) return null;
+  return {
+    status: 409,
+    rule: 'static',
+    message: `Separation of duties: ${conflicts.map(conflict => conflict.held.join(' and ')).join('; ')} cannot be held together`,
+    conflicts
+  };
+};
+
+// Why the caller may not grant the access, or null. request is the access
+// request being approved, or just { userId } for a grant made directly.
+const grantApprovalProblem = (request, caller) => {
+  if (!dynamicRuleActive('grant_approval')) return null;
+  const problem = (message) => ({ status: 403, rule: 'grant_approval', message: `Separation of duties: ${message}` });
+
+  if (request.requestedBy && String(request.requestedBy) === String(caller.id)) {
+    return problem('an access request cannot be approved by its requester');
+  }
+  if (String(request.userId) === String(caller.id)) {
+    return problem('access cannot be granted to oneself');
+  }
+  return null;
+};
+
+// Why the activator may not activate the policy, or null. creator is the
+// address that created it.
+const policyActivationProblem = (creator, activator) => {
+  if (!dynamicRuleActive('policy_activation') || !sameAddress(creator, activator)) return null;
+  return {
+    status: 403,
+    rule: 'policy_activation',
+    message: 'Separation of duties: a policy cannot be activated by its creator'
+  };
+};
+
+// Record a rejected violation as an audit event, anchored through AuditLogger.
+// Anchoring runs in the background; a failure is only logged.
+const reportViolation = (problem, actor, subject, details = {}) => {
+  logger.auditLog('separation_of_duties_violation', actor, subject, {
+    rule: problem.rule,
+    message: problem.message,
+    conflicts: problem.conflicts,
+    ...details
+  });
+
+  (async () => {
+    const auditLogger = await getAuditLogger();
+    await sendTransaction(auditLogger, 'logEvent', ['separation_of_duties_violation', String(actor), String(subject), problem.rule]);
+  })().catch(error => logger.error('Failed to anchor separation-of-duties violation:', error));
+};
+
+// Users who already hold conflicting entitlements, e.g. from before a rule was added
+const findStaticViolations = async () => {
+  const users = await User.find({}, 'username address role permissions groups');
+  return users
+    .map(user => ({
+      userId: user._id.toString(),
+      username: user.username,
+      address: user.address,
+      role: user.role,
+      conflicts: staticConflicts(user)
+    }))
+    .filter(user => user.conflicts.length > 0);
+};
+
+module.exports = {
+  STATIC_RULES,
+  DYNAMIC_RULES,
+  dynamicRuleActive,
+  staticConflicts,
+  assignmentProblem,
+  grantApprovalProblem,
+  policyActivationProblem,
+  reportViolation,
+  findStaticViolations
+};
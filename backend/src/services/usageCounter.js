@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+const { describeUsage, parseUsageKey } = require('../utils/usageLimits');
+
+// Checks every counter, and only if none is at its limit records one use on
+// each. Returns 0 on success, or the 1-based index of the first exhausted key.
+// ARGV: now, member, then max, mode, periodMs, ttlMs for each key.
+const CONSUME_SCRIPT = `
+local now = tonumber(ARGV[1])
+local member = ARGV[2]
+for i, key in ipairs(KEYS) do
+  local base = 2 + (i - 1) * 4
+  local max = tonumber(ARGV[base + 1])
+  local mode = ARGV[base + 2]
+  local count
+  if mode == 'sliding' then
+    redis.call('ZREMRANGEBYSCORE', key, '-inf', now - tonumber(ARGV[base + 3]))
+    count = redis.call('ZCARD', key)
+  else
+    count = tonumber(redis.call('GET', key) or '0')
+  end
+  if count >= max then
+    return i
+  end
+end
+for i, key in ipairs(KEYS) do
+  local base = 2 + (i - 1) * 4
+  local mode = ARGV[base + 2]
+  local ttl = tonumber(ARGV[base + 4])
+  if mode == 'sliding' then
+    redis.call('ZADD', key, now, member)
+  else
+    redis.call('INCR', key)
+  end
+  if ttl > 0 then
+    redis.call('PEXPIRE', key, ttl)
+  end
+end
+return 0
+`;
+
+const limitedRules = (policy) => policy.rules
+  .map((rule, ruleIndex) => ({ policy, rule, ruleIndex }))
+  .filter(({ rule }) => rule.conditions && rule.conditions.maxUsageCount);
+
+// Current use counts of every usage-limited rule, keyed "policyId#ruleIndex".
+// Counts are null when Redis cannot be read, which the evaluator treats as exhausted.
+const loadUsage = async (policies, subject, resource, now = Date.now()) => {
+  const usage = new Map();
+  const limited = policies.flatMap(limitedRules);
+  if (limited.length === 0) return usage;
+
+  const described = limited.map(({ policy, rule, ruleIndex }) => ({
+    id: `${policy.policyId}#${ruleIndex}`,
+    ...describeUsage(policy.policyId, ruleIndex, rule, subject, resource, now)
+  }));
+
+  try {
+    const pipeline = getRedisClient().pipeline();
+    described.forEach(({ key, mode, periodMs }) => {
+      if (mode === 'sliding') {
+        pipeline.zcount(key, `(${now - periodMs}`, '+inf');
+      } else {
+        pipeline.get(key);
+      }
+    });
+    const replies = await pipeline.exec();
+
+    described.forEach(({ id }, index) => {
+      const [error, count] = replies[index];
+      usage.set(id, error ? null : Number(count || 0));
+    });
+  } catch (error) {
+    logger.error('Failed to read usage counters:', error);
+    described.forEach(({ id }) => usage.set(id, null));
+  }
+
+  return usage;
+};
+
+// Record one use of each rule that permitted a request, all or nothing.
+// Resolves to { exhausted: { policyId, ruleIndex } } when a limit was reached,
+// otherwise to { charge } which refundUsage can take back.
+const consumeUsage = async (rules, subject, resource, now = Date.now()) => {
+  const limited = rules.filter(({ rule }) => rule.conditions && rule.conditions.maxUsageCount);
+  if (limited.length === 0) return { charge: null };
+
+  const described = limited.map(({ policy, rule, ruleIndex }) =>
+    describeUsage(policy.policyId, ruleIndex, rule, subject, resource, now));
+  const member = `${now}:${crypto.randomBytes(6).toString('hex')}`;
+  const args = described.flatMap(({ max, mode, periodMs, ttlMs }) => [max, mode, periodMs, ttlMs]);
+
+  const exhausted = await getRedisClient().eval(
+    CONSUME_SCRIPT,
+    described.length,
+    ...described.map(({ key }) => key),
+    now,
+    member,
+    ...args
+  );
+
+  if (!exhausted) {
+    return { charge: { member, counters: described.map(({ key, mode }) => ({ key, mode })) } };
+  }
+  const { policy, ruleIndex } = limited[exhausted - 1];
+  return { exhausted: { policyId: policy.policyId, ruleIndex } };
+};
+
+// Take back a use recorded by consumeUsage, when access was refused after all
+const refundUsage = async (charge) => {
+  if (!charge) return;
+
+  const pipeline = getRedisClient().pipeline();
+  charge.counters.forEach(({ key, mode }) => {
+    if (mode === 'sliding') {
+      pipeline.zrem(key, charge.member);
+    } else {
+      pipeline.decr(key);
+    }
+  });
+  await pipeline.exec();
+};
+
+// Delete a policy's counters, optionally only for one rule, subject or resource.
+// Resolves to the number of counters removed.
+const resetUsage = async ({ policyId, ruleIndex, subjectId, resourceId }) => {
+  const redis = getRedisClient();
+  // SCAN may return a key more than once
+  const keys = new Set();
+  let cursor = '0';
+
+  do {
+    const [next, batch] = await redis.scan(cursor, 'MATCH', `usage:${policyId}:*`, 'COUNT', 500);
+    cursor = next;
+    batch.forEach(key => {
+      const parts = parseUsageKey(key);
+      if (parts.policyId === policyId
+        && (ruleIndex === undefined || parts.ruleIndex === ruleIndex)
+        && (subjectId === undefined || parts.subjectId === subjectId)
+        && (resourceId === undefined || parts.resourceId === resourceId)) {
+        keys.add(key);
+      }
+    });
+  } while (cursor !== '0');
+
+  if (keys.size > 0) {
+    await redis.del(...keys);
+  }
+  return keys.size;
+};
+
+module.exports = {
+  loadUsage,
+  consumeUsage,
+  refundUsage,
+  resetUsage
+};
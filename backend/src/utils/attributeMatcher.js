@@ -0,0 +1,187 @@
+// Matching helpers for the ABAC parts of policy rules.
+//
+// Attribute values in a rule are strings with an optional operator prefix:
+//   "engineering"      equality
+//   "!=contractor"     inequality
+//   "in:a,b,c"         set membership
+//   "not_in:a,b"       set exclusion
+//   ">=20", "<5" ...   numeric comparison
+//   "Building-A*"      wildcard ('*' matches any run of characters)
+// When the actual value is an array the condition matches if any element matches.
+
+// Subject attributes the evaluator can resolve from a User
+const SUBJECT_ATTRIBUTES = [
+  'role',
+  'username',
+  'email',
+  'address',
+  'timezone',
+  'language',
+  'isVerified',
+  'twoFactorEnabled',
+  'department'
+];
+
+const NUMERIC_OPERATORS = ['>=', '<=', '>', '<'];
+
+const escapeRegExp = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+const wildcardToRegExp = (pattern) => new RegExp(`^${escapeRegExp(pattern).replace(/\*/g, '.*')}$`);
+
+// Parse a rule value into { operator, operand }; throws on malformed input
+const parseCondition = (raw) => {
+  if (typeof raw !== 'string') {
+    throw new Error(`Condition must be a string, got ${typeof raw}`);
+  }
+
+  const value = raw.trim();
+
+  if (value.startsWith('not_in:') || value.startsWith('in:')) {
+    const operator = value.startsWith('in:') ? 'in' : 'not_in';
+    const operand = value.slice(operator.length + 1).split(',').map(v => v.trim()).filter(Boolean);
+    if (operand.length === 0) {
+      throw new Error(`Empty set in condition "${raw}"`);
+    }
+    return { operator, operand };
+  }
+
+  const numericOperator = NUMERIC_OPERATORS.find(op => value.startsWith(op));
+  if (numericOperator) {
+    const operand = Number(value.slice(numericOperator.length).trim());
+    if (value.slice(numericOperator.length).trim() === '' || !Number.isFinite(operand)) {
+      throw new Error(`Numeric comparison requires a number in condition "${raw}"`);
+    }
+    return { operator: numericOperator, operand };
+  }
+
+  if (value.startsWith('!=')) {
+    return { operator: '!=', operand: value.slice(2).trim() };
+  }
+
+  if (value.includes('*')) {
+    return { operator: 'like', operand: value };
+  }
+
+  return { operator: '==', operand: value.startsWith('=') ? value.slice(1).trim() : value };
+};
+
+const compareScalar = ({ operator, operand }, actual) => {
+  if (actual === undefined || actual === null) return false;
+
+  const actualString = String(actual);
+
+  switch (operator) {
+    case '==':
+      return actualString === operand;
+    case '!=':
+      return actualString !== operand;
+    case 'in':
+      return operand.includes(actualString);
+    case 'not_in':
+      return !operand.includes(actualString);
+    case 'like':
+      return wildcardToRegExp(operand).test(actualString);
+    default: {
+      const number = Number(actual);
+      if (actualString.trim() === '' || !Number.isFinite(number)) return false;
+      if (operator === '>=') return number >= operand;
+      if (operator === '<=') return number <= operand;
+      if (operator === '>') return number > operand;
+      return number < operand;
+    }
+  }
+};
+
+// Test a single rule value against an actual attribute value
+const matchCondition = (raw, actual) => {
+  const condition = parseCondition(raw);
+
+  if (Array.isArray(actual)) {
+    // Exclusions must hold for every element, everything else for at least one
+    if (condition.operator === 'not_in' || condition.operator === '!=') {
+      return actual.every(item => compareScalar(condition, item));
+    }
+    return actual.some(item => compareScalar(condition, item));
+  }
+
+  return compareScalar(condition, actual);
+};
+
+// Mongoose Maps and plain objects both end up as [key, value] pairs
+const toEntries = (attributes) => {
+  if (!attributes) return [];
+  if (attributes instanceof Map) return Array.from(attributes.entries());
+  return Object.entries(attributes);
+};
+
+// Every attribute condition in the rule must hold for the actual attributes;
+// onCheck(name, expected, actual, passed) sees each condition as it is tested
+const matchAttributes = (ruleAttributes, actualAttributes = {}, onCheck) => {
+  const actual = actualAttributes instanceof Map ? Object.fromEntries(actualAttributes) : actualAttributes;
+  return toEntries(ruleAttributes).every(([name, raw]) => {
+    const passed = matchCondition(raw, actual[name]);
+    if (onCheck) onCheck(name, raw, actual[name], passed);
+    return passed;
+  });
+};
+
+// Resource IDs support exact values, '*' wildcards and prefixes such as 'LOCK-*'
+const matchId = (pattern, id) => {
+  if (!id) return false;
+  if (pattern === '*') return true;
+  if (!pattern.includes('*')) return pattern === String(id);
+  return wildcardToRegExp(pattern).test(String(id));
+};
+
+// Collect the reasons a set of rules cannot be evaluated by the engine
+const validateRuleAttributes = (rules = []) => {
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    const subject = (rule && rule.subject) || {};
+    const resource = (rule && rule.resource) || {};
+
+    toEntries(subject.attributes).forEach(([name, raw]) => {
+      if (!SUBJECT_ATTRIBUTES.includes(name)) {
+        errors.push(`rules[${index}].subject.attributes.${name}: unknown subject attribute`);
+        return;
+      }
+      try {
+        parseCondition(raw);
+      } catch (error) {
+        errors.push(`rules[${index}].subject.attributes.${name}: ${error.message}`);
+      }
+    });
+
+    toEntries(resource.attributes).forEach(([name, raw]) => {
+      try {
+        parseCondition(raw);
+      } catch (error) {
+        errors.push(`rules[${index}].resource.attributes.${name}: ${error.message}`);
+      }
+    });
+
+    (resource.ids || []).forEach((id, idIndex) => {
+      if (typeof id !== 'string' || id.trim() === '') {
+        errors.push(`rules[${index}].resource.ids[${idIndex}]: must be a non-empty string`);
+      }
+    });
+
+    (subject.groups || []).forEach((group, groupIndex) => {
+      if (typeof group !== 'string' || group.trim() === '') {
+        errors.push(`rules[${index}].subject.groups[${groupIndex}]: must be a non-empty string`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+module.exports = {
+  SUBJECT_ATTRIBUTES,
+  parseCondition,
+  matchCondition,
+  matchAttributes,
+  matchId,
+  validateRuleAttributes
+};
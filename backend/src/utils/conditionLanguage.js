@@ -0,0 +1,624 @@
+// A small, side-effect free expression language for Policy customConditions.
+//
+//   battery_level > 20 and user.department == resource.attributes.department
+//   subject.roles in ["operator", "admin"] or env.hour < 6
+//   not (device.status == "inactive") && request.attributes.badge matches "^V-[0-9]+$"
+//
+// Expressions are parsed into an AST once and evaluated against a read-only scope.
+// There are no loops, assignments or function calls, so evaluation always
+// terminates in time linear to the expression size.
+//
+// Roots: subject (alias user), resource (alias device), env, request.
+// subject.department is shorthand for subject.attributes.department, and the same
+// holds for resource/device attributes. A bare name such as battery_level is
+// looked up in the request attributes, then in the resource attributes.
+
+const { SUBJECT_ATTRIBUTES } = require('./attributeMatcher');
+
+const MAX_EXPRESSION_LENGTH = 1000;
+const MAX_DEPTH = 32;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCH_INPUT_LENGTH = 1000;
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'matches', 'true', 'false', 'null'];
+const COMPARISON_OPERATORS = ['==', '!=', '<', '<=', '>', '>='];
+
+const ROOT_ALIASES = {
+  subject: 'subject',
+  user: 'subject',
+  resource: 'resource',
+  device: 'resource',
+  env: 'env',
+  request: 'request'
+};
+
+// Why a regular expression could backtrack exponentially, or null. A quantified
+// group may hold neither a quantifier, e.g. (a+)+, nor an alternation, e.g.
+// (a|ab)*, at any depth. Escapes and character classes are skipped.
+const backtrackingRisk = (pattern) => {
+  const groups = [{ quantified: false, alternation: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const group = groups[groups.length - 1];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+    } else if (char === '|') {
+      group.alternation = true;
+    } else if ('+*{'.includes(char)) {
+      group.quantified = true;
+    } else if (char === ')' && groups.length > 1) {
+      groups.pop();
+      const parent = groups[groups.length - 1];
+      const quantified = '+*{'.includes(pattern[i + 1]);
+      if (quantified && group.quantified) return 'Nested quantifiers are not allowed in regular expressions';
+      if (quantified && group.alternation) return 'Quantified alternations are not allowed in regular expressions';
+      parent.quantified = parent.quantified || group.quantified || quantified;
+      parent.alternation = parent.alternation || group.alternation;
+    }
+  }
+  return null;
+};
+
+const subjectAttributeTypes = SUBJECT_ATTRIBUTES.reduce((types, name) => ({
+  ...types,
+  [name]: ['isVerified', 'twoFactorEnabled'].includes(name) ? 'boolean' : 'string'
+}), {});
+
+// Static types of the values an expression can reference; '*' accepts any key
+const SCOPE_TYPES = {
+  subject: {
+    id: 'string',
+    address: 'string',
+    roles: 'list',
+    groups: 'list',
+    permissions: 'list',
+    attributes: subjectAttributeTypes
+  },
+  resource: {
+    id: 'string',
+    type: 'string',
+    owner: 'string',
+    location: 'string',
+    status: 'string',
+    firmwareVersion: 'string',
+    attributes: { '*': 'any' }
+  },
+  env: {
+    timestamp: 'number',
+    hour: 'number',
+    minute: 'number',
+    dayOfWeek: 'number',
+    timezone: 'string',
+    ipAddress: 'string',
+    userAgent: 'string',
+    location: { '*': 'any' }
+  },
+  request: {
+    action: 'string',
+    attributes: { '*': 'any' }
+  }
+};
+
+const conditionError = (message, position) => new Error(
+  position === undefined ? message : `${message} at position ${position}`
+);
+
+// ---- Lexer ----
+
+const isOperand = (token) => {
+  if (!token) return false;
+  return ['number', 'string', 'path'].includes(token.type)
+    || (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value))
+    || (token.type === 'operator' && [')', ']'].includes(token.value));
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(source[i + 1] || '') && !isOperand(tokens[tokens.length - 1]))) {
+      const match = /^-?\d+(\.\d+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), position: start });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          i++;
+        }
+        value += source[i];
+        i++;
+      }
+      if (i >= source.length) {
+        throw conditionError('Unterminated string', start);
+      }
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(source.slice(i));
+      const word = match[0];
+      i += word.length;
+      if (KEYWORDS.includes(word)) {
+        tokens.push({ type: 'keyword', value: word, position: start });
+      } else {
+        tokens.push({ type: 'path', value: word, position: start });
+      }
+      continue;
+    }
+
+    const twoChars = source.slice(i, i + 2);
+    if (['==', '!=', '<=', '>=', '&&', '||'].includes(twoChars)) {
+      tokens.push({ type: 'operator', value: twoChars, position: start });
+      i += 2;
+      continue;
+    }
+
+    if (['<', '>', '!', '(', ')', '[', ']', ','].includes(char)) {
+      tokens.push({ type: 'operator', value: char, position: start });
+      i++;
+      continue;
+    }
+
+    throw conditionError(`Unexpected character "${char}"`, start);
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+};
+
+// ---- Parser ----
+
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isToken = (type, value) => peek().type === type && (value === undefined || peek().value === value);
+
+  const expect = (type, value) => {
+    if (!isToken(type, value)) {
+      throw conditionError(`Expected "${value || type}"`, peek().position);
+    }
+    return next();
+  };
+
+  const enter = () => {
+    depth++;
+    if (depth > MAX_DEPTH) {
+      throw conditionError('Expression is nested too deeply', peek().position);
+    }
+  };
+
+  let parseOr;
+
+  const parseLiteral = () => {
+    const token = next();
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value, position: token.position };
+    }
+    if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+      const values = { true: true, false: false, null: null };
+      return { type: 'literal', value: values[token.value], position: token.position };
+    }
+    throw conditionError('Expected a literal value', token.position);
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (isToken('operator', '(')) {
+      next();
+      enter();
+      const expression = parseOr();
+      depth--;
+      expect('operator', ')');
+      return expression;
+    }
+
+    if (isToken('operator', '[')) {
+      next();
+      const items = [];
+      if (!isToken('operator', ']')) {
+        items.push(parseLiteral());
+        while (isToken('operator', ',')) {
+          next();
+          items.push(parseLiteral());
+        }
+      }
+      expect('operator', ']');
+      return { type: 'list', items, position: token.position };
+    }
+
+    if (token.type === 'path') {
+      next();
+      return { type: 'path', path: token.value.split('.'), position: token.position };
+    }
+
+    return parseLiteral();
+  };
+
+  const parseComparison = () => {
+    const left = parsePrimary();
+    const token = peek();
+
+    if (token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+      next();
+      return { type: 'compare', operator: token.value, left, right: parsePrimary(), position: token.position };
+    }
+
+    if (isToken('keyword', 'in')) {
+      next();
+      return { type: 'in', negate: false, left, right: parsePrimary(), position: token.position };
+    }
+
+    if (isToken('keyword', 'not') && tokens[index + 1].type === 'keyword' && tokens[index + 1].value === 'in') {
+      index += 2;
+      return { type: 'in', negate: true, left, right: parsePrimary(), position: token.position };
+    }
+
+    if (isToken('keyword', 'matches')) {
+      next();
+      const pattern = expect('string');
+      if (pattern.value.length > MAX_PATTERN_LENGTH) {
+        throw conditionError('Regular expression is too long', pattern.position);
+      }
+      const risk = backtrackingRisk(pattern.value);
+      if (risk) {
+        throw conditionError(risk, pattern.position);
+      }
+      let regex;
+      try {
+        regex = new RegExp(pattern.value);
+      } catch (error) {
+        throw conditionError(`Invalid regular expression: ${error.message}`, pattern.position);
+      }
+      return { type: 'matches', left, regex, position: token.position };
+    }
+
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isToken('keyword', 'not') || isToken('operator', '!')) {
+      const token = next();
+      enter();
+      const operand = parseNot();
+      depth--;
+      return { type: 'not', operand, position: token.position };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (isToken('keyword', 'and') || isToken('operator', '&&')) {
+      const token = next();
+      left = { type: 'and', left, right: parseNot(), position: token.position };
+    }
+    return left;
+  };
+
+  parseOr = () => {
+    let left = parseAnd();
+    while (isToken('keyword', 'or') || isToken('operator', '||')) {
+      const token = next();
+      left = { type: 'or', left, right: parseAnd(), position: token.position };
+    }
+    return left;
+  };
+
+  const ast = parseOr();
+  if (!isToken('end')) {
+    throw conditionError('Unexpected input', peek().position);
+  }
+  return ast;
+};
+
+// ---- Type checker ----
+
+// Resolve a path to its scope root and the segments below it
+const resolvePath = (path) => {
+  if (path.length === 1) {
+    return { root: null, segments: path };
+  }
+
+  const root = ROOT_ALIASES[path[0]];
+  if (!root) {
+    throw new Error(`Unknown root "${path[0]}"`);
+  }
+
+  let segments = path.slice(1);
+  const fields = SCOPE_TYPES[root];
+
+  // subject.department -> subject.attributes.department
+  if (!(segments[0] in fields) && fields.attributes) {
+    segments = ['attributes', ...segments];
+  }
+
+  return { root, segments };
+};
+
+const typeOfPath = (node) => {
+  let resolved;
+  try {
+    resolved = resolvePath(node.path);
+  } catch (error) {
+    throw conditionError(error.message, node.position);
+  }
+
+  if (!resolved.root) return 'any';
+
+  let current = SCOPE_TYPES[resolved.root];
+  for (const segment of resolved.segments) {
+    if (typeof current === 'string') {
+      if (current === 'any') return 'any';
+      throw conditionError(`"${node.path.join('.')}" has no field "${segment}"`, node.position);
+    }
+    if (segment in current) {
+      current = current[segment];
+    } else if ('*' in current) {
+      current = current['*'];
+    } else {
+      throw conditionError(`Unknown attribute "${node.path.join('.')}"`, node.position);
+    }
+  }
+
+  if (typeof current !== 'string') {
+    throw conditionError(`"${node.path.join('.')}" is not a value`, node.position);
+  }
+  return current;
+};
+
+const isOneOf = (type, allowed) => type === 'any' || allowed.includes(type);
+
+const typeCheck = (node) => {
+  switch (node.type) {
+    case 'literal':
+      if (node.value === null) return 'null';
+      return typeof node.value;
+    case 'list':
+      return 'list';
+    case 'path':
+      return typeOfPath(node);
+    case 'not': {
+      const operand = typeCheck(node.operand);
+      if (!isOneOf(operand, ['boolean'])) {
+        throw conditionError(`"not" needs a boolean, got ${operand}`, node.position);
+      }
+      return 'boolean';
+    }
+    case 'and':
+    case 'or': {
+      [node.left, node.right].forEach(operand => {
+        const type = typeCheck(operand);
+        if (!isOneOf(type, ['boolean'])) {
+          throw conditionError(`"${node.type}" needs booleans, got ${type}`, node.position);
+        }
+      });
+      return 'boolean';
+    }
+    case 'compare': {
+      const left = typeCheck(node.left);
+      const right = typeCheck(node.right);
+      if (['<', '<=', '>', '>='].includes(node.operator)) {
+        if (!isOneOf(left, ['number']) || !isOneOf(right, ['number'])) {
+          throw conditionError(`"${node.operator}" needs numbers, got ${left} and ${right}`, node.position);
+        }
+      } else if (left !== 'any' && right !== 'any' && left !== right && left !== 'null' && right !== 'null') {
+        throw conditionError(`Cannot compare ${left} with ${right}`, node.position);
+      }
+      return 'boolean';
+    }
+    case 'in': {
+      const left = typeCheck(node.left);
+      const right = typeCheck(node.right);
+      if (!isOneOf(right, ['list'])) {
+        throw conditionError(`"in" needs a list on the right, got ${right}`, node.position);
+      }
+      // The items of a literal list must be of the type being looked for
+      if (node.right.type === 'list' && !['any', 'list', 'null'].includes(left)) {
+        const stray = node.right.items.map(typeCheck).find(type => type !== left && type !== 'null');
+        if (stray) {
+          throw conditionError(`"in" looks for a ${left} in a list holding a ${stray}`, node.position);
+        }
+      }
+      return 'boolean';
+    }
+    case 'matches': {
+      const left = typeCheck(node.left);
+      if (!isOneOf(left, ['string'])) {
+        throw conditionError(`"matches" needs a string, got ${left}`, node.position);
+      }
+      return 'boolean';
+    }
+    default:
+      throw conditionError(`Unknown expression node ${node.type}`, node.position);
+  }
+};
+
+const compiledCache = new Map();
+
+// Parse and type-check an expression; throws with a position on failure
+const compile = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw conditionError('Condition must be a non-empty string');
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw conditionError(`Condition is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+  if (compiledCache.has(source)) {
+    return compiledCache.get(source);
+  }
+
+  const ast = parse(source);
+  const type = typeCheck(ast);
+  if (!isOneOf(type, ['boolean'])) {
+    throw conditionError(`Condition must be boolean, got ${type}`);
+  }
+
+  const compiled = { source, ast };
+  if (compiledCache.size >= 500) {
+    compiledCache.delete(compiledCache.keys().next().value);
+  }
+  compiledCache.set(source, compiled);
+  return compiled;
+};
+
+// ---- Evaluator ----
+
+const readAttribute = (attributes, name) => {
+  if (!attributes) return undefined;
+  if (attributes instanceof Map) return attributes.get(name);
+  return Object.prototype.hasOwnProperty.call(attributes, name) ? attributes[name] : undefined;
+};
+
+const lookup = (scope, path) => {
+  const { root, segments } = resolvePath(path);
+
+  if (!root) {
+    const requestValue = readAttribute(scope.request && scope.request.attributes, segments[0]);
+    return requestValue !== undefined
+      ? requestValue
+      : readAttribute(scope.resource && scope.resource.attributes, segments[0]);
+  }
+
+  let current = scope[root];
+  for (const segment of segments) {
+    if (current === undefined || current === null) return undefined;
+    current = readAttribute(current, segment);
+  }
+  return current;
+};
+
+const isNumeric = (value) => typeof value === 'number'
+  || (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+
+const equals = (left, right) => {
+  if (left === undefined || left === null || right === undefined || right === null) {
+    return (left === undefined || left === null) && (right === undefined || right === null);
+  }
+  if ((typeof left === 'number' || typeof right === 'number') && isNumeric(left) && isNumeric(right)) {
+    return Number(left) === Number(right);
+  }
+  if (typeof left === 'boolean' || typeof right === 'boolean') {
+    return String(left) === String(right);
+  }
+  return left === right || String(left) === String(right);
+};
+
+const toBoolean = (value) => value === true || value === 'true';
+
+const evaluateNode = (node, scope) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'list':
+      return node.items.map(item => item.value);
+    case 'path':
+      return lookup(scope, node.path);
+    case 'not':
+      return !toBoolean(evaluateNode(node.operand, scope));
+    case 'and':
+      return toBoolean(evaluateNode(node.left, scope)) && toBoolean(evaluateNode(node.right, scope));
+    case 'or':
+      return toBoolean(evaluateNode(node.left, scope)) || toBoolean(evaluateNode(node.right, scope));
+    case 'compare': {
+      const left = evaluateNode(node.left, scope);
+      const right = evaluateNode(node.right, scope);
+      if (node.operator === '==') return equals(left, right);
+      if (node.operator === '!=') return !equals(left, right);
+      if (!isNumeric(left) || !isNumeric(right)) return false;
+      const a = Number(left);
+      const b = Number(right);
+      if (node.operator === '<') return a < b;
+      if (node.operator === '<=') return a <= b;
+      if (node.operator === '>') return a > b;
+      return a >= b;
+    }
+    case 'in': {
+      const left = evaluateNode(node.left, scope);
+      const right = evaluateNode(node.right, scope);
+      // A list on the left matches when any of its items is in the right-hand list
+      const candidates = Array.isArray(left) ? left : [left];
+      const found = Array.isArray(right) && candidates.some(value => right.some(item => equals(value, item)));
+      return node.negate ? !found : found;
+    }
+    case 'matches': {
+      const left = evaluateNode(node.left, scope);
+      if (typeof left !== 'string' || left.length > MAX_MATCH_INPUT_LENGTH) return false;
+      return node.regex.test(left);
+    }
+    default:
+      return false;
+  }
+};
+
+const evaluate = (source, scope) => toBoolean(evaluateNode(compile(source).ast, scope));
+
+const toEntries = (conditions) => {
+  if (!conditions) return [];
+  if (conditions instanceof Map) return Array.from(conditions.entries());
+  return Object.entries(conditions);
+};
+
+// Returns null when every custom condition holds, otherwise the first that does not
+// onCheck(name, source, passed) sees each condition as it is evaluated
+const checkCustomConditions = (customConditions, scope, onCheck) => {
+  for (const [name, source] of toEntries(customConditions)) {
+    const passed = evaluate(source, scope);
+    if (onCheck) onCheck(name, source, passed);
+    if (!passed) {
+      return `Condition ${name} not satisfied`;
+    }
+  }
+  return null;
+};
+
+const validateRuleConditions = (rules = []) => {
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    const conditions = (rule && rule.conditions && rule.conditions.customConditions) || null;
+    toEntries(conditions).forEach(([name, source]) => {
+      try {
+        compile(source);
+      } catch (error) {
+        errors.push(`rules[${index}].conditions.customConditions.${name}: ${error.message}`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+module.exports = {
+  compile,
+  evaluate,
+  checkCustomConditions,
+  validateRuleConditions
+};
@@ -0,0 +1,66 @@
+const semver = require('semver');
+
+// Devices in these states are never accessible, whatever the policies say
+const BLOCKED_DEVICE_STATUSES = ['compromised', 'maintenance'];
+
+const DEVICE_STATUSES = ['active', 'inactive', 'maintenance', 'compromised', 'decommissioned'];
+
+const hasEntries = (list) => Array.isArray(list) && list.length > 0;
+
+// Returns null when the device satisfies the constraints, otherwise the reason it does not
+const checkDeviceConstraints = (constraints = {}, resource = {}) => {
+  if (hasEntries(constraints.deviceTypes) && !constraints.deviceTypes.includes(resource.type)) {
+    return `Device type ${resource.type || 'unknown'} not allowed`;
+  }
+
+  if (hasEntries(constraints.deviceStatus) && !constraints.deviceStatus.includes(resource.status)) {
+    return `Device status ${resource.status || 'unknown'} not allowed`;
+  }
+
+  if (hasEntries(constraints.firmwareVersions)) {
+    const version = semver.valid(semver.coerce(resource.firmwareVersion));
+    if (!version) {
+      return 'Device firmware version unknown';
+    }
+    if (!constraints.firmwareVersions.some(range => semver.satisfies(version, range))) {
+      return `Device firmware ${version} not in allowed range`;
+    }
+  }
+
+  return null;
+};
+
+const validateRuleDeviceConstraints = (rules = [], deviceTypes = []) => {
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    const constraints = (rule && rule.environment && rule.environment.deviceConstraints) || {};
+    const prefix = `rules[${index}].environment.deviceConstraints`;
+
+    (constraints.deviceTypes || []).forEach(type => {
+      if (deviceTypes.length > 0 && !deviceTypes.includes(type)) {
+        errors.push(`${prefix}.deviceTypes: unknown device type ${type}`);
+      }
+    });
+
+    (constraints.deviceStatus || []).forEach(status => {
+      if (!DEVICE_STATUSES.includes(status)) {
+        errors.push(`${prefix}.deviceStatus: unknown device status ${status}`);
+      }
+    });
+
+    (constraints.firmwareVersions || []).forEach(range => {
+      if (typeof range !== 'string' || semver.validRange(range) === null) {
+        errors.push(`${prefix}.firmwareVersions: invalid semver range ${range}`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+module.exports = {
+  BLOCKED_DEVICE_STATUSES,
+  checkDeviceConstraints,
+  validateRuleDeviceConstraints
+};
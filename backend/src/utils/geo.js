@@ -0,0 +1,171 @@
+// Geofence helpers for location-based policy rules.
+// Distances are in meters; coordinates are WGS84 { latitude, longitude }.
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const isCoordinate = (point) => Boolean(point)
+  && Number.isFinite(Number(point.latitude))
+  && Number.isFinite(Number(point.longitude))
+  && Math.abs(Number(point.latitude)) <= 90
+  && Math.abs(Number(point.longitude)) <= 180;
+
+// Great-circle distance using the haversine formula
+const haversineDistance = (from, to) => {
+  const lat1 = toRadians(Number(from.latitude));
+  const lat2 = toRadians(Number(to.latitude));
+  const dLat = lat2 - lat1;
+  const dLon = toRadians(Number(to.longitude) - Number(from.longitude));
+
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Project onto a local plane (meters) centred on origin; accurate for site-sized polygons
+const project = (origin, point) => {
+  const lat0 = toRadians(Number(origin.latitude));
+  return {
+    x: toRadians(Number(point.longitude) - Number(origin.longitude)) * EARTH_RADIUS_METERS * Math.cos(lat0),
+    y: toRadians(Number(point.latitude) - Number(origin.latitude)) * EARTH_RADIUS_METERS
+  };
+};
+
+// Ray casting in the projected plane; the request point sits at (0, 0)
+const pointInPolygon = (point, polygon) => {
+  const vertices = polygon.map(vertex => project(point, vertex));
+  let inside = false;
+
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if ((a.y > 0) !== (b.y > 0) && 0 < ((b.x - a.x) * (0 - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Shortest distance from the point to any polygon edge
+const distanceToPolygonEdge = (point, polygon) => {
+  const vertices = polygon.map(vertex => project(point, vertex));
+  let minimum = Infinity;
+
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[j];
+    const b = vertices[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    minimum = Math.min(minimum, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+
+  return minimum;
+};
+
+// Collect the circles and polygons a rule's location constraints define
+const getGeofences = (locationConstraints = {}) => {
+  const zones = [];
+
+  const { coordinates, radiusMeters } = locationConstraints;
+  if (isCoordinate(coordinates) && Number(radiusMeters) > 0) {
+    zones.push({ type: 'circle', name: 'site', center: coordinates, radiusMeters: Number(radiusMeters) });
+  }
+
+  (locationConstraints.geofences || []).forEach((zone, index) => {
+    zones.push({
+      type: zone.type,
+      name: zone.name || `${zone.type}-${index}`,
+      center: zone.center,
+      radiusMeters: Number(zone.radiusMeters),
+      points: zone.points
+    });
+  });
+
+  return zones;
+};
+
+// How far the request is from being inside a zone; <= 0 means inside.
+// accuracy is the request's own uncertainty radius and must fit in the zone.
+const overshoot = (zone, location, accuracy) => {
+  if (zone.type === 'polygon') {
+    const edgeDistance = distanceToPolygonEdge(location, zone.points);
+    return pointInPolygon(location, zone.points) ? accuracy - edgeDistance : edgeDistance + accuracy;
+  }
+
+  return haversineDistance(location, zone.center) + accuracy - zone.radiusMeters;
+};
+
+// Check a request location against a set of zones; inside any zone is enough
+const evaluateGeofences = (zones, location) => {
+  const accuracy = Number(location.radius) > 0 ? Number(location.radius) : 0;
+  let nearest = null;
+
+  for (const zone of zones) {
+    const distance = overshoot(zone, location, accuracy);
+    if (distance <= 0) {
+      return { inside: true, zone: zone.name };
+    }
+    if (!nearest || distance < nearest.distanceMeters) {
+      nearest = { zone: zone.name, distanceMeters: distance };
+    }
+  }
+
+  return {
+    inside: false,
+    zone: nearest ? nearest.zone : null,
+    distanceMeters: nearest ? Math.round(nearest.distanceMeters) : null
+  };
+};
+
+const validateRuleGeofences = (rules = []) => {
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    const constraints = (rule && rule.environment && rule.environment.locationConstraints) || {};
+    const prefix = `rules[${index}].environment.locationConstraints`;
+
+    if (constraints.radiusMeters !== undefined && constraints.radiusMeters !== null) {
+      if (!(Number(constraints.radiusMeters) > 0)) {
+        errors.push(`${prefix}.radiusMeters: must be a positive number`);
+      } else if (!isCoordinate(constraints.coordinates)) {
+        errors.push(`${prefix}.coordinates: valid latitude and longitude are required with radiusMeters`);
+      }
+    }
+
+    (constraints.geofences || []).forEach((zone, zoneIndex) => {
+      const zonePrefix = `${prefix}.geofences[${zoneIndex}]`;
+      if (zone.type === 'circle') {
+        if (!isCoordinate(zone.center)) {
+          errors.push(`${zonePrefix}.center: valid latitude and longitude are required`);
+        }
+        if (!(Number(zone.radiusMeters) > 0)) {
+          errors.push(`${zonePrefix}.radiusMeters: must be a positive number`);
+        }
+      } else if (zone.type === 'polygon') {
+        if (!Array.isArray(zone.points) || zone.points.length < 3) {
+          errors.push(`${zonePrefix}.points: a polygon needs at least 3 points`);
+        } else if (!zone.points.every(isCoordinate)) {
+          errors.push(`${zonePrefix}.points: every point needs a valid latitude and longitude`);
+        }
+      } else {
+        errors.push(`${zonePrefix}.type: must be circle or polygon`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+module.exports = {
+  isCoordinate,
+  haversineDistance,
+  pointInPolygon,
+  getGeofences,
+  evaluateGeofences,
+  validateRuleGeofences
+};
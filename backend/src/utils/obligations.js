@@ -0,0 +1,83 @@
+// Obligations and advice attached to policy rules.
+//
+// Each entry is { type, fulfillOn, parameters } and is returned with a decision
+// equal to fulfillOn (Permit by default). The enforcement point must carry out
+// every obligation, and refuses access when one cannot be met; advice is carried
+// out when possible and never changes the decision.
+//
+//   step_up_auth    the subject must present a current two-factor code
+//   notify_owner    tell the device owner about the access ({ message })
+//   record_video    start a recording ({ cameraId, durationSeconds })
+//   log             log the decision ({ severity: low|medium|high|critical, message })
+//   limit_duration  access lapses after { maxDurationSeconds }
+
+const OBLIGATION_TYPES = ['step_up_auth', 'notify_owner', 'record_video', 'log', 'limit_duration'];
+const FULFILL_ON = ['Permit', 'Deny'];
+const LOG_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const validateParameters = (type, parameters, prefix) => {
+  const errors = [];
+
+  if (type === 'record_video') {
+    if (!parameters.cameraId || typeof parameters.cameraId !== 'string') {
+      errors.push(`${prefix}.parameters.cameraId: is required`);
+    }
+    if (parameters.durationSeconds !== undefined && !isPositiveInteger(parameters.durationSeconds)) {
+      errors.push(`${prefix}.parameters.durationSeconds: must be a positive integer`);
+    }
+  }
+  if (type === 'log' && parameters.severity !== undefined && !LOG_SEVERITIES.includes(parameters.severity)) {
+    errors.push(`${prefix}.parameters.severity: must be one of ${LOG_SEVERITIES.join(', ')}`);
+  }
+  if (type === 'limit_duration' && !isPositiveInteger(parameters.maxDurationSeconds)) {
+    errors.push(`${prefix}.parameters.maxDurationSeconds: must be a positive integer`);
+  }
+
+  return errors;
+};
+
+const validateRuleObligations = (rules = []) => {
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    ['obligations', 'advice'].forEach(field => {
+      const entries = rule && rule[field];
+      if (entries === undefined || entries === null) return;
+
+      const prefix = `rules[${index}].${field}`;
+      if (!Array.isArray(entries)) {
+        errors.push(`${prefix}: must be an array`);
+        return;
+      }
+
+      entries.forEach((entry, position) => {
+        const entryPrefix = `${prefix}[${position}]`;
+        if (!entry || !OBLIGATION_TYPES.includes(entry.type)) {
+          errors.push(`${entryPrefix}.type: must be one of ${OBLIGATION_TYPES.join(', ')}`);
+          return;
+        }
+        if (entry.fulfillOn !== undefined && !FULFILL_ON.includes(entry.fulfillOn)) {
+          errors.push(`${entryPrefix}.fulfillOn: must be Permit or Deny`);
+        }
+        errors.push(...validateParameters(entry.type, entry.parameters || {}, entryPrefix));
+      });
+    });
+  });
+
+  return errors;
+};
+
+// The obligations or advice of a rule that go with a decision, as plain objects
+const selectForDecision = (entries = [], decision) => entries
+  .filter(entry => (entry.fulfillOn || 'Permit') === decision)
+  .map(entry => ({ type: entry.type, parameters: { ...(entry.parameters || {}) } }));
+
+module.exports = {
+  OBLIGATION_TYPES,
+  FULFILL_ON,
+  LOG_SEVERITIES,
+  validateRuleObligations,
+  selectForDecision
+};
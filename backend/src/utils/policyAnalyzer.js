@@ -0,0 +1,345 @@
+// Static analysis of a policy base: contradictions, shadowed rules,
+// unreachable rules and duplicate policies.
+//
+// The analysis is conservative. Two rules "overlap" unless their subject,
+// resource or action scopes are provably disjoint, and one rule "covers"
+// another only when every request the second matches is provably matched by
+// the first. Rules with environment conditions (time, location, device, IP,
+// usage or custom conditions) never cover anything, because they may not apply.
+
+const { parseCondition, matchCondition, matchId } = require('./attributeMatcher');
+const { BLOCKED_DEVICE_STATUSES } = require('./deviceConstraints');
+
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+const hasEntries = (list) => Array.isArray(list) && list.length > 0;
+
+const toObject = (map) => {
+  if (!map) return {};
+  return map instanceof Map ? Object.fromEntries(map) : { ...map };
+};
+
+const sorted = (list) => (list || []).map(String).sort();
+
+// Plain view of a rule with only the parts the analysis needs
+const normalizeRule = (rule) => {
+  const subject = rule.subject || {};
+  const resource = rule.resource || {};
+  const environment = rule.environment || {};
+  const conditions = rule.conditions || {};
+  const time = environment.timeConstraints || {};
+  const location = environment.locationConstraints || {};
+  const device = environment.deviceConstraints || {};
+
+  return {
+    action: rule.action,
+    roles: sorted(subject.roles),
+    groups: sorted(subject.groups),
+    subjectAttributes: toObject(subject.attributes),
+    types: sorted(resource.types),
+    ids: sorted(resource.ids),
+    resourceAttributes: toObject(resource.attributes),
+    time,
+    location,
+    device,
+    conditions
+  };
+};
+
+// Does the rule depend on anything beyond who, what and which action?
+const isConditional = (rule) => {
+  const { time, location, device, conditions } = rule;
+  const hours = time.allowedHours || {};
+
+  return Boolean(
+    time.startTime || time.endTime || hasEntries(time.allowedDays)
+    || Number.isInteger(hours.start) || Number.isInteger(hours.end)
+    || hasEntries(time.windows) || hasEntries(time.blackoutDates) || hasEntries(time.blackoutPeriods)
+    || hasEntries(location.allowedLocations) || hasEntries(location.deniedLocations)
+    || location.radiusMeters || hasEntries(location.geofences)
+    || hasEntries(device.deviceTypes) || hasEntries(device.deviceStatus) || hasEntries(device.firmwareVersions)
+    || hasEntries(conditions.ipWhitelist) || hasEntries(conditions.ipBlacklist)
+    || conditions.maxUsageCount
+    || Object.keys(toObject(conditions.customConditions)).length > 0
+  );
+};
+
+// Values a condition can take when it is a finite set, otherwise null
+const finiteValues = (raw) => {
+  try {
+    const condition = parseCondition(raw);
+    if (condition.operator === '==') return [condition.operand];
+    if (condition.operator === 'in') return condition.operand;
+  } catch (error) {
+    // Malformed conditions are reported by Policy.validateRules
+  }
+  return null;
+};
+
+const conditionsOverlap = (a, b) => {
+  const aValues = finiteValues(a);
+  if (aValues) return aValues.some(value => matchCondition(b, value));
+  const bValues = finiteValues(b);
+  if (bValues) return bValues.some(value => matchCondition(a, value));
+  return true;
+};
+
+const attributesOverlap = (a, b) => Object.keys(a)
+  .filter(name => name in b)
+  .every(name => conditionsOverlap(a[name], b[name]));
+
+// Empty lists match anything; otherwise at least one value must be shared
+const listsOverlap = (a, b) => a.length === 0 || b.length === 0 || a.some(value => b.includes(value));
+
+const idsOverlap = (a, b) => a.length === 0 || b.length === 0
+  || a.some(x => b.some(y => matchId(x, y) || matchId(y, x)));
+
+const scopesOverlap = (a, b) => a.action === b.action
+  && listsOverlap(a.roles, b.roles)
+  && listsOverlap(a.groups, b.groups)
+  && listsOverlap(a.types, b.types)
+  && idsOverlap(a.ids, b.ids)
+  && attributesOverlap(a.subjectAttributes, b.subjectAttributes)
+  && attributesOverlap(a.resourceAttributes, b.resourceAttributes);
+
+// Every value b accepts is accepted by a; an empty list accepts everything
+const listCovers = (a, b) => a.length === 0 || (b.length > 0 && b.every(value => a.includes(value)));
+
+const idsCover = (a, b) => a.length === 0 || (b.length > 0 && b.every(id => a.some(pattern => matchId(pattern, id))));
+
+// a's attribute conditions must all appear, unchanged, in b
+const attributesCover = (a, b) => Object.keys(a).every(name => b[name] === a[name]);
+
+const scopeCovers = (a, b) => a.action === b.action
+  && listCovers(a.roles, b.roles)
+  && listCovers(a.groups, b.groups)
+  && listCovers(a.types, b.types)
+  && idsCover(a.ids, b.ids)
+  && attributesCover(a.subjectAttributes, b.subjectAttributes)
+  && attributesCover(a.resourceAttributes, b.resourceAttributes);
+
+const sameScope = (a, b) => scopeCovers(a, b) && scopeCovers(b, a);
+
+const describe = (entry) => `${entry.policyId} rule ${entry.ruleIndex} (${entry.rule.action})`;
+
+const ruleRef = (entry) => ({ policyId: entry.policyId, ruleIndex: entry.ruleIndex });
+
+// Allow and Deny rules at the same priority that can match the same request
+const findContradictions = (entries) => {
+  const findings = [];
+
+  entries.forEach((a, i) => {
+    entries.slice(i + 1).forEach(b => {
+      if (a.policyId === b.policyId || a.effect === b.effect || a.priority !== b.priority) return;
+      if (!scopesOverlap(a.rule, b.rule)) return;
+
+      const identical = sameScope(a.rule, b.rule) && !a.conditional && !b.conditional;
+      findings.push({
+        type: 'contradiction',
+        severity: identical ? 'high' : 'medium',
+        message: `${describe(a)} (${a.effect}) and ${describe(b)} (${b.effect}) both apply at priority ${a.priority}`,
+        policies: [a.policyId, b.policyId],
+        rules: [ruleRef(a), ruleRef(b)],
+        details: { identicalScope: identical }
+      });
+    });
+  });
+
+  return findings;
+};
+
+// Rules that can never decide a request because an earlier rule always does.
+// Within a policy the first matching rule wins; across policies priority
+// order matters to first-applicable, and a covering Deny to deny-overrides.
+const findShadowed = (entries) => {
+  const findings = [];
+
+  entries.forEach(shadowed => {
+    const shadowing = entries.find(candidate => {
+      if (candidate === shadowed || candidate.conditional) return false;
+      const earlier = candidate.policyId === shadowed.policyId
+        ? candidate.ruleIndex < shadowed.ruleIndex
+        : candidate.priority > shadowed.priority;
+      return earlier && scopeCovers(candidate.rule, shadowed.rule);
+    });
+
+    if (!shadowing) return;
+
+    const samePolicy = shadowing.policyId === shadowed.policyId;
+    let algorithms = ['first-applicable'];
+    if (samePolicy) {
+      algorithms = ['all'];
+    } else if (shadowing.effect === 'Deny') {
+      algorithms = ['first-applicable', 'deny-overrides'];
+    }
+
+    findings.push({
+      type: 'shadowed',
+      severity: shadowing.effect === shadowed.effect ? 'low' : 'medium',
+      message: samePolicy
+        ? `${describe(shadowed)} is never reached: rule ${shadowing.ruleIndex} of the same policy always matches first`
+        : `${describe(shadowed)} is shadowed by ${describe(shadowing)} at higher priority ${shadowing.priority}`,
+      policies: samePolicy ? [shadowed.policyId] : [shadowed.policyId, shadowing.policyId],
+      rules: [ruleRef(shadowed), ruleRef(shadowing)],
+      details: { algorithms, shadowingEffect: shadowing.effect, shadowedEffect: shadowed.effect }
+    });
+  });
+
+  return findings;
+};
+
+// Reasons a rule can never match, judged on the rule alone
+const unreachableReasons = (entry, now) => {
+  const { time, location, device, conditions, types } = entry.rule;
+  const reasons = [];
+
+  if (!time.isRecurring && time.startTime && time.endTime) {
+    const start = new Date(time.startTime);
+    const end = new Date(time.endTime);
+    if (end <= start) {
+      reasons.push({ severity: 'high', message: 'endTime is not after startTime' });
+    } else if ((time.blackoutPeriods || []).some(p => new Date(p.start) <= start && new Date(p.end) >= end)) {
+      reasons.push({ severity: 'high', message: 'a blackout period covers the whole validity period' });
+    }
+  }
+
+  if (!time.isRecurring && time.endTime && new Date(time.endTime) < now) {
+    reasons.push({ severity: 'low', message: `expired at ${new Date(time.endTime).toISOString()}` });
+  }
+
+  const allowedLocations = location.allowedLocations || [];
+  if (allowedLocations.length > 0 && allowedLocations.every(name => (location.deniedLocations || []).includes(name))) {
+    reasons.push({ severity: 'medium', message: 'every allowed location is also denied' });
+  }
+
+  const whitelist = conditions.ipWhitelist || [];
+  if (whitelist.length > 0 && whitelist.every(ip => (conditions.ipBlacklist || []).includes(ip))) {
+    reasons.push({ severity: 'medium', message: 'every whitelisted IP address is also blacklisted' });
+  }
+
+  if (hasEntries(device.deviceStatus) && device.deviceStatus.every(status => BLOCKED_DEVICE_STATUSES.includes(status))) {
+    reasons.push({ severity: 'medium', message: `devices in status ${device.deviceStatus.join(', ')} are always blocked` });
+  }
+
+  if (hasEntries(device.deviceTypes) && types.length > 0 && !device.deviceTypes.some(type => types.includes(type))) {
+    reasons.push({ severity: 'medium', message: 'resource types and device constraint types do not overlap' });
+  }
+
+  if (conditions.maxUsageCount && conditions.currentUsageCount >= conditions.maxUsageCount) {
+    reasons.push({ severity: 'low', message: 'usage limit already reached' });
+  }
+
+  return reasons;
+};
+
+const findUnreachable = (entries, now) => {
+  const findings = [];
+
+  entries.forEach(entry => {
+    unreachableReasons(entry, now).forEach(reason => {
+      findings.push({
+        type: 'unreachable',
+        severity: reason.severity,
+        message: `${describe(entry)} can never match: ${reason.message}`,
+        policies: [entry.policyId],
+        rules: [ruleRef(entry)],
+        details: {}
+      });
+    });
+  });
+
+  return findings;
+};
+
+// Order-insensitive fingerprint of a policy's effect and rules
+const fingerprint = (policy) => {
+  const canonical = (value) => {
+    if (value instanceof Map) return canonical(Object.fromEntries(value));
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(canonical).map(v => JSON.stringify(v)).sort();
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort()
+        .filter(key => key !== '_id' && key !== 'currentUsageCount')
+        .reduce((result, key) => ({ ...result, [key]: canonical(value[key]) }), {});
+    }
+    return value;
+  };
+
+  const rules = (policy.rules || []).map(rule => (rule.toObject ? rule.toObject({ virtuals: false }) : rule));
+  return JSON.stringify({ effect: policy.effect, rules: canonical(rules) });
+};
+
+const findDuplicates = (policies) => {
+  const groups = new Map();
+
+  policies.forEach(policy => {
+    const key = fingerprint(policy);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(policy);
+  });
+
+  return Array.from(groups.values())
+    .filter(group => group.length > 1)
+    .map(group => ({
+      type: 'duplicate',
+      severity: 'medium',
+      message: `Policies ${group.map(p => p.policyId).join(', ')} have the same effect and rules`,
+      policies: group.map(p => p.policyId),
+      rules: [],
+      details: { priorities: group.map(p => p.priority) }
+    }));
+};
+
+// Analyze a set of policies (typically every active one) and return findings, most severe first
+const analyzePolicies = (policies, options = {}) => {
+  const now = options.now ? new Date(options.now) : new Date();
+
+  const entries = [];
+  policies.forEach(policy => {
+    (policy.rules || []).forEach((rule, ruleIndex) => {
+      const normalized = normalizeRule(rule);
+      entries.push({
+        policyId: policy.policyId,
+        effect: policy.effect,
+        priority: policy.priority,
+        ruleIndex,
+        rule: normalized,
+        conditional: isConditional(normalized)
+      });
+    });
+  });
+
+  // Rules for different actions never interact
+  const byAction = new Map();
+  entries.forEach(entry => {
+    if (!byAction.has(entry.rule.action)) byAction.set(entry.rule.action, []);
+    byAction.get(entry.rule.action).push(entry);
+  });
+  const groups = Array.from(byAction.values());
+
+  const findings = [
+    ...groups.flatMap(findContradictions),
+    ...groups.flatMap(findShadowed),
+    ...findUnreachable(entries, now),
+    ...findDuplicates(policies)
+  ].sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+
+  const summary = { total: findings.length };
+  SEVERITY_ORDER.forEach(severity => {
+    summary[severity] = findings.filter(f => f.severity === severity).length;
+  });
+  ['contradiction', 'shadowed', 'unreachable', 'duplicate'].forEach(type => {
+    summary[type] = findings.filter(f => f.type === type).length;
+  });
+
+  return {
+    policiesAnalyzed: policies.length,
+    rulesAnalyzed: entries.length,
+    summary,
+    findings
+  };
+};
+
+module.exports = {
+  analyzePolicies
+};
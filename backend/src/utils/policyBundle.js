@@ -0,0 +1,426 @@
+// Policy bundles: a portable, versioned document holding a set of policies.
+//
+// A bundle is JSON or YAML shaped by BUNDLE_SCHEMA and round-trips through
+// export and import. The XACML 3.0 export is one-way: targets carry roles,
+// groups, resource types/ids, actions and equality attribute matches; anything
+// XACML targets cannot express is listed in the rule's Description. Obligations
+// and advice become ObligationExpressions and AdviceExpressions, and composite
+// policies nested PolicySets.
+
+const yaml = require('js-yaml');
+const { parseCondition } = require('./attributeMatcher');
+const { OBLIGATION_TYPES, FULFILL_ON } = require('./obligations');
+const { COMBINING_ALGORITHMS } = require('./policyComposition');
+
+const BUNDLE_API_VERSION = 'iot-access-control/v1';
+const BUNDLE_KIND = 'PolicyBundle';
+const BUNDLE_FORMATS = ['json', 'yaml', 'xacml'];
+
+const BUNDLE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: 'https://iot-access-control/schemas/policy-bundle-v1.json',
+  title: 'IoT access control policy bundle',
+  type: 'object',
+  required: ['apiVersion', 'kind', 'policies'],
+  definitions: {
+    obligation: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { enum: OBLIGATION_TYPES },
+        fulfillOn: { enum: FULFILL_ON },
+        parameters: { type: 'object' }
+      }
+    }
+  },
+  properties: {
+    apiVersion: { const: BUNDLE_API_VERSION },
+    kind: { const: BUNDLE_KIND },
+    metadata: {
+      type: 'object',
+      properties: {
+        exportedAt: { type: 'string', format: 'date-time' },
+        exportedBy: { type: 'string' },
+        source: { type: 'string' },
+        count: { type: 'integer' }
+      }
+    },
+    policies: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['policyId', 'name', 'policyType', 'effect'],
+        // Composites are decided by the child policies they reference, others by their rules
+        if: { properties: { policyType: { const: 'Composite' } } },
+        then: { required: ['composition'] },
+        else: { required: ['rules'], properties: { rules: { minItems: 1 } } },
+        properties: {
+          policyId: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' },
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          policyType: { enum: ['RBAC', 'ABAC', 'TimeBased', 'LocationBased', 'Composite'] },
+          effect: { enum: ['Allow', 'Deny'] },
+          priority: { type: 'integer', minimum: 1, maximum: 1000 },
+          isActive: { type: 'boolean' },
+          isHidden: { type: 'boolean' },
+          metadata: {
+            type: 'object',
+            properties: {
+              tags: { type: 'array', items: { type: 'string' } },
+              category: { type: 'string' },
+              compliance: { type: 'array', items: { type: 'string' } },
+              riskLevel: { enum: ['low', 'medium', 'high', 'critical'] }
+            }
+          },
+          composition: {
+            type: 'object',
+            required: ['children'],
+            properties: {
+              children: { type: 'array', minItems: 1, items: { type: 'string' } },
+              combiningAlgorithm: { enum: COMBINING_ALGORITHMS },
+              target: {
+                type: 'object',
+                properties: {
+                  actions: { type: 'array', items: { type: 'string' } },
+                  resourceTypes: { type: 'array', items: { type: 'string' } },
+                  resourceIds: { type: 'array', items: { type: 'string' } },
+                  subjectRoles: { type: 'array', items: { type: 'string' } }
+                }
+              }
+            }
+          },
+          rules: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['action'],
+              properties: {
+                action: { type: 'string' },
+                subject: { type: 'object' },
+                resource: { type: 'object' },
+                environment: { type: 'object' },
+                conditions: { type: 'object' },
+                obligations: { type: 'array', items: { $ref: '#/definitions/obligation' } },
+                advice: { type: 'array', items: { $ref: '#/definitions/obligation' } }
+              }
+            }
+          },
+          version: { type: 'string', description: 'Informational; ignored on import' },
+          contentHash: { type: 'string', description: 'Informational; ignored on import' }
+        }
+      }
+    }
+  }
+};
+
+// Build a bundle from policies and the content snapshot of each
+const buildBundle = (policies, snapshot, { exportedBy, source } = {}) => ({
+  apiVersion: BUNDLE_API_VERSION,
+  kind: BUNDLE_KIND,
+  metadata: {
+    exportedAt: new Date().toISOString(),
+    exportedBy,
+    source,
+    count: policies.length
+  },
+  policies: policies.map(policy => ({
+    policyId: policy.policyId,
+    ...snapshot(policy),
+    version: policy.metadata && policy.metadata.version
+  }))
+});
+
+const serializeBundle = (bundle, format = 'json') => (format === 'yaml'
+  ? yaml.dump(bundle, { noRefs: true, sortKeys: false })
+  : JSON.stringify(bundle, null, 2));
+
+// Accept an already-parsed object, or JSON/YAML text
+const parseBundle = (input, format) => {
+  if (input && typeof input === 'object') return input;
+  if (typeof input !== 'string') {
+    throw new Error('Bundle must be an object or a JSON/YAML string');
+  }
+  return format === 'json' ? JSON.parse(input) : yaml.load(input, { schema: yaml.JSON_SCHEMA });
+};
+
+// Structural checks against BUNDLE_SCHEMA; rule semantics are checked by the policy store
+const validateBundle = (bundle) => {
+  const errors = [];
+
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return ['Bundle must be an object'];
+  }
+  if (bundle.apiVersion !== BUNDLE_API_VERSION) {
+    errors.push(`apiVersion must be ${BUNDLE_API_VERSION}`);
+  }
+  if (bundle.kind !== BUNDLE_KIND) {
+    errors.push(`kind must be ${BUNDLE_KIND}`);
+  }
+  if (!Array.isArray(bundle.policies)) {
+    errors.push('policies must be an array');
+    return errors;
+  }
+
+  const policySchema = BUNDLE_SCHEMA.properties.policies.items;
+  const seen = new Set();
+
+  bundle.policies.forEach((policy, index) => {
+    const prefix = `policies[${index}]`;
+    if (!policy || typeof policy !== 'object') {
+      errors.push(`${prefix}: must be an object`);
+      return;
+    }
+
+    policySchema.required.forEach(field => {
+      if (policy[field] === undefined || policy[field] === null || policy[field] === '') {
+        errors.push(`${prefix}.${field}: is required`);
+      }
+    });
+
+    if (policy.policyId !== undefined && !new RegExp(policySchema.properties.policyId.pattern).test(policy.policyId)) {
+      errors.push(`${prefix}.policyId: may only contain letters, numbers, hyphens and underscores`);
+    }
+    if (seen.has(policy.policyId)) {
+      errors.push(`${prefix}.policyId: ${policy.policyId} appears more than once`);
+    }
+    seen.add(policy.policyId);
+
+    ['policyType', 'effect'].forEach(field => {
+      if (policy[field] !== undefined && !policySchema.properties[field].enum.includes(policy[field])) {
+        errors.push(`${prefix}.${field}: must be one of ${policySchema.properties[field].enum.join(', ')}`);
+      }
+    });
+    ['isActive', 'isHidden'].forEach(field => {
+      if (policy[field] !== undefined && typeof policy[field] !== 'boolean') {
+        errors.push(`${prefix}.${field}: must be a boolean`);
+      }
+    });
+    if (policy.policyType === 'Composite') {
+      if (!policy.composition || !Array.isArray(policy.composition.children) || policy.composition.children.length === 0) {
+        errors.push(`${prefix}.composition.children: must be a non-empty array`);
+      }
+    } else if (!Array.isArray(policy.rules) || policy.rules.length === 0) {
+      errors.push(`${prefix}.rules: must be a non-empty array`);
+    }
+    if (Array.isArray(policy.rules)) {
+      policy.rules.forEach((rule, ruleIndex) => {
+        if (!rule || typeof rule.action !== 'string' || rule.action === '') {
+          errors.push(`${prefix}.rules[${ruleIndex}].action: is required`);
+        }
+      });
+    }
+  });
+
+  return errors;
+};
+
+const XACML_NAMESPACE = 'urn:oasis:names:tc:xacml:3.0:core:schema:wd-17';
+const STRING_TYPE = 'http://www.w3.org/2001/XMLSchema#string';
+
+const POLICY_COMBINING_ALGORITHMS = {
+  'deny-overrides': 'urn:oasis:names:tc:xacml:3.0:policy-combining-algorithm:deny-overrides',
+  'permit-overrides': 'urn:oasis:names:tc:xacml:3.0:policy-combining-algorithm:permit-overrides',
+  'first-applicable': 'urn:oasis:names:tc:xacml:1.0:policy-combining-algorithm:first-applicable',
+  'only-one-applicable': 'urn:oasis:names:tc:xacml:1.0:policy-combining-algorithm:only-one-applicable'
+};
+
+const CATEGORIES = {
+  subject: 'urn:oasis:names:tc:xacml:1.0:subject-category:access-subject',
+  resource: 'urn:oasis:names:tc:xacml:3.0:attribute-category:resource',
+  action: 'urn:oasis:names:tc:xacml:3.0:attribute-category:action'
+};
+
+const ATTRIBUTE_IDS = {
+  role: 'urn:oasis:names:tc:xacml:2.0:subject:role',
+  group: 'urn:iot-access-control:subject:group',
+  resourceType: 'urn:iot-access-control:resource:type',
+  resourceId: 'urn:oasis:names:tc:xacml:1.0:resource:resource-id',
+  action: 'urn:oasis:names:tc:xacml:1.0:action:action-id'
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const wildcardToRegex = (pattern) => `^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`;
+
+const match = (category, attributeId, value) => {
+  const regex = value.includes('*');
+  const matchId = regex
+    ? 'urn:oasis:names:tc:xacml:1.0:function:string-regexp-match'
+    : 'urn:oasis:names:tc:xacml:1.0:function:string-equal';
+  return [
+    `            <Match MatchId="${matchId}">`,
+    `              <AttributeValue DataType="${STRING_TYPE}">${escapeXml(regex ? wildcardToRegex(value) : value)}</AttributeValue>`,
+    `              <AttributeDesignator Category="${category}" AttributeId="${escapeXml(attributeId)}" DataType="${STRING_TYPE}" MustBePresent="false"/>`,
+    '            </Match>'
+  ].join('\n');
+};
+
+// One AnyOf per dimension; any listed value satisfies it
+const anyOf = (category, attributeId, values) => [
+  '        <AnyOf>',
+  ...values.map(value => `          <AllOf>\n${match(category, attributeId, value)}\n          </AllOf>`),
+  '        </AnyOf>'
+].join('\n');
+
+const toEntries = (map) => {
+  if (!map) return [];
+  return map instanceof Map ? Array.from(map.entries()) : Object.entries(map);
+};
+
+const hasEntries = (list) => Array.isArray(list) && list.length > 0;
+
+// ObligationExpressions / AdviceExpressions, with parameters as string attribute assignments
+const expressions = (kind, entries) => {
+  if (!hasEntries(entries)) return [];
+  const idAttribute = kind === 'Obligation' ? 'ObligationId' : 'AdviceId';
+  const onAttribute = kind === 'Obligation' ? 'FulfillOn' : 'AppliesTo';
+
+  return [
+    `      <${kind}Expressions>`,
+    ...entries.map(entry => [
+      `        <${kind}Expression ${idAttribute}="urn:iot-access-control:${kind.toLowerCase()}:${escapeXml(entry.type)}" ${onAttribute}="${entry.fulfillOn || 'Permit'}">`,
+      ...toEntries(entry.parameters).map(([name, value]) => [
+        `          <AttributeAssignmentExpression AttributeId="urn:iot-access-control:${kind.toLowerCase()}:${escapeXml(name)}">`,
+        `            <AttributeValue DataType="${STRING_TYPE}">${escapeXml(value)}</AttributeValue>`,
+        '          </AttributeAssignmentExpression>'
+      ].join('\n')),
+      `        </${kind}Expression>`
+    ].join('\n')),
+    `      </${kind}Expressions>`
+  ];
+};
+
+const ruleToXacml = (policy, rule, index) => {
+  const subject = rule.subject || {};
+  const resource = rule.resource || {};
+  const targets = [anyOf(CATEGORIES.action, ATTRIBUTE_IDS.action, [rule.action])];
+  const unmapped = [];
+
+  if (hasEntries(subject.roles)) targets.push(anyOf(CATEGORIES.subject, ATTRIBUTE_IDS.role, subject.roles));
+  if (hasEntries(subject.groups)) targets.push(anyOf(CATEGORIES.subject, ATTRIBUTE_IDS.group, subject.groups));
+  if (hasEntries(resource.types)) targets.push(anyOf(CATEGORIES.resource, ATTRIBUTE_IDS.resourceType, resource.types));
+  if (hasEntries(resource.ids)) targets.push(anyOf(CATEGORIES.resource, ATTRIBUTE_IDS.resourceId, resource.ids));
+
+  [['subject', subject.attributes], ['resource', resource.attributes]].forEach(([category, attributes]) => {
+    toEntries(attributes).forEach(([name, raw]) => {
+      let condition;
+      try {
+        condition = parseCondition(raw);
+      } catch (error) {
+        condition = { operator: null };
+      }
+      if (condition.operator === '==' || condition.operator === 'like') {
+        targets.push(anyOf(CATEGORIES[category], `urn:iot-access-control:${category}:${name}`, [condition.operand]));
+      } else if (condition.operator === 'in') {
+        targets.push(anyOf(CATEGORIES[category], `urn:iot-access-control:${category}:${name}`, condition.operand));
+      } else {
+        unmapped.push(`${category}.attributes.${name} ${raw}`);
+      }
+    });
+  });
+
+  const environment = rule.environment || {};
+  const conditions = rule.conditions || {};
+  const time = environment.timeConstraints || {};
+  const location = environment.locationConstraints || {};
+  const device = environment.deviceConstraints || {};
+
+  if (time.startTime || time.endTime || hasEntries(time.allowedDays) || hasEntries(time.windows)
+    || (time.allowedHours && Number.isInteger(time.allowedHours.start))
+    || hasEntries(time.blackoutDates) || hasEntries(time.blackoutPeriods)) {
+    unmapped.push('time constraints');
+  }
+  if (hasEntries(location.allowedLocations) || hasEntries(location.deniedLocations)
+    || location.radiusMeters || hasEntries(location.geofences)) {
+    unmapped.push('location constraints');
+  }
+  if (hasEntries(device.deviceTypes) || hasEntries(device.deviceStatus) || hasEntries(device.firmwareVersions)) {
+    unmapped.push('device constraints');
+  }
+  if (hasEntries(conditions.ipWhitelist) || hasEntries(conditions.ipBlacklist)) unmapped.push('IP restrictions');
+  if (conditions.maxUsageCount) unmapped.push('usage limit');
+  toEntries(conditions.customConditions).forEach(([name, expression]) => {
+    unmapped.push(`condition ${name}: ${expression}`);
+  });
+
+  return [
+    `    <Rule RuleId="${escapeXml(`${policy.policyId}:rule:${index}`)}" Effect="${policy.effect === 'Allow' ? 'Permit' : 'Deny'}">`,
+    unmapped.length > 0
+      ? `      <Description>${escapeXml(`Not expressed in XACML: ${unmapped.join('; ')}`)}</Description>`
+      : null,
+    '      <Target>',
+    ...targets,
+    '      </Target>',
+    ...expressions('Obligation', rule.obligations),
+    ...expressions('Advice', rule.advice),
+    '    </Rule>'
+  ].filter(line => line !== null).join('\n');
+};
+
+const combiningAlgorithmId = (algorithm) => POLICY_COMBINING_ALGORITHMS[algorithm] || POLICY_COMBINING_ALGORITHMS['deny-overrides'];
+
+const describe = (policy) => `    <Description>${escapeXml(policy.description ? `${policy.name}: ${policy.description}` : policy.name)}</Description>`;
+
+const version = (policy) => escapeXml((policy.metadata && policy.metadata.version) || '1.0');
+
+// A composite becomes a nested PolicySet referencing its children by id;
+// children that are composites in the same export are PolicySet references
+const compositeToXacml = (policy, composites) => {
+  const composition = policy.composition || {};
+  const target = composition.target || {};
+  const targets = [
+    hasEntries(target.actions) ? anyOf(CATEGORIES.action, ATTRIBUTE_IDS.action, target.actions) : null,
+    hasEntries(target.resourceTypes) ? anyOf(CATEGORIES.resource, ATTRIBUTE_IDS.resourceType, target.resourceTypes) : null,
+    hasEntries(target.resourceIds) ? anyOf(CATEGORIES.resource, ATTRIBUTE_IDS.resourceId, target.resourceIds) : null,
+    hasEntries(target.subjectRoles) ? anyOf(CATEGORIES.subject, ATTRIBUTE_IDS.role, target.subjectRoles) : null
+  ].filter(Boolean);
+
+  return [
+    `  <PolicySet PolicySetId="${escapeXml(policy.policyId)}" Version="${version(policy)}"`,
+    `    PolicyCombiningAlgId="${combiningAlgorithmId(composition.combiningAlgorithm)}">`,
+    describe(policy),
+    ...(targets.length > 0 ? ['    <Target>', ...targets, '    </Target>'] : ['    <Target/>']),
+    ...(composition.children || []).map(childId => (composites.has(childId)
+      ? `    <PolicySetIdReference>${escapeXml(childId)}</PolicySetIdReference>`
+      : `    <PolicyIdReference>${escapeXml(childId)}</PolicyIdReference>`)),
+    '  </PolicySet>'
+  ].join('\n');
+};
+
+// XACML 3.0 PolicySet; rules inside a policy use first-applicable, as the evaluator does
+const toXacml = (policies, algorithm = 'deny-overrides') => {
+  const composites = new Set(policies.filter(policy => policy.policyType === 'Composite').map(policy => policy.policyId));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<PolicySet xmlns="${XACML_NAMESPACE}" PolicySetId="urn:iot-access-control:policy-set" Version="1.0"`,
+    `  PolicyCombiningAlgId="${combiningAlgorithmId(algorithm)}">`,
+    '  <Target/>',
+    ...policies.map(policy => (composites.has(policy.policyId) ? compositeToXacml(policy, composites) : [
+      `  <Policy PolicyId="${escapeXml(policy.policyId)}" Version="${version(policy)}"`,
+      '    RuleCombiningAlgId="urn:oasis:names:tc:xacml:1.0:rule-combining-algorithm:first-applicable">',
+      describe(policy),
+      '    <Target/>',
+      ...(policy.rules || []).map((rule, index) => ruleToXacml(policy, rule, index)),
+      '  </Policy>'
+    ].join('\n'))),
+    '</PolicySet>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  BUNDLE_API_VERSION,
+  BUNDLE_FORMATS,
+  BUNDLE_SCHEMA,
+  buildBundle,
+  serializeBundle,
+  parseBundle,
+  validateBundle,
+  toXacml
+};
@@ -0,0 +1,108 @@
+// Composite policies.
+//
+// A Composite policy has no rules of its own; composition.children lists other
+// policies by policyId, combined with composition.combiningAlgorithm, and
+// composition.target optionally limits the requests the composite applies to
+// (actions, resourceTypes, resourceIds with "*" wildcards, subjectRoles). Children
+// may themselves be composites, to MAX_COMPOSITION_DEPTH levels. first-applicable
+// takes children in the order listed. A child only counts while it is active, and
+// a child reached from an active composite is not also evaluated on its own.
+
+const { matchId } = require('./attributeMatcher');
+
+const COMBINING_ALGORITHMS = [
+  'deny-overrides',
+  'permit-overrides',
+  'first-applicable',
+  'only-one-applicable'
+];
+
+const MAX_COMPOSITION_DEPTH = 8;
+const TARGET_FIELDS = ['actions', 'resourceTypes', 'resourceIds', 'subjectRoles'];
+
+const hasEntries = (list) => Array.isArray(list) && list.length > 0;
+
+const isComposite = (policy) => Boolean(policy) && policy.policyType === 'Composite';
+
+const childrenOf = (policy) => (isComposite(policy) && policy.composition ? policy.composition.children || [] : []);
+
+// policyIds reachable from a policy through the loaded children (policyId -> policy)
+const collectDescendants = (policy, children) => {
+  const found = new Set();
+  const visit = (current) => {
+    childrenOf(current).forEach(childId => {
+      if (found.has(childId)) return;
+      found.add(childId);
+      visit(children.get(childId));
+    });
+  };
+  visit(policy);
+  return found;
+};
+
+// The first target dimension the request falls outside, or null when it is inside
+const checkTarget = (target, subject, resource, action) => {
+  if (!target) return null;
+  if (hasEntries(target.actions) && !target.actions.includes(action)) return 'action';
+  if (hasEntries(target.resourceTypes) && !target.resourceTypes.includes(resource.type)) return 'resource type';
+  if (hasEntries(target.resourceIds) && !target.resourceIds.some(pattern => matchId(pattern, resource.id))) return 'resource';
+  if (hasEntries(target.subjectRoles) && !target.subjectRoles.some(role => (subject.roles || []).includes(role))) return 'role';
+  return null;
+};
+
+// Structural checks; whether children exist and are acyclic needs the database
+const validateComposition = (policyType, composition, rules = []) => {
+  const errors = [];
+
+  if (policyType !== 'Composite') {
+    if (composition && hasEntries(composition.children)) {
+      errors.push('composition: only Composite policies may reference child policies');
+    }
+    return errors;
+  }
+
+  if (!composition || !hasEntries(composition.children)) {
+    return ['composition.children: a Composite policy needs at least one child policyId'];
+  }
+  if (hasEntries(rules)) {
+    errors.push('rules: a Composite policy is decided by its children and cannot have rules');
+  }
+
+  composition.children.forEach((child, index) => {
+    if (typeof child !== 'string' || child === '') {
+      errors.push(`composition.children[${index}]: must be a policyId`);
+    }
+  });
+  if (new Set(composition.children).size !== composition.children.length) {
+    errors.push('composition.children: lists a policy more than once');
+  }
+  if (composition.combiningAlgorithm !== undefined && !COMBINING_ALGORITHMS.includes(composition.combiningAlgorithm)) {
+    errors.push(`composition.combiningAlgorithm: must be one of ${COMBINING_ALGORITHMS.join(', ')}`);
+  }
+
+  const target = composition.target;
+  if (target !== undefined && target !== null) {
+    if (typeof target !== 'object' || Array.isArray(target)) {
+      errors.push('composition.target: must be an object');
+    } else {
+      TARGET_FIELDS.forEach(field => {
+        const values = target[field];
+        if (values !== undefined && (!Array.isArray(values) || values.some(value => typeof value !== 'string'))) {
+          errors.push(`composition.target.${field}: must be an array of strings`);
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  COMBINING_ALGORITHMS,
+  MAX_COMPOSITION_DEPTH,
+  isComposite,
+  childrenOf,
+  collectDescendants,
+  checkTarget,
+  validateComposition
+};
@@ -0,0 +1,76 @@
+// Test cases stored with a policy.
+//
+// Each case is { name, description, subject, resource, action, context, expected }
+// where subject and resource take the shapes the decision point builds from users
+// and devices ({ id, roles, groups, attributes } and { id, type, status, attributes }),
+// context may fix the clock with now and give rule use counts as usage
+// ({ ruleIndex: count }), and expected is { decision, reason }. The reason is only
+// compared when given.
+
+const TEST_DECISIONS = ['Permit', 'Deny', 'NotApplicable', 'Indeterminate'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const validateTestCases = (tests) => {
+  if (!Array.isArray(tests)) {
+    return ['tests: must be an array'];
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  tests.forEach((test, index) => {
+    const prefix = `tests[${index}]`;
+    if (!isPlainObject(test)) {
+      errors.push(`${prefix}: must be an object`);
+      return;
+    }
+
+    if (!test.name || typeof test.name !== 'string') {
+      errors.push(`${prefix}.name: is required`);
+    } else if (names.has(test.name)) {
+      errors.push(`${prefix}.name: ${test.name} is used by another test`);
+    } else {
+      names.add(test.name);
+    }
+
+    if (!test.action || typeof test.action !== 'string') {
+      errors.push(`${prefix}.action: is required`);
+    }
+
+    ['subject', 'resource', 'context'].forEach(field => {
+      if (test[field] !== undefined && !isPlainObject(test[field])) {
+        errors.push(`${prefix}.${field}: must be an object`);
+      }
+    });
+
+    const context = isPlainObject(test.context) ? test.context : {};
+    if (context.now !== undefined && Number.isNaN(new Date(context.now).getTime())) {
+      errors.push(`${prefix}.context.now: must be a date`);
+    }
+    if (context.usage !== undefined) {
+      if (!isPlainObject(context.usage)) {
+        errors.push(`${prefix}.context.usage: must map rule indexes to counts`);
+      } else {
+        Object.entries(context.usage).forEach(([ruleIndex, count]) => {
+          if (!/^\d+$/.test(ruleIndex) || !Number.isInteger(count) || count < 0) {
+            errors.push(`${prefix}.context.usage.${ruleIndex}: must be a non-negative integer count for a rule index`);
+          }
+        });
+      }
+    }
+
+    if (!isPlainObject(test.expected) || !TEST_DECISIONS.includes(test.expected.decision)) {
+      errors.push(`${prefix}.expected.decision: must be one of ${TEST_DECISIONS.join(', ')}`);
+    } else if (test.expected.reason !== undefined && typeof test.expected.reason !== 'string') {
+      errors.push(`${prefix}.expected.reason: must be a string`);
+    }
+  });
+
+  return errors;
+};
+
+module.exports = {
+  TEST_DECISIONS,
+  validateTestCases
+};
@@ -0,0 +1,232 @@
+// Time window helpers for time-based policy rules.
+//
+// All day/hour checks happen in the wall-clock time of a timezone (IANA name),
+// with minute granularity. A window whose start is later than its end crosses
+// midnight: "22:00"-"06:00" on Monday also covers Tuesday 00:00-05:59.
+
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^(\d{4}-)?(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Wall-clock view of an instant in a timezone
+const getLocalTime = (date, timeZone = 'UTC') => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const hour = Number(parts.hour) % 24;
+  const minute = Number(parts.minute);
+
+  return {
+    timeZone,
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    monthDay: `${parts.month}-${parts.day}`,
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+    minutes: hour * 60 + minute,
+    clock: `${parts.hour === '24' ? '00' : parts.hour}:${parts.minute}`
+  };
+};
+
+const parseClock = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const hasEntries = (list) => Array.isArray(list) && list.length > 0;
+
+// Does a { days, start, end } window (minutes) cover the local time?
+const windowCovers = (window, local) => {
+  const days = hasEntries(window.days) ? window.days : [0, 1, 2, 3, 4, 5, 6];
+  const previousDay = (local.dayOfWeek + 6) % 7;
+
+  if (window.start === window.end) {
+    return days.includes(local.dayOfWeek);
+  }
+
+  if (window.start < window.end) {
+    return days.includes(local.dayOfWeek) && local.minutes >= window.start && local.minutes < window.end;
+  }
+
+  // Overnight: the tail after midnight belongs to the previous day's shift
+  return (days.includes(local.dayOfWeek) && local.minutes >= window.start)
+    || (days.includes(previousDay) && local.minutes < window.end);
+};
+
+const windowTouchesDay = (window, local) => {
+  const days = hasEntries(window.days) ? window.days : [0, 1, 2, 3, 4, 5, 6];
+  const previousDay = (local.dayOfWeek + 6) % 7;
+  return days.includes(local.dayOfWeek) || (window.start > window.end && days.includes(previousDay));
+};
+
+// Normalise the different ways a rule can express daily windows
+const getWindows = (timeConstraints, timeZone) => {
+  const windows = [];
+  const allowedDays = timeConstraints.allowedDays || [];
+  const hours = timeConstraints.allowedHours || {};
+
+  // Legacy whole-hour range; the end hour is inclusive
+  if (Number.isInteger(hours.start) && Number.isInteger(hours.end)) {
+    windows.push({
+      days: allowedDays,
+      start: hours.start * 60,
+      end: (hours.end + 1) * 60
+    });
+  }
+
+  // Recurring rules repeat the time-of-day span of startTime..endTime every allowed day
+  if (timeConstraints.isRecurring && timeConstraints.startTime && timeConstraints.endTime) {
+    windows.push({
+      days: allowedDays,
+      start: getLocalTime(new Date(timeConstraints.startTime), timeZone).minutes,
+      end: getLocalTime(new Date(timeConstraints.endTime), timeZone).minutes
+    });
+  }
+
+  (timeConstraints.windows || []).forEach(window => {
+    windows.push({
+      days: window.days,
+      start: parseClock(window.start),
+      end: parseClock(window.end)
+    });
+  });
+
+  return windows;
+};
+
+// Returns null when the instant satisfies the constraints, otherwise the reason it does not
+const checkTimeConstraints = (timeConstraints = {}, now = new Date(), timeZone = 'UTC') => {
+  const local = getLocalTime(now, timeZone);
+  const where = `${local.clock} ${timeZone}`;
+
+  const period = (timeConstraints.blackoutPeriods || [])
+    .find(p => p.start && p.end && now >= new Date(p.start) && now <= new Date(p.end));
+  if (period) {
+    return `Blackout period${period.reason ? `: ${period.reason}` : ''}`;
+  }
+
+  const blackoutDates = timeConstraints.blackoutDates || [];
+  if (blackoutDates.includes(local.date) || blackoutDates.includes(local.monthDay)) {
+    return `Blackout date ${local.date}`;
+  }
+
+  // Absolute validity period; recurring rules only use the time of day
+  if (!timeConstraints.isRecurring) {
+    if (timeConstraints.startTime && now < new Date(timeConstraints.startTime)) {
+      return 'Before allowed time';
+    }
+
+    if (timeConstraints.endTime && now > new Date(timeConstraints.endTime)) {
+      return 'After allowed time';
+    }
+  }
+
+  const windows = getWindows(timeConstraints, timeZone);
+
+  if (windows.length > 0) {
+    if (windows.some(window => windowCovers(window, local))) {
+      return null;
+    }
+    if (!windows.some(window => windowTouchesDay(window, local))) {
+      return 'Not allowed on this day';
+    }
+    return `Outside allowed hours (${where})`;
+  }
+
+  if (hasEntries(timeConstraints.allowedDays) && !timeConstraints.allowedDays.includes(local.dayOfWeek)) {
+    return 'Not allowed on this day';
+  }
+
+  return null;
+};
+
+const validateRuleTimeConstraints = (rules = []) => {
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    const constraints = (rule && rule.environment && rule.environment.timeConstraints) || {};
+    const prefix = `rules[${index}].environment.timeConstraints`;
+
+    if (constraints.timezone && !isValidTimezone(constraints.timezone)) {
+      errors.push(`${prefix}.timezone: unknown timezone ${constraints.timezone}`);
+    }
+
+    const checkDays = (days, path) => {
+      (days || []).forEach(day => {
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+          errors.push(`${path}: days must be integers from 0 (Sunday) to 6`);
+        }
+      });
+    };
+
+    checkDays(constraints.allowedDays, `${prefix}.allowedDays`);
+
+    const hours = constraints.allowedHours || {};
+    ['start', 'end'].forEach(key => {
+      if (hours[key] !== undefined && hours[key] !== null
+        && (!Number.isInteger(hours[key]) || hours[key] < 0 || hours[key] > 23)) {
+        errors.push(`${prefix}.allowedHours.${key}: must be an hour from 0 to 23`);
+      }
+    });
+
+    (constraints.windows || []).forEach((window, windowIndex) => {
+      const windowPrefix = `${prefix}.windows[${windowIndex}]`;
+      ['start', 'end'].forEach(key => {
+        if (typeof window[key] !== 'string' || !CLOCK_PATTERN.test(window[key])) {
+          errors.push(`${windowPrefix}.${key}: must be a HH:MM time`);
+        }
+      });
+      checkDays(window.days, `${windowPrefix}.days`);
+    });
+
+    (constraints.blackoutDates || []).forEach(date => {
+      if (typeof date !== 'string' || !DATE_PATTERN.test(date)) {
+        errors.push(`${prefix}.blackoutDates: ${date} must be YYYY-MM-DD or MM-DD`);
+      }
+    });
+
+    (constraints.blackoutPeriods || []).forEach((period, periodIndex) => {
+      const start = new Date(period.start);
+      const end = new Date(period.end);
+      if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+        errors.push(`${prefix}.blackoutPeriods[${periodIndex}]: start must be a date before end`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+module.exports = {
+  isValidTimezone,
+  getLocalTime,
+  checkTimeConstraints,
+  validateRuleTimeConstraints
+};
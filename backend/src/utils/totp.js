@@ -0,0 +1,62 @@
+// Time-based one-time passwords (RFC 6238) for users with two-factor enabled.
+// Secrets are base32 as issued to authenticator apps; codes are 6 digits over 30s steps.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const decodeBase32 = (secret) => {
+  const clean = String(secret).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = '';
+
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const generateCode = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+// The time step the code belongs to, or null when it matches none. Accepts
+// codes from the previous and next step too, for clock drift.
+const matchingStep = (secret, code, { now = Date.now(), window = 1 } = {}) => {
+  if (!secret || !/^\d{6}$/.test(String(code || ''))) return null;
+
+  const counter = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = Buffer.from(generateCode(secret, counter + drift));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return counter + drift;
+    }
+  }
+  return null;
+};
+
+const verifyCode = (secret, code, options) => matchingStep(secret, code, options) !== null;
+
+module.exports = {
+  STEP_SECONDS,
+  generateCode,
+  matchingStep,
+  verifyCode
+};
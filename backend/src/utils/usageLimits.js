@@ -0,0 +1,105 @@
+// Usage limits for rules with conditions.maxUsageCount.
+//
+// Uses are counted per rule and, by default, per (subject, resource) pair;
+// conditions.usageScope narrows that to the subject, the resource or the whole
+// rule. conditions.usageWindow.period ("30m", "1h", "1d", "7d") bounds the
+// count in time: "fixed" windows reset on period boundaries, "sliding" windows
+// count the uses in the last period. Without a period the limit is lifetime.
+
+const PERIOD_PATTERN = /^(\d+)(s|m|h|d|w)$/;
+const PERIOD_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const USAGE_MODES = ['fixed', 'sliding'];
+const USAGE_SCOPES = ['subject_resource', 'subject', 'resource', 'rule'];
+
+// Period string to milliseconds; null when missing or malformed
+const parsePeriod = (period) => {
+  const match = PERIOD_PATTERN.exec(String(period || '').trim());
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * PERIOD_UNITS[match[2]];
+};
+
+const keyPart = (value) => (value === undefined || value === null || value === '' ? '-' : encodeURIComponent(String(value)));
+
+// How one rule's uses are counted at a given instant:
+// { key, max, mode: 'total' | 'fixed' | 'sliding', periodMs, ttlMs }
+const describeUsage = (policyId, ruleIndex, rule, subject, resource, now = Date.now()) => {
+  const conditions = rule.conditions || {};
+  const window = conditions.usageWindow || {};
+  const scope = conditions.usageScope || 'subject_resource';
+  const periodMs = parsePeriod(window.period);
+  const subjectId = subject.id || subject.address;
+
+  const key = [
+    'usage',
+    policyId,
+    ruleIndex,
+    scope === 'subject_resource' || scope === 'subject' ? keyPart(subjectId) : '-',
+    scope === 'subject_resource' || scope === 'resource' ? keyPart(resource.id) : '-'
+  ].join(':');
+
+  if (!periodMs) {
+    return { key, max: conditions.maxUsageCount, mode: 'total', periodMs: 0, ttlMs: 0 };
+  }
+  if (window.mode === 'sliding') {
+    return { key, max: conditions.maxUsageCount, mode: 'sliding', periodMs, ttlMs: periodMs };
+  }
+
+  // Fixed windows get their own key, which expires with the window
+  const windowStart = Math.floor(now / periodMs) * periodMs;
+  return {
+    key: `${key}:${windowStart}`,
+    max: conditions.maxUsageCount,
+    mode: 'fixed',
+    periodMs,
+    ttlMs: windowStart + periodMs - now
+  };
+};
+
+// Split a counter key back into its parts, for filtering on reset
+const parseUsageKey = (key) => {
+  const [, policyId, ruleIndex, subjectId, resourceId] = key.split(':');
+  const decode = (part) => (part === '-' ? null : decodeURIComponent(part));
+  return { policyId, ruleIndex: Number(ruleIndex), subjectId: decode(subjectId), resourceId: decode(resourceId) };
+};
+
+const validateRuleUsage = (rules = []) => {
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    const conditions = (rule && rule.conditions) || {};
+    const prefix = `rules[${index}].conditions`;
+    const window = conditions.usageWindow && (conditions.usageWindow.period !== undefined || conditions.usageWindow.mode !== undefined)
+      ? conditions.usageWindow
+      : null;
+
+    if (conditions.maxUsageCount !== undefined && conditions.maxUsageCount !== null
+      && !(Number.isInteger(conditions.maxUsageCount) && conditions.maxUsageCount > 0)) {
+      errors.push(`${prefix}.maxUsageCount: must be a positive integer`);
+    }
+    if (conditions.usageScope !== undefined && !USAGE_SCOPES.includes(conditions.usageScope)) {
+      errors.push(`${prefix}.usageScope: must be one of ${USAGE_SCOPES.join(', ')}`);
+    }
+    if (window) {
+      if (!parsePeriod(window.period)) {
+        errors.push(`${prefix}.usageWindow.period: must be a duration such as "30m", "1h" or "1d"`);
+      }
+      if (window.mode !== undefined && !USAGE_MODES.includes(window.mode)) {
+        errors.push(`${prefix}.usageWindow.mode: must be one of ${USAGE_MODES.join(', ')}`);
+      }
+    }
+    if ((window || conditions.usageScope) && !conditions.maxUsageCount) {
+      errors.push(`${prefix}: usageWindow and usageScope need maxUsageCount`);
+    }
+  });
+
+  return errors;
+};
+
+module.exports = {
+  USAGE_MODES,
+  USAGE_SCOPES,
+  parsePeriod,
+  describeUsage,
+  parseUsageKey,
+  validateRuleUsage
+};
@@ -0,0 +1,37 @@
+const Policy = require('../../src/models/Policy');
+
+const subject = { id: 'u-1', roles: ['operator'], groups: [], permissions: [], attributes: {} };
+const resource = { id: 'LOCK-1', type: 'smart_lock', status: 'active', attributes: {} };
+
+// Operators and the night shift, 22:00-06:00 UTC
+const policy = (effect) => new Policy({
+  policyId: `p-${effect.toLowerCase()}`,
+  name: `${effect} at night`,
+  policyType: 'TimeBased',
+  effect,
+  creator: '0xcreator',
+  isActive: true,
+  rules: [{
+    action: 'unlock',
+    subject: { roles: ['operator'] },
+    environment: { timeConstraints: { allowedHours: { start: 22, end: 6 }, timezone: 'UTC' } }
+  }]
+});
+
+const at = (iso) => ({ now: iso, dryRun: true });
+
+describe('time windows', () => {
+  it('let an Allow rule refuse outside its hours', () => {
+    const result = policy('Allow').evaluate(subject, resource, 'unlock', at('2026-03-02T12:00:00Z'));
+    expect(result).toMatchObject({ applicable: true, allowed: false, ruleIndex: 0 });
+  });
+
+  it('apply a Deny rule only inside its hours', () => {
+    const deny = policy('Deny');
+
+    expect(deny.evaluate(subject, resource, 'unlock', at('2026-03-02T23:00:00Z')))
+      .toMatchObject({ applicable: true, allowed: false, ruleIndex: 0 });
+    expect(deny.evaluate(subject, resource, 'unlock', at('2026-03-02T12:00:00Z')))
+      .toMatchObject({ applicable: false, reason: 'No matching rules' });
+  });
+});
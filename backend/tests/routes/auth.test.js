@@ -0,0 +1,109 @@
+jest.mock('../../src/config/blockchain', () => ({
+  ...jest.requireActual('../../src/config/blockchain'),
+  getAuditLogger: jest.fn(() => ({ name: 'auditLogger' })),
+  sendTransaction: jest.fn(async () => ({ transactionHash: '0xtx' }))
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../../src/models/User');
+const logger = require('../../src/utils/logger');
+const { sendTransaction } = require('../../src/config/blockchain');
+const authRoutes = require('../../src/routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const bearer = (claims) => `Bearer ${jwt.sign(claims, process.env.JWT_SECRET || 'your-secret-key')}`;
+const admin = bearer({ id: 'admin-1', address: '0xadmin', role: 'admin' });
+
+describe('PUT /api/auth/users/:userId/access', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({
+      _id: new mongoose.Types.ObjectId(),
+      username: 'carol',
+      email: 'carol@example.com',
+      password: 'secret1',
+      address: '0x00000000000000000000000000000000000000c0',
+      role: 'user',
+      permissions: ['read:own_devices', 'write:own_devices']
+    });
+    jest.spyOn(User, 'findById').mockImplementation(async (id) => (String(id) === String(user._id) ? user : null));
+    // Saving validates as the database would, without one
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function save() {
+      await this.validate();
+      return this;
+    });
+    jest.spyOn(logger, 'auditLog').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('promotes a user to admin with permissions the schema accepts', async () => {
+    const res = await request(app)
+      .put(`/api/auth/users/${user._id}/access`)
+      .set('Authorization', admin)
+      .send({ role: 'admin' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe('admin');
+    expect(res.body.user.permissions).toContain('write:policies');
+    expect(res.body.user.permissions).not.toContain('write:audit');
+    expect(user.validateSync()).toBeNull();
+  });
+
+  it('refuses permissions that conflict through a wildcard', async () => {
+    const res = await request(app)
+      .put(`/api/auth/users/${user._id}/access`)
+      .set('Authorization', admin)
+      .send({ permissions: ['write:all'] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.conflicts[0].held).toEqual(['write:policies', 'write:audit']);
+    expect(user.permissions).toEqual(['read:own_devices', 'write:own_devices']);
+    expect(logger.auditLog).toHaveBeenCalledWith(
+      'separation_of_duties_violation',
+      '0xadmin',
+      user._id.toString(),
+      expect.objectContaining({ rule: 'static' })
+    );
+    expect(sendTransaction).toHaveBeenCalledWith(
+      { name: 'auditLogger' },
+      'logEvent',
+      ['separation_of_duties_violation', '0xadmin', user._id.toString(), 'static']
+    );
+  });
+
+  it('assigns groups, such as those that may break the glass', async () => {
+    const res = await request(app)
+      .put(`/api/auth/users/${user._id}/access`)
+      .set('Authorization', admin)
+      .send({ groups: ['fire_safety', 'fire_safety'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.groups).toEqual(['fire_safety']);
+    expect(res.body.user.role).toBe('user');
+    expect(logger.auditLog).toHaveBeenCalledWith(
+      'user_access_changed',
+      '0xadmin',
+      user._id.toString(),
+      expect.objectContaining({ current: expect.objectContaining({ groups: ['fire_safety'] }) })
+    );
+  });
+
+  it('is limited to admins', async () => {
+    const res = await request(app)
+      .put(`/api/auth/users/${user._id}/access`)
+      .set('Authorization', bearer({ id: 'u-2', address: '0xop', role: 'operator' }))
+      .send({ role: 'admin' });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,39 @@
+const Device = require('../../src/models/Device');
+const User = require('../../src/models/User');
+const Policy = require('../../src/models/Policy');
+const { checkInputProblem, checkAccessBatch } = require('../../src/services/accessCheck');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkInputProblem', () => {
+  it('accepts non-empty strings', () => {
+    expect(checkInputProblem({ deviceId: 'd-1', userId: 'u-1', action: 'unlock' })).toBeNull();
+  });
+
+  it('refuses missing values and query operators', () => {
+    const message = 'Device ID, user ID, and action are required and must be strings';
+    expect(checkInputProblem({ deviceId: 'd-1', userId: 'u-1' })).toBe(message);
+    expect(checkInputProblem({ deviceId: 'd-1', userId: 'u-1', action: '' })).toBe(message);
+    expect(checkInputProblem({ deviceId: 'd-1', userId: 'u-1', action: { $ne: null } })).toBe(message);
+    expect(checkInputProblem({ deviceId: ['d-1'], userId: 'u-1', action: 'unlock' })).toBe(message);
+    expect(checkInputProblem()).toBe(message);
+  });
+});
+
+describe('checkAccessBatch', () => {
+  it('refuses an operator as the action before looking up policies', async () => {
+    jest.spyOn(Device, 'find').mockResolvedValue([]);
+    jest.spyOn(User, 'find').mockResolvedValue([]);
+    jest.spyOn(Policy, 'findApplicablePolicies');
+
+    const [result] = await checkAccessBatch(
+      [{ deviceId: '65f000000000000000000001', userId: '65f000000000000000000002', action: { $ne: null } }],
+      { callerId: 'u-1' }
+    );
+
+    expect(result).toMatchObject({ index: 0, success: false, error: 'Device ID, user ID, and action are required and must be strings' });
+    expect(Policy.findApplicablePolicies).not.toHaveBeenCalled();
+  });
+});
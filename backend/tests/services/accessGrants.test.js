@@ -0,0 +1,152 @@
+jest.mock('../../src/config/blockchain', () => ({
+  getIoTAccessControl: jest.fn(() => ({})),
+  sendTransaction: jest.fn()
+}));
+jest.mock('../../src/config/mqtt', () => ({ publishMessage: jest.fn() }));
+jest.mock('../../src/services/decisionCache', () => ({ invalidateSubject: jest.fn() }));
+jest.mock('../../src/services/capabilityTokens', () => ({ issueToken: jest.fn(), revokeTokens: jest.fn() }));
+
+const AccessGrant = require('../../src/models/AccessGrant');
+const CapabilityToken = require('../../src/models/CapabilityToken');
+const User = require('../../src/models/User');
+const logger = require('../../src/utils/logger');
+const { sendTransaction } = require('../../src/config/blockchain');
+const { publishMessage } = require('../../src/config/mqtt');
+const { invalidateSubject } = require('../../src/services/decisionCache');
+const { issueToken, revokeTokens } = require('../../src/services/capabilityTokens');
+const { lifetimeProblem, renewalProblem, renewGrant, sweepGrants } = require('../../src/services/accessGrants');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const now = new Date('2026-03-01T12:00:00Z');
+
+const grant = (extra = {}) => new AccessGrant({
+  deviceId: 'LOCK-1',
+  userId: 'u-1',
+  deviceBlockchainId: '7',
+  userBlockchainId: '9',
+  permissions: ['unlock'],
+  grantedBy: 'owner-1',
+  status: 'active',
+  validFrom: new Date(now.getTime() - DAY_MS),
+  validUntil: new Date(now.getTime() + DAY_MS),
+  ...extra
+});
+
+beforeEach(() => {
+  jest.spyOn(AccessGrant.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ address: '0xalice' }) });
+  sendTransaction.mockReset().mockResolvedValue({ transactionHash: '0xtx' });
+  publishMessage.mockReset();
+  invalidateSubject.mockReset().mockResolvedValue();
+  issueToken.mockReset().mockResolvedValue({ token: 'signed', record: { tokenId: 'token-new' } });
+  revokeTokens.mockReset().mockResolvedValue(1);
+  jest.spyOn(logger, 'auditLog').mockImplementation(() => {});
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sweepGrants', () => {
+  it('expires grants past their window, revokes them on chain and tells the grantee', async () => {
+    const ended = grant({ validUntil: new Date(now.getTime() - 1000) });
+    jest.spyOn(AccessGrant, 'find').mockResolvedValueOnce([ended]).mockResolvedValueOnce([]);
+
+    expect(await sweepGrants(now)).toEqual({ expired: 1, notified: 0 });
+
+    expect(ended.status).toBe('expired');
+    expect(sendTransaction).toHaveBeenCalledWith({}, 'revokeAccess', ['7', '9', 'Grant expired', ['unlock']]);
+    expect(ended.revocation.transactionHash).toBe('0xtx');
+    expect(invalidateSubject).toHaveBeenCalledWith('u-1');
+    expect(publishMessage).toHaveBeenCalledWith('iot/users/0xalice/notifications', expect.objectContaining({
+      type: 'access_expired',
+      grantId: ended._id.toString()
+    }));
+  });
+
+  it('keeps an on-chain failure on the grant and retries it quietly on the next sweep', async () => {
+    const ended = grant({ validUntil: new Date(now.getTime() - 1000) });
+    sendTransaction.mockRejectedValueOnce(new Error('node unreachable'));
+    jest.spyOn(AccessGrant, 'find')
+      .mockResolvedValueOnce([ended]).mockResolvedValueOnce([])
+      .mockResolvedValueOnce([ended]).mockResolvedValueOnce([]);
+
+    await sweepGrants(now);
+    expect(ended.status).toBe('expired');
+    expect(ended.revocation.error).toBe('node unreachable');
+
+    await sweepGrants(now);
+    expect(ended.revocation.transactionHash).toBe('0xtx');
+    expect(publishMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('warns grantees whose access ends soon, once', async () => {
+    const expiring = grant({ validUntil: new Date(now.getTime() + 5 * HOUR_MS) });
+    jest.spyOn(AccessGrant, 'find').mockResolvedValueOnce([]).mockResolvedValueOnce([expiring]);
+
+    expect(await sweepGrants(now)).toEqual({ expired: 0, notified: 1 });
+
+    expect(expiring.expiryNoticeAt).toEqual(now);
+    expect(AccessGrant.find.mock.calls[1][0]).toMatchObject({ status: 'active', expiryNoticeAt: { $exists: false } });
+    expect(publishMessage.mock.calls[0][1]).toMatchObject({ type: 'access_expiring', message: 'Your access to LOCK-1 expires in 5h' });
+  });
+});
+
+describe('renewalProblem', () => {
+  const later = (days) => new Date(now.getTime() + days * DAY_MS).toISOString();
+
+  it('accepts a later expiry within the maximum lifetime', () => {
+    expect(renewalProblem(grant(), later(30), now)).toBeNull();
+  });
+
+  it('refuses grants that are not current and expiries that are not later or too far out', () => {
+    expect(renewalProblem(grant({ status: 'revoked' }), later(30), now)).toEqual({ status: 409, message: 'Grant is revoked' });
+    expect(renewalProblem(grant({ validFrom: new Date(now.getTime() + DAY_MS) }), later(30), now))
+      .toEqual({ status: 409, message: 'Grant is not valid now' });
+    expect(renewalProblem(grant(), 'next week', now)).toEqual({ status: 400, message: 'validUntil must be a date' });
+    expect(renewalProblem(grant(), later(0.5), now)).toEqual({ status: 400, message: 'validUntil must be later than the current expiry' });
+    expect(renewalProblem(grant(), later(91), now)).toEqual({ status: 400, message: 'validUntil must be within 90 days' });
+  });
+});
+
+describe('lifetimeProblem', () => {
+  it('names the field that runs past the maximum lifetime', () => {
+    expect(lifetimeProblem('expiryTime', new Date(now.getTime() + 90 * DAY_MS), now)).toBeNull();
+    expect(lifetimeProblem('expiryTime', new Date(now.getTime() + 90 * DAY_MS + 1), now))
+      .toEqual({ status: 400, message: 'expiryTime must be within 90 days' });
+  });
+});
+
+describe('renewGrant', () => {
+  it('re-grants on chain with the new expiry and replaces the capability tokens', async () => {
+    const current = grant({ expiryNoticeAt: now });
+    const validUntil = new Date(now.getTime() + 30 * DAY_MS);
+    jest.spyOn(CapabilityToken, 'find').mockReturnValue({ select: async () => [{ tokenId: 'token-old' }] });
+
+    const { grant: renewed, capabilityToken } = await renewGrant(current, { validUntil, renewedBy: 'owner-1', basis: 'approver' });
+
+    expect(sendTransaction).toHaveBeenCalledWith({}, 'grantAccess', ['7', '9', ['unlock'], '', Math.floor(validUntil.getTime() / 1000)]);
+    expect(renewed.validUntil).toEqual(validUntil);
+    expect(renewed.expiryNoticeAt).toBeUndefined();
+    expect(renewed.renewals[0]).toMatchObject({ renewedBy: 'owner-1', basis: 'approver', validUntil, transactionHash: '0xtx' });
+    expect(capabilityToken.record.tokenId).toBe('token-new');
+    expect(revokeTokens).toHaveBeenCalledWith(
+      { tokenId: { $in: ['token-old'] } },
+      { revokedBy: 'owner-1', reason: 'Superseded by grant renewal' }
+    );
+  });
+
+  it('renews off chain and records the failure when the chain is unavailable', async () => {
+    sendTransaction.mockRejectedValueOnce(new Error('node unreachable'));
+    jest.spyOn(CapabilityToken, 'find').mockReturnValue({ select: async () => [] });
+    const validUntil = new Date(now.getTime() + 10 * DAY_MS);
+
+    const { grant: renewed } = await renewGrant(grant(), { validUntil, renewedBy: 'owner-1', basis: 'approver' });
+
+    expect(renewed.validUntil).toEqual(validUntil);
+    expect(renewed.renewals[0].error).toBe('node unreachable');
+    expect(revokeTokens).not.toHaveBeenCalled();
+  });
+});
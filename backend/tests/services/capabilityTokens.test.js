@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CapabilityToken = require('../../src/models/CapabilityToken');
+const logger = require('../../src/utils/logger');
+const { publicKeyInfo } = require('../../src/config/signingKey');
+const { issueProblem, issueToken, revocationList } = require('../../src/services/capabilityTokens');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-03-01T12:00:00Z');
+const seconds = (date) => Math.floor(date.getTime() / 1000);
+
+// What a device does offline: check the signature with the provisioned key
+const verify = (compact) => {
+  const [body, signature] = compact.split('.');
+  const { publicKey } = publicKeyInfo();
+  if (!crypto.verify(null, Buffer.from(body), publicKey, Buffer.from(signature, 'base64url'))) return null;
+  return JSON.parse(Buffer.from(body, 'base64url').toString());
+};
+
+const grant = (extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  deviceId: 'LOCK-1',
+  userId: 'u-1',
+  permissions: ['unlock', 'lock'],
+  status: 'active',
+  validFrom: new Date(now.getTime() - HOUR_MS),
+  validUntil: new Date(now.getTime() + 72 * HOUR_MS),
+  ...extra
+});
+
+beforeEach(() => {
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  jest.spyOn(logger, 'auditLog').mockImplementation(() => {});
+  jest.spyOn(CapabilityToken, 'create').mockImplementation(async (fields) => new CapabilityToken(fields));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('issueToken', () => {
+  it('signs claims a device can verify with the public key', async () => {
+    const source = grant();
+    const { token, record } = await issueToken(source, { actions: ['unlock'], maxUses: 3, issuedBy: 'owner-id' }, now);
+
+    expect(verify(token)).toEqual({
+      v: 1,
+      kid: publicKeyInfo().keyId,
+      jti: record.tokenId,
+      sub: 'u-1',
+      dev: 'LOCK-1',
+      act: ['unlock'],
+      nbf: seconds(now),
+      exp: seconds(new Date(now.getTime() + 24 * HOUR_MS)),
+      use: 3,
+      gid: source._id.toString()
+    });
+  });
+
+  it('produces tokens whose signature breaks when the claims are changed', async () => {
+    const { token } = await issueToken(grant(), { issuedBy: 'owner-id' }, now);
+    const [body, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, act: ['unlock', 'lock', 'admin'] })).toString('base64url');
+
+    expect(verify(`${forged}.${signature}`)).toBeNull();
+  });
+
+  it('ends the token with the grant, the requested end or the maximum lifetime, whichever is first', async () => {
+    const short = await issueToken(grant({ validUntil: new Date(now.getTime() + 2 * HOUR_MS) }), { issuedBy: 'owner-id' }, now);
+    expect(short.record.validUntil).toEqual(new Date(now.getTime() + 2 * HOUR_MS));
+
+    const requested = await issueToken(grant(), { validUntil: new Date(now.getTime() + HOUR_MS), issuedBy: 'owner-id' }, now);
+    expect(requested.record.validUntil).toEqual(new Date(now.getTime() + HOUR_MS));
+
+    const future = grant({ validFrom: new Date(now.getTime() + 5 * HOUR_MS) });
+    const later = await issueToken(future, { issuedBy: 'owner-id' }, now);
+    expect(later.record.validFrom).toEqual(future.validFrom);
+    expect(later.record.validUntil).toEqual(new Date(future.validFrom.getTime() + 24 * HOUR_MS));
+  });
+
+  it('defaults to every permission of the grant and the default number of uses', async () => {
+    const { record } = await issueToken(grant(), { issuedBy: 'owner-id' }, now);
+    expect(record.actions).toEqual(['unlock', 'lock']);
+    expect(record.maxUses).toBe(20);
+  });
+});
+
+describe('issueProblem', () => {
+  it('accepts a request within the grant', () => {
+    expect(issueProblem(grant(), { actions: ['lock'], maxUses: 5 }, now)).toBeNull();
+  });
+
+  it('refuses grants that are no longer active', () => {
+    expect(issueProblem(grant({ status: 'revoked' }), {}, now)).toEqual({ status: 409, message: 'Grant is revoked' });
+    expect(issueProblem(grant({ validUntil: now }), {}, now)).toEqual({ status: 409, message: 'Grant is expired' });
+  });
+
+  it('refuses actions, windows and use counts outside the grant and limits', () => {
+    expect(issueProblem(grant(), { actions: [] }, now).message).toBe('actions must be a non-empty array');
+    expect(issueProblem(grant(), { actions: ['admin'] }, now).message).toBe("actions must be among the grant's permissions: unlock, lock");
+    expect(issueProblem(grant(), { validUntil: 'soon' }, now).message).toBe('validUntil must be a date');
+    expect(issueProblem(grant(), { validUntil: now }, now).message).toBe('validUntil must be after the start of the token window');
+    expect(issueProblem(grant(), { maxUses: 0 }, now).message).toBe('maxUses must be an integer between 1 and 100');
+    expect(issueProblem(grant(), { maxUses: 101 }, now).status).toBe(400);
+  });
+});
+
+describe('revocationList', () => {
+  it('is a signed list of revoked tokens with the time of its next update', async () => {
+    const validUntil = new Date(now.getTime() + HOUR_MS);
+    jest.spyOn(CapabilityToken, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ tokenId: 'token-1', validUntil }] })
+    });
+
+    const result = await revocationList(now);
+    const claims = verify(result.list);
+
+    expect(claims).toEqual({
+      v: 1,
+      kid: publicKeyInfo().keyId,
+      iat: seconds(now),
+      nextUpdate: seconds(now) + 300,
+      revoked: [{ jti: 'token-1', exp: seconds(validUntil) }]
+    });
+    expect(result).toMatchObject(claims);
+    expect(CapabilityToken.find).toHaveBeenCalledWith({ revokedAt: { $exists: true }, validUntil: { $gt: now } });
+  });
+});
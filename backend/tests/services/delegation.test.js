@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const Delegation = require('../../src/models/Delegation');
+const { chainProblem, authorityProblems } = require('../../src/services/delegation');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-03-01T12:00:00Z');
+const device = { deviceId: 'LOCK-1', owner: '0xOwner' };
+
+// A link made by delegator, hashed onto parent the way createDelegation does it
+const link = (delegator, delegate, { parent = null, permissions = ['unlock', 'lock'], canRedelegate = true, maxDepth = 3, hours = 24 } = {}) => {
+  const fields = {
+    deviceId: device.deviceId,
+    delegator,
+    delegate,
+    permissions,
+    canRedelegate,
+    maxDepth: parent ? parent.maxDepth : maxDepth,
+    depth: parent ? parent.depth + 1 : 1,
+    ownerAddress: parent ? parent.ownerAddress : device.owner,
+    expiresAt: new Date(now.getTime() + hours * HOUR_MS)
+  };
+  return new Delegation({
+    ...fields,
+    _id: new mongoose.Types.ObjectId(),
+    parent: parent ? parent._id : null,
+    ancestors: parent ? parent.ancestors.concat(parent._id) : [],
+    hash: Delegation.hashLink(fields, parent ? parent.hash : null)
+  });
+};
+
+// owner -> alice -> bob
+const buildChain = () => {
+  const first = link('owner-id', 'alice');
+  const second = link('alice', 'bob', { parent: first, permissions: ['unlock'], canRedelegate: false, hours: 12 });
+  return [first, second];
+};
+
+describe('chainProblem', () => {
+  it('accepts a chain that holds end to end', () => {
+    expect(chainProblem(buildChain(), device, now)).toBeNull();
+  });
+
+  it('detects a link changed after it was hashed', () => {
+    const chain = buildChain();
+    chain[1].permissions = ['unlock', 'lock'];
+    expect(chainProblem(chain, device, now)).toBe(`delegation ${chain[1]._id} does not match its hash`);
+  });
+
+  it('detects a parent rehashed without its children', () => {
+    const chain = buildChain();
+    chain[0].expiresAt = new Date(now.getTime() + 48 * HOUR_MS);
+    chain[0].hash = Delegation.hashLink(chain[0]);
+    expect(chainProblem(chain, device, now)).toBe(`delegation ${chain[1]._id} does not match its hash`);
+  });
+
+  it('lapses when a link is revoked, expired or gone', () => {
+    const revoked = buildChain();
+    revoked[0].revokedAt = now;
+    expect(chainProblem(revoked, device, now)).toBe(`delegation ${revoked[0]._id} was revoked`);
+
+    const expired = buildChain();
+    expect(chainProblem(expired, device, new Date(now.getTime() + 13 * HOUR_MS)))
+      .toBe(`delegation ${expired[1]._id} has expired`);
+
+    expect(chainProblem([null, buildChain()[1]], device, now)).toBe('a delegation in the chain no longer exists');
+  });
+
+  it('lapses when the device changes owner or the chain is for another device', () => {
+    expect(chainProblem(buildChain(), { ...device, owner: '0xNewOwner' }, now))
+      .toBe('the device has changed owner since the chain was started');
+
+    const chain = buildChain();
+    expect(chainProblem(chain, { ...device, deviceId: 'LOCK-2' }, now))
+      .toBe(`delegation ${chain[0]._id} is for another device`);
+  });
+
+  it('refuses re-delegation the parent did not allow', () => {
+    const first = link('owner-id', 'alice', { canRedelegate: false });
+    const second = link('alice', 'bob', { parent: first });
+    expect(chainProblem([first, second], device, now)).toBe(`delegation ${first._id} may not be re-delegated`);
+  });
+
+  it('refuses links not made by the parent delegate or widening its permissions', () => {
+    const first = link('owner-id', 'alice', { permissions: ['unlock'] });
+
+    const impostor = link('mallory', 'bob', { parent: first, permissions: ['unlock'] });
+    expect(chainProblem([first, impostor], device, now))
+      .toBe(`delegation ${impostor._id} was not made by the delegate of ${first._id}`);
+
+    const widened = link('alice', 'bob', { parent: first, permissions: ['unlock', 'lock'] });
+    expect(chainProblem([first, widened], device, now))
+      .toBe(`delegation ${widened._id} passes on permissions ${first._id} does not hold`);
+  });
+
+  it('refuses chains deeper than the owner allowed', () => {
+    const first = link('owner-id', 'alice', { maxDepth: 1 });
+    const second = link('alice', 'bob', { parent: first });
+    expect(chainProblem([first, second], device, now)).toBe(`delegation ${second._id} is deeper than the chain allows`);
+  });
+});
+
+describe('authorityProblems', () => {
+  const owner = { id: 'owner-id', address: '0xowner', role: 'device_owner' };
+  const alice = { id: 'alice', address: '0xalice', role: 'user' };
+  const expiresAt = new Date(now.getTime() + 6 * HOUR_MS);
+
+  it('lets only the owner or an admin start a chain', () => {
+    expect(authorityProblems({ caller: owner, device, delegate: 'alice', permissions: ['unlock'], expiresAt }, now)).toEqual([]);
+    expect(authorityProblems({ caller: { ...alice, role: 'admin' }, device, delegate: 'bob', permissions: ['unlock'], expiresAt }, now)).toEqual([]);
+    expect(authorityProblems({ caller: alice, device, delegate: 'bob', permissions: ['unlock'], expiresAt }, now))
+      .toEqual(['only the device owner may start a delegation chain']);
+  });
+
+  it('refuses delegating to oneself', () => {
+    expect(authorityProblems({ caller: owner, device, delegate: 'owner-id', permissions: ['unlock'], expiresAt }, now))
+      .toEqual(['delegate: cannot delegate to yourself']);
+  });
+
+  it('lets a delegate pass on a subset of what they hold, for no longer', () => {
+    const parentChain = [link('owner-id', 'alice', { permissions: ['unlock'] })];
+    const [parent] = parentChain;
+
+    expect(authorityProblems({ caller: alice, device, delegate: 'bob', permissions: ['unlock'], expiresAt, parentChain }, now)).toEqual([]);
+    expect(authorityProblems({
+      caller: alice,
+      device,
+      delegate: 'bob',
+      permissions: ['unlock', 'lock'],
+      expiresAt: new Date(now.getTime() + 48 * HOUR_MS),
+      maxDepth: 2,
+      parentChain
+    }, now)).toEqual([
+      'maxDepth: set by the device owner on the first delegation',
+      `permissions: lock not held by delegation ${parent._id}`,
+      `expiresAt: cannot outlast delegation ${parent._id} (${parent.expiresAt.toISOString()})`
+    ]);
+  });
+
+  it('refuses re-delegating from a chain that does not hold or is full', () => {
+    const parentChain = [link('owner-id', 'alice', { maxDepth: 1 })];
+    expect(authorityProblems({ caller: alice, device, delegate: 'bob', permissions: ['unlock'], expiresAt, parentChain }, now))
+      .toEqual(['parentId: the chain is already 1 delegations deep']);
+
+    expect(authorityProblems({ caller: { ...alice, id: 'bob' }, device, delegate: 'carol', permissions: ['unlock'], expiresAt, parentChain }, now))
+      .toEqual([`parentId: delegation ${parentChain[0]._id} was not made to you`]);
+
+    parentChain[0].revokedAt = now;
+    expect(authorityProblems({ caller: alice, device, delegate: 'bob', permissions: ['unlock'], expiresAt, parentChain }, now))
+      .toEqual([`parentId: delegation ${parentChain[0]._id} was revoked`]);
+  });
+
+  it('refuses handing access back up the chain', () => {
+    const first = link('owner-id', 'alice');
+    const second = link('alice', 'bob', { parent: first });
+    const bob = { id: 'bob', address: '0xbob', role: 'user' };
+
+    expect(authorityProblems({ caller: bob, device, delegate: 'alice', permissions: ['unlock'], expiresAt, parentChain: [first, second] }, now))
+      .toEqual(['delegate: already part of the delegation chain']);
+  });
+});
@@ -0,0 +1,171 @@
+const previousTimeout = process.env.MQTT_DECISION_TIMEOUT_MS;
+process.env.MQTT_DECISION_TIMEOUT_MS = '50';
+
+jest.mock('../../src/config/redis', () => ({ getRedisClient: jest.fn() }));
+jest.mock('../../src/services/policyDecisionPoint', () => ({
+  ...jest.requireActual('../../src/services/policyDecisionPoint'),
+  decide: jest.fn()
+}));
+jest.mock('../../src/services/obligationEnforcement', () => ({ enforceObligations: jest.fn() }));
+jest.mock('../../src/services/decisionCache', () => ({
+  lookupDecision: jest.fn(async () => ({ key: null, entry: null })),
+  storeDecision: jest.fn(),
+  countStat: jest.fn()
+}));
+jest.mock('../../src/services/usageCounter', () => ({ refundUsage: jest.fn() }));
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { getRedisClient } = require('../../src/config/redis');
+const { decide } = require('../../src/services/policyDecisionPoint');
+const { enforceObligations } = require('../../src/services/obligationEnforcement');
+const { refundUsage } = require('../../src/services/usageCounter');
+const Device = require('../../src/models/Device');
+const User = require('../../src/models/User');
+const AccessLog = require('../../src/models/AccessLog');
+const BreakGlass = require('../../src/models/BreakGlass');
+const logger = require('../../src/utils/logger');
+const { signingPayload } = require('../../src/utils/deviceSignature');
+const { handleDeviceAccessRequest } = require('../../src/services/deviceAccess');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+const device = {
+  deviceId: 'LOCK-1',
+  deviceType: 'smart_lock',
+  status: 'active',
+  owner: '0xowner',
+  publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+};
+const user = new User({ _id: new mongoose.Types.ObjectId(), username: 'alice', address: '0xalice', role: 'user' });
+
+// A request as the device sends it, signed over everything but the signature
+const signed = (extra = {}) => {
+  const request = {
+    correlationId: crypto.randomUUID(),
+    userId: user._id.toString(),
+    action: 'unlock',
+    attributes: { card: 'c-1' },
+    timestamp: new Date().toISOString(),
+    ...extra
+  };
+  const signature = crypto.sign(null, Buffer.from(signingPayload({ ...request, deviceId: device.deviceId })), privateKey);
+  return { ...request, signature: signature.toString('base64') };
+};
+
+const permit = {
+  allowed: true,
+  decision: 'Permit',
+  reason: 'Access granted',
+  algorithm: 'deny-overrides',
+  policyIds: ['p-1'],
+  obligations: [],
+  advice: [],
+  usageCharge: { member: 'm-1', counters: [] }
+};
+
+const fakeRedis = () => {
+  const values = new Map();
+  return {
+    set: jest.fn(async (key, value, ...options) => {
+      if (options.includes('NX') && values.has(key)) return null;
+      values.set(key, value);
+      return 'OK';
+    }),
+    get: jest.fn(async (key) => (values.has(key) ? values.get(key) : null))
+  };
+};
+
+// Let abandoned work that is still running finish
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+beforeEach(() => {
+  getRedisClient.mockReturnValue(fakeRedis());
+  decide.mockReset().mockResolvedValue(permit);
+  enforceObligations.mockReset().mockResolvedValue({ allowed: true, reason: 'Access granted', obligations: [], advice: [], expiresAt: null });
+  refundUsage.mockReset().mockResolvedValue();
+  jest.spyOn(Device, 'findOne').mockResolvedValue(device);
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+  jest.spyOn(BreakGlass, 'findActive').mockResolvedValue(null);
+  jest.spyOn(AccessLog, 'create').mockResolvedValue({});
+  ['info', 'warn', 'error', 'securityAlert'].forEach(level => jest.spyOn(logger, level).mockImplementation(() => {}));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  if (previousTimeout === undefined) {
+    delete process.env.MQTT_DECISION_TIMEOUT_MS;
+  } else {
+    process.env.MQTT_DECISION_TIMEOUT_MS = previousTimeout;
+  }
+});
+
+describe('device signatures', () => {
+  it('decide a request signed with the device key', async () => {
+    const response = await handleDeviceAccessRequest('LOCK-1', signed());
+
+    expect(response).toMatchObject({ deviceId: 'LOCK-1', granted: true, decision: 'Permit', reason: 'Access granted' });
+    expect(enforceObligations).toHaveBeenCalledWith(permit, expect.objectContaining({ callerId: user._id.toString(), channel: 'mqtt' }));
+  });
+
+  it('cover every field, so a changed request is refused', async () => {
+    const request = signed();
+    const response = await handleDeviceAccessRequest('LOCK-1', { ...request, attributes: { card: 'c-2' } });
+
+    expect(response).toMatchObject({ granted: false, reason: 'Device authentication failed: Invalid request signature' });
+    expect(logger.securityAlert).toHaveBeenCalledWith('LOCK-1', 'device_authentication_failed', expect.objectContaining({ correlationId: request.correlationId }));
+    expect(decide).not.toHaveBeenCalled();
+  });
+
+  it('are refused once the request is too old', async () => {
+    const response = await handleDeviceAccessRequest('LOCK-1', signed({ timestamp: new Date(Date.now() - 60 * 1000).toISOString() }));
+
+    expect(response.reason).toBe('Device authentication failed: Request timestamp is missing or outside the allowed window');
+  });
+});
+
+describe('redelivered requests', () => {
+  it('get the first answer again without a second decision', async () => {
+    const request = signed();
+    const first = await handleDeviceAccessRequest('LOCK-1', request);
+    const again = await handleDeviceAccessRequest('LOCK-1', request);
+
+    expect(again).toEqual({ ...first, duplicate: true });
+    expect(decide).toHaveBeenCalledTimes(1);
+  });
+
+  it('get no answer while the first copy is being decided', async () => {
+    let finish;
+    decide.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+    const request = signed();
+
+    const first = handleDeviceAccessRequest('LOCK-1', request);
+    await settle();
+    expect(await handleDeviceAccessRequest('LOCK-1', request)).toBeNull();
+
+    finish(permit);
+    expect((await first).granted).toBe(true);
+  });
+});
+
+describe('slow decisions', () => {
+  it('are answered with a denial and abandoned, refunding their usage', async () => {
+    let finish;
+    decide.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+
+    const response = await handleDeviceAccessRequest('LOCK-1', signed());
+    expect(response).toMatchObject({ granted: false, decision: 'Deny', reason: 'Access decision timed out' });
+    expect(AccessLog.create).toHaveBeenCalledTimes(1);
+    expect(AccessLog.create).toHaveBeenCalledWith(expect.objectContaining({ decision: 'Deny', allowed: false, reason: 'Access decision timed out' }));
+
+    finish(permit);
+    await settle();
+
+    expect(refundUsage).toHaveBeenCalledWith(permit.usageCharge);
+    expect(enforceObligations).not.toHaveBeenCalled();
+    expect(AccessLog.create).toHaveBeenCalledTimes(1);
+  });
+});
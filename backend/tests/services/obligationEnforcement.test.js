@@ -0,0 +1,139 @@
+jest.mock('../../src/config/redis', () => ({ getRedisClient: jest.fn() }));
+jest.mock('../../src/config/mqtt', () => ({ publishWithAck: jest.fn() }));
+jest.mock('../../src/services/usageCounter', () => ({ refundUsage: jest.fn() }));
+
+const { getRedisClient } = require('../../src/config/redis');
+const { publishWithAck } = require('../../src/config/mqtt');
+const { refundUsage } = require('../../src/services/usageCounter');
+const logger = require('../../src/utils/logger');
+const { STEP_SECONDS, generateCode } = require('../../src/utils/totp');
+const { enforceObligations } = require('../../src/services/obligationEnforcement');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+const now = new Date('2026-03-01T12:00:00Z').getTime();
+const codeAt = (time) => generateCode(SECRET, Math.floor(time / 1000 / STEP_SECONDS));
+
+// Strings with expiry ignored, and SET honouring NX
+const fakeRedis = () => {
+  const values = new Map();
+  return {
+    values,
+    get: jest.fn(async (key) => (values.has(key) ? String(values.get(key)) : null)),
+    set: jest.fn(async (key, value, ...options) => {
+      if (options.includes('NX') && values.has(key)) return null;
+      values.set(key, value);
+      return 'OK';
+    }),
+    incr: jest.fn(async (key) => values.set(key, Number(values.get(key) || 0) + 1).get(key)),
+    expire: jest.fn(async () => 1),
+    del: jest.fn(async (key) => Number(values.delete(key)))
+  };
+};
+
+const user = {
+  _id: { toString: () => 'u-1' },
+  security: { twoFactorEnabled: true, twoFactorSecret: SECRET }
+};
+
+const permit = (obligations) => ({
+  allowed: true,
+  decision: 'Permit',
+  reason: 'Access granted',
+  obligations,
+  advice: [],
+  usageCharge: { member: 'm-1', counters: [] }
+});
+
+const stepUp = { type: 'step_up_auth', policyId: 'p-1', ruleIndex: 0 };
+const notify = { type: 'notify_owner', policyId: 'p-1', ruleIndex: 0, parameters: { message: 'Door opened' } };
+
+const request = (extra = {}) => ({
+  user,
+  device: { owner: '0xowner' },
+  subject: { id: 'u-1' },
+  resource: { id: 'LOCK-1' },
+  action: 'unlock',
+  callerId: 'u-1',
+  channel: 'http',
+  now,
+  ...extra
+});
+
+let redis;
+
+beforeEach(() => {
+  redis = fakeRedis();
+  getRedisClient.mockReturnValue(redis);
+  publishWithAck.mockReset().mockResolvedValue({ acknowledged: true });
+  refundUsage.mockReset().mockResolvedValue();
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('step-up authentication', () => {
+  it('accepts a current code from the user being authorised, once', async () => {
+    const code = codeAt(now);
+
+    const first = await enforceObligations(permit([stepUp]), request({ stepUpCode: code }));
+    expect(first.allowed).toBe(true);
+    expect(first.obligations[0]).toMatchObject({ type: 'step_up_auth', fulfilled: true, result: { verified: true } });
+
+    const replay = await enforceObligations(permit([stepUp]), request({ stepUpCode: code, now: now + 1000 }));
+    expect(replay.allowed).toBe(false);
+    expect(replay.reason).toBe('Obligation not met: step_up_auth (Two-factor code already used)');
+    expect(refundUsage).toHaveBeenCalledWith({ member: 'm-1', counters: [] });
+  });
+
+  it('ignores a code supplied by anyone else', async () => {
+    const result = await enforceObligations(permit([stepUp]), request({ stepUpCode: codeAt(now), callerId: 'u-2' }));
+
+    expect(result.allowed).toBe(false);
+    expect(result.obligations[0].error).toBe('Two-factor code must be supplied by the user being authorised');
+    expect(redis.set).not.toHaveBeenCalled();
+  });
+
+  it('locks the user out after repeated wrong codes, even for a right one', async () => {
+    const wrong = String((Number(codeAt(now)) + 1) % 1000000).padStart(6, '0');
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const result = await enforceObligations(permit([stepUp]), request({ stepUpCode: wrong }));
+      expect(result.obligations[0].error).toBe('Invalid two-factor code');
+    }
+    expect(redis.expire).toHaveBeenCalledTimes(1);
+    expect(redis.expire).toHaveBeenCalledWith('step_up_failures:u-1', 900);
+
+    const locked = await enforceObligations(permit([stepUp]), request({ stepUpCode: codeAt(now) }));
+    expect(locked.allowed).toBe(false);
+    expect(locked.obligations[0].error).toBe('Too many failed two-factor codes; try again later');
+  });
+
+  it('runs before obligations with side effects, which are skipped when it fails', async () => {
+    const result = await enforceObligations(permit([notify, stepUp]), request());
+
+    expect(result.obligations.map(({ type, fulfilled, error }) => ({ type, fulfilled, error }))).toEqual([
+      { type: 'step_up_auth', fulfilled: false, error: 'Two-factor code required' },
+      { type: 'notify_owner', fulfilled: false, error: 'Not attempted' }
+    ]);
+    expect(publishWithAck).not.toHaveBeenCalled();
+  });
+});
+
+describe('checks that do not apply obligations', () => {
+  it('return them unrun with the decision', async () => {
+    const result = await enforceObligations(permit([stepUp, notify]), request({ callerId: 'admin-1', apply: false }));
+
+    expect(result).toEqual({
+      allowed: true,
+      reason: 'Access granted',
+      obligations: [{ ...stepUp, applied: false }, { ...notify, applied: false }],
+      advice: [],
+      expiresAt: null
+    });
+    expect(publishWithAck).not.toHaveBeenCalled();
+    expect(redis.get).not.toHaveBeenCalled();
+    expect(refundUsage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,133 @@
+const Policy = require('../../src/models/Policy');
+const { checkComposition } = require('../../src/services/policyComposition');
+const { evaluatePolicy } = require('../../src/services/policyDecisionPoint');
+
+const composite = (policyId, children, extra = {}) => ({
+  policyId,
+  name: policyId,
+  policyType: 'Composite',
+  effect: 'Allow',
+  priority: 0,
+  isActive: true,
+  composition: { children, ...extra }
+});
+
+// A rule-based policy whose evaluation is scripted
+const leaf = (policyId, result) => ({
+  policyId,
+  policyType: 'RoleBased',
+  effect: result.allowed === false ? 'Deny' : 'Allow',
+  priority: 0,
+  evaluate: jest.fn(() => result)
+});
+
+const permit = { applicable: true, allowed: true, ruleIndex: 0, reason: 'Access granted' };
+const deny = { applicable: true, allowed: false, ruleIndex: 0, reason: 'Access denied' };
+
+describe('checkComposition', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = new Map();
+    jest.spyOn(Policy, 'find').mockImplementation((query) => ({
+      select: async () => query.policyId.$in.filter(policyId => stored.has(policyId)).map(policyId => stored.get(policyId))
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts children that exist and nest without cycles', async () => {
+    stored.set('p-1', leaf('p-1', permit));
+    stored.set('c-1', composite('c-1', ['p-1']));
+
+    await expect(checkComposition('root', { children: ['c-1', 'p-1'] })).resolves.toEqual([]);
+  });
+
+  it('reports children that do not exist', async () => {
+    await expect(checkComposition('root', { children: ['missing'] }))
+      .resolves.toEqual(['composition.children: policy missing does not exist']);
+  });
+
+  it('reports a cycle through stored composites', async () => {
+    stored.set('c-1', composite('c-1', ['c-2']));
+    stored.set('c-2', composite('c-2', ['root']));
+
+    await expect(checkComposition('root', { children: ['c-1'] }))
+      .resolves.toEqual(['composition: cycle root -> c-1 -> c-2 -> root']);
+  });
+
+  it('lets policies saved alongside override what is stored', async () => {
+    stored.set('c-1', composite('c-1', ['root']));
+
+    await expect(checkComposition('root', { children: ['c-1'] }, { pending: new Map([['c-1', []]]) }))
+      .resolves.toEqual([]);
+  });
+
+  it('refuses nesting deeper than the evaluator follows', async () => {
+    for (let level = 1; level <= 8; level++) {
+      stored.set(`c-${level}`, composite(`c-${level}`, [`c-${level + 1}`]));
+    }
+    stored.set('c-9', leaf('c-9', permit));
+
+    const errors = await checkComposition('root', { children: ['c-1'] });
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^composition: nests more than 8 levels deep/);
+  });
+});
+
+describe('evaluating composite policies', () => {
+  const subject = { id: 'u-1', roles: ['operator'] };
+  const resource = { id: 'LOCK-1', type: 'smart_lock' };
+
+  it('combines its children with its own algorithm', () => {
+    const children = new Map([['p-permit', leaf('p-permit', permit)], ['p-deny', leaf('p-deny', deny)]]);
+
+    const denyOverrides = evaluatePolicy(composite('c', ['p-permit', 'p-deny']), subject, resource, 'unlock', {}, children);
+    expect(denyOverrides.decision).toBe('Deny');
+    expect(denyOverrides.rules).toEqual([{ policyId: 'p-deny', ruleIndex: 0 }]);
+
+    const permitOverrides = evaluatePolicy(
+      composite('c', ['p-permit', 'p-deny'], { combiningAlgorithm: 'permit-overrides' }),
+      subject, resource, 'unlock', {}, children
+    );
+    expect(permitOverrides.decision).toBe('Permit');
+  });
+
+  it('is not applicable outside its target or while inactive', () => {
+    const children = new Map([['p-permit', leaf('p-permit', permit)]]);
+
+    expect(evaluatePolicy(composite('c', ['p-permit'], { target: { actions: ['lock'] } }), subject, resource, 'unlock', {}, children))
+      .toMatchObject({ decision: 'NotApplicable', reason: 'Outside composite target (action)' });
+    expect(evaluatePolicy({ ...composite('c', ['p-permit']), isActive: false }, subject, resource, 'unlock', {}, children))
+      .toMatchObject({ decision: 'NotApplicable', reason: 'Policy is inactive' });
+    expect(children.get('p-permit').evaluate).not.toHaveBeenCalled();
+  });
+
+  it('fails closed on a missing child or a cycle', () => {
+    expect(evaluatePolicy(composite('c', ['missing']), subject, resource, 'unlock', {}, new Map()).decision).toBe('Deny');
+
+    const children = new Map([['c-2', composite('c-2', ['c-1'])]]);
+    const result = evaluatePolicy(composite('c-1', ['c-2']), subject, resource, 'unlock', {}, children);
+    expect(result.decision).toBe('Deny');
+    expect(result.reason).toBe('Policy evaluation error');
+  });
+
+  it('evaluates a child shared by several composites once per decision', () => {
+    const shared = leaf('p-shared', permit);
+    const children = new Map([
+      ['p-shared', shared],
+      ['c-1', composite('c-1', ['p-shared'])],
+      ['c-2', composite('c-2', ['p-shared'])]
+    ]);
+    const context = { evaluated: new Map() };
+
+    const first = evaluatePolicy(children.get('c-1'), subject, resource, 'unlock', context, children);
+    const second = evaluatePolicy(children.get('c-2'), subject, resource, 'unlock', context, children);
+
+    expect(first.decision).toBe('Permit');
+    expect(second.decision).toBe('Permit');
+    expect(shared.evaluate).toHaveBeenCalledTimes(1);
+  });
+});
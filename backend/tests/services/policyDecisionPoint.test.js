@@ -0,0 +1,103 @@
+const { COMBINING_ALGORITHMS, combine } = require('../../src/services/policyDecisionPoint');
+
+const result = (policyId, decision, reason = `${policyId}: ${decision}`) => ({ policyId, decision, reason });
+
+const permit = result('p-permit', 'Permit');
+const deny = result('p-deny', 'Deny');
+const error = result('p-error', 'Indeterminate', 'Policy evaluation error');
+const notApplicable = result('p-na', 'NotApplicable');
+
+describe('combine', () => {
+  it('knows every algorithm it advertises', () => {
+    COMBINING_ALGORITHMS.forEach(algorithm => {
+      expect(combine([], algorithm).decision).toBe('NotApplicable');
+    });
+  });
+
+  it('refuses an unknown algorithm', () => {
+    expect(() => combine([permit], 'majority')).toThrow('Unknown combining algorithm: majority');
+  });
+
+  describe('deny-overrides', () => {
+    it('denies when any policy denies', () => {
+      const combined = combine([permit, deny, notApplicable], 'deny-overrides');
+      expect(combined.decision).toBe('Deny');
+      expect(combined.contributing).toEqual([deny]);
+      expect(combined.reason).toBe(deny.reason);
+    });
+
+    it('fails closed when a policy could not be evaluated', () => {
+      const combined = combine([permit, error], 'deny-overrides');
+      expect(combined.decision).toBe('Deny');
+      expect(combined.contributing).toEqual([error]);
+    });
+
+    it('permits when the applicable policies all permit', () => {
+      const combined = combine([notApplicable, permit], 'deny-overrides');
+      expect(combined.decision).toBe('Permit');
+      expect(combined.contributing).toEqual([permit]);
+    });
+
+    it('is not applicable when no policy applies', () => {
+      expect(combine([notApplicable], 'deny-overrides')).toEqual({
+        decision: 'NotApplicable',
+        contributing: [],
+        reason: 'No applicable policies'
+      });
+    });
+  });
+
+  describe('permit-overrides', () => {
+    it('permits when any policy permits', () => {
+      const combined = combine([deny, error, permit], 'permit-overrides');
+      expect(combined.decision).toBe('Permit');
+      expect(combined.contributing).toEqual([permit]);
+    });
+
+    it('denies on denials and evaluation errors alike', () => {
+      const combined = combine([error, notApplicable, deny], 'permit-overrides');
+      expect(combined.decision).toBe('Deny');
+      expect(combined.contributing).toEqual([error, deny]);
+    });
+
+    it('is not applicable when no policy applies', () => {
+      expect(combine([notApplicable], 'permit-overrides').decision).toBe('NotApplicable');
+    });
+  });
+
+  describe('first-applicable', () => {
+    it('takes the first applicable policy in priority order', () => {
+      expect(combine([notApplicable, permit, deny], 'first-applicable')).toEqual({
+        decision: 'Permit',
+        contributing: [permit],
+        reason: permit.reason
+      });
+      expect(combine([deny, permit], 'first-applicable').decision).toBe('Deny');
+    });
+
+    it('denies when the first applicable policy could not be evaluated', () => {
+      const combined = combine([error, permit], 'first-applicable');
+      expect(combined.decision).toBe('Deny');
+      expect(combined.contributing).toEqual([error]);
+    });
+  });
+
+  describe('only-one-applicable', () => {
+    it('takes the decision of the one applicable policy', () => {
+      expect(combine([notApplicable, permit], 'only-one-applicable').decision).toBe('Permit');
+      expect(combine([deny, notApplicable], 'only-one-applicable').decision).toBe('Deny');
+    });
+
+    it('denies when more than one policy applies', () => {
+      expect(combine([permit, deny], 'only-one-applicable')).toEqual({
+        decision: 'Deny',
+        contributing: [permit, deny],
+        reason: 'More than one policy is applicable'
+      });
+    });
+
+    it('counts a policy that could not be evaluated as applicable', () => {
+      expect(combine([error], 'only-one-applicable').decision).toBe('Deny');
+    });
+  });
+});
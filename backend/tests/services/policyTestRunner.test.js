@@ -0,0 +1,57 @@
+const Policy = require('../../src/models/Policy');
+const { emptiedSuiteProblem, runPolicyTests } = require('../../src/services/policyTestRunner');
+
+const policy = (extra = {}) => new Policy({
+  policyId: 'p-1',
+  name: 'Operators unlock',
+  policyType: 'RBAC',
+  effect: 'Allow',
+  creator: '0xCreator',
+  rules: [{ action: 'unlock', subject: { roles: ['operator'] } }],
+  ...extra
+});
+
+const testCase = {
+  name: 'operators unlock',
+  subject: { roles: ['operator'] },
+  action: 'unlock',
+  expected: { decision: 'Permit' }
+};
+
+const changeTests = (target, changedBy, tests) => {
+  target.audit.changeHistory.push({ timestamp: new Date(), changedBy, field: 'tests', oldValue: target.tests, newValue: tests });
+  target.tests = tests;
+  return target;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('emptiedSuiteProblem', () => {
+  it('allows a policy that has cases, or never had any', () => {
+    expect(emptiedSuiteProblem(policy({ tests: [testCase] }))).toBeNull();
+    expect(emptiedSuiteProblem(policy())).toBeNull();
+  });
+
+  it('allows the creator to empty their own suite', () => {
+    expect(emptiedSuiteProblem(changeTests(policy({ tests: [testCase] }), '0xcreator', []))).toBeNull();
+  });
+
+  it('refuses a suite emptied by anyone else', () => {
+    expect(emptiedSuiteProblem(changeTests(policy({ tests: [testCase] }), '0xadmin', []))).toEqual({
+      status: 409,
+      message: 'Policy tests were removed by someone other than its creator'
+    });
+  });
+});
+
+describe('runPolicyTests', () => {
+  it('reports each case against the policy as if it were active', async () => {
+    jest.spyOn(Policy.prototype, 'recordEvaluation').mockImplementation(() => {});
+    const report = await runPolicyTests(policy({ isActive: false, tests: [testCase, { ...testCase, name: 'guests', subject: { roles: ['guest'] } }] }));
+
+    expect(report).toMatchObject({ policyId: 'p-1', total: 2, passed: 1, failed: 1 });
+    expect(report.results[1].actual.decision).toBe('NotApplicable');
+  });
+});
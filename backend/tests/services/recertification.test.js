@@ -0,0 +1,183 @@
+jest.mock('../../src/config/blockchain', () => ({
+  getAuditLogger: jest.fn(() => ({})),
+  sendTransaction: jest.fn()
+}));
+jest.mock('../../src/services/accessGrants', () => ({ revokeGrant: jest.fn() }));
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RecertificationCampaign = require('../../src/models/RecertificationCampaign');
+const RecertificationItem = require('../../src/models/RecertificationItem');
+const AccessGrant = require('../../src/models/AccessGrant');
+const logger = require('../../src/utils/logger');
+const { sendTransaction } = require('../../src/config/blockchain');
+const { revokeGrant } = require('../../src/services/accessGrants');
+const { publicKeyInfo } = require('../../src/config/signingKey');
+const { MIN_DAYS, deadlineProblem, recordDecisions, sweepCampaigns } = require('../../src/services/recertification');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-15T12:00:00Z');
+const admin = { id: 'admin-1', address: '0xadmin', role: 'admin' };
+
+// Campaigns and items as stored, with the conditional updates the service relies on
+let stored;
+let items;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => String(doc[field]) === String(value));
+const applySet = (doc, update) => Object.assign(doc, update.$set);
+
+const campaign = () => new RecertificationCampaign({
+  ...stored,
+  createdAt: new Date('2026-03-01T12:00:00Z')
+});
+
+const item = (grantId, decision = 'pending') => ({
+  _id: new mongoose.Types.ObjectId(),
+  campaignId: stored._id.toString(),
+  reviewer: '0xowner',
+  grantId,
+  deviceId: 'LOCK-1',
+  userId: `user-of-${grantId}`,
+  permissions: ['unlock'],
+  decision
+});
+
+const query = (list) => Object.assign(Promise.resolve(list), { sort: async () => list });
+
+beforeEach(() => {
+  stored = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Q1 review',
+    status: 'open',
+    deadline: new Date(now.getTime() - 1000),
+    startedBy: 'admin-1'
+  };
+  items = [];
+
+  jest.spyOn(RecertificationCampaign, 'find').mockImplementation(async () => [campaign()]);
+  jest.spyOn(RecertificationCampaign, 'updateOne').mockResolvedValue({});
+  jest.spyOn(RecertificationCampaign, 'findById').mockImplementation(async () => campaign());
+  jest.spyOn(RecertificationCampaign, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (stored.status !== filter.status) return null;
+    applySet(stored, update);
+    return campaign();
+  });
+  jest.spyOn(RecertificationCampaign.prototype, 'save').mockImplementation(async function() { return this; });
+
+  jest.spyOn(RecertificationItem, 'find').mockImplementation((filter) => query(items
+    .filter(entry => matches(entry, filter))
+    .map(entry => ({ ...entry }))));
+  jest.spyOn(RecertificationItem, 'findOne').mockImplementation(async (filter) => {
+    const found = items.find(entry => matches(entry, filter));
+    return found ? { ...found } : null;
+  });
+  jest.spyOn(RecertificationItem, 'findById').mockImplementation(() => ({
+    select: async () => null
+  }));
+  jest.spyOn(RecertificationItem, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const found = items.find(entry => matches(entry, filter));
+    return found ? { ...applySet(found, update) } : null;
+  });
+  jest.spyOn(RecertificationItem, 'updateOne').mockResolvedValue({});
+  jest.spyOn(RecertificationItem, 'aggregate').mockImplementation(async () => {
+    const counts = new Map();
+    items.forEach(entry => counts.set(entry.decision, (counts.get(entry.decision) || 0) + 1));
+    return Array.from(counts, ([decision, count]) => ({ _id: decision, count }));
+  });
+
+  jest.spyOn(AccessGrant, 'findById').mockImplementation(async (grantId) => ({ _id: grantId, status: 'active' }));
+  revokeGrant.mockReset().mockResolvedValue({});
+  sendTransaction.mockReset().mockResolvedValue({ transactionHash: '0xreport' });
+  jest.spyOn(logger, 'auditLog').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('deadlineProblem', () => {
+  it('leaves owners at least the minimum review period', () => {
+    expect(deadlineProblem(undefined, now)).toBeNull();
+    expect(deadlineProblem(new Date(now.getTime() + MIN_DAYS * DAY_MS).toISOString(), now)).toBeNull();
+    expect(deadlineProblem(new Date(now.getTime() + 1000).toISOString(), now))
+      .toEqual({ status: 400, message: `Deadline must be at least ${MIN_DAYS} days from now` });
+    expect(deadlineProblem('soon', now).status).toBe(400);
+  });
+});
+
+describe('sweepCampaigns', () => {
+  it('revokes what was not reviewed by the deadline and completes with a signed report', async () => {
+    items.push(item('g-pending'), item('g-kept', 'keep'));
+
+    await sweepCampaigns(now);
+
+    expect(revokeGrant).toHaveBeenCalledTimes(1);
+    expect(revokeGrant).toHaveBeenCalledWith(
+      { _id: 'g-pending', status: 'active' },
+      { revokedBy: 'recertification-sweeper', reason: 'Not reviewed by the deadline of recertification campaign "Q1 review"' }
+    );
+    expect(items.map(entry => entry.decision)).toEqual(['auto_revoked', 'keep']);
+    expect(items[0]).toMatchObject({ decidedBy: 'recertification-sweeper', decidedAt: now });
+
+    expect(stored.status).toBe('completed');
+    expect(stored.counts).toMatchObject({ total: 2, pending: 0, kept: 1, autoRevoked: 1 });
+    const { report } = RecertificationCampaign.prototype.save.mock.instances[0];
+    expect(crypto.verify(null, Buffer.from(report.body), publicKeyInfo().publicKey, Buffer.from(report.signature, 'base64url'))).toBe(true);
+    expect(sendTransaction).toHaveBeenCalledWith({}, 'logEvent', ['recertification_completed', stored._id.toString(), 'recertification', report.hash]);
+  });
+
+  it('leaves an item a reviewer decided while the sweep was running', async () => {
+    const raced = item('g-raced');
+    items.push(raced);
+    // The sweep read the item as pending just before the owner kept it
+    RecertificationItem.find.mockImplementationOnce(() => query([{ ...raced }]));
+    raced.decision = 'keep';
+
+    await sweepCampaigns(now);
+
+    expect(revokeGrant).not.toHaveBeenCalled();
+    expect(raced.decision).toBe('keep');
+  });
+
+  it('completes and reports a campaign once when two sweeps finish it together', async () => {
+    items.push(item('g-pending'));
+
+    await Promise.all([sweepCampaigns(now), sweepCampaigns(now)]);
+
+    expect(revokeGrant).toHaveBeenCalledTimes(1);
+    expect(sendTransaction).toHaveBeenCalledTimes(1);
+    expect(logger.auditLog.mock.calls.filter(([event]) => event === 'recertification_completed')).toHaveLength(1);
+  });
+
+  it('hands an item back when its grant cannot be revoked', async () => {
+    items.push(item('g-pending'));
+    revokeGrant.mockRejectedValue(new Error('chain unavailable'));
+
+    await expect(sweepCampaigns(now)).rejects.toThrow('chain unavailable');
+    expect(RecertificationItem.updateOne).toHaveBeenCalledWith(
+      { _id: items[0]._id, decision: 'auto_revoked' },
+      { $set: { decision: 'pending' }, $unset: { decidedBy: 1, decidedAt: 1, comment: 1 } }
+    );
+  });
+});
+
+describe('recordDecisions', () => {
+  it('revokes on a revoke decision and refuses an item already decided', async () => {
+    items.push(item('g-1'), item('g-2', 'auto_revoked'));
+    stored.deadline = new Date(now.getTime() + DAY_MS);
+
+    const results = await recordDecisions(campaign(), [
+      { itemId: items[0]._id.toString(), decision: 'revoke', comment: 'left the team' },
+      { itemId: items[1]._id.toString(), decision: 'keep' }
+    ], admin);
+
+    expect(results).toEqual([
+      { itemId: items[0]._id.toString(), decision: 'revoke', success: true },
+      { itemId: items[1]._id.toString(), decision: 'keep', success: false, error: 'Item is already decided (auto_revoked)' }
+    ]);
+    expect(revokeGrant).toHaveBeenCalledTimes(1);
+    expect(items[0]).toMatchObject({ decision: 'revoke', decidedBy: 'admin-1', comment: 'left the team' });
+  });
+});
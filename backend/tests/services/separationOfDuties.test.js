@@ -0,0 +1,154 @@
+const previousRules = process.env.SOD_STATIC_RULES;
+process.env.SOD_STATIC_RULES = 'write:policies,write:audit;role:admin,group:auditors';
+
+jest.mock('../../src/config/blockchain', () => ({
+  getAuditLogger: jest.fn(() => ({ name: 'auditLogger' })),
+  sendTransaction: jest.fn()
+}));
+
+const User = require('../../src/models/User');
+const logger = require('../../src/utils/logger');
+const { sendTransaction } = require('../../src/config/blockchain');
+const {
+  STATIC_RULES,
+  staticConflicts,
+  assignmentProblem,
+  grantApprovalProblem,
+  policyActivationProblem,
+  reportViolation,
+  findStaticViolations
+} = require('../../src/services/separationOfDuties');
+
+afterAll(() => {
+  if (previousRules === undefined) {
+    delete process.env.SOD_STATIC_RULES;
+  } else {
+    process.env.SOD_STATIC_RULES = previousRules;
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('static rules', () => {
+  it('are read from SOD_STATIC_RULES, one set per semicolon', () => {
+    expect(STATIC_RULES).toEqual([['write:policies', 'write:audit'], ['role:admin', 'group:auditors']]);
+  });
+
+  it('allow entitlements from different sets together', () => {
+    expect(staticConflicts({ role: 'operator', permissions: ['write:policies', 'read:audit'], groups: ['auditors'] })).toEqual([]);
+    expect(assignmentProblem({ role: 'admin', permissions: ['write:policies'], groups: [] })).toBeNull();
+  });
+
+  it('catch two permissions from one set, including through a wildcard', () => {
+    expect(staticConflicts({ role: 'user', permissions: ['write:policies', 'write:audit'] }))
+      .toEqual([{ rule: 'write:policies,write:audit', held: ['write:policies', 'write:audit'] }]);
+    expect(staticConflicts({ role: 'user', permissions: ['write:all'] }))
+      .toEqual([{ rule: 'write:policies,write:audit', held: ['write:policies', 'write:audit'] }]);
+  });
+
+  it('weigh roles and groups as entitlements', () => {
+    const problem = assignmentProblem({ role: 'admin', permissions: [], groups: ['auditors', 'fire_safety'] });
+
+    expect(problem).toEqual({
+      status: 409,
+      rule: 'static',
+      message: 'Separation of duties: role:admin and group:auditors cannot be held together',
+      conflicts: [{ rule: 'role:admin,group:auditors', held: ['role:admin', 'group:auditors'] }]
+    });
+  });
+
+  it('find users who already break a rule', async () => {
+    jest.spyOn(User, 'find').mockResolvedValue([
+      new User({ username: 'dana', address: '0xd', role: 'admin', groups: ['auditors'], permissions: [] }),
+      new User({ username: 'eli', address: '0xe', role: 'user', permissions: ['write:policies'] })
+    ]);
+
+    const violations = await findStaticViolations();
+
+    expect(User.find).toHaveBeenCalledWith({}, 'username address role permissions groups');
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toMatchObject({ username: 'dana', role: 'admin' });
+    expect(violations[0].conflicts[0].held).toEqual(['role:admin', 'group:auditors']);
+  });
+});
+
+describe('grantApprovalProblem', () => {
+  const caller = { id: 'u-1', address: '0xone' };
+
+  it('keeps a requester from approving their own request', () => {
+    expect(grantApprovalProblem({ requestedBy: 'u-1', userId: 'u-2' }, caller)).toEqual({
+      status: 403,
+      rule: 'grant_approval',
+      message: 'Separation of duties: an access request cannot be approved by its requester'
+    });
+  });
+
+  it('keeps anyone from granting access to themselves', () => {
+    expect(grantApprovalProblem({ requestedBy: 'u-2', userId: 'u-1' }, caller).message)
+      .toBe('Separation of duties: access cannot be granted to oneself');
+    expect(grantApprovalProblem({ userId: 'u-1' }, caller).message)
+      .toBe('Separation of duties: access cannot be granted to oneself');
+  });
+
+  it('lets someone else approve or grant', () => {
+    expect(grantApprovalProblem({ requestedBy: 'u-2', userId: 'u-3' }, caller)).toBeNull();
+    expect(grantApprovalProblem({ userId: 'u-3' }, caller)).toBeNull();
+  });
+});
+
+describe('policyActivationProblem', () => {
+  it('keeps the creator of a policy from activating it, whatever the address case', () => {
+    expect(policyActivationProblem('0xAbC', '0xabc')).toEqual({
+      status: 403,
+      rule: 'policy_activation',
+      message: 'Separation of duties: a policy cannot be activated by its creator'
+    });
+  });
+
+  it('lets another address activate it', () => {
+    expect(policyActivationProblem('0xabc', '0xdef')).toBeNull();
+    expect(policyActivationProblem(undefined, '0xdef')).toBeNull();
+  });
+});
+
+describe('reportViolation', () => {
+  const problem = grantApprovalProblem({ userId: 'u-1' }, { id: 'u-1' });
+  // Anchoring runs in the background; let it finish
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    sendTransaction.mockReset().mockResolvedValue({ transactionHash: '0xtx' });
+    jest.spyOn(logger, 'auditLog').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  it('records an audit event and anchors it without waiting for the chain', async () => {
+    expect(reportViolation(problem, '0xone', 'u-1', { deviceId: 'LOCK-1' })).toBeUndefined();
+    expect(logger.auditLog).toHaveBeenCalledWith('separation_of_duties_violation', '0xone', 'u-1', {
+      rule: 'grant_approval',
+      message: 'Separation of duties: access cannot be granted to oneself',
+      conflicts: undefined,
+      deviceId: 'LOCK-1'
+    });
+
+    await settle();
+    expect(sendTransaction).toHaveBeenCalledWith(
+      { name: 'auditLogger' },
+      'logEvent',
+      ['separation_of_duties_violation', '0xone', 'u-1', 'grant_approval']
+    );
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+
+  it('only logs an anchoring failure', async () => {
+    sendTransaction.mockRejectedValue(new Error('node unreachable'));
+
+    reportViolation(problem, '0xone', 'u-1');
+    await settle();
+
+    expect(logger.auditLog).toHaveBeenCalledTimes(1);
+    expect(logger.error).toHaveBeenCalledWith('Failed to anchor separation-of-duties violation:', expect.objectContaining({ message: 'node unreachable' }));
+  });
+});
@@ -0,0 +1,189 @@
+jest.mock('../../src/config/redis', () => ({ getRedisClient: jest.fn() }));
+
+const { getRedisClient } = require('../../src/config/redis');
+const Policy = require('../../src/models/Policy');
+const logger = require('../../src/utils/logger');
+const { loadUsage, consumeUsage, refundUsage } = require('../../src/services/usageCounter');
+const { decide } = require('../../src/services/policyDecisionPoint');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-03-01T12:00:00Z').getTime();
+const subject = { id: 'u-1', roles: ['operator'], groups: [], permissions: [], attributes: {} };
+const resource = { id: 'LOCK-1', type: 'smart_lock', status: 'active', attributes: {} };
+
+// In-memory Redis for the commands the counter uses. eval follows the consume
+// script: KEYS are the counters, ARGV now, member, then max, mode, periodMs and
+// ttlMs per key; nothing is recorded unless every counter is below its max.
+const fakeRedis = () => {
+  const strings = new Map();
+  const sets = new Map();
+  const set = (key) => sets.get(key) || sets.set(key, new Map()).get(key);
+
+  const commands = {
+    get: async (key) => (strings.has(key) ? String(strings.get(key)) : null),
+    decr: async (key) => strings.set(key, (strings.get(key) || 0) - 1).get(key),
+    zcount: async (key, min) => [...set(key).values()].filter(score => score > Number(String(min).replace('(', ''))).length,
+    zrem: async (key, member) => Number(set(key).delete(member))
+  };
+
+  const client = {
+    ...commands,
+    strings,
+    sets,
+    eval: jest.fn(async (script, numKeys, ...rest) => {
+      const keys = rest.slice(0, numKeys);
+      const [at, member, ...args] = rest.slice(numKeys);
+      const spec = (i) => ({ max: Number(args[i * 4]), mode: args[i * 4 + 1], periodMs: Number(args[i * 4 + 2]) });
+
+      for (const [i, key] of keys.entries()) {
+        const { max, mode, periodMs } = spec(i);
+        let count;
+        if (mode === 'sliding') {
+          set(key).forEach((score, name) => { if (score <= at - periodMs) set(key).delete(name); });
+          count = set(key).size;
+        } else {
+          count = strings.get(key) || 0;
+        }
+        if (count >= max) return i + 1;
+      }
+      keys.forEach((key, i) => {
+        if (spec(i).mode === 'sliding') {
+          set(key).set(member, at);
+        } else {
+          strings.set(key, (strings.get(key) || 0) + 1);
+        }
+      });
+      return 0;
+    }),
+    pipeline: () => {
+      const queued = [];
+      const pipeline = {
+        exec: async () => Promise.all(queued.map(run => run().then(value => [null, value])))
+      };
+      Object.keys(commands).forEach(name => {
+        pipeline[name] = (...args) => {
+          queued.push(() => commands[name](...args));
+          return pipeline;
+        };
+      });
+      return pipeline;
+    }
+  };
+  return client;
+};
+
+const limitedPolicy = (conditions, extra = {}) => new Policy({
+  policyId: 'p-limited',
+  name: 'Limited unlocks',
+  policyType: 'RBAC',
+  effect: 'Allow',
+  creator: '0xcreator',
+  isActive: true,
+  rules: [{ action: 'unlock', subject: { roles: ['operator'] }, conditions }],
+  ...extra
+});
+
+const permitting = (policy) => policy.rules.map((rule, ruleIndex) => ({ policy, rule, ruleIndex }));
+
+let redis;
+
+beforeEach(() => {
+  redis = fakeRedis();
+  getRedisClient.mockReturnValue(redis);
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+  jest.spyOn(logger, 'policyEvaluation').mockImplementation(() => {});
+  jest.spyOn(Policy.prototype, 'recordEvaluation').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('consumeUsage', () => {
+  it('records a use per subject and refuses once the limit is reached', async () => {
+    const policy = limitedPolicy({ maxUsageCount: 2 });
+
+    expect((await consumeUsage(permitting(policy), subject, resource, now)).charge).toEqual({
+      member: expect.stringMatching(new RegExp(`^${now}:[0-9a-f]{12}$`)),
+      counters: [{ key: 'usage:p-limited:0:u-1:LOCK-1', mode: 'total' }]
+    });
+    await consumeUsage(permitting(policy), subject, resource, now);
+
+    expect(await consumeUsage(permitting(policy), subject, resource, now))
+      .toEqual({ exhausted: { policyId: 'p-limited', ruleIndex: 0 } });
+    expect((await loadUsage([policy], subject, resource, now)).get('p-limited#0')).toBe(2);
+    expect((await loadUsage([policy], { ...subject, id: 'u-2' }, resource, now)).get('p-limited#0')).toBe(0);
+  });
+
+  it('records nothing when any of the counters is at its limit', async () => {
+    const roomy = limitedPolicy({ maxUsageCount: 5 }, { policyId: 'p-roomy' });
+    const tight = limitedPolicy({ maxUsageCount: 1 }, { policyId: 'p-tight' });
+    await consumeUsage(permitting(tight), subject, resource, now);
+
+    expect(await consumeUsage([...permitting(roomy), ...permitting(tight)], subject, resource, now))
+      .toEqual({ exhausted: { policyId: 'p-tight', ruleIndex: 0 } });
+    expect((await loadUsage([roomy], subject, resource, now)).get('p-roomy#0')).toBe(0);
+  });
+
+  it('lets uses older than a sliding window drop out', async () => {
+    const policy = limitedPolicy({ maxUsageCount: 1, usageWindow: { period: '1h', mode: 'sliding' } });
+    await consumeUsage(permitting(policy), subject, resource, now);
+
+    expect((await consumeUsage(permitting(policy), subject, resource, now + HOUR_MS / 2)).exhausted).toBeDefined();
+    expect((await consumeUsage(permitting(policy), subject, resource, now + HOUR_MS + 1)).charge).toBeTruthy();
+  });
+
+  it('passes the counters and their limits to the script in one call', async () => {
+    const policy = limitedPolicy({ maxUsageCount: 3, usageWindow: { period: '1h' } });
+    await consumeUsage(permitting(policy), subject, resource, now);
+
+    const windowKey = `usage:p-limited:0:u-1:LOCK-1:${Math.floor(now / HOUR_MS) * HOUR_MS}`;
+    expect(redis.eval).toHaveBeenCalledTimes(1);
+    expect(redis.eval.mock.calls[0].slice(1)).toEqual([1, windowKey, now, expect.any(String), 3, 'fixed', HOUR_MS, HOUR_MS]);
+  });
+});
+
+describe('refundUsage', () => {
+  it('takes back exactly the use that was recorded', async () => {
+    const total = limitedPolicy({ maxUsageCount: 1 });
+    const sliding = limitedPolicy({ maxUsageCount: 2, usageWindow: { period: '1h', mode: 'sliding' } }, { policyId: 'p-sliding' });
+    await consumeUsage(permitting(sliding), subject, resource, now - 1000);
+    const { charge } = await consumeUsage([...permitting(total), ...permitting(sliding)], subject, resource, now);
+
+    await refundUsage(charge);
+
+    const usage = await loadUsage([total, sliding], subject, resource, now);
+    expect(usage.get('p-limited#0')).toBe(0);
+    expect(usage.get('p-sliding#0')).toBe(1);
+    expect(redis.sets.get('usage:p-sliding:0:u-1:LOCK-1').has(charge.member)).toBe(false);
+  });
+
+  it('does nothing without a charge', async () => {
+    await expect(refundUsage(null)).resolves.toBeUndefined();
+  });
+});
+
+describe('loadUsage', () => {
+  it('reports counts it cannot read as null', async () => {
+    getRedisClient.mockReturnValue({ pipeline: () => { throw new Error('Connection is closed'); } });
+
+    const usage = await loadUsage([limitedPolicy({ maxUsageCount: 1 })], subject, resource, now);
+    expect(usage.get('p-limited#0')).toBeNull();
+  });
+});
+
+describe('decide', () => {
+  it('uses up a permit only when charging usage', async () => {
+    const policy = limitedPolicy({ maxUsageCount: 1 });
+    const request = (options) => decide(subject, resource, 'unlock', { now }, { policies: [policy], ...options });
+
+    expect((await request({ chargeUsage: false })).decision).toBe('Permit');
+    expect((await request({ chargeUsage: false })).decision).toBe('Permit');
+    expect(redis.eval).not.toHaveBeenCalled();
+
+    expect((await request()).decision).toBe('Permit');
+    const refused = await request();
+    expect(refused.decision).toBe('Deny');
+    expect(refused.reason).toBe('Usage limit exceeded');
+  });
+});
@@ -0,0 +1,128 @@
+const {
+  compile,
+  evaluate,
+  checkCustomConditions,
+  validateRuleConditions
+} = require('../../src/utils/conditionLanguage');
+
+const scope = {
+  subject: {
+    id: 'u-1',
+    roles: ['operator'],
+    groups: ['fire_safety'],
+    attributes: { department: 'facilities', twoFactorEnabled: true }
+  },
+  resource: {
+    id: 'LOCK-1',
+    type: 'smart_lock',
+    status: 'active',
+    attributes: new Map([['department', 'facilities'], ['battery_level', 80]])
+  },
+  env: { hour: 22, dayOfWeek: 5 },
+  request: { action: 'unlock', attributes: { badge: 'V-1042', battery_level: '15' } }
+};
+
+describe('condition language', () => {
+  describe('evaluate', () => {
+    it('compares numbers, strings and attributes across roots', () => {
+      expect(evaluate('env.hour >= 22 and env.dayOfWeek < 6', scope)).toBe(true);
+      expect(evaluate('user.department == resource.attributes.department', scope)).toBe(true);
+      expect(evaluate('device.type != "smart_lock"', scope)).toBe(false);
+    });
+
+    it('looks bare names up in the request attributes before the resource attributes', () => {
+      expect(evaluate('battery_level < 20', scope)).toBe(true);
+      expect(evaluate('resource.attributes.battery_level > 20', scope)).toBe(true);
+    });
+
+    it('supports in, not in, matches and negation', () => {
+      expect(evaluate('subject.roles in ["operator", "admin"]', scope)).toBe(true);
+      expect(evaluate('subject.groups not in ["contractors"]', scope)).toBe(true);
+      expect(evaluate('request.attributes.badge matches "^V-[0-9]+$"', scope)).toBe(true);
+      expect(evaluate('not (device.status == "inactive") && env.hour > 6', scope)).toBe(true);
+      expect(evaluate('!(subject.twoFactorEnabled == true) || false', scope)).toBe(false);
+    });
+
+    it('treats missing values as null and never as numbers', () => {
+      expect(evaluate('request.attributes.missing == null', scope)).toBe(true);
+      expect(evaluate('request.attributes.missing > 0', scope)).toBe(false);
+      expect(evaluate('request.attributes.missing matches "x"', scope)).toBe(false);
+    });
+  });
+
+  describe('compile', () => {
+    it('refuses empty and overly long expressions', () => {
+      expect(() => compile('  ')).toThrow('Condition must be a non-empty string');
+      expect(() => compile(`battery_level > ${'1'.repeat(1000)}`)).toThrow('longer than 1000 characters');
+    });
+
+    it('reports syntax errors with their position', () => {
+      expect(() => compile('battery_level +')).toThrow('Unexpected character "+" at position 14');
+      expect(() => compile('subject.department == "a')).toThrow('Unterminated string at position 22');
+    });
+
+    it('type-checks attribute paths and operands', () => {
+      expect(() => compile('subject.foo == 1')).toThrow('Unknown attribute "subject.foo"');
+      expect(() => compile('subject.roles > 3')).toThrow('">" needs numbers, got list and number');
+    });
+
+    it('checks what "in" looks for against the items of a literal list', () => {
+      expect(() => compile('env.hour in [22, 23]')).not.toThrow();
+      expect(() => compile('resource.status in ["active", null]')).not.toThrow();
+      expect(() => compile('subject.roles in ["operator", 1]')).not.toThrow();
+      expect(() => compile('env.hour in ["22"]')).toThrow('"in" looks for a number in a list holding a string');
+      expect(() => compile('env.hour in 22')).toThrow('"in" needs a list on the right, got number');
+    });
+
+    it('refuses regular expressions that can backtrack exponentially', () => {
+      ['(a+)+', '((a+))+', '(x{2,})*'].forEach(pattern => {
+        expect(() => compile(`request.attributes.badge matches "${pattern}"`))
+          .toThrow('Nested quantifiers are not allowed in regular expressions');
+      });
+      ['(a|a)*', '(a|ab)*c', '(?:x|y){2,}', '((a|b))+'].forEach(pattern => {
+        expect(() => compile(`request.attributes.badge matches "${pattern}"`))
+          .toThrow('Quantified alternations are not allowed in regular expressions');
+      });
+    });
+
+    it('accepts alternations and quantifiers that cannot backtrack exponentially', () => {
+      ['^(V|W)-[0-9]+$', '(ab)+', '(a|b)c*', '[(|]+', '(a[+|]b)*'].forEach(pattern => {
+        expect(() => compile(`request.attributes.badge matches "${pattern}"`)).not.toThrow();
+      });
+    });
+  });
+
+  describe('checkCustomConditions', () => {
+    it('returns the first condition that does not hold and reports each check', () => {
+      const checks = [];
+      const reason = checkCustomConditions(
+        new Map([['night', 'env.hour >= 22'], ['charged', 'battery_level > 20'], ['never', 'false']]),
+        scope,
+        (name, source, passed) => checks.push([name, passed])
+      );
+
+      expect(reason).toBe('Condition charged not satisfied');
+      expect(checks).toEqual([['night', true], ['charged', false]]);
+    });
+
+    it('returns null when every condition holds', () => {
+      expect(checkCustomConditions({ night: 'env.hour >= 22' }, scope)).toBeNull();
+      expect(checkCustomConditions(undefined, scope)).toBeNull();
+    });
+  });
+
+  describe('validateRuleConditions', () => {
+    it('lists every condition that does not compile, by rule and name', () => {
+      const errors = validateRuleConditions([
+        { conditions: { customConditions: { ok: 'battery_level > 20' } } },
+        { conditions: { customConditions: { bad: 'battery_level ===', unknown: 'subject.foo == 1' } } },
+        {}
+      ]);
+
+      expect(errors).toEqual([
+        'rules[1].conditions.customConditions.bad: Unexpected character "=" at position 16',
+        'rules[1].conditions.customConditions.unknown: Unknown attribute "subject.foo" at position 0'
+      ]);
+    });
+  });
+});
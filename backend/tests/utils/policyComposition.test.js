@@ -0,0 +1,88 @@
+const {
+  checkTarget,
+  collectDescendants,
+  validateComposition
+} = require('../../src/utils/policyComposition');
+
+const composite = (policyId, children) => ({ policyId, policyType: 'Composite', composition: { children } });
+
+describe('validateComposition', () => {
+  it('accepts a composite with children and a well-formed target', () => {
+    expect(validateComposition('Composite', {
+      children: ['p-1', 'p-2'],
+      combiningAlgorithm: 'first-applicable',
+      target: { actions: ['unlock'], resourceIds: ['LOCK-*'] }
+    })).toEqual([]);
+  });
+
+  it('needs at least one child', () => {
+    expect(validateComposition('Composite', { children: [] }))
+      .toEqual(['composition.children: a Composite policy needs at least one child policyId']);
+    expect(validateComposition('Composite', undefined)).toHaveLength(1);
+  });
+
+  it('refuses rules, duplicate children, unknown algorithms and malformed targets', () => {
+    expect(validateComposition('Composite', {
+      children: ['p-1', 'p-1', ''],
+      combiningAlgorithm: 'majority',
+      target: { actions: 'unlock', subjectRoles: [1] }
+    }, [{ action: 'unlock' }])).toEqual([
+      'rules: a Composite policy is decided by its children and cannot have rules',
+      'composition.children[2]: must be a policyId',
+      'composition.children: lists a policy more than once',
+      'composition.combiningAlgorithm: must be one of deny-overrides, permit-overrides, first-applicable, only-one-applicable',
+      'composition.target.actions: must be an array of strings',
+      'composition.target.subjectRoles: must be an array of strings'
+    ]);
+    expect(validateComposition('Composite', { children: ['p-1'], target: ['unlock'] }))
+      .toEqual(['composition.target: must be an object']);
+  });
+
+  it('keeps other policy types from referencing children', () => {
+    expect(validateComposition('RoleBased', { children: ['p-1'] }))
+      .toEqual(['composition: only Composite policies may reference child policies']);
+    expect(validateComposition('RoleBased', undefined)).toEqual([]);
+  });
+});
+
+describe('checkTarget', () => {
+  const subject = { roles: ['operator'] };
+  const resource = { id: 'LOCK-7', type: 'smart_lock' };
+
+  it('is null without a target or inside it', () => {
+    expect(checkTarget(undefined, subject, resource, 'unlock')).toBeNull();
+    expect(checkTarget({
+      actions: ['unlock'],
+      resourceTypes: ['smart_lock'],
+      resourceIds: ['LOCK-*'],
+      subjectRoles: ['operator', 'admin']
+    }, subject, resource, 'unlock')).toBeNull();
+  });
+
+  it('names the first dimension the request falls outside', () => {
+    expect(checkTarget({ actions: ['lock'] }, subject, resource, 'unlock')).toBe('action');
+    expect(checkTarget({ resourceTypes: ['camera'] }, subject, resource, 'unlock')).toBe('resource type');
+    expect(checkTarget({ resourceIds: ['GATE-*'] }, subject, resource, 'unlock')).toBe('resource');
+    expect(checkTarget({ subjectRoles: ['admin'] }, subject, resource, 'unlock')).toBe('role');
+    expect(checkTarget({ actions: [] }, subject, resource, 'unlock')).toBeNull();
+  });
+});
+
+describe('collectDescendants', () => {
+  it('follows loaded children through nested composites, once each', () => {
+    const children = new Map([
+      ['c-1', composite('c-1', ['p-1', 'p-2'])],
+      ['p-1', { policyId: 'p-1' }],
+      ['p-2', { policyId: 'p-2' }],
+      ['c-2', composite('c-2', ['p-2', 'c-1'])]
+    ]);
+
+    expect(collectDescendants(composite('root', ['c-2', 'p-3']), children))
+      .toEqual(new Set(['c-2', 'p-2', 'c-1', 'p-1', 'p-3']));
+  });
+
+  it('stops at a cycle', () => {
+    const children = new Map([['c-1', composite('c-1', ['c-2'])], ['c-2', composite('c-2', ['c-1'])]]);
+    expect(collectDescendants(children.get('c-1'), children)).toEqual(new Set(['c-2', 'c-1']));
+  });
+});
@@ -14,10 +14,19 @@ contract PolicyManager {
     bool isActive;
   }
   
+  struct PolicyVersion {
+    bytes32 contentHash;
+    address anchoredBy;
+    uint256 anchoredAt;
+  }
+  
   mapping(string => Policy) public policies;
   mapping(string => bool) public policyExists;
+  mapping(string => mapping(uint256 => PolicyVersion)) public policyVersions;
+  mapping(string => uint256) public latestPolicyVersion;
   
   event PolicyCreated(string indexed policyId, string name, address indexed creator, uint256 timestamp);
+  event PolicyVersionAnchored(string indexed policyId, uint256 version, bytes32 contentHash, address indexed anchoredBy, uint256 timestamp);
   
   constructor() {
     admin = msg.sender;
@@ -45,4 +54,25 @@ contract PolicyManager {
     
     emit PolicyCreated(policyId, name, msg.sender, block.timestamp);
   }
+  
+  // Record the content hash of a policy revision; revisions are append-only
+  function anchorPolicyVersion(string memory policyId, uint256 version, bytes32 contentHash) public onlyAdmin {
+    require(policyExists[policyId], "Policy does not exist");
+    require(version > latestPolicyVersion[policyId], "Version must increase");
+    require(contentHash != bytes32(0), "Content hash required");
+    
+    policyVersions[policyId][version] = PolicyVersion({
+      contentHash: contentHash,
+      anchoredBy: msg.sender,
+      anchoredAt: block.timestamp
+    });
+    latestPolicyVersion[policyId] = version;
+    
+    emit PolicyVersionAnchored(policyId, version, contentHash, msg.sender, block.timestamp);
+  }
+  
+  function getPolicyVersion(string memory policyId, uint256 version) public view returns (bytes32 contentHash, address anchoredBy, uint256 anchoredAt) {
+    PolicyVersion memory policyVersion = policyVersions[policyId][version];
+    return (policyVersion.contentHash, policyVersion.anchoredBy, policyVersion.anchoredAt);
+  }
 }
\ No newline at end of file
@@ -6,12 +6,19 @@ const cron = require('node-cron');
 const { faker } = require('@faker-js/faker');
 require('dotenv').config();
 
+// Permission a capability token needs for each lock action
+const LOCK_ACTION_PERMISSIONS = {
+  unlock: 'execute',
+  lock: 'execute',
+  status_check: 'read'
+};
+
 // Device types and their characteristics
 const DEVICE_TYPES = {
   'smart_lock': {
     capabilities: ['lock', 'unlock', 'status_check'],
     dataInterval: 30, // seconds
-    mqttTopics: ['iot/devices/{deviceId}/status', 'iot/devices/{deviceId}/access'],
+    mqttTopics: ['iot/devices/{deviceId}/status', 'iot/devices/{deviceId}/access', 'iot/devices/{deviceId}/token'],
     attributes: ['location', 'battery_level', 'lock_status', 'last_access']
   },
   'security_camera': {
@@ -56,6 +63,19 @@ class IoTDeviceSimulator {
     this.lastHeartbeat = Date.now();
     this.accessAttempts = [];
     this.securityEvents = [];
+
+    // Offline verification of capability tokens: the backend's public key and
+    // its id are provisioned (or fetched once while online), the last verified
+    // revocation list is kept until its nextUpdate, and token uses are counted
+    // locally
+    this.tokenPublicKey = process.env.CAPABILITY_TOKEN_PUBLIC_KEY
+      ? crypto.createPublicKey(process.env.CAPABILITY_TOKEN_PUBLIC_KEY.replace(/\\n/g, '\n'))
+      : null;
+    this.tokenKeyId = process.env.CAPABILITY_TOKEN_KEY_ID || null;
+    this.revokedTokens = new Map();
+    this.revocationListIssuedAt = 0;
+    this.revocationListNextUpdate = 0;
+    this.tokenUses = new Map();
     
     console.log(`🚀 Initialized ${deviceType} device: ${deviceId} at ${location}`);
   }
@@ -146,6 +166,14 @@ class IoTDeviceSimulator {
       cron.schedule('*/2 * * * *', () => {
         this.generateRandomEvent();
       });
+
+      // Locks keep their token revocation list current while online
+      if (this.deviceType === 'smart_lock') {
+        await this.refreshRevocationList();
+        cron.schedule('* * * * *', () => {
+          this.refreshRevocationList();
+        });
+      }
       
       console.log(`✅ ${this.deviceType} device ${this.deviceId} started successfully`);
       
@@ -432,12 +460,117 @@ class IoTDeviceSimulator {
       // Handle different message types
       if (payload.type === 'command') {
         this.handleCommand(payload);
+      } else if (topic.endsWith('/token') && this.deviceType === 'smart_lock') {
+        this.presentToken(payload);
       }
     } catch (error) {
       console.error(`Error handling MQTT message:`, error);
     }
   }
 
+  async fetchTokenPublicKey() {
+    const response = await axios.get(`${this.apiBaseUrl}/api/access/tokens/public-key`, { timeout: 5000 });
+    this.tokenPublicKey = crypto.createPublicKey(response.data.data.publicKey);
+    this.tokenKeyId = response.data.data.keyId;
+    console.log(`🔑 Capability token key ${response.data.data.keyId} provisioned on ${this.deviceId}`);
+  }
+
+  // Split <claims>.<signature> and check the signature and key id; returns the
+  // claims or null
+  verifySigned(compact) {
+    if (!this.tokenPublicKey || typeof compact !== 'string') return null;
+
+    const [body, signature, extra] = compact.split('.');
+    if (!body || !signature || extra !== undefined) return null;
+
+    try {
+      const valid = crypto.verify(null, Buffer.from(body), this.tokenPublicKey, Buffer.from(signature, 'base64url'));
+      if (!valid) return null;
+      const claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+      return !this.tokenKeyId || claims.kid === this.tokenKeyId ? claims : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // While offline the last verified list stays in force until its nextUpdate;
+  // after that tokens are refused until a fresh list arrives
+  async refreshRevocationList() {
+    try {
+      if (!this.tokenPublicKey) {
+        await this.fetchTokenPublicKey();
+      }
+
+      const response = await axios.get(`${this.apiBaseUrl}/api/access/tokens/revocations`, { timeout: 5000 });
+      const list = this.verifySigned(response.data.data.list);
+      if (!list) {
+        console.warn(`⚠️ Rejected unsigned, tampered or foreign-key revocation list on ${this.deviceId}`);
+        return;
+      }
+      if (list.iat < this.revocationListIssuedAt) return;
+
+      this.revokedTokens = new Map(list.revoked.map(entry => [entry.jti, entry.exp]));
+      this.revocationListIssuedAt = list.iat;
+      this.revocationListNextUpdate = list.nextUpdate;
+    } catch (error) {
+      console.debug(`Revocation list refresh failed on ${this.deviceId}: ${error.message}`);
+    }
+  }
+
+  verifyCapabilityToken(token, action, userId, now = Date.now()) {
+    const claims = this.verifySigned(token);
+    if (!claims) return { valid: false, reason: 'Invalid token signature' };
+
+    const nowSeconds = Math.floor(now / 1000);
+    const permission = LOCK_ACTION_PERMISSIONS[action];
+
+    if (claims.v !== 1) return { valid: false, reason: 'Unsupported token version' };
+    if (claims.dev !== this.deviceId) return { valid: false, reason: 'Token is for another device' };
+    if (userId && claims.sub !== userId) return { valid: false, reason: 'Token was issued to another user' };
+    if (!permission || !claims.act.includes(permission)) return { valid: false, reason: `Token does not permit ${action}` };
+    if (nowSeconds < claims.nbf) return { valid: false, reason: 'Token is not valid yet' };
+    if (nowSeconds >= claims.exp) return { valid: false, reason: 'Token has expired' };
+    if (nowSeconds >= this.revocationListNextUpdate) return { valid: false, reason: 'Revocation list is out of date' };
+    if (this.revokedTokens.has(claims.jti)) return { valid: false, reason: 'Token has been revoked' };
+    if ((this.tokenUses.get(claims.jti) || 0) >= claims.use) return { valid: false, reason: 'Token has no uses left' };
+
+    return { valid: true, claims };
+  }
+
+  presentToken({ token, action = 'unlock', userId }) {
+    const result = this.verifyCapabilityToken(token, action, userId);
+
+    if (result.valid) {
+      const { jti } = result.claims;
+      this.tokenUses.set(jti, (this.tokenUses.get(jti) || 0) + 1);
+      this.state.lockStatus = action === 'unlock' ? 'unlocked' : 'locked';
+      this.state.accessCount++;
+      this.state.lastAccess = new Date().toISOString();
+    }
+
+    const accessAttempt = {
+      timestamp: new Date().toISOString(),
+      userId: result.claims ? result.claims.sub : userId,
+      method: 'capability_token',
+      tokenId: result.claims ? result.claims.jti : null,
+      action,
+      granted: result.valid,
+      reason: result.reason,
+      location: this.location
+    };
+    this.accessAttempts.push(accessAttempt);
+
+    // Reported when the broker is reachable; the decision never waits for it
+    this.publishMQTT(`iot/devices/${this.deviceId}/access`, {
+      deviceId: this.deviceId,
+      event: 'access_attempt',
+      data: accessAttempt
+    });
+
+    console.log(`${result.valid ? '🔓' : '⛔'} Token ${action} on ${this.deviceId}: ${result.valid ? 'granted' : result.reason}`);
+    return result;
+  }
+
   handleCommand(command) {
     console.log(`🔧 Executing command for device ${this.deviceId}:`, command);
     